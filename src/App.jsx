@@ -1,4 +1,4 @@
-import { useState, useRef, useCallback, useEffect } from 'react'
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react'
 import ColorPalette from './components/ColorPalette'
 import GridControls from './components/GridControls'
 import DominoGrid from './components/DominoGrid'
@@ -6,7 +6,77 @@ import DominoStats from './components/DominoStats'
 import ContextMenu from './components/ContextMenu'
 import SelectionContextMenu from './components/SelectionContextMenu'
 import FillColorPopup from './components/FillColorPopup'
-import { rgbToHex, distributeColorsEvenly, normalizePalette, getHue } from './utils/colorUtils'
+import ImageImportWizard from './components/ImageImportWizard'
+import PaletteExtractor from './components/PaletteExtractor'
+import TopplePanel from './components/TopplePanel'
+import BuildInstructionsDialog from './components/BuildInstructionsDialog'
+import ImageExportDialog from './components/ImageExportDialog'
+import PdfExportDialog from './components/PdfExportDialog'
+import RestoreSessionDialog from './components/RestoreSessionDialog'
+import SnapshotBrowser from './components/SnapshotBrowser'
+import HistoryPanel from './components/HistoryPanel'
+import ProjectLibrary from './components/ProjectLibrary'
+import TextToolDialog from './components/TextToolDialog'
+import LayersPanel from './components/LayersPanel'
+import TracingPanel from './components/TracingPanel'
+import CellInspector from './components/CellInspector'
+import PaletteEditor from './components/PaletteEditor'
+import { getHue, findClosestPaletteColor, DEFAULT_COLOR_METRIC } from './utils/colorUtils'
+import { getTotalAvailableDominoes, loadImageFile } from './utils/imageUtils'
+import { simulateTopple } from './utils/toppleSimulation'
+import { getFillRegion } from './utils/floodFill'
+import { getShapeCells, SHAPE_TOOLS } from './utils/shapes'
+import { getSymmetricPositions } from './utils/symmetry'
+import { flipBlock, rotateBlock, scaleBlock } from './utils/blockTransforms'
+import {
+  createRectSelection,
+  createBlockSelection,
+  createLassoSelection,
+  createWandSelection,
+  combineSelections,
+  invertSelection,
+  clipSelection,
+  moveSelection,
+  isCellSelected,
+  getSelectedCells,
+  getSelectionBlock
+} from './utils/selectionMask'
+import { createHistory, createHistoryEntry, pushHistory, travelHistory } from './utils/history'
+import {
+  createLayer,
+  createEmptyLayer,
+  getBlankCell,
+  getNextLayerName,
+  flattenLayers,
+  compositeLayers,
+  getCoveringCells,
+  mergeLayerDown,
+  moveLayer
+} from './utils/layers'
+import { createReference, sampleReferenceCell } from './utils/referenceImage'
+import { countCellColors, getColorStats } from './utils/gridStats'
+import { PALETTE_SORTS, sortPalette, movePaletteColor, replaceColorInLayers, remapToPalette } from './utils/paletteEditing'
+import {
+  isStorageAvailable,
+  saveSession,
+  loadSession,
+  addSnapshot,
+  createProject,
+  updateProject,
+  getProject
+} from './utils/storage'
+import { parseProject, stringifyProject, ProjectFormatError } from './utils/projectFormat'
+import { createShareUrl, isShareHash, readShareHash } from './utils/layoutEncoding'
+import { downloadBlob } from './utils/download'
+import { renderGridThumbnail } from './utils/renderExport'
+import {
+  BASE_DOMINO_WIDTH,
+  BASE_DOMINO_HEIGHT,
+  BASE_H_GAP,
+  BASE_V_GAP,
+  BASE_FILL_BTN_SIZE,
+  BASE_LABEL_WIDTH
+} from './utils/gridGeometry'
 
 // Cell state: 'clear' for clear state, or a hex color string
 const CLEAR = 'clear'
@@ -42,14 +112,6 @@ const DEFAULT_PALETTE = [
   { hex: '#000000', quantity: 60, name: 'Black' },
 ]
 
-// Calculate total available dominoes for recommendations
-const getTotalAvailableDominoes = (palette) => {
-  return palette.reduce((sum, color) => {
-    if (color.hex === CLEAR || color.hex === DISNEY) return sum
-    return sum + (color.quantity === Infinity ? 0 : color.quantity)
-  }, 0)
-}
-
 // Recommend grid size based on available dominoes and aspect ratio
 // aspectRatio is width/height (cols/rows)
 const getRecommendedGridSize = (palette, aspectRatio = 4/3, usagePercent = 0.85) => {
@@ -68,35 +130,6 @@ const getRecommendedGridSize = (palette, aspectRatio = 4/3, usagePercent = 0.85)
   return { rows, cols, totalCells: rows * cols, availableDominoes: total }
 }
 
-// Get optimal grid size for an image while preserving aspect ratio
-const getOptimalGridForImage = (imageWidth, imageHeight, palette) => {
-  const total = getTotalAvailableDominoes(palette)
-  const imageAspectRatio = imageWidth / imageHeight // width/height
-
-  // Calculate dimensions that preserve aspect ratio and use ~85% of dominoes
-  const targetCells = Math.floor(total * 0.85)
-
-  // rows * cols = targetCells
-  // cols = rows * aspectRatio
-  // rows * rows * aspectRatio = targetCells
-  // rows = sqrt(targetCells / aspectRatio)
-  let rows = Math.floor(Math.sqrt(targetCells / imageAspectRatio))
-  let cols = Math.floor(rows * imageAspectRatio)
-
-  // Ensure minimum dimensions
-  rows = Math.max(rows, 10)
-  cols = Math.max(cols, 10)
-
-  return {
-    rows,
-    cols,
-    totalCells: rows * cols,
-    availableDominoes: total,
-    aspectRatio: imageAspectRatio,
-    isPortrait: imageHeight > imageWidth
-  }
-}
-
 function createEmptyGrid(rows, cols) {
   return Array.from({ length: rows }, () =>
     Array.from({ length: cols }, () => CLEAR)
@@ -108,36 +141,149 @@ function cloneGrid(grid) {
   return grid.map(row => [...row])
 }
 
-// Max history size
-const MAX_HISTORY = 50
+// Autosave timing
+const AUTOSAVE_DELAY = 1000
+const SNAPSHOT_INTERVAL = 5 * 60 * 1000
+
+// Snapshots leave out the undo history to stay small
+function toSnapshotState({ history, ...state }) {
+  return state
+}
+
+// What the project library stores for a layout, besides its name: the
+// flattened grid, plus the layers it came from and its tracing image
+function toProjectFields(grid, palette, { layers, reference } = {}) {
+  const rows = grid.length
+  const cols = grid[0]?.length || 0
+  return {
+    grid,
+    ...(layers && { layers }),
+    ...(reference !== undefined && { reference }),
+    palette,
+    rows,
+    cols,
+    dominoCount: rows * cols,
+    thumbnail: renderGridThumbnail(grid)
+  }
+}
+
+// Bullet list of what's wrong with a layout file or link
+function describeLoadError(err) {
+  return err instanceof ProjectFormatError
+    ? err.errors.map(message => `• ${message}`).join('\n')
+    : err.message
+}
 
 function App() {
   // Grid dimensions (pending values in inputs)
   const [rowInput, setRowInput] = useState(5)
   const [colInput, setColInput] = useState(8)
 
-  // Grid state: 2D array of cell values ('clear' or hex color)
-  const [grid, setGrid] = useState(() => createEmptyGrid(5, 8))
-
-  // History for undo/redo
-  const [history, setHistory] = useState([])
-  const [historyIndex, setHistoryIndex] = useState(-1)
-  const isUndoRedo = useRef(false)
-  const historyIndexRef = useRef(historyIndex) // Keep ref in sync for use in callbacks
+  // Layers, bottom first (see utils/layers). The editing tools work on the
+  // active layer's cells as `grid`; stats, exports and saves use the
+  // flattened stack. A missing active layer falls back to the top one.
+  const [layers, setLayers] = useState(() => [createLayer('Background', createEmptyGrid(5, 8))])
+  const [activeLayerId, setActiveLayerId] = useState(null)
+  const [showLayerPanel, setShowLayerPanel] = useState(false)
+  const foundLayerIndex = layers.findIndex(layer => layer.id === activeLayerId)
+  const activeIndex = foundLayerIndex >= 0 ? foundLayerIndex : layers.length - 1
+  const activeLayer = layers[activeIndex]
+  const grid = activeLayer.cells
+  const flatGrid = useMemo(() => flattenLayers(layers), [layers])
+  const layerView = useMemo(() => compositeLayers(layers), [layers])
+
+  // What erasing or clearing leaves on the active layer
+  const blankCell = getBlankCell(activeIndex)
+
+  // Undo history: labeled diffs, see utils/history
+  const [history, setHistory] = useState(createHistory)
+  const [showHistory, setShowHistory] = useState(false)
 
   // Palette: array of { hex, quantity, name? }, 'clear' is always first
   const [palette, setPalette] = useState(DEFAULT_PALETTE)
 
+  // Latest layers, active layer, its grid and the palette for building history
+  // diffs. Committing a change updates these straight away, so several changes
+  // in one event chain correctly.
+  const layersRef = useRef(layers)
+  const activeLayerRef = useRef(activeLayer)
+  const gridRef = useRef(grid)
+  const paletteRef = useRef(palette)
+  layersRef.current = layers
+  activeLayerRef.current = activeLayer
+  gridRef.current = grid
+  paletteRef.current = palette
+
+  // Usage per color, shared by the status bar and the cell inspector
+  const colorCounts = useMemo(() => countCellColors(flatGrid), [flatGrid])
+  const colorStats = useMemo(() => getColorStats(colorCounts, palette), [colorCounts, palette])
+
   // Currently selected color from palette (for painting) - stores hex string
   const [selectedColor, setSelectedColor] = useState(CLEAR)
 
+  // Cell under the mouse, for the inspector below the grid
+  const [hoveredCell, setHoveredCell] = useState(null)
+
   // Zoom level (percentage)
   const [zoom, setZoom] = useState(100)
 
-  // Mirror mode: 'none', 'horizontal', 'vertical', 'both'
+  // Mirror mode: one of SYMMETRY_MODES, about the axis centre (null = middle of the grid)
   const [mirrorMode, setMirrorMode] = useState('none')
-
-  // Selection state
+  const [symmetryAxis, setSymmetryAxis] = useState({ row: null, col: null })
+
+  // Active tool: 'paint' (drag to paint cells), 'erase', 'fill' (bucket), a shape
+  // from SHAPE_TOOLS, 'text', a selection tool ('lasso', 'wand'), or 'sample'
+  // (pick a color from the tracing image)
+  const [tool, setTool] = useState('paint')
+  const [fillOptions, setFillOptions] = useState({ mode: 'contiguous', connectivity: 4, tolerance: 0 })
+  const [shapeOptions, setShapeOptions] = useState({ filled: false, strokeWidth: 1 })
+
+  // Shape being drawn: the points placed so far and the cell under the mouse
+  const [shapeDraft, setShapeDraft] = useState(null) // { points, cursor }
+
+  // Lasso being drawn: the cells passed through, and how it combines with the selection it started from
+  const [lassoDraft, setLassoDraft] = useState(null) // { points, base, mode }
+
+  // Text dialog, with the cell clicked by the text tool (if any)
+  const [textTool, setTextTool] = useState(null) // { anchor }
+
+  // Image import wizard: the loaded image, plus the last matching settings used
+  const [importImage, setImportImage] = useState(null)
+  const [ditherMode, setDitherMode] = useState('none')
+  const [colorMetric, setColorMetric] = useState(DEFAULT_COLOR_METRIC)
+  // Cells a whole-grid import leaves in place: what the layers above the active one show
+  const importCoveringGrid = useMemo(() => (
+    importImage ? getCoveringCells(layers, activeIndex) : null
+  ), [importImage, layers, activeIndex])
+
+  // Palette extraction dialog
+  const [showPaletteExtractor, setShowPaletteExtractor] = useState(false)
+  const [showPaletteEditor, setShowPaletteEditor] = useState(false)
+
+  // Build instructions export dialog
+  const [showBuildInstructions, setShowBuildInstructions] = useState(false)
+
+  // PNG/SVG export dialog
+  const [showImageExport, setShowImageExport] = useState(false)
+
+  // PDF blueprint export dialog
+  const [showPdfExport, setShowPdfExport] = useState(false)
+
+  // Tracing: a reference image shown over or behind the grid (see utils/referenceImage),
+  // and the loaded image the sample tool reads from
+  const [reference, setReference] = useState(null)
+  const [showTracing, setShowTracing] = useState(false)
+  const referenceImageRef = useRef(null)
+
+  // Topple simulation: clicking a cell picks the start instead of painting
+  const [isSimulating, setIsSimulating] = useState(false)
+  const [toppleStart, setToppleStart] = useState(null)
+  const [toppleDirection, setToppleDirection] = useState('down')
+  const [toppleTrigger, setToppleTrigger] = useState('single')
+  const [toppleSpeed, setToppleSpeed] = useState(0.25)
+  const [topplePlayback, setTopplePlayback] = useState(null) // { runId, paused }
+
+  // Selection state: bounds plus a cell mask (see utils/selectionMask)
   const [selection, setSelection] = useState(null)
   const [isSelecting, setIsSelecting] = useState(false)
   const [selectionStart, setSelectionStart] = useState(null)
@@ -162,8 +308,9 @@ function App() {
   const [contextMenu, setContextMenu] = useState(null)
   const [selectionContextMenu, setSelectionContextMenu] = useState(null)
 
-  // Drag painting state
+  // Drag painting state, and the grid before the stroke for its history entry
   const isPainting = useRef(false)
+  const strokeStart = useRef(null)
 
   // Track if we just finished a selection (to prevent click from clearing it)
   const justFinishedSelection = useRef(false)
@@ -171,153 +318,288 @@ function App() {
   // File input refs
   const fileInputRef = useRef(null)
   const imageInputRef = useRef(null)
+  const referenceInputRef = useRef(null)
   const paletteInputRef = useRef(null)
   const workspaceMainRef = useRef(null)
 
-  // Track unsaved changes for save reminder
-  const unsavedSince = useRef(null)
-  const gridSnapshotRef = useRef(cloneGrid(grid)) // Snapshot of "saved" grid state
-
-  // Refs to access current state in timer callback without dependencies
-  const gridRef = useRef(grid)
-  const paletteRef = useRef(palette)
-  useEffect(() => { gridRef.current = grid }, [grid])
-  useEffect(() => { paletteRef.current = palette }, [palette])
-
-  // Helper to compare two grids
-  const gridsAreEqual = (grid1, grid2) => {
-    if (!grid1 || !grid2) return false
-    if (grid1.length !== grid2.length) return false
-    for (let r = 0; r < grid1.length; r++) {
-      if (grid1[r].length !== grid2[r].length) return false
-      for (let c = 0; c < grid1[r].length; c++) {
-        if (grid1[r][c] !== grid2[r][c]) return false
-      }
+  // Autosave: a saved session waiting for the user's restore decision, and
+  // whether autosave may overwrite it yet
+  const [restoreOffer, setRestoreOffer] = useState(null)
+  const [showSnapshots, setShowSnapshots] = useState(false)
+  const [lastAutosave, setLastAutosave] = useState(null)
+  const autosaveReady = useRef(false)
+  const changedSinceSnapshot = useRef(false)
+
+  // Project library: the open project ({ id, name } or null) and the layers and
+  // palette last written to it, so unchanged layouts aren't rewritten
+  const [currentProject, setCurrentProject] = useState(null)
+  const [showProjects, setShowProjects] = useState(false)
+  const lastProjectWrite = useRef(null)
+  const [pendingShareHash, setPendingShareHash] = useState(null) // Share link the app was opened with
+
+  // Show a layer stack, keeping the size inputs in step when its dimensions change
+  const showLayers = useCallback((nextLayers, activeId = activeLayerRef.current.id) => {
+    const nextActive = nextLayers.find(layer => layer.id === activeId) || nextLayers[nextLayers.length - 1]
+    const rows = nextActive.cells.length
+    const cols = nextActive.cells[0]?.length || 0
+    if (rows !== gridRef.current.length || cols !== (gridRef.current[0]?.length || 0)) {
+      setRowInput(rows)
+      setColInput(cols)
     }
-    return true
-  }
+    layersRef.current = nextLayers
+    activeLayerRef.current = nextActive
+    gridRef.current = nextActive.cells
+    setLayers(nextLayers)
+    setActiveLayerId(nextActive.id)
+  }, [])
 
-  // Save state to history
-  const saveToHistory = useCallback((newGrid) => {
-    if (isUndoRedo.current) {
-      isUndoRedo.current = false
-      return
-    }
-    // Use ref to get current historyIndex value (avoids stale closure)
-    const currentIndex = historyIndexRef.current
-    setHistory(prev => {
-      const newHistory = prev.slice(0, currentIndex + 1)
-      newHistory.push(cloneGrid(newGrid))
-      if (newHistory.length > MAX_HISTORY) {
-        newHistory.shift()
-        return newHistory
-      }
-      return newHistory
+  // Show new cells for the active layer
+  const showGrid = useCallback((nextGrid) => {
+    const activeId = activeLayerRef.current.id
+    showLayers(layersRef.current.map(layer => (layer.id === activeId ? { ...layer, cells: nextGrid } : layer)))
+  }, [showLayers])
+
+  const selectLayer = useCallback((id) => {
+    showLayers(layersRef.current, id)
+  }, [showLayers])
+
+  const showPalette = useCallback((nextPalette) => {
+    paletteRef.current = nextPalette
+    setPalette(nextPalette)
+  }, [])
+
+  // Record a change that is already on screen (e.g. a finished paint stroke).
+  // Grid changes belong to the active layer.
+  const recordChange = useCallback((label, changes) => {
+    const entry = createHistoryEntry(label, { ...changes, layer: activeLayerRef.current.id })
+    if (entry) setHistory(prev => pushHistory(prev, entry))
+  }, [])
+
+  // Apply new cells for the active layer, a new layer stack and/or a new
+  // palette as one undoable step
+  const commitChange = useCallback((label, { grid: nextGrid, layers: nextLayers, palette: nextPalette }) => {
+    recordChange(label, {
+      grid: nextGrid && [gridRef.current, nextGrid],
+      layers: nextLayers && [layersRef.current, nextLayers],
+      palette: nextPalette && [paletteRef.current, nextPalette]
     })
-    const newIndex = Math.min(currentIndex + 1, MAX_HISTORY - 1)
-    setHistoryIndex(newIndex)
-    historyIndexRef.current = newIndex
-    // Mark when unsaved changes started (only if not already tracking)
-    if (unsavedSince.current === null) {
-      unsavedSince.current = Date.now()
+    if (nextLayers) showLayers(nextLayers)
+    if (nextGrid) showGrid(nextGrid)
+    if (nextPalette) showPalette(nextPalette)
+  }, [recordChange, showLayers, showGrid, showPalette])
+
+  // Hidden and locked layers can't be drawn on; says why and returns false for them
+  const checkLayerEditable = useCallback(() => {
+    const { name, locked, visible } = activeLayerRef.current
+    if (locked) {
+      alert(`The "${name}" layer is locked. Unlock it in the Layers panel to change it.`)
+    } else if (!visible) {
+      alert(`The "${name}" layer is hidden. Show it in the Layers panel to change it.`)
     }
-  }, [historyIndex])
+    return visible && !locked
+  }, [])
+
+  // Change the active layer as one undoable step; the updater gets its latest cells
+  const updateGrid = useCallback((label, updater) => {
+    if (!checkLayerEditable()) return
+    commitChange(label, { grid: updater(gridRef.current) })
+  }, [checkLayerEditable, commitChange])
+
+  // Change every layer as one undoable step, e.g. to insert rows. The updater
+  // gets each layer's cells and the value its new cells should hold.
+  const updateAllLayers = useCallback((label, updater) => {
+    commitChange(label, {
+      layers: layersRef.current.map((layer, i) => ({ ...layer, cells: updater(layer.cells, getBlankCell(i), layer) }))
+    })
+  }, [commitChange])
+
+  // Palette color name for history labels
+  const colorLabel = useCallback((hex) => {
+    return paletteRef.current.find(p => p.hex === hex)?.name || hex
+  }, [])
+
+  // Jump to any point in history (-1 = before the first recorded change)
+  const jumpToHistory = useCallback((targetIndex) => {
+    const result = travelHistory(history, { layers: layersRef.current, palette: paletteRef.current }, targetIndex)
+    setHistory(result.history)
+    if (result.layers !== layersRef.current) showLayers(result.layers)
+    if (result.palette !== paletteRef.current) showPalette(result.palette)
+  }, [history, showLayers, showPalette])
 
-  // Undo
   const undo = useCallback(() => {
-    if (historyIndex > 0) {
-      isUndoRedo.current = true
-      const newIndex = historyIndex - 1
-      setHistoryIndex(newIndex)
-      historyIndexRef.current = newIndex
-      setGrid(cloneGrid(history[newIndex]))
-    }
-  }, [history, historyIndex])
+    if (history.index >= 0) jumpToHistory(history.index - 1)
+  }, [history, jumpToHistory])
 
-  // Redo
   const redo = useCallback(() => {
-    if (historyIndex < history.length - 1) {
-      isUndoRedo.current = true
-      const newIndex = historyIndex + 1
-      setHistoryIndex(newIndex)
-      historyIndexRef.current = newIndex
-      setGrid(cloneGrid(history[newIndex]))
+    if (history.index < history.entries.length - 1) jumpToHistory(history.index + 1)
+  }, [history, jumpToHistory])
+
+  // Everything the autosave keeps; grid is the flattened layout
+  const sessionState = useMemo(() => ({
+    grid: flatGrid,
+    layers,
+    activeLayerId: activeLayer.id,
+    palette,
+    history,
+    selectedColor,
+    zoom,
+    mirrorMode,
+    symmetryAxis,
+    ditherMode,
+    colorMetric,
+    reference,
+    project: currentProject
+  }), [flatGrid, layers, activeLayer, palette, history, selectedColor, zoom, mirrorMode, symmetryAxis, ditherMode, colorMetric, reference, currentProject])
+  const sessionStateRef = useRef(sessionState)
+  useEffect(() => { sessionStateRef.current = sessionState }, [sessionState])
+
+  // Put a saved session, project or snapshot into the editor. Sessions bring
+  // their own history and projects start a fresh one; without a history the
+  // state is applied as one undoable change. Layouts saved without layers get
+  // a single one. Returns the new layers.
+  const applySavedState = useCallback((state, { history: savedHistory, label = 'Restore snapshot' } = {}) => {
+    const nextLayers = state.layers
+      ? state.layers.map(layer => ({ ...layer, cells: cloneGrid(layer.cells) }))
+      : [createLayer('Background', cloneGrid(state.grid))]
+    if (savedHistory) {
+      showLayers(nextLayers, state.activeLayerId)
+      if (state.palette) showPalette(state.palette)
+      setHistory(savedHistory)
+    } else {
+      commitChange(label, { layers: nextLayers, palette: state.palette })
+      if (state.activeLayerId) selectLayer(state.activeLayerId)
     }
-  }, [history, historyIndex])
+    if (state.selectedColor) setSelectedColor(state.selectedColor)
+    if (state.zoom) setZoom(state.zoom)
+    if (state.mirrorMode) setMirrorMode(state.mirrorMode)
+    if (state.symmetryAxis) setSymmetryAxis(state.symmetryAxis)
+    if (state.ditherMode) setDitherMode(state.ditherMode)
+    if (state.colorMetric) setColorMetric(state.colorMetric)
+    setReference(state.reference ?? null)
+    setSelection(null)
+    return nextLayers
+  }, [showLayers, showPalette, commitChange, selectLayer])
 
-  // Initialize history with first grid state
+  // On startup, offer to restore the last autosaved session - unless the app
+  // was opened from a share link, which takes its place
   useEffect(() => {
-    if (history.length === 0) {
-      setHistory([cloneGrid(grid)])
-      setHistoryIndex(0)
-      historyIndexRef.current = 0
+    const sharedHash = isShareHash(window.location.hash) ? window.location.hash : null
+    if (!isStorageAvailable()) {
+      if (sharedHash) setPendingShareHash(sharedHash)
+      return
     }
+    loadSession()
+      .then(session => {
+        if (sharedHash) {
+          if (session?.grid?.length) {
+            addSnapshot(toSnapshotState(session), 'Previous session')
+              .catch(err => console.error('Failed to keep previous session:', err))
+          }
+          autosaveReady.current = true
+          setPendingShareHash(sharedHash)
+        } else if (session?.grid?.length) {
+          setRestoreOffer(session)
+        } else {
+          autosaveReady.current = true
+        }
+      })
+      .catch(err => {
+        console.error('Failed to read autosave:', err)
+        autosaveReady.current = true
+        if (sharedHash) setPendingShareHash(sharedHash)
+      })
   }, [])
 
-  // Save reminder - check every 30 seconds if 5 minutes have passed since first unsaved change
+  const restoreSession = useCallback(() => {
+    applySavedState(restoreOffer, { history: restoreOffer.history })
+    setCurrentProject(restoreOffer.project ?? null)
+    setLastAutosave(restoreOffer.savedAt)
+    setRestoreOffer(null)
+    autosaveReady.current = true
+  }, [restoreOffer, applySavedState])
+
+  // Starting fresh keeps the old session as a snapshot so it can still be recovered
+  const discardSession = useCallback(() => {
+    addSnapshot(toSnapshotState(restoreOffer), 'Previous session')
+      .catch(err => console.error('Failed to keep previous session:', err))
+    setRestoreOffer(null)
+    autosaveReady.current = true
+  }, [restoreOffer])
+
+  // Write the layers, palette and tracing image into the open project if they changed since the last write
+  const saveOpenProject = useCallback((state) => {
+    const { project, grid, layers, palette, reference } = state
+    const last = lastProjectWrite.current
+    if (!project || (last?.layers === layers && last?.palette === palette && last?.reference === reference)) {
+      return Promise.resolve()
+    }
+    lastProjectWrite.current = { layers, palette, reference }
+    return updateProject(project.id, toProjectFields(grid, palette, { layers, reference }))
+  }, [])
+
+  // Autosave shortly after each change
+  useEffect(() => {
+    if (!autosaveReady.current) return
+    changedSinceSnapshot.current = true
+    const timeoutId = setTimeout(() => {
+      saveSession(sessionState)
+        .then(() => setLastAutosave(Date.now()))
+        .catch(err => console.error('Autosave failed:', err))
+      saveOpenProject(sessionState).catch(err => console.error('Project save failed:', err))
+    }, AUTOSAVE_DELAY)
+    return () => clearTimeout(timeoutId)
+  }, [sessionState, saveOpenProject])
+
+  // Save immediately when the tab is hidden or closed
   useEffect(() => {
-    const FIVE_MINUTES = 5 * 60 * 1000
-    const CHECK_INTERVAL = 30 * 1000 // Check every 30 seconds
+    const flush = () => {
+      if (!autosaveReady.current) return
+      saveSession(sessionStateRef.current).catch(err => console.error('Autosave failed:', err))
+      saveOpenProject(sessionStateRef.current).catch(err => console.error('Project save failed:', err))
+    }
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flush()
+    }
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    window.addEventListener('pagehide', flush)
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+      window.removeEventListener('pagehide', flush)
+    }
+  }, [saveOpenProject])
 
+  // Rolling snapshots while there are changes
+  useEffect(() => {
     const intervalId = setInterval(() => {
-      if (unsavedSince.current !== null) {
-        const elapsed = Date.now() - unsavedSince.current
-        if (elapsed >= FIVE_MINUTES) {
-          const currentGrid = gridRef.current
-          const snapshot = gridSnapshotRef.current
-
-          // Only show reminder if grid has actually changed from the saved snapshot
-          if (gridsAreEqual(currentGrid, snapshot)) {
-            // Grid is the same as the saved state - no reminder needed
-            unsavedSince.current = null
-            return
-          }
-
-          const shouldSave = window.confirm(
-            'You have unsaved changes!\n\nWould you like to save your progress now?\n\nClick OK to save, or Cancel to dismiss this reminder.'
-          )
-          if (shouldSave) {
-            // Prompt for filename
-            const defaultName = 'domino-layout'
-            const filename = window.prompt('Enter a name for your file:', defaultName)
-            if (filename === null) {
-              // User cancelled the prompt - reset timer
-              unsavedSince.current = Date.now()
-              return
-            }
-            const finalName = filename.trim() || defaultName
-
-            // Trigger save - use refs to get current values
-            const currentPalette = paletteRef.current
-            const data = {
-              rows: currentGrid.length,
-              columns: currentGrid[0]?.length || 0,
-              cells: currentGrid,
-              palette: currentPalette
-            }
-            const json = JSON.stringify(data, null, 2)
-            const blob = new Blob([json], { type: 'application/json' })
-            const url = URL.createObjectURL(blob)
-            const a = document.createElement('a')
-            a.href = url
-            a.download = `${finalName}.json`
-            document.body.appendChild(a)
-            a.click()
-            document.body.removeChild(a)
-            URL.revokeObjectURL(url)
-            unsavedSince.current = null
-            gridSnapshotRef.current = cloneGrid(currentGrid)
-          } else {
-            // User dismissed - reset timer for another 5 mins
-            unsavedSince.current = Date.now()
-          }
-        }
-      }
-    }, CHECK_INTERVAL)
-
+      if (!autosaveReady.current || !changedSinceSnapshot.current) return
+      changedSinceSnapshot.current = false
+      addSnapshot(toSnapshotState(sessionStateRef.current))
+        .catch(err => console.error('Snapshot failed:', err))
+    }, SNAPSHOT_INTERVAL)
     return () => clearInterval(intervalId)
   }, []) // No dependencies - uses refs
 
+  const takeSnapshot = useCallback(() => {
+    changedSinceSnapshot.current = false
+    return addSnapshot(toSnapshotState(sessionStateRef.current), 'Manual')
+  }, [])
+
+  const restoreSnapshot = useCallback((snapshot) => {
+    // Picking a snapshot from the startup prompt replaces the unrestored session - keep it
+    if (restoreOffer) {
+      addSnapshot(toSnapshotState(restoreOffer), 'Previous session')
+        .catch(err => console.error('Failed to keep previous session:', err))
+      setRestoreOffer(null)
+      autosaveReady.current = true
+    }
+    applySavedState(snapshot)
+    setShowSnapshots(false)
+  }, [restoreOffer, applySavedState])
+
+  const closeSnapshots = useCallback(() => {
+    setShowSnapshots(false)
+  }, [])
+
   // Apply row/column input changes - accepts optional override values for immediate update
   const applyGridSize = useCallback((overrideRows, overrideCols) => {
     const newRows = Math.max(1, overrideRows ?? rowInput)
@@ -327,102 +609,249 @@ function App() {
 
     if (newRows === currentRows && newCols === currentCols) return
 
-    setGrid(prev => {
+    updateAllLayers(`Resize to ${newRows} × ${newCols}`, (prev, blank) => {
       const newGrid = []
       for (let r = 0; r < newRows; r++) {
         const row = []
         for (let c = 0; c < newCols; c++) {
-          row.push(prev[r]?.[c] ?? CLEAR)
+          row.push(prev[r]?.[c] ?? blank)
         }
         newGrid.push(row)
       }
-      saveToHistory(newGrid)
       return newGrid
     })
-  }, [rowInput, colInput, grid, saveToHistory])
+  }, [rowInput, colInput, grid, updateAllLayers])
 
-  // Clear the entire grid
+  // Clear the entire grid (just the active layer when there are several)
   const clearGrid = useCallback(() => {
-    if (!window.confirm('Are you sure you want to clear the entire grid? This action cannot be undone.')) {
+    const target = layers.length > 1 ? `the "${activeLayer.name}" layer` : 'the entire grid'
+    if (!window.confirm(`Are you sure you want to clear ${target}? You can undo this from the history.`)) {
       return
     }
-    const newGrid = grid.map(row => row.map(() => CLEAR))
-    saveToHistory(newGrid)
-    setGrid(newGrid)
-  }, [grid, saveToHistory])
-
-  // Get mirrored positions
-  const getMirroredPositions = useCallback((row, col) => {
-    const positions = [[row, col]]
-    const rows = grid.length
-    const cols = grid[0]?.length || 0
-
-    if (mirrorMode === 'horizontal' || mirrorMode === 'both') {
-      positions.push([row, cols - 1 - col])
+    updateGrid(layers.length > 1 ? `Clear layer "${activeLayer.name}"` : 'Clear grid', prev => prev.map(row => row.map(() => blankCell)))
+  }, [layers.length, activeLayer, blankCell, updateGrid])
+
+  // Layers: a new one goes above the active layer and becomes active
+  const addLayer = useCallback(() => {
+    const current = layersRef.current
+    const index = current.indexOf(activeLayerRef.current)
+    const layer = createEmptyLayer(getNextLayerName(current), gridRef.current.length, gridRef.current[0]?.length || 0)
+    commitChange(`Add layer "${layer.name}"`, { layers: [...current.slice(0, index + 1), layer, ...current.slice(index + 1)] })
+    selectLayer(layer.id)
+  }, [commitChange, selectLayer])
+
+  // The layer below takes over as the active one
+  const deleteLayer = useCallback((id) => {
+    const current = layersRef.current
+    const index = current.findIndex(layer => layer.id === id)
+    if (current.length <= 1 || index < 0) return
+    const next = current.filter(layer => layer.id !== id)
+    commitChange(`Delete layer "${current[index].name}"`, { layers: next })
+    if (id === activeLayerRef.current.id) selectLayer(next[Math.max(0, index - 1)].id)
+  }, [commitChange, selectLayer])
+
+  const moveLayerBy = useCallback((id, step) => {
+    const current = layersRef.current
+    const index = current.findIndex(layer => layer.id === id)
+    const next = moveLayer(current, index, step)
+    if (next === current) return
+    commitChange(`Move layer "${current[index].name}" ${step > 0 ? 'up' : 'down'}`, { layers: next })
+  }, [commitChange])
+
+  // Visibility, lock, opacity and name, each as an undoable step
+  const updateLayerSettings = useCallback((id, changes, label) => {
+    commitChange(label, {
+      layers: layersRef.current.map(layer => (layer.id === id ? { ...layer, ...changes } : layer))
+    })
+  }, [commitChange])
+
+  const mergeDown = useCallback((id) => {
+    const current = layersRef.current
+    const index = current.findIndex(layer => layer.id === id)
+    if (index < 1) return
+    const upper = current[index]
+    const lower = current[index - 1]
+    if (!upper.visible || !lower.visible) {
+      alert('Both layers need to be visible to merge them.')
+      return
     }
-    if (mirrorMode === 'vertical' || mirrorMode === 'both') {
-      positions.push([rows - 1 - row, col])
+    if (lower.locked) {
+      alert(`The "${lower.name}" layer is locked. Unlock it to merge into it.`)
+      return
     }
-    if (mirrorMode === 'both') {
-      positions.push([rows - 1 - row, cols - 1 - col])
+    commitChange(`Merge "${upper.name}" into "${lower.name}"`, { layers: mergeLayerDown(current, index) })
+    selectLayer(lower.id)
+  }, [commitChange, selectLayer])
+
+  // Replace the stack with one layer holding what gets built; hidden layers are
+  // dropped. The bottom layer is kept so history only records its new cells.
+  const flattenImage = useCallback(() => {
+    const current = layersRef.current
+    if (current.length <= 1) return
+    if (current.some(layer => !layer.visible) &&
+      !window.confirm('Hidden layers will be discarded when flattening. You can undo this from the history.')) {
+      return
     }
+    const layer = { ...current[0], name: 'Background', cells: flattenLayers(current), visible: true, locked: false, opacity: 1 }
+    commitChange('Flatten layers', { layers: [layer] })
+    selectLayer(layer.id)
+  }, [commitChange, selectLayer])
 
-    return positions
-  }, [grid, mirrorMode])
+  // Get mirrored positions
+  const getMirroredPositions = useCallback((row, col) => {
+    return getSymmetricPositions(row, col, {
+      mode: mirrorMode,
+      rows: grid.length,
+      cols: grid[0]?.length || 0,
+      axis: symmetryAxis
+    })
+  }, [grid, mirrorMode, symmetryAxis])
+
+  // Write a block of cells at a position, and at its mirrored positions.
+  // null cells are left as they are.
+  const stampBlock = useCallback((targetGrid, startRow, startCol, content) => {
+    content.forEach((row, r) => {
+      row.forEach((value, c) => {
+        if (value === null) return
+        getMirroredPositions(startRow + r, startCol + c).forEach(([targetR, targetC]) => {
+          targetGrid[targetR][targetC] = value
+        })
+      })
+    })
+  }, [getMirroredPositions])
 
-  // Paint a single cell
+  // Paint a single cell of the active layer (the eraser paints it blank)
   const paintCell = useCallback((row, col) => {
     const positions = getMirroredPositions(row, col)
-    setGrid(prev => {
-      const newGrid = prev.map(r => [...r])
+    const value = tool === 'erase' ? blankCell : selectedColor
+    const layerId = activeLayer.id
+    setLayers(prev => prev.map(layer => {
+      if (layer.id !== layerId) return layer
+      const newGrid = layer.cells.map(r => [...r])
       positions.forEach(([r, c]) => {
         if (r >= 0 && r < newGrid.length && c >= 0 && c < newGrid[0].length) {
-          newGrid[r][c] = selectedColor
+          newGrid[r][c] = value
         }
       })
+      return { ...layer, cells: newGrid }
+    }))
+  }, [tool, blankCell, selectedColor, activeLayer, getMirroredPositions])
+
+  // Bucket fill from a cell (and its mirrored cells) as one step
+  const fillRegion = useCallback((row, col) => {
+    const positions = getMirroredPositions(row, col)
+    updateGrid(`Fill region with ${colorLabel(selectedColor)}`, prev => {
+      // Regions are all found on the grid as it was before the fill
+      const cells = positions.flatMap(([r, c]) => getFillRegion(prev, r, c, { ...fillOptions, metric: colorMetric }))
+      const newGrid = prev.map(r => [...r])
+      cells.forEach(([r, c]) => {
+        newGrid[r][c] = selectedColor
+      })
+      return newGrid
+    })
+  }, [selectedColor, getMirroredPositions, updateGrid, colorLabel, fillOptions, colorMetric])
+
+  // Grid cells a shape covers, mirrored and clipped to the grid, as flat positions
+  const getShapePositions = useCallback((points) => {
+    const rows = grid.length
+    const cols = grid[0]?.length || 0
+    const positions = new Set()
+    getShapeCells(tool, points, shapeOptions).forEach(([row, col]) => {
+      getMirroredPositions(row, col).forEach(([r, c]) => {
+        if (r >= 0 && r < rows && c >= 0 && c < cols) positions.add(r * cols + c)
+      })
+    })
+    return positions
+  }, [grid, tool, shapeOptions, getMirroredPositions])
+
+  // Draw the current shape into the grid as one step
+  const commitShape = useCallback((points) => {
+    const positions = getShapePositions(points)
+    const shapeName = SHAPE_TOOLS.find(shape => shape.value === tool)?.label.toLowerCase()
+    setShapeDraft(null)
+    updateGrid(`Draw ${shapeName} with ${colorLabel(selectedColor)}`, prev => {
+      const cols = prev[0]?.length || 0
+      const newGrid = prev.map(r => [...r])
+      positions.forEach(position => {
+        newGrid[Math.floor(position / cols)][position % cols] = selectedColor
+      })
       return newGrid
     })
-  }, [selectedColor, getMirroredPositions])
+  }, [getShapePositions, tool, selectedColor, updateGrid, colorLabel])
+
+  // Live preview of the shape being drawn, including the point under the mouse
+  const shapePreview = useMemo(() => {
+    if (!shapeDraft) return null
+    const points = tool === 'polygon'
+      ? [...shapeDraft.points, shapeDraft.cursor]
+      : [shapeDraft.points[0], shapeDraft.cursor]
+    return { cells: getShapePositions(points), color: selectedColor }
+  }, [shapeDraft, tool, getShapePositions, selectedColor])
+
+  // Path of the lasso being drawn, shown without a color
+  const lassoPreview = useMemo(() => {
+    if (!lassoDraft) return null
+    const cols = grid[0]?.length || 0
+    const cells = new Set()
+    getShapeCells('polygon', lassoDraft.points, { closed: false }).forEach(([r, c]) => {
+      if (r >= 0 && r < grid.length && c >= 0 && c < cols) cells.add(r * cols + c)
+    })
+    return { cells, color: null }
+  }, [lassoDraft, grid])
+
+  // Polygon clicks: add a vertex, or finish on the first vertex (or the last one again)
+  const addPolygonPoint = useCallback((row, col) => {
+    const points = shapeDraft?.points || []
+    const isSame = (point) => point && point[0] === row && point[1] === col
+    if (points.length >= 3 && isSame(points[0])) {
+      commitShape(points)
+    } else if (points.length >= 2 && isSame(points[points.length - 1])) {
+      commitShape(points)
+    } else {
+      setShapeDraft({ points: [...points, [row, col]], cursor: [row, col] })
+    }
+  }, [shapeDraft, commitShape])
+
+  const changeTool = useCallback((nextTool) => {
+    setTool(nextTool)
+    setShapeDraft(null)
+    setLassoDraft(null)
+  }, [])
 
   // Fill entire row
   const fillRow = useCallback((row) => {
-    setGrid(prev => {
+    updateGrid(`Fill row ${row + 1} with ${colorLabel(selectedColor)}`, prev => {
       const newGrid = prev.map(r => [...r])
       for (let col = 0; col < newGrid[row].length; col++) {
         newGrid[row][col] = selectedColor
       }
-      saveToHistory(newGrid)
       return newGrid
     })
-  }, [selectedColor, saveToHistory])
+  }, [selectedColor, updateGrid, colorLabel])
 
   // Fill entire column
   const fillColumn = useCallback((col) => {
-    setGrid(prev => {
+    updateGrid(`Fill column ${col + 1} with ${colorLabel(selectedColor)}`, prev => {
       const newGrid = prev.map(r => [...r])
       for (let row = 0; row < newGrid.length; row++) {
         newGrid[row][col] = selectedColor
       }
-      saveToHistory(newGrid)
       return newGrid
     })
-  }, [selectedColor, saveToHistory])
+  }, [selectedColor, updateGrid, colorLabel])
 
   // Selection handlers
-  const handleSelectionStart = useCallback((row, col) => {
+  // mode: 'replace', 'add' or 'subtract' - combined with the selection the drag started from
+  const handleSelectionStart = useCallback((row, col, mode = 'replace') => {
     setIsSelecting(true)
-    setSelectionStart({ row, col })
-    setSelection({ startRow: row, startCol: col, endRow: row, endCol: col })
-  }, [])
+    setSelectionStart({ row, col, base: selection, mode })
+    setSelection(combineSelections(selection, createRectSelection(row, col, row, col), mode))
+  }, [selection])
 
   const handleSelectionMove = useCallback((row, col) => {
     if (isSelecting && selectionStart) {
-      setSelection({
-        startRow: Math.min(selectionStart.row, row),
-        startCol: Math.min(selectionStart.col, col),
-        endRow: Math.max(selectionStart.row, row),
-        endCol: Math.max(selectionStart.col, col)
-      })
+      const rect = createRectSelection(selectionStart.row, selectionStart.col, row, col)
+      setSelection(combineSelections(selectionStart.base, rect, selectionStart.mode))
     }
   }, [isSelecting, selectionStart])
 
@@ -431,59 +860,102 @@ function App() {
   }, [])
 
   // Copy selection to clipboard
+  // (unselected cells are copied as null, so pasting leaves them alone)
   const copySelection = useCallback(() => {
     if (!selection) return
-    const { startRow, startCol, endRow, endCol } = selection
-    const copied = []
-    for (let r = startRow; r <= endRow; r++) {
-      const row = []
-      for (let c = startCol; c <= endCol; c++) {
-        row.push(grid[r][c])
-      }
-      copied.push(row)
-    }
-    setClipboard(copied)
+    setClipboard(getSelectionBlock(grid, selection))
   }, [selection, grid])
 
   // Paste clipboard at selection start
   const pasteClipboard = useCallback(() => {
     if (!clipboard || !selection) return
     const { startRow, startCol } = selection
-    setGrid(prev => {
+    updateGrid('Paste', prev => {
       const newGrid = prev.map(r => [...r])
-      for (let r = 0; r < clipboard.length; r++) {
-        for (let c = 0; c < clipboard[r].length; c++) {
-          const targetR = startRow + r
-          const targetC = startCol + c
-          if (targetR < newGrid.length && targetC < newGrid[0].length) {
-            newGrid[targetR][targetC] = clipboard[r][c]
-          }
-        }
-      }
-      saveToHistory(newGrid)
+      stampBlock(newGrid, startRow, startCol, clipboard)
       return newGrid
     })
-  }, [clipboard, selection, saveToHistory])
+  }, [clipboard, selection, updateGrid, stampBlock])
+
+  // Replace the selection's contents with a block placed at top/left, as one
+  // step. Selected cells the block no longer covers become blank, and the
+  // selection takes the block's shape (its null cells are unselected).
+  const placeSelectionBlock = useCallback((label, block, top, left) => {
+    if (!selection) return
+    const rows = gridRef.current.length
+    const cols = gridRef.current[0]?.length || 0
+    updateGrid(label, prev => {
+      const newGrid = prev.map(r => [...r])
+      getSelectedCells(selection).forEach(([r, c]) => {
+        newGrid[r][c] = blankCell
+      })
+      block.forEach((row, r) => {
+        row.forEach((value, c) => {
+          if (value !== null && newGrid[top + r]?.[left + c] !== undefined) newGrid[top + r][left + c] = value
+        })
+      })
+      return newGrid
+    })
+    setSelection(clipSelection(createBlockSelection(block, top, left), rows, cols))
+  }, [selection, blankCell, updateGrid])
+
+  const flipSelection = useCallback((direction) => {
+    if (!selection) return
+    const label = direction === 'horizontal' ? 'Flip selection horizontally' : 'Flip selection vertically'
+    placeSelectionBlock(label, flipBlock(getSelectionBlock(gridRef.current, selection), direction), selection.startRow, selection.startCol)
+  }, [selection, placeSelectionBlock])
+
+  // Rotate clockwise about the selection's centre
+  const rotateSelection = useCallback((quarterTurns) => {
+    if (!selection) return
+    const block = rotateBlock(getSelectionBlock(gridRef.current, selection), quarterTurns)
+    const height = selection.endRow - selection.startRow + 1
+    const width = selection.endCol - selection.startCol + 1
+    const top = selection.startRow + Math.floor((height - block.length) / 2)
+    const left = selection.startCol + Math.floor((width - block[0].length) / 2)
+    const degrees = (((quarterTurns % 4) + 4) % 4) * 90
+    placeSelectionBlock(`Rotate selection ${degrees}°`, block, top, left)
+  }, [selection, placeSelectionBlock])
+
+  // Scale from the selection's top-left corner
+  const scaleSelection = useCallback((factor) => {
+    if (!selection || !(factor > 0)) return
+    placeSelectionBlock(`Scale selection ×${factor}`, scaleBlock(getSelectionBlock(gridRef.current, selection), factor), selection.startRow, selection.startCol)
+  }, [selection, placeSelectionBlock])
+
+  // Move the selection's contents one cell, as long as they stay on the grid
+  const nudgeSelection = useCallback((rowStep, colStep) => {
+    if (!selection) return
+    const top = selection.startRow + rowStep
+    const left = selection.startCol + colStep
+    const bottom = selection.endRow + rowStep
+    const right = selection.endCol + colStep
+    if (top < 0 || left < 0 || bottom >= grid.length || right >= (grid[0]?.length || 0)) return
+    placeSelectionBlock('Nudge selection', getSelectionBlock(gridRef.current, selection), top, left)
+  }, [selection, grid, placeSelectionBlock])
 
   // Fill selection with current color
   const fillSelection = useCallback(() => {
     if (!selection) return
-    const { startRow, startCol, endRow, endCol } = selection
-    setGrid(prev => {
+    updateGrid(`Fill selection with ${colorLabel(selectedColor)}`, prev => {
       const newGrid = prev.map(r => [...r])
-      for (let r = startRow; r <= endRow; r++) {
-        for (let c = startCol; c <= endCol; c++) {
-          newGrid[r][c] = selectedColor
-        }
-      }
-      saveToHistory(newGrid)
+      getSelectedCells(selection).forEach(([r, c]) => {
+        newGrid[r][c] = selectedColor
+      })
       return newGrid
     })
-  }, [selection, selectedColor, saveToHistory])
+  }, [selection, selectedColor, updateGrid, colorLabel])
+
+  // Select everything outside the selection (or everything, with no selection)
+  const invertCurrentSelection = useCallback(() => {
+    setSelection(invertSelection(selection, grid.length, grid[0]?.length || 0))
+  }, [selection, grid])
 
   // Keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Leave typing in text fields alone
+      if (e.key !== 'Escape' && e.target.closest?.('input, textarea, select')) return
       if ((e.metaKey || e.ctrlKey) && e.key === 'z') {
         e.preventDefault()
         if (e.shiftKey) {
@@ -496,6 +968,8 @@ function App() {
         e.preventDefault()
         redo()
       }
+      // While a dialog is open, undo and redo still work but the grid behind it takes no other keys
+      if (e.key !== 'Escape' && document.querySelector('.fill-popup-overlay')) return
       if ((e.metaKey || e.ctrlKey) && e.key === 'c' && selection) {
         e.preventDefault()
         copySelection()
@@ -504,21 +978,17 @@ function App() {
         e.preventDefault()
         pasteClipboard()
       }
+      if ((e.metaKey || e.ctrlKey) && e.key === 'i') {
+        e.preventDefault()
+        invertCurrentSelection()
+      }
       // Shift+D: Duplicate selection with drag
       if (e.shiftKey && e.key === 'D' && selection && !isDuplicateDragging) {
         e.preventDefault()
         // Copy the selection content
         const { startRow, startCol, endRow, endCol } = selection
-        const content = []
-        for (let r = startRow; r <= endRow; r++) {
-          const row = []
-          for (let c = startCol; c <= endCol; c++) {
-            row.push(grid[r][c])
-          }
-          content.push(row)
-        }
         duplicateClipboard.current = {
-          content,
+          content: getSelectionBlock(grid, selection),
           rows: endRow - startRow + 1,
           cols: endCol - startCol + 1
         }
@@ -536,33 +1006,58 @@ function App() {
         e.preventDefault()
         fillSelection()
       }
+      // Selection transforms: Shift+H/V flip, Shift+R/L rotate, +/- scale, arrows nudge
+      if (selection && !e.metaKey && !e.ctrlKey && !e.altKey) {
+        const nudges = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] }
+        const transforms = {
+          H: () => flipSelection('horizontal'),
+          V: () => flipSelection('vertical'),
+          R: () => rotateSelection(1),
+          L: () => rotateSelection(-1),
+          '+': () => scaleSelection(2),
+          '=': () => scaleSelection(2),
+          '-': () => scaleSelection(0.5)
+        }
+        if (nudges[e.key] && !e.shiftKey) {
+          e.preventDefault()
+          nudgeSelection(...nudges[e.key])
+        } else if (transforms[e.key]) {
+          e.preventDefault()
+          transforms[e.key]()
+        }
+      }
+      // Enter finishes a polygon
+      if (e.key === 'Enter' && shapeDraft && tool === 'polygon' && shapeDraft.points.length >= 2) {
+        e.preventDefault()
+        commitShape(shapeDraft.points)
+      }
       if (e.key === 'Escape') {
+        setShapeDraft(null)
+        setLassoDraft(null)
         setSelection(null)
         setContextMenu(null)
         setIsDuplicateDragging(false)
         setDuplicatePreview(null)
         setShowFillPopup(false)
+        setIsSimulating(false)
+        setTopplePlayback(null)
       }
     }
     window.addEventListener('keydown', handleKeyDown)
     return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [undo, redo, selection, clipboard, grid, isDuplicateDragging, fillSelection, copySelection, pasteClipboard])
+  }, [undo, redo, selection, clipboard, grid, isDuplicateDragging, fillSelection, copySelection, pasteClipboard, shapeDraft, tool, commitShape, flipSelection, rotateSelection, scaleSelection, nudgeSelection, invertCurrentSelection])
 
   // Clear section (fill with 'clear')
   const clearSectionWithClear = useCallback(() => {
     if (!selection) return
-    const { startRow, startCol, endRow, endCol } = selection
-    setGrid(prev => {
+    updateGrid('Clear selection', prev => {
       const newGrid = prev.map(r => [...r])
-      for (let r = startRow; r <= endRow; r++) {
-        for (let c = startCol; c <= endCol; c++) {
-          newGrid[r][c] = CLEAR
-        }
-      }
-      saveToHistory(newGrid)
+      getSelectedCells(selection).forEach(([r, c]) => {
+        newGrid[r][c] = CLEAR
+      })
       return newGrid
     })
-  }, [selection, saveToHistory])
+  }, [selection, updateGrid])
 
   // Clear selection
   const clearSelection = useCallback(() => {
@@ -571,9 +1066,7 @@ function App() {
 
   // Check if a cell is inside the current selection
   const isCellInSelection = useCallback((row, col) => {
-    if (!selection) return false
-    return row >= selection.startRow && row <= selection.endRow &&
-           col >= selection.startCol && col <= selection.endCol
+    return isCellSelected(selection, row, col)
   }, [selection])
 
   // Start dragging the selection
@@ -617,69 +1110,50 @@ function App() {
       return
     }
 
-    // Extract the selected cells
-    const selectedCells = []
-    for (let r = selection.startRow; r <= selection.endRow; r++) {
-      const row = []
-      for (let c = selection.startCol; c <= selection.endCol; c++) {
-        row.push(grid[r]?.[c] || 'clear')
-      }
-      selectedCells.push(row)
-    }
+    // Extract the selected cells (unselected ones are null)
+    const selectedCells = getSelectionBlock(grid, selection)
 
-    setGrid(prev => {
+    updateGrid('Move selection', prev => {
       const newGrid = prev.map(r => [...r])
 
-      // First, clear the original location (fill with 'clear')
-      for (let r = selection.startRow; r <= selection.endRow; r++) {
-        for (let c = selection.startCol; c <= selection.endCol; c++) {
-          if (r >= 0 && r < newGrid.length && c >= 0 && c < newGrid[0].length) {
-            newGrid[r][c] = 'clear'
-          }
-        }
-      }
+      // First, blank the original location
+      getSelectedCells(selection).forEach(([r, c]) => {
+        newGrid[r][c] = blankCell
+      })
 
       // Then, place at new location
       for (let r = 0; r < selectedCells.length; r++) {
         for (let c = 0; c < selectedCells[r].length; c++) {
           const targetR = dragPreview.startRow + r
           const targetC = dragPreview.startCol + c
-          if (targetR >= 0 && targetR < newGrid.length && targetC >= 0 && targetC < newGrid[0].length) {
+          if (selectedCells[r][c] !== null && targetR >= 0 && targetR < newGrid.length && targetC >= 0 && targetC < newGrid[0].length) {
             newGrid[targetR][targetC] = selectedCells[r][c]
           }
         }
       }
 
-      saveToHistory(newGrid)
       return newGrid
     })
 
     // Update selection to new position
-    setSelection({
-      startRow: Math.max(0, dragPreview.startRow),
-      startCol: Math.max(0, dragPreview.startCol),
-      endRow: Math.min(grid.length - 1, dragPreview.endRow),
-      endCol: Math.min(grid[0].length - 1, dragPreview.endCol)
-    })
+    setSelection(clipSelection(moveSelection(selection, dragPreview.startRow, dragPreview.startCol), grid.length, grid[0].length))
 
     setIsDraggingSelection(false)
     setDragPreview(null)
-  }, [isDraggingSelection, selection, dragPreview, grid, saveToHistory])
+  }, [isDraggingSelection, selection, dragPreview, grid, blankCell, updateGrid])
 
   // Replace all instances of one color with another
-  const replaceColor = useCallback((sourceColor, targetColor, selectionBounds) => {
-    setGrid(prev => {
+  const replaceColor = useCallback((sourceColor, targetColor, selectionMask) => {
+    const label = `Replace ${colorLabel(sourceColor)} → ${colorLabel(targetColor)}${selectionMask ? ' in selection' : ''}`
+    updateGrid(label, prev => {
       const newGrid = prev.map(r => [...r])
-      if (selectionBounds) {
+      if (selectionMask) {
         // Replace only within selection
-        const { startRow, startCol, endRow, endCol } = selectionBounds
-        for (let r = startRow; r <= endRow; r++) {
-          for (let c = startCol; c <= endCol; c++) {
-            if (newGrid[r][c] === sourceColor) {
-              newGrid[r][c] = targetColor
-            }
+        getSelectedCells(selectionMask).forEach(([r, c]) => {
+          if (newGrid[r][c] === sourceColor) {
+            newGrid[r][c] = targetColor
           }
-        }
+        })
       } else {
         // Replace in entire grid
         for (let r = 0; r < newGrid.length; r++) {
@@ -690,29 +1164,72 @@ function App() {
           }
         }
       }
-      saveToHistory(newGrid)
       return newGrid
     })
-  }, [saveToHistory])
+  }, [updateGrid, colorLabel])
+
+  // Tracing image: shrunk on load and kept with the layout
+  const loadReference = useCallback(() => {
+    referenceInputRef.current?.click()
+  }, [])
+
+  const handleReferenceImage = useCallback((event) => {
+    const file = event.target.files?.[0]
+    if (!file) return
+    event.target.value = ''
+    loadImageFile(file)
+      .then(img => setReference(prev => createReference(img, prev)))
+      .catch(err => {
+        console.error('Failed to load tracing image:', err)
+        alert('Failed to load image. Please check the file format.')
+      })
+  }, [])
+
+  const removeReference = useCallback(() => {
+    setReference(null)
+    if (tool === 'sample') changeTool('paint')
+  }, [tool, changeTool])
+
+  const closeTracing = useCallback(() => {
+    setShowTracing(false)
+    if (tool === 'sample') changeTool('paint')
+  }, [tool, changeTool])
+
+  // Keep the tracing image decoded for sampling
+  const referenceSrc = reference?.src
+  useEffect(() => {
+    referenceImageRef.current = null
+    if (!referenceSrc) return
+    const img = new Image()
+    img.onload = () => { referenceImageRef.current = img }
+    img.src = referenceSrc
+  }, [referenceSrc])
+
+  // Pick the palette color closest to the tracing image under a cell, then go back to painting
+  const sampleReference = useCallback((row, col) => {
+    const img = referenceImageRef.current
+    if (!reference || !img) return
+    const hex = sampleReferenceCell(img, reference, grid.length, grid[0]?.length || 0, row, col)
+    if (!hex) return
+    setSelectedColor(findClosestPaletteColor(hex, palette, colorMetric))
+    changeTool('paint')
+  }, [reference, grid, palette, colorMetric, changeTool])
 
   // Drag painting handlers
   const handleMouseDown = useCallback((row, col, e) => {
+    // In simulation mode a click picks the domino that gets pushed
+    if (isSimulating) {
+      setToppleStart({ row, col })
+      setTopplePlayback(null)
+      return
+    }
+
     // If in duplicate mode, place the duplicate
     if (isDuplicateDragging && duplicatePreview && duplicateClipboard.current) {
-      setGrid(prev => {
+      const { content, label = 'Place duplicate' } = duplicateClipboard.current
+      updateGrid(label, prev => {
         const newGrid = prev.map(r => [...r])
-        const { content } = duplicateClipboard.current
-        for (let r = 0; r < content.length; r++) {
-          for (let c = 0; c < content[r].length; c++) {
-            const targetR = duplicatePreview.startRow + r
-            const targetC = duplicatePreview.startCol + c
-            if (targetR >= 0 && targetR < newGrid.length &&
-                targetC >= 0 && targetC < newGrid[0].length) {
-              newGrid[targetR][targetC] = content[r][c]
-            }
-          }
-        }
-        saveToHistory(newGrid)
+        stampBlock(newGrid, duplicatePreview.startRow, duplicatePreview.startCol, content)
         return newGrid
       })
       setIsDuplicateDragging(false)
@@ -720,22 +1237,62 @@ function App() {
       return
     }
 
+    if (tool === 'sample') {
+      sampleReference(row, col)
+      return
+    }
+
+    // Eyedropper: Alt+click picks up the color that gets built there. The
+    // selection tools keep Alt for taking cells out of the selection.
+    if (e.altKey && !e.shiftKey && tool !== 'wand' && tool !== 'lasso') {
+      setSelectedColor(flatGrid[row][col])
+      return
+    }
+
+    // Ctrl/Cmd adds to the selection and Alt takes away from it
+    const selectMode = e.altKey ? 'subtract' : (e.metaKey || e.ctrlKey) ? 'add' : 'replace'
+
     if (e.shiftKey) {
-      handleSelectionStart(row, col)
-    } else if (isCellInSelection(row, col)) {
+      handleSelectionStart(row, col, selectMode)
+    } else if (selectMode === 'replace' && isCellInSelection(row, col)) {
       // Start dragging the selection
       startDragSelection(row, col)
+    } else if (tool === 'wand') {
+      const picked = createWandSelection(grid, row, col, { ...fillOptions, metric: colorMetric })
+      setSelection(combineSelections(selection, picked, selectMode))
+    } else if (tool === 'lasso') {
+      setLassoDraft({ points: [[row, col]], base: selection, mode: selectMode })
     } else {
       // Clear selection when clicking outside it
       if (selection) {
         setSelection(null)
       }
+      if (!checkLayerEditable()) return
+      if (tool === 'fill') {
+        fillRegion(row, col)
+        return
+      }
+      if (tool === 'polygon') {
+        addPolygonPoint(row, col)
+        return
+      }
+      if (tool === 'text') {
+        setTextTool({ anchor: { row, col } })
+        return
+      }
+      if (tool !== 'paint' && tool !== 'erase') {
+        setShapeDraft({ points: [[row, col]], cursor: [row, col] })
+        return
+      }
       isPainting.current = true
+      strokeStart.current = gridRef.current
       paintCell(row, col)
     }
-  }, [paintCell, handleSelectionStart, isCellInSelection, startDragSelection, selection, isDuplicateDragging, duplicatePreview, saveToHistory])
+  }, [paintCell, fillRegion, addPolygonPoint, tool, grid, fillOptions, colorMetric, handleSelectionStart, isCellInSelection, startDragSelection, selection, isDuplicateDragging, duplicatePreview, updateGrid, stampBlock, isSimulating, checkLayerEditable, sampleReference, flatGrid])
 
   const handleMouseEnter = useCallback((row, col) => {
+    setHoveredCell({ row, col })
+
     // Update duplicate preview position
     if (isDuplicateDragging && duplicateClipboard.current) {
       const { rows, cols } = duplicateClipboard.current
@@ -752,18 +1309,29 @@ function App() {
       moveDragSelection(row, col)
     } else if (isPainting.current) {
       paintCell(row, col)
+    } else if (shapeDraft) {
+      setShapeDraft(prev => prev && { ...prev, cursor: [row, col] })
+    } else if (lassoDraft) {
+      setLassoDraft(prev => prev && { ...prev, points: [...prev.points, [row, col]] })
     }
     if (isSelecting) {
       handleSelectionMove(row, col)
     }
-  }, [paintCell, isSelecting, handleSelectionMove, isDraggingSelection, moveDragSelection, isDuplicateDragging])
+  }, [paintCell, isSelecting, handleSelectionMove, isDraggingSelection, moveDragSelection, isDuplicateDragging, shapeDraft, lassoDraft])
 
   const handleMouseUp = useCallback(() => {
     if (isDraggingSelection) {
       endDragSelection()
       justFinishedSelection.current = true
     } else if (isPainting.current) {
-      saveToHistory(grid)
+      recordChange(tool === 'erase' ? 'Erase' : `Paint ${colorLabel(selectedColor)}`, { grid: [strokeStart.current, gridRef.current] })
+    } else if (shapeDraft && tool !== 'polygon') {
+      // Line, rectangle and ellipse are drawn by dragging from corner to corner
+      commitShape([shapeDraft.points[0], shapeDraft.cursor])
+    } else if (lassoDraft) {
+      setSelection(combineSelections(lassoDraft.base, createLassoSelection(lassoDraft.points), lassoDraft.mode))
+      setLassoDraft(null)
+      justFinishedSelection.current = true
     }
     isPainting.current = false
     // If we were selecting, mark it so click handler doesn't clear selection
@@ -771,7 +1339,7 @@ function App() {
       justFinishedSelection.current = true
     }
     handleSelectionEnd()
-  }, [grid, saveToHistory, handleSelectionEnd, isDraggingSelection, endDragSelection, isSelecting])
+  }, [selectedColor, recordChange, colorLabel, handleSelectionEnd, isDraggingSelection, endDragSelection, isSelecting, shapeDraft, tool, commitShape, lassoDraft])
 
   // Context menu handlers
   const handleContextMenu = useCallback((e, type, index) => {
@@ -792,9 +1360,7 @@ function App() {
   const handleCellContextMenu = useCallback((e, row, col) => {
     e.preventDefault()
     // Only show selection context menu if there's a selection and the click is within it
-    if (selection &&
-        row >= selection.startRow && row <= selection.endRow &&
-        col >= selection.startCol && col <= selection.endCol) {
+    if (isCellSelected(selection, row, col)) {
       setSelectionContextMenu({
         x: e.clientX,
         y: e.clientY
@@ -804,72 +1370,55 @@ function App() {
 
   // Row/Column operations
   const addRows = useCallback((index, position, count = 1) => {
-    setGrid(prev => {
+    updateAllLayers(`Insert ${count === 1 ? 'row' : `${count} rows`} ${position} row ${index + 1}`, (prev, blank) => {
       const newGrid = [...prev]
       const cols = prev[0]?.length || 0
       const insertIndex = position === 'above' ? index : index + 1
       for (let i = 0; i < count; i++) {
-        newGrid.splice(insertIndex, 0, Array(cols).fill(CLEAR))
+        newGrid.splice(insertIndex, 0, Array(cols).fill(blank))
       }
-      setRowInput(newGrid.length)
-      saveToHistory(newGrid)
       return newGrid
     })
     closeContextMenu()
-  }, [saveToHistory, closeContextMenu])
+  }, [updateAllLayers, closeContextMenu])
 
   const addColumns = useCallback((index, position, count = 1) => {
-    setGrid(prev => {
+    const side = position === 'left' ? 'left of' : 'right of'
+    updateAllLayers(`Insert ${count === 1 ? 'column' : `${count} columns`} ${side} column ${index + 1}`, (prev, blank) => {
       const insertIndex = position === 'left' ? index : index + 1
       const newGrid = prev.map(row => {
         const newRow = [...row]
         for (let i = 0; i < count; i++) {
-          newRow.splice(insertIndex, 0, CLEAR)
+          newRow.splice(insertIndex, 0, blank)
         }
         return newRow
       })
-      setColInput(newGrid[0]?.length || 0)
-      saveToHistory(newGrid)
       return newGrid
     })
     closeContextMenu()
-  }, [saveToHistory, closeContextMenu])
+  }, [updateAllLayers, closeContextMenu])
 
   const deleteRow = useCallback((index) => {
     if (grid.length <= 1) return
-    setGrid(prev => {
-      const newGrid = prev.filter((_, i) => i !== index)
-      setRowInput(newGrid.length)
-      saveToHistory(newGrid)
-      return newGrid
-    })
+    updateAllLayers(`Delete row ${index + 1}`, prev => prev.filter((_, i) => i !== index))
     closeContextMenu()
-  }, [grid.length, saveToHistory, closeContextMenu])
+  }, [grid.length, updateAllLayers, closeContextMenu])
 
   const deleteColumn = useCallback((index) => {
     if ((grid[0]?.length || 0) <= 1) return
-    setGrid(prev => {
-      const newGrid = prev.map(row => row.filter((_, i) => i !== index))
-      setColInput(newGrid[0]?.length || 0)
-      saveToHistory(newGrid)
-      return newGrid
-    })
+    updateAllLayers(`Delete column ${index + 1}`, prev => prev.map(row => row.filter((_, i) => i !== index)))
     closeContextMenu()
-  }, [grid, saveToHistory, closeContextMenu])
+  }, [grid, updateAllLayers, closeContextMenu])
 
   // Delete multiple rows starting at index
   const deleteRows = useCallback((startIndex, count) => {
     const maxDeletable = grid.length - 1
     const actualCount = Math.min(count, maxDeletable)
     if (actualCount <= 0) return
-    setGrid(prev => {
-      const newGrid = prev.filter((_, i) => i < startIndex || i >= startIndex + actualCount)
-      setRowInput(newGrid.length)
-      saveToHistory(newGrid)
-      return newGrid
-    })
+    const label = actualCount === 1 ? `Delete row ${startIndex + 1}` : `Delete rows ${startIndex + 1}–${startIndex + actualCount}`
+    updateAllLayers(label, prev => prev.filter((_, i) => i < startIndex || i >= startIndex + actualCount))
     setSelection(null)
-  }, [grid.length, saveToHistory])
+  }, [grid.length, updateAllLayers])
 
   // Delete multiple columns starting at index
   const deleteColumns = useCallback((startIndex, count) => {
@@ -877,64 +1426,67 @@ function App() {
     const maxDeletable = currentCols - 1
     const actualCount = Math.min(count, maxDeletable)
     if (actualCount <= 0) return
-    setGrid(prev => {
-      const newGrid = prev.map(row => row.filter((_, i) => i < startIndex || i >= startIndex + actualCount))
-      setColInput(newGrid[0]?.length || 0)
-      saveToHistory(newGrid)
-      return newGrid
-    })
+    const label = actualCount === 1 ? `Delete column ${startIndex + 1}` : `Delete columns ${startIndex + 1}–${startIndex + actualCount}`
+    updateAllLayers(label, prev => prev.map(row => row.filter((_, i) => i < startIndex || i >= startIndex + actualCount)))
     setSelection(null)
-  }, [grid, saveToHistory])
+  }, [grid, updateAllLayers])
 
   // Close selection context menu
   const closeSelectionContextMenu = useCallback(() => {
     setSelectionContextMenu(null)
   }, [])
 
-  // Save grid to JSON file
-  const saveGrid = useCallback(() => {
-    // Prompt for filename
-    const defaultName = 'domino-layout'
-    const filename = window.prompt('Enter a name for your file:', defaultName)
-    if (filename === null) return // User cancelled
+  // The layout as file text, with the open project's name and details
+  const getLayoutFile = useCallback(() => {
+    const details = currentProject
+      ? getProject(currentProject.id)
+        .then(project => project ?? currentProject)
+        .catch(err => {
+          console.error('Failed to read project details:', err)
+          return currentProject
+        })
+      : Promise.resolve(null)
+    return details.then(project => ({
+      name: project?.name || '',
+      json: stringifyProject({
+        grid: flatGrid,
+        palette,
+        metadata: {
+          title: project?.name,
+          author: project?.author,
+          notes: project?.notes,
+          created: new Date(project?.createdAt ?? Date.now()).toISOString(),
+          modified: new Date().toISOString()
+        }
+      })
+    }))
+  }, [flatGrid, palette, currentProject])
+
+  // Download the layout as a JSON file named after the open project
+  const exportGridFile = useCallback(() => {
+    getLayoutFile()
+      .then(({ name, json }) => {
+        const baseName = name.trim().replace(/[\\/:*?"<>|]+/g, '-') || 'domino-layout'
+        downloadBlob(new Blob([json], { type: 'application/json' }), `${baseName}.json`)
+      })
+      .catch(err => {
+        console.error('Failed to export grid:', err)
+        alert(`Failed to export the layout: ${err.message}`)
+      })
+  }, [getLayoutFile])
 
-    const finalName = filename.trim() || defaultName
+  // Link that carries the whole layout in its fragment
+  const createShareLink = useCallback(() => {
+    return getLayoutFile().then(({ json }) => createShareUrl(json))
+  }, [getLayoutFile])
 
-    const data = {
-      rows: grid.length,
-      columns: grid[0]?.length || 0,
-      cells: grid,
-      palette: palette
-    }
-    const json = JSON.stringify(data, null, 2)
-    const blob = new Blob([json], { type: 'application/json' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `${finalName}.json`
-    document.body.appendChild(a)
-    a.click()
-    document.body.removeChild(a)
-    URL.revokeObjectURL(url)
-    // Mark as saved - update the snapshot and clear the timer
-    unsavedSince.current = null
-    gridSnapshotRef.current = cloneGrid(grid)
-  }, [grid, palette])
-
-  // Load grid from JSON file
-  const loadGrid = useCallback(() => {
+  // Pick a JSON file to add to the library
+  const importGridFile = useCallback(() => {
     fileInputRef.current?.click()
   }, [])
 
   // Calculate optimal zoom to fit grid in viewport
   const calculateOptimalZoom = useCallback((rows, cols) => {
-    // Grid sizing constants (must match DominoGrid.jsx)
-    const BASE_DOMINO_WIDTH = 90
-    const BASE_DOMINO_HEIGHT = 30
-    const BASE_H_GAP = 15
-    const BASE_V_GAP = 30
-    const BASE_LABEL_WIDTH = 30
-    const BASE_FILL_BTN_SIZE = 24
     const GRID_PADDING = 48 // padding inside workspace-main + grid-container
 
     // Calculate grid dimensions at 100% zoom
@@ -962,40 +1514,137 @@ function App() {
     return Math.max(20, Math.min(200, Math.round(optimalZoom)))
   }, [])
 
+  // Switch the editor to a library project, starting a fresh undo history
+  const openProject = useCallback((project) => {
+    const current = sessionStateRef.current
+    // Finish the pending write of the project being left; a layout that isn't
+    // in the library is kept as a snapshot instead (unless it's still empty)
+    if (current.project) {
+      saveOpenProject(current).catch(err => console.error('Project save failed:', err))
+    } else if (current.grid.some(row => row.some(value => value !== CLEAR))) {
+      addSnapshot(toSnapshotState(current), 'Before opening project')
+        .catch(err => console.error('Snapshot failed:', err))
+    }
+
+    const nextLayers = applySavedState(project, { history: createHistory() })
+    lastProjectWrite.current = { layers: nextLayers, palette: project.palette, reference: project.reference ?? null }
+    // Layouts without an id are edited outside the library
+    setCurrentProject(project.id ? { id: project.id, name: project.name } : null)
+    setZoom(calculateOptimalZoom(project.rows, project.cols))
+    setShowProjects(false)
+  }, [saveOpenProject, applySavedState, calculateOptimalZoom])
+
+  // Add the layout being edited to the library and keep editing it there
+  const saveAsProject = useCallback((name) => {
+    const current = sessionStateRef.current
+    if (current.project) {
+      saveOpenProject(current).catch(err => console.error('Project save failed:', err))
+    }
+    const { grid, layers, palette, reference } = current
+    return createProject({ name, ...toProjectFields(grid, palette, { layers, reference }) }).then(id => {
+      lastProjectWrite.current = { layers, palette, reference }
+      setCurrentProject({ id, name })
+    })
+  }, [saveOpenProject])
+
+  // New empty layout with the current size and palette
+  const createBlankProject = useCallback((name) => {
+    const fields = toProjectFields(createEmptyGrid(grid.length, grid[0]?.length || 0), palette)
+    return createProject({ name, ...fields }).then(id => openProject({ id, name, ...fields }))
+  }, [grid, palette, openProject])
+
+  const handleProjectRenamed = useCallback((id, name) => {
+    setCurrentProject(prev => (prev?.id === id ? { ...prev, name } : prev))
+  }, [])
+
+  // Deleting the open project leaves its layout in the editor, outside the library
+  const handleProjectDeleted = useCallback((id) => {
+    setCurrentProject(prev => (prev?.id === id ? null : prev))
+  }, [])
+
+  const closeProjects = useCallback(() => {
+    setShowProjects(false)
+  }, [])
+
+  // Add a parsed layout file to the library and open it. Without storage, or
+  // if the library write fails, the layout still opens outside the library.
+  const openParsedLayout = useCallback((parsed, fallbackName) => {
+    const { grid: fileGrid, palette: filePalette, metadata, notes } = parsed
+    const name = metadata.title || fallbackName
+    const fields = toProjectFields(fileGrid, filePalette)
+    const details = {
+      author: metadata.author || '',
+      notes: metadata.notes || '',
+      ...(metadata.created && { createdAt: Date.parse(metadata.created) })
+    }
+    const added = isStorageAvailable()
+      ? createProject({ name, ...details, ...fields }).catch(err => {
+        console.error('Failed to add layout to the library:', err)
+        return null
+      })
+      : Promise.resolve(null)
+    return added.then(id => {
+      openProject({ id, name, ...fields })
+      if (notes.length > 0) {
+        alert(`"${name}" was saved by an older version and was updated:\n\n${notes.map(note => `• ${note}`).join('\n')}`)
+      }
+    })
+  }, [openProject])
+
+  // An imported file becomes a new project, named by its title or file name
   const handleFileLoad = useCallback((event) => {
     const file = event.target.files?.[0]
     if (!file) return
 
     const reader = new FileReader()
     reader.onload = (e) => {
+      let parsed
       try {
-        const data = JSON.parse(e.target.result)
-        if (data.rows && data.columns && data.cells) {
-          setRowInput(data.rows)
-          setColInput(data.columns)
-          setGrid(data.cells)
-          saveToHistory(data.cells)
-          if (data.palette && Array.isArray(data.palette)) {
-            // Normalize palette to new format
-            const normalized = normalizePalette(data.palette)
-            const hasClear = normalized.some(p => p.hex === CLEAR)
-            setPalette(hasClear ? normalized : [CLEAR_PALETTE_ITEM, ...normalized])
-          }
-          // Auto-zoom to fit the loaded grid
-          const optimalZoom = calculateOptimalZoom(data.rows, data.columns)
-          setZoom(optimalZoom)
-          // Update snapshot to loaded grid (this is now the "saved" state)
-          gridSnapshotRef.current = cloneGrid(data.cells)
-          unsavedSince.current = null
-        }
+        parsed = parseProject(e.target.result, { defaultPalette: palette })
       } catch (err) {
         console.error('Failed to load grid:', err)
-        alert('Failed to load grid file. Please check the file format.')
+        alert(`Could not open "${file.name}":\n\n${describeLoadError(err)}`)
+        return
       }
+      openParsedLayout(parsed, file.name.replace(/\.json$/i, '') || 'Imported layout')
+        .catch(err => {
+          console.error('Failed to open imported grid:', err)
+          alert(`Could not open "${file.name}".`)
+        })
     }
     reader.readAsText(file)
     event.target.value = ''
-  }, [saveToHistory, calculateOptimalZoom])
+  }, [palette, openParsedLayout])
+
+  // A shared link opens as a new project; once it's open the fragment is
+  // cleared so a reload doesn't add it again
+  const openSharedLayout = useCallback((hash) => {
+    readShareHash(hash)
+      .then(text => parseProject(text, { defaultPalette: palette }))
+      .then(parsed => openParsedLayout(parsed, 'Shared layout'))
+      .then(() => {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search)
+      })
+      .catch(err => {
+        console.error('Failed to open shared layout:', err)
+        alert(`Could not open the shared layout:\n\n${describeLoadError(err)}`)
+      })
+  }, [palette, openParsedLayout])
+
+  useEffect(() => {
+    if (!pendingShareHash) return
+    setPendingShareHash(null)
+    openSharedLayout(pendingShareHash)
+  }, [pendingShareHash, openSharedLayout])
+
+  // Links pasted into the address bar while the app is open
+  useEffect(() => {
+    const handleHashChange = () => {
+      if (isShareHash(window.location.hash)) openSharedLayout(window.location.hash)
+    }
+    window.addEventListener('hashchange', handleHashChange)
+    return () => window.removeEventListener('hashchange', handleHashChange)
+  }, [openSharedLayout])
 
   // Import palette from file
   const importPalette = useCallback(() => {
@@ -1014,7 +1663,8 @@ function App() {
         let colors = []
         if (file.name.endsWith('.json')) {
           const data = JSON.parse(content)
-          colors = data.colors || data // Support { colors: [...] } or direct array
+          // Support { colors: [...] } or direct array; cells store hexes in lowercase
+          colors = (data.colors || data).map(item => ({ ...item, hex: item.hex.toLowerCase() }))
         } else if (file.name.endsWith('.csv')) {
           const lines = content.split('\n').filter(l => l.trim())
           // Skip header if it looks like one
@@ -1061,7 +1711,7 @@ function App() {
 
           if (specialColors.length > 0 || regularColors.length > 0) {
             // Combine: special colors first (Clear, Disney), then rainbow-sorted colors
-            setPalette([...specialColors, ...regularColors])
+            commitChange('Import palette', { palette: [...specialColors, ...regularColors] })
             setSelectedColor(specialColors[0]?.hex || regularColors[0]?.hex || CLEAR)
           }
         }
@@ -1073,7 +1723,7 @@ function App() {
             if (b.hex === CLEAR || b.hex === DISNEY) return 1
             return getHue(a.hex) - getHue(b.hex)
           })
-          setPalette(colors)
+          commitChange('Import palette', { palette: colors })
           setSelectedColor(colors[0]?.hex || CLEAR)
         }
       } catch (err) {
@@ -1083,7 +1733,7 @@ function App() {
     }
     reader.readAsText(file)
     event.target.value = ''
-  }, [])
+  }, [commitChange])
 
   // Import from image - maps to closest palette colors
   const importFromImage = useCallback(() => {
@@ -1093,100 +1743,220 @@ function App() {
   const handleImageImport = useCallback((event) => {
     const file = event.target.files?.[0]
     if (!file) return
+    event.target.value = ''
 
     // Check if palette has colors besides clear
     const hasColors = palette.some(p => p.hex !== CLEAR && p.hex !== DISNEY)
     if (!hasColors) {
       alert('Please import a palette with colors first, or add colors to your palette.')
-      event.target.value = ''
       return
     }
 
-    const img = new Image()
-    const reader = new FileReader()
+    loadImageFile(file)
+      .then(img => setImportImage(img))
+      .catch(err => {
+        console.error('Failed to load image:', err)
+        alert('Failed to load image. Please check the file format.')
+      })
+  }, [palette])
 
-    reader.onload = (e) => {
-      img.onload = () => {
-        // Get image dimensions to calculate optimal grid size
-        const imageWidth = img.naturalWidth
-        const imageHeight = img.naturalHeight
-        const optimal = getOptimalGridForImage(imageWidth, imageHeight, palette)
+  const closeImageImport = useCallback(() => {
+    setImportImage(null)
+  }, [])
 
-        const orientationNote = optimal.isPortrait
-          ? '(Portrait orientation detected)'
-          : '(Landscape orientation detected)'
+  // Write the wizard's mapped cells to the grid, the selection, or a floating stamp
+  const applyImageImport = useCallback(({ cells, rows, cols, target, ditherMode: usedDitherMode, colorMetric: usedColorMetric }) => {
+    // Remember the matching settings for the next import
+    setDitherMode(usedDitherMode)
+    setColorMetric(usedColorMetric)
+    setImportImage(null)
 
-        const recommendationMsg = `Image Import - Optimal Grid Size
+    if (target === 'selection' && selection) {
+      const { startRow, startCol } = selection
+      updateGrid('Import image into selection', prev => {
+        const newGrid = prev.map(r => [...r])
+        for (let r = 0; r < rows; r++) {
+          for (let c = 0; c < cols; c++) {
+            if (isCellSelected(selection, startRow + r, startCol + c)) {
+              newGrid[startRow + r][startCol + c] = cells[r][c]
+            }
+          }
+        }
+        return newGrid
+      })
+      return
+    }
 
-Image: ${imageWidth} × ${imageHeight} pixels ${orientationNote}
-Available dominoes: ${optimal.availableDominoes}
+    if (target === 'stamp') {
+      // Float the image like a Shift+D duplicate - next click places it
+      duplicateClipboard.current = { content: cells, rows, cols, label: 'Place imported image' }
+      setIsDuplicateDragging(true)
+      setDuplicatePreview({ startRow: 0, startCol: 0, endRow: rows - 1, endCol: cols - 1 })
+      return
+    }
 
-RECOMMENDED: ${optimal.rows} rows × ${optimal.cols} columns
-(${optimal.totalCells} dominoes, preserves image aspect ratio)
+    // The image replaces the active layer; the others are cropped or padded to its size
+    if (!checkLayerEditable()) return
+    const activeId = activeLayerRef.current.id
+    updateAllLayers('Import image', (prev, blank, layer) => (
+      layer.id === activeId
+        ? cells
+        : Array.from({ length: rows }, (_, r) => Array.from({ length: cols }, (_, c) => prev[r]?.[c] ?? blank))
+    ))
+    setZoom(calculateOptimalZoom(rows, cols))
+  }, [selection, updateGrid, checkLayerEditable, updateAllLayers, calculateOptimalZoom])
+
+  const closeTextTool = useCallback(() => {
+    setTextTool(null)
+  }, [])
 
-This will maximize domino usage while staying within color limits.
-Colors that run out will automatically use the next-closest available color.
+  // Write text from the dialog at the clicked cell, into the selection, or as a floating stamp
+  const applyText = useCallback(({ cells, target, text }) => {
+    const anchor = target === 'selection' ? selection && { row: selection.startRow, col: selection.startCol } : textTool?.anchor
+    const label = `Add text "${text.split('\n')[0]}"`
+    setTextTool(null)
 
-Click OK to use recommended size
-Click Cancel to abort import`
+    if (target === 'stamp' || !anchor) {
+      duplicateClipboard.current = { content: cells, rows: cells.length, cols: cells[0].length, label }
+      setIsDuplicateDragging(true)
+      setDuplicatePreview({ startRow: 0, startCol: 0, endRow: cells.length - 1, endCol: cells[0].length - 1 })
+      return
+    }
 
-        if (!confirm(recommendationMsg)) {
-          event.target.value = ''
-          return
-        }
+    updateGrid(label, prev => {
+      const newGrid = prev.map(r => [...r])
+      cells.forEach((row, r) => {
+        row.forEach((cell, c) => {
+          const inTarget = target === 'selection'
+            ? isCellSelected(selection, anchor.row + r, anchor.col + c)
+            : newGrid[anchor.row + r]?.[anchor.col + c] !== undefined
+          if (cell !== null && inTarget) {
+            newGrid[anchor.row + r][anchor.col + c] = cell
+          }
+        })
+      })
+      return newGrid
+    })
+  }, [selection, textTool, updateGrid])
 
-        const targetRows = optimal.rows
-        const targetCols = optimal.cols
+  // Recompute the chain whenever the grid or the simulation settings change
+  const toppleResult = useMemo(() => {
+    if (!isSimulating || !toppleStart) return null
+    if (toppleStart.row >= flatGrid.length || toppleStart.col >= (flatGrid[0]?.length || 0)) return null
+    return simulateTopple(flatGrid, toppleStart, toppleDirection, { trigger: toppleTrigger })
+  }, [isSimulating, toppleStart, toppleDirection, toppleTrigger, flatGrid])
 
-        // Update the input fields to reflect the new size
-        setRowInput(targetRows)
-        setColInput(targetCols)
+  // A stale animation would no longer match the chain
+  useEffect(() => {
+    setTopplePlayback(null)
+  }, [toppleResult, toppleSpeed])
 
-        // Create canvas and draw image
-        const canvas = document.createElement('canvas')
-        const ctx = canvas.getContext('2d')
+  const toggleSimulation = useCallback(() => {
+    setIsSimulating(prev => !prev)
+    setTopplePlayback(null)
+    setSelection(null)
+  }, [])
 
-        canvas.width = targetCols
-        canvas.height = targetRows
+  const playTopple = useCallback(() => {
+    setTopplePlayback(prev => ({ runId: (prev?.runId || 0) + 1, paused: false }))
+  }, [])
 
-        ctx.drawImage(img, 0, 0, targetCols, targetRows)
+  const toggleTopplePause = useCallback(() => {
+    setTopplePlayback(prev => prev && { ...prev, paused: !prev.paused })
+  }, [])
 
-        const imageData = ctx.getImageData(0, 0, targetCols, targetRows)
-        const pixels = imageData.data
+  const closeBuildInstructions = useCallback(() => {
+    setShowBuildInstructions(false)
+  }, [])
 
-        // Extract pixel colors as hex values
-        const pixelColors = []
-        for (let r = 0; r < targetRows; r++) {
-          const row = []
-          for (let c = 0; c < targetCols; c++) {
-            const idx = (r * targetCols + c) * 4
-            const red = pixels[idx]
-            const green = pixels[idx + 1]
-            const blue = pixels[idx + 2]
-            const alpha = pixels[idx + 3]
+  const closeImageExport = useCallback(() => {
+    setShowImageExport(false)
+  }, [])
 
-            if (alpha < 128) {
-              row.push('clear')
-            } else {
-              row.push(rgbToHex(red, green, blue))
-            }
-          }
-          pixelColors.push(row)
-        }
+  const closePdfExport = useCallback(() => {
+    setShowPdfExport(false)
+  }, [])
 
-        // Use two-pass algorithm for better color distribution
-        // This ensures colors are spread evenly across the image
-        // rather than being used up at the top and causing chaos at the bottom
-        const newGrid = distributeColorsEvenly(pixelColors, palette)
+  const closePaletteExtractor = useCallback(() => {
+    setShowPaletteExtractor(false)
+  }, [])
 
-        setGrid(newGrid)
-        saveToHistory(newGrid)
-      }
-      img.src = e.target.result
+  // Replace the palette with an extracted proposal
+  const applyExtractedPalette = useCallback((colors) => {
+    commitChange('Apply extracted palette', { palette: colors })
+    setSelectedColor(colors.find(c => c.hex !== CLEAR && c.hex !== DISNEY)?.hex || CLEAR)
+    setShowPaletteExtractor(false)
+  }, [commitChange])
+
+  const closePaletteEditor = useCallback(() => {
+    setShowPaletteEditor(false)
+  }, [])
+
+  // Palette editor. Each edit is one undoable step; edits that change a
+  // color's hex also repaint its cells, since cells store the hex.
+  const addPaletteColor = useCallback((color) => {
+    if (paletteRef.current.some(p => p.hex === color.hex)) {
+      alert(`${colorLabel(color.hex)} is already in the palette.`)
+      return false
     }
-    reader.readAsDataURL(file)
-    event.target.value = ''
-  }, [palette, saveToHistory])
+    commitChange(`Add ${color.name || color.hex} to palette`, { palette: [...paletteRef.current, color] })
+    setSelectedColor(color.hex)
+    return true
+  }, [commitChange, colorLabel])
+
+  const updatePaletteColor = useCallback((hex, changes, label) => {
+    const nextHex = changes.hex ?? hex
+    if (nextHex !== hex && paletteRef.current.some(p => p.hex === nextHex)) {
+      alert(`${colorLabel(nextHex)} is already in the palette. Delete ${colorLabel(hex)} and replace its cells with it instead.`)
+      return false
+    }
+    const nextLayers = replaceColorInLayers(layersRef.current, hex, nextHex)
+    commitChange(label, {
+      palette: paletteRef.current.map(p => (p.hex === hex ? { ...p, ...changes } : p)),
+      layers: nextLayers !== layersRef.current ? nextLayers : undefined
+    })
+    setSelectedColor(prev => (prev === hex ? nextHex : prev))
+    return true
+  }, [commitChange, colorLabel])
+
+  // Cells of a deleted color are repainted with the replacement first
+  const deletePaletteColor = useCallback((hex, replacement) => {
+    const label = replacement
+      ? `Delete ${colorLabel(hex)}, replacing it with ${colorLabel(replacement)}`
+      : `Delete ${colorLabel(hex)} from palette`
+    const nextLayers = replacement ? replaceColorInLayers(layersRef.current, hex, replacement) : layersRef.current
+    commitChange(label, {
+      palette: paletteRef.current.filter(p => p.hex !== hex),
+      layers: nextLayers !== layersRef.current ? nextLayers : undefined
+    })
+    setSelectedColor(prev => (prev === hex ? replacement || CLEAR : prev))
+  }, [commitChange, colorLabel])
+
+  const movePaletteEntry = useCallback((from, to) => {
+    commitChange(`Move ${colorLabel(paletteRef.current[from].hex)} in palette`, {
+      palette: movePaletteColor(paletteRef.current, from, to)
+    })
+  }, [commitChange, colorLabel])
+
+  const sortPaletteBy = useCallback((key) => {
+    const sorted = sortPalette(paletteRef.current, key)
+    if (sorted.every((p, i) => p === paletteRef.current[i])) return
+    const { label } = PALETTE_SORTS.find(s => s.value === key)
+    commitChange(`Sort palette by ${label.toLowerCase()}`, { palette: sorted })
+  }, [commitChange])
+
+  // Colors the default palette lacks are repainted with its closest ones
+  const resetPalette = useCallback(() => {
+    const { layers: nextLayers, remapped } = remapToPalette(layersRef.current, DEFAULT_PALETTE, colorMetric)
+    const label = remapped.length > 0
+      ? `Reset palette, replacing ${remapped.length} ${remapped.length === 1 ? 'color' : 'colors'}`
+      : 'Reset palette'
+    commitChange(label, {
+      palette: DEFAULT_PALETTE,
+      layers: nextLayers !== layersRef.current ? nextLayers : undefined
+    })
+    setSelectedColor(prev => (DEFAULT_PALETTE.some(p => p.hex === prev) ? prev : CLEAR))
+  }, [commitChange, colorMetric])
 
   // Close context menu on click outside
   useEffect(() => {
@@ -1223,9 +1993,10 @@ Click Cancel to abort import`
     const isContextMenu = target.closest('.context-menu')
     const isFillPopup = target.closest('.fill-popup')
     const isColorReplace = target.closest('.color-replace-menu')
+    const isImportWizard = target.closest('.import-wizard')
     const isPaletteSwatch = target.closest('.palette-swatch')
 
-    if (!isGridCell && !isButton && !isInput && !isContextMenu && !isFillPopup && !isColorReplace && !isPaletteSwatch) {
+    if (!isGridCell && !isButton && !isInput && !isContextMenu && !isFillPopup && !isColorReplace && !isImportWizard && !isPaletteSwatch) {
       if (selection) {
         setSelection(null)
       }
@@ -1247,15 +2018,39 @@ Click Cancel to abort import`
         onColInputChange={setColInput}
         onApplySize={applyGridSize}
         onClearGrid={clearGrid}
-        onSaveGrid={saveGrid}
-        onLoadGrid={loadGrid}
+        onShowProjects={() => setShowProjects(true)}
+        projectName={currentProject?.name}
+        onShowSnapshots={() => setShowSnapshots(true)}
+        lastAutosave={lastAutosave}
         onImportImage={importFromImage}
+        showTracing={showTracing}
+        onToggleTracing={() => (showTracing ? closeTracing() : setShowTracing(true))}
+        onExtractPalette={() => setShowPaletteExtractor(true)}
+        onExportInstructions={() => setShowBuildInstructions(true)}
+        onExportImage={() => setShowImageExport(true)}
+        onExportPdf={() => setShowPdfExport(true)}
+        isSimulating={isSimulating}
+        onToggleSimulation={toggleSimulation}
         zoom={zoom}
         onZoomChange={setZoom}
         mirrorMode={mirrorMode}
         onMirrorModeChange={setMirrorMode}
-        canUndo={historyIndex > 0}
-        canRedo={historyIndex < history.length - 1}
+        symmetryAxis={symmetryAxis}
+        onSymmetryAxisChange={setSymmetryAxis}
+        isSquareGrid={grid.length === (grid[0]?.length || 0)}
+        tool={tool}
+        onToolChange={changeTool}
+        fillOptions={fillOptions}
+        onFillOptionsChange={setFillOptions}
+        shapeOptions={shapeOptions}
+        onShapeOptionsChange={setShapeOptions}
+        isDrawingPolygon={tool === 'polygon' && !!shapeDraft}
+        canUndo={history.index >= 0}
+        canRedo={history.index < history.entries.length - 1}
+        showHistory={showHistory}
+        onToggleHistory={() => setShowHistory(prev => !prev)}
+        showLayers={showLayerPanel}
+        onToggleLayers={() => setShowLayerPanel(prev => !prev)}
         onUndo={undo}
         onRedo={redo}
         selection={selection}
@@ -1263,7 +2058,9 @@ Click Cancel to abort import`
         onCopy={copySelection}
         onPaste={pasteClipboard}
         onFillSelection={fillSelection}
+        onAddText={() => setTextTool({ anchor: null })}
         onClearSelection={clearSelection}
+        onInvertSelection={invertCurrentSelection}
         onFitScreen={() => {
           const optimalZoom = calculateOptimalZoom(grid.length, grid[0]?.length || 0)
           setZoom(optimalZoom)
@@ -1276,6 +2073,7 @@ Click Cancel to abort import`
         selectedColor={selectedColor}
         onSelectColor={setSelectedColor}
         onReplaceColor={replaceColor}
+        onEditPalette={() => setShowPaletteEditor(true)}
         selection={selection}
         grid={grid}
       />
@@ -1296,6 +2094,14 @@ Click Cancel to abort import`
         onChange={handleImageImport}
       />
 
+      <input
+        type="file"
+        ref={referenceInputRef}
+        className="hidden-input"
+        accept="image/*"
+        onChange={handleReferenceImage}
+      />
+
       <input
         type="file"
         ref={paletteInputRef}
@@ -1304,19 +2110,62 @@ Click Cancel to abort import`
         onChange={handlePaletteImport}
       />
 
+      {showTracing && (
+        <TracingPanel
+          reference={reference}
+          isSampling={tool === 'sample'}
+          onLoadImage={loadReference}
+          onRemoveImage={removeReference}
+          onChange={setReference}
+          onToggleSampling={() => changeTool(tool === 'sample' ? 'paint' : 'sample')}
+          onClose={closeTracing}
+        />
+      )}
+
+      {isSimulating && (
+        <TopplePanel
+          start={toppleStart}
+          direction={toppleDirection}
+          trigger={toppleTrigger}
+          speed={toppleSpeed}
+          result={toppleResult}
+          playback={topplePlayback}
+          onDirectionChange={setToppleDirection}
+          onTriggerChange={setToppleTrigger}
+          onSpeedChange={setToppleSpeed}
+          onPlay={playTopple}
+          onTogglePause={toggleTopplePause}
+          onReset={() => setTopplePlayback(null)}
+          onClose={toggleSimulation}
+        />
+      )}
+
       {/* Main Workspace */}
+      <div className="workspace-body">
       <div className="workspace-main" ref={workspaceMainRef}>
         <DominoGrid
-        grid={grid}
+        grid={layerView.grid}
+        overlays={layerView.overlays}
+        editGrid={grid}
+        reference={reference}
         zoom={zoom}
         palette={palette}
         selection={selection}
         dragPreview={dragPreview}
+        shapePreview={shapePreview || lassoPreview}
         isDraggingSelection={isDraggingSelection}
         duplicatePreview={duplicatePreview}
         isDuplicateDragging={isDuplicateDragging}
+        topple={isSimulating ? {
+          start: toppleStart,
+          direction: toppleDirection,
+          speed: toppleSpeed,
+          result: toppleResult,
+          playback: topplePlayback
+        } : null}
         onCellMouseDown={handleMouseDown}
         onCellMouseEnter={handleMouseEnter}
+        onGridMouseLeave={() => setHoveredCell(null)}
         onCellContextMenu={handleCellContextMenu}
         onFillRow={fillRow}
         onFillColumn={fillColumn}
@@ -1324,14 +2173,50 @@ Click Cancel to abort import`
       />
       </div>
 
+      {showLayerPanel && (
+        <LayersPanel
+          layers={layers}
+          activeLayerId={activeLayer.id}
+          onSelect={selectLayer}
+          onAdd={addLayer}
+          onDelete={deleteLayer}
+          onMove={moveLayerBy}
+          onChange={updateLayerSettings}
+          onMergeDown={mergeDown}
+          onFlatten={flattenImage}
+          onClose={() => setShowLayerPanel(false)}
+        />
+      )}
+
+      {showHistory && (
+        <HistoryPanel
+          history={history}
+          onJump={jumpToHistory}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+      </div>
+
       {/* Status Bar */}
-      <DominoStats grid={grid} palette={palette} />
+      <CellInspector
+        cell={hoveredCell}
+        value={hoveredCell ? flatGrid[hoveredCell.row]?.[hoveredCell.col] : undefined}
+        stat={hoveredCell && colorStats.find(s => s.color === flatGrid[hoveredCell.row]?.[hoveredCell.col])}
+      />
+      <DominoStats grid={flatGrid} palette={palette} colorCounts={colorCounts} colorStats={colorStats} />
 
       {/* Keyboard Shortcuts */}
       <div className="shortcuts-bar">
         <span><kbd>Shift</kbd>+drag to select</span>
+        <span><kbd>Cmd</kbd>/<kbd>Alt</kbd>+select add/remove</span>
+        <span><kbd>Alt</kbd>+click pick color</span>
+        <span><kbd>Cmd</kbd>+<kbd>I</kbd> invert</span>
         <span><kbd>Shift</kbd>+<kbd>D</kbd> duplicate</span>
         <span><kbd>Shift</kbd>+<kbd>F</kbd> fill</span>
+        <span><kbd>Shift</kbd>+<kbd>H</kbd>/<kbd>V</kbd> flip</span>
+        <span><kbd>Shift</kbd>+<kbd>R</kbd>/<kbd>L</kbd> rotate</span>
+        <span><kbd>+</kbd>/<kbd>-</kbd> scale</span>
+        <span><kbd>↑</kbd><kbd>↓</kbd><kbd>←</kbd><kbd>→</kbd> nudge</span>
         <span><kbd>Cmd</kbd>+<kbd>C</kbd> copy</span>
         <span><kbd>Cmd</kbd>+<kbd>V</kbd> paste</span>
         <span><kbd>Cmd</kbd>+<kbd>Z</kbd> undo</span>
@@ -1372,12 +2257,124 @@ Click Cancel to abort import`
           onDeleteRows={deleteRows}
           onDeleteColumns={deleteColumns}
           onClearSection={clearSectionWithClear}
+          onFlip={flipSelection}
+          onRotate={rotateSelection}
+          onScale={scaleSelection}
           onClose={closeSelectionContextMenu}
           gridRows={grid.length}
           gridCols={grid[0]?.length || 0}
         />
       )}
 
+      {importImage && (
+        <ImageImportWizard
+          image={importImage}
+          palette={palette}
+          grid={flatGrid}
+          coveringGrid={importCoveringGrid}
+          selection={selection}
+          ditherMode={ditherMode}
+          colorMetric={colorMetric}
+          onConfirm={applyImageImport}
+          onCancel={closeImageImport}
+        />
+      )}
+
+      {showPaletteEditor && (
+        <PaletteEditor
+          palette={palette}
+          layers={layers}
+          colorCounts={colorCounts}
+          colorMetric={colorMetric}
+          onAdd={addPaletteColor}
+          onChange={updatePaletteColor}
+          onDelete={deletePaletteColor}
+          onMove={movePaletteEntry}
+          onSort={sortPaletteBy}
+          onImport={importPalette}
+          onReset={resetPalette}
+          onClose={closePaletteEditor}
+        />
+      )}
+
+      {showPaletteExtractor && (
+        <PaletteExtractor
+          palette={palette}
+          inventory={DEFAULT_PALETTE}
+          defaultRows={grid.length}
+          defaultCols={grid[0]?.length || 0}
+          onApplyPalette={applyExtractedPalette}
+          onClose={closePaletteExtractor}
+        />
+      )}
+
+      {showBuildInstructions && (
+        <BuildInstructionsDialog
+          grid={flatGrid}
+          palette={palette}
+          onClose={closeBuildInstructions}
+        />
+      )}
+
+      {showImageExport && (
+        <ImageExportDialog
+          grid={flatGrid}
+          palette={palette}
+          onClose={closeImageExport}
+        />
+      )}
+
+      {showPdfExport && (
+        <PdfExportDialog
+          grid={flatGrid}
+          palette={palette}
+          onClose={closePdfExport}
+        />
+      )}
+
+      {textTool && (
+        <TextToolDialog
+          palette={palette}
+          selection={selection}
+          anchor={textTool.anchor}
+          initialColor={selectedColor}
+          onConfirm={applyText}
+          onCancel={closeTextTool}
+        />
+      )}
+
+      {restoreOffer && !showSnapshots && (
+        <RestoreSessionDialog
+          session={restoreOffer}
+          onRestore={restoreSession}
+          onDiscard={discardSession}
+          onBrowseSnapshots={() => setShowSnapshots(true)}
+        />
+      )}
+
+      {showSnapshots && (
+        <SnapshotBrowser
+          onRestore={restoreSnapshot}
+          onTakeSnapshot={takeSnapshot}
+          onClose={closeSnapshots}
+        />
+      )}
+
+      {showProjects && (
+        <ProjectLibrary
+          currentProject={currentProject}
+          onOpen={openProject}
+          onSaveAs={saveAsProject}
+          onCreateBlank={createBlankProject}
+          onRenamed={handleProjectRenamed}
+          onDeleted={handleProjectDeleted}
+          onExportFile={exportGridFile}
+          onCreateShareLink={createShareLink}
+          onImportFile={importGridFile}
+          onClose={closeProjects}
+        />
+      )}
+
       {showFillPopup && selection && (
         <FillColorPopup
           palette={palette}
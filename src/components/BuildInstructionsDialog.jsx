@@ -0,0 +1,138 @@
+import { useState, useEffect, useMemo } from 'react'
+import {
+  DEFAULT_INSTRUCTION_OPTIONS,
+  buildInstructions,
+  formatInstructionsText,
+  formatInstructionsHtml
+} from '../utils/buildInstructions'
+import { downloadBlob } from '../utils/download'
+
+function BuildInstructionsDialog({ grid, palette, onClose }) {
+  const [title, setTitle] = useState(DEFAULT_INSTRUCTION_OPTIONS.title)
+  const [sectionSize, setSectionSize] = useState(DEFAULT_INSTRUCTION_OPTIONS.sectionSize)
+  const [safetyGapEvery, setSafetyGapEvery] = useState(DEFAULT_INSTRUCTION_OPTIONS.safetyGapEvery)
+  const [checklist, setChecklist] = useState(DEFAULT_INSTRUCTION_OPTIONS.checklist)
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const options = useMemo(
+    () => ({ title: title.trim() || DEFAULT_INSTRUCTION_OPTIONS.title, sectionSize, safetyGapEvery, checklist }),
+    [title, sectionSize, safetyGapEvery, checklist]
+  )
+  const instructions = useMemo(() => buildInstructions(grid, palette, options), [grid, palette, options])
+  const text = useMemo(() => formatInstructionsText(instructions, options), [instructions, options])
+
+  const baseName = `domino-build-${instructions.rows}x${instructions.cols}`
+
+  const handleDownloadText = () => {
+    downloadBlob(new Blob([text], { type: 'text/plain;charset=utf-8' }), `${baseName}.txt`)
+  }
+
+  const handleDownloadHtml = () => {
+    const html = formatInstructionsHtml(instructions, options)
+    downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), `${baseName}.html`)
+  }
+
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank')
+    if (!printWindow) {
+      alert('Could not open a print window. Please allow pop-ups, or download the HTML and print it.')
+      return
+    }
+    printWindow.document.write(formatInstructionsHtml(instructions, options))
+    printWindow.document.close()
+    printWindow.focus()
+    printWindow.print()
+  }
+
+  return (
+    <div className="fill-popup-overlay">
+      <div className="import-wizard build-instructions" onClick={(e) => e.stopPropagation()}>
+        <div className="import-wizard-header">
+          Build Instructions
+          <span className="import-wizard-subtitle">
+            {instructions.rows} × {instructions.cols} = {instructions.total} dominoes
+          </span>
+        </div>
+
+        <div className="import-wizard-body">
+          <div className="import-wizard-settings">
+            <div className="wizard-group">
+              <div className="wizard-group-title">Title</div>
+              <input
+                type="text"
+                className="wizard-text-input"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+              />
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Layout</div>
+              <label className="wizard-select-row">
+                <span>Rows per section</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={sectionSize}
+                  onChange={(e) => setSectionSize(Math.max(1, parseInt(e.target.value) || 1))}
+                />
+              </label>
+              <label className="wizard-select-row">
+                <span>Safety gap every</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={safetyGapEvery}
+                  onChange={(e) => setSafetyGapEvery(Math.max(0, parseInt(e.target.value) || 0))}
+                />
+              </label>
+              <div className="wizard-note">
+                {safetyGapEvery > 0
+                  ? `Each row is split every ${safetyGapEvery} dominoes so an accidental fall stops at the gap.`
+                  : 'Set a number of dominoes to add safety-gap reminders.'}
+              </div>
+              <label className="wizard-checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={checklist}
+                  onChange={(e) => setChecklist(e.target.checked)}
+                />
+                Checklist boxes
+              </label>
+            </div>
+          </div>
+
+          <div className="import-wizard-preview">
+            <div className="wizard-group-title">Preview</div>
+            <pre className="build-instructions-preview">{text}</pre>
+          </div>
+        </div>
+
+        <div className="import-wizard-footer">
+          <button className="grid-btn small" onClick={onClose}>
+            Close
+          </button>
+          <button className="grid-btn small" onClick={handleDownloadText}>
+            Download Text
+          </button>
+          <button className="grid-btn small" onClick={handleDownloadHtml}>
+            Download HTML
+          </button>
+          <button className="grid-btn small primary" onClick={handlePrint}>
+            Print
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default BuildInstructionsDialog
@@ -0,0 +1,49 @@
+const CLEAR = 'clear'
+const DISNEY = 'disney'
+
+/**
+ * Status line for the cell under the mouse: where it is, its color, and how
+ * much of that color the layout uses. stat is the cell color's entry from
+ * getColorStats, the same one DominoStats shows.
+ */
+function CellInspector({ cell, value, stat }) {
+  if (!cell || value === undefined) {
+    return (
+      <div className="cell-inspector empty">
+        Hover a domino to inspect it - <kbd>Alt</kbd>+click picks up its color
+      </div>
+    )
+  }
+
+  const isClear = value === CLEAR
+  const isDisney = value === DISNEY
+  const isSpecial = isClear || isDisney
+  const name = isClear ? 'Clear' : isDisney ? 'Disney' : (stat?.name || 'Not in palette')
+  const used = stat?.used ?? 0
+  const available = stat?.available ?? Infinity
+
+  return (
+    <div className="cell-inspector">
+      <span className="inspector-position">
+        Row <strong>{cell.row + 1}</strong>, Col <strong>{cell.col + 1}</strong>
+      </span>
+      <span className="inspector-color">
+        <span
+          className={`color-count-swatch ${isClear ? 'clear-swatch' : ''} ${isDisney ? 'disney-swatch' : ''}`}
+          style={!isSpecial ? { backgroundColor: value } : undefined}
+        >
+          {isClear && 'C'}
+          {isDisney && 'D'}
+        </span>
+        <strong>{name}</strong>
+        {!isSpecial && <code className="inspector-hex">{value.toUpperCase()}</code>}
+      </span>
+      <span className={`inspector-usage ${stat?.overLimit ? 'over-limit' : ''} ${stat?.approachingLimit ? 'approaching-limit' : ''}`}>
+        <strong>{used}</strong> used
+        {available !== Infinity ? <> of <strong>{available}</strong> available</> : ' - no limit set'}
+      </span>
+    </div>
+  )
+}
+
+export default CellInspector
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react'
+import { getSelectedCells } from '../utils/selectionMask'
 
 const CLEAR = 'clear'
 const DISNEY = 'disney'
@@ -8,6 +9,7 @@ function ColorPalette({
   selectedColor,
   onSelectColor,
   onReplaceColor,
+  onEditPalette,
   selection,
   grid
 }) {
@@ -17,14 +19,11 @@ function ColorPalette({
   // Calculate which colors are in the current selection
   const colorsInSelection = new Set()
   if (hasSelection && grid) {
-    const { startRow, startCol, endRow, endCol } = selection
-    for (let r = startRow; r <= endRow; r++) {
-      for (let c = startCol; c <= endCol; c++) {
-        if (grid[r] && grid[r][c]) {
-          colorsInSelection.add(grid[r][c])
-        }
+    getSelectedCells(selection).forEach(([r, c]) => {
+      if (grid[r] && grid[r][c]) {
+        colorsInSelection.add(grid[r][c])
       }
-    }
+    })
   }
 
   const handleSwatchClick = (colorHex) => {
@@ -98,9 +97,14 @@ function ColorPalette({
           })}
         </div>
 
-        <p className="palette-hint">
-          Click to select. Right-click to replace all instances.
-        </p>
+        <div className="palette-footer">
+          <p className="palette-hint">
+            Click to select. Right-click to replace all instances.
+          </p>
+          <button className="grid-btn small" onClick={onEditPalette} title="Add, rename, reorder and delete colors and set how many of each you have">
+            Edit Palette
+          </button>
+        </div>
       </div>
 
       {/* Color replacement context menu */}
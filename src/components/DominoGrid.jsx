@@ -1,22 +1,24 @@
 import { useCallback, Fragment } from 'react'
+import {
+  BASE_DOMINO_WIDTH,
+  BASE_DOMINO_HEIGHT,
+  BASE_H_GAP,
+  BASE_V_GAP,
+  BASE_FILL_BTN_SIZE,
+  BASE_LABEL_WIDTH
+} from '../utils/gridGeometry'
+import { FALL_DURATION_MS } from '../utils/toppleSimulation'
+import { isCellSelected } from '../utils/selectionMask'
+import { getReferenceRect } from '../utils/referenceImage'
 
 const CLEAR = 'clear'
 const DISNEY = 'disney'
 
-// Base domino dimensions
-const BASE_DOMINO_WIDTH = 90
-const BASE_DOMINO_HEIGHT = 30
-const BASE_H_GAP = 15
-const BASE_V_GAP = 30
-
-// Base fill button size
-const BASE_FILL_BTN_SIZE = 24
-
-// Base label column width
-const BASE_LABEL_WIDTH = 30
-
 function DominoGrid({
   grid,
+  overlays,
+  editGrid = grid,
+  reference,
   zoom,
   palette,
   selection,
@@ -24,8 +26,11 @@ function DominoGrid({
   isDraggingSelection,
   duplicatePreview,
   isDuplicateDragging,
+  shapePreview,
+  topple,
   onCellMouseDown,
   onCellMouseEnter,
+  onGridMouseLeave,
   onCellContextMenu,
   onFillRow,
   onFillColumn,
@@ -61,15 +66,7 @@ function DominoGrid({
   }
 
   // Check if a cell is within the selection
-  const isInSelection = (row, col) => {
-    if (!selection) return false
-    return (
-      row >= selection.startRow &&
-      row <= selection.endRow &&
-      col >= selection.startCol &&
-      col <= selection.endCol
-    )
-  }
+  const isInSelection = (row, col) => isCellSelected(selection, row, col)
 
   // Check if a cell is within the drag preview
   const isInDragPreview = (row, col) => {
@@ -100,12 +97,17 @@ function DominoGrid({
     const offsetCol = col - dragPreview.startCol
     const sourceRow = selection.startRow + offsetRow
     const sourceCol = selection.startCol + offsetCol
-    if (sourceRow >= 0 && sourceRow < grid.length && sourceCol >= 0 && sourceCol < grid[0].length) {
-      return grid[sourceRow][sourceCol]
+    if (isCellSelected(selection, sourceRow, sourceCol)) {
+      return editGrid[sourceRow][sourceCol]
     }
     return null
   }
 
+  // Topple simulation overlay: start cell, fall times and animation state
+  const toppleTimes = topple?.result?.times
+  const topplePlayback = topple?.playback
+  const isToppleStart = (row, col) => topple?.start?.row === row && topple?.start?.col === col
+
   // CSS Grid template
   // Columns: row-label | row-btn | col1 | col2 | ...
   const gridTemplateColumns = `${labelWidth}px ${fillBtnSize + 10 * scale}px repeat(${cols}, ${dominoWidth}px)`
@@ -116,12 +118,28 @@ function DominoGrid({
     e.preventDefault()
   }, [])
 
+  // Tracing image, placed in cells and converted to pixels from the first cell's corner
+  const showReference = !!reference?.visible
+  let referenceStyle = null
+  if (showReference) {
+    const rect = getReferenceRect(reference, rows, cols)
+    const cellsLeft = labelWidth + fillBtnSize + 10 * scale + 2 * hGap
+    const cellsTop = labelWidth + fillBtnSize + 10 * scale + 2 * vGap
+    referenceStyle = {
+      left: `${cellsLeft + rect.left * (dominoWidth + hGap)}px`,
+      top: `${cellsTop + rect.top * (dominoHeight + vGap)}px`,
+      width: `${rect.width * (dominoWidth + hGap) - hGap}px`,
+      height: `${rect.height * (dominoHeight + vGap) - vGap}px`,
+      opacity: reference.opacity
+    }
+  }
+
   return (
     <section className="section">
       <h2 className="section-title">Domino Grid</h2>
       <div className="grid-container">
         <div
-          className="domino-grid"
+          className={`domino-grid${topple ? ' topple-mode' : ''}${topplePlayback?.paused ? ' topple-paused' : ''}${showReference ? ` tracing tracing-${reference.placement}` : ''}`}
           style={{
             gridTemplateColumns,
             gridTemplateRows,
@@ -129,6 +147,7 @@ function DominoGrid({
             rowGap: `${vGap}px`
           }}
           onDragStart={preventDrag}
+          onMouseLeave={onGridMouseLeave}
         >
           {/* Row 1: Corner (empty) + Corner (empty) + Column labels */}
           <div className="corner-cell" />
@@ -183,7 +202,9 @@ function DominoGrid({
                 const inSelection = isInSelection(rowIndex, colIndex)
                 const inDragPreview = isInDragPreview(rowIndex, colIndex)
                 const inDuplicatePreview = isInDuplicatePreview(rowIndex, colIndex)
-                const previewColor = getDragPreviewColor(rowIndex, colIndex)
+                const inShapePreview = !!shapePreview?.cells.has(rowIndex * cols + colIndex)
+                const previewColor = inShapePreview ? shapePreview.color : getDragPreviewColor(rowIndex, colIndex)
+                const cellOverlays = overlays?.[rowIndex][colIndex]
 
                 let cellStyle = {}
                 if (isClear) {
@@ -194,8 +215,18 @@ function DominoGrid({
                   cellStyle = { backgroundColor: cellValue }
                 }
 
+                const fallTime = toppleTimes?.[rowIndex]?.[colIndex] ?? null
+                const isUnreachable = !!toppleTimes && !isClear && fallTime === null
+                const isToppling = !!topplePlayback && fallTime !== null
+                if (isToppling) {
+                  cellStyle.animationDelay = `${fallTime / topple.speed}ms`
+                  cellStyle.animationDuration = `${FALL_DURATION_MS / topple.speed}ms`
+                }
+
                 // Add grab cursor for selected cells
-                if (inSelection && !isDraggingSelection && !isDuplicateDragging) {
+                if (topple) {
+                  cellStyle.cursor = 'crosshair'
+                } else if (inSelection && !isDraggingSelection && !isDuplicateDragging) {
                   cellStyle.cursor = 'grab'
                 } else if (isDraggingSelection) {
                   cellStyle.cursor = 'grabbing'
@@ -205,32 +236,51 @@ function DominoGrid({
 
                 // Get color name for tooltip
                 const colorName = isClear ? 'Clear' : isDisney ? 'Disney' : (colorNameMap[cellValue] || cellValue)
+                let title = colorName
+                if (fallTime !== null) {
+                  title = `${colorName} – falls at ${(fallTime / 1000).toFixed(2)} s`
+                } else if (isUnreachable) {
+                  title = `${colorName} – never reached`
+                }
 
                 // Build class list
                 const classNames = [
                   'domino-cell',
                   isClear ? 'clear' : '',
                   isDisney ? 'disney' : '',
+                  cellOverlays ? 'layered' : '',
                   inSelection ? 'selected-cell' : '',
                   isDraggingSelection && inSelection ? 'dragging-source' : '',
-                  inDragPreview ? 'drag-preview' : '',
-                  inDuplicatePreview ? 'duplicate-preview' : ''
+                  (inDragPreview && previewColor) || inShapePreview ? 'drag-preview' : '',
+                  inShapePreview && !shapePreview.color ? 'lasso-path' : '',
+                  inDuplicatePreview ? 'duplicate-preview' : '',
+                  topple && isToppleStart(rowIndex, colIndex) ? 'topple-start' : '',
+                  isUnreachable ? 'topple-unreachable' : '',
+                  isToppling ? `toppling topple-${topple.direction}` : ''
                 ].filter(Boolean).join(' ')
 
                 return (
                   <div
-                    key={`cell-${rowIndex}-${colIndex}`}
+                    key={`cell-${rowIndex}-${colIndex}-${topplePlayback?.runId ?? 0}`}
                     className={classNames}
                     style={cellStyle}
                     onMouseDown={(e) => onCellMouseDown(rowIndex, colIndex, e)}
                     onMouseEnter={() => onCellMouseEnter(rowIndex, colIndex)}
                     onContextMenu={(e) => onCellContextMenu && onCellContextMenu(e, rowIndex, colIndex)}
-                    title={colorName}
+                    title={title}
                   >
                     {isClear && 'C'}
                     {isDisney && 'D'}
-                    {/* Drag preview overlay */}
-                    {inDragPreview && previewColor && (
+                    {/* See-through layers above this cell */}
+                    {cellOverlays?.map(({ value, opacity }, i) => (
+                      <div
+                        key={i}
+                        className={`layer-overlay ${value === CLEAR ? 'clear' : ''} ${value === DISNEY ? 'disney' : ''}`}
+                        style={{ opacity, ...(value !== CLEAR && value !== DISNEY && { backgroundColor: value }) }}
+                      />
+                    ))}
+                    {/* Drag and shape preview overlay */}
+                    {(inDragPreview || inShapePreview) && previewColor && (
                       <div
                         className={`drag-preview-overlay ${previewColor === CLEAR ? 'clear' : ''} ${previewColor === DISNEY ? 'disney' : ''}`}
                         style={previewColor !== CLEAR && previewColor !== DISNEY ? { backgroundColor: previewColor } : undefined}
@@ -244,6 +294,10 @@ function DominoGrid({
               })}
             </Fragment>
           ))}
+
+          {showReference && (
+            <img className="reference-image" src={reference.src} style={referenceStyle} alt="" draggable={false} />
+          )}
         </div>
       </div>
     </section>
@@ -1,53 +1,15 @@
 const CLEAR = 'clear'
 const DISNEY = 'disney'
 
-function DominoStats({ grid, palette }) {
-  // Count dominoes per color
-  const colorCounts = {}
-  let totalDominoes = 0
+/**
+ * colorCounts and colorStats come from countCellColors and getColorStats,
+ * worked out once in App so the cell inspector shows the same numbers
+ */
+function DominoStats({ grid, palette, colorCounts, colorStats }) {
+  const totalDominoes = grid.reduce((sum, row) => sum + row.length, 0)
 
-  grid.forEach(row => {
-    row.forEach(cell => {
-      totalDominoes++
-      colorCounts[cell] = (colorCounts[cell] || 0) + 1
-    })
-  })
-
-  // Create a map of palette colors with their quantities
-  const paletteMap = {}
-  let totalAvailable = 0
-  palette.forEach(p => {
-    paletteMap[p.hex] = { quantity: p.quantity, name: p.name }
-    // Sum up available (excluding infinity)
-    if (p.quantity !== Infinity) {
-      totalAvailable += p.quantity
-    }
-  })
-
-  // Build color stats with usage info
-  const colorStats = Object.entries(colorCounts)
-    .map(([color, used]) => {
-      const paletteInfo = paletteMap[color] || { quantity: Infinity }
-      const available = paletteInfo.quantity
-      const overLimit = available !== Infinity && used > available
-      const approachingLimit = available !== Infinity && !overLimit && (available - used) <= 10
-      return {
-        color,
-        used,
-        available,
-        name: paletteInfo.name,
-        overLimit,
-        approachingLimit
-      }
-    })
-    .sort((a, b) => {
-      // Sort: Clear first, Disney second, then by usage count
-      if (a.color === CLEAR) return -1
-      if (b.color === CLEAR) return 1
-      if (a.color === DISNEY) return -1
-      if (b.color === DISNEY) return 1
-      return b.used - a.used
-    })
+  // Sum up available (excluding infinity)
+  const totalAvailable = palette.reduce((sum, p) => sum + (p.quantity !== Infinity ? p.quantity : 0), 0)
 
   // Check if any color is over limit or approaching
   const hasWarnings = colorStats.some(s => s.overLimit)
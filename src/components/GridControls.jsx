@@ -1,4 +1,21 @@
 import { useState } from 'react'
+import { FILL_MODES } from '../utils/floodFill'
+import { SHAPE_TOOLS, MAX_STROKE_WIDTH } from '../utils/shapes'
+import { SYMMETRY_MODES, needsSquareGrid } from '../utils/symmetry'
+import { getSelectedCells, isRectSelection } from '../utils/selectionMask'
+
+const TOOLS = [
+  { value: 'paint', label: 'Paint', title: 'Click or drag to paint cells' },
+  { value: 'erase', label: 'Erase', title: 'Click or drag to erase cells - transparent on upper layers, Clear on the bottom one' },
+  { value: 'fill', label: 'Fill', title: 'Click a cell to fill the area of the same color' },
+  { value: 'line', label: 'Line', title: 'Drag from one end to the other' },
+  { value: 'rectangle', label: 'Rect', title: 'Drag from corner to corner' },
+  { value: 'ellipse', label: 'Ellipse', title: 'Drag the box the ellipse fits in' },
+  { value: 'polygon', label: 'Polygon', title: 'Click each corner; click the first corner or press Enter to finish' },
+  { value: 'text', label: 'Text', title: 'Click a cell to write text from there' },
+  { value: 'lasso', label: 'Lasso', title: 'Drag around the cells to select - Ctrl/Cmd adds, Alt removes' },
+  { value: 'wand', label: 'Wand', title: 'Click to select matching cells - Ctrl/Cmd adds, Alt removes' }
+]
 
 // Google Material Symbols Outlined Icons
 const UndoIcon = () => (
@@ -13,6 +30,20 @@ const RedoIcon = () => (
   </svg>
 )
 
+// History icon (Material Symbols Outlined - history)
+const HistoryIcon = () => (
+  <svg width="18" height="18" viewBox="0 -960 960 960" fill="currentColor">
+    <path d="M480-120q-138 0-240.5-91.5T122-440h82q14 104 92.5 172T480-200q117 0 198.5-81.5T760-480q0-117-81.5-198.5T480-760q-69 0-129 32t-101 88h110v80H120v-240h80v94q51-64 124.5-99T480-840q75 0 140.5 28.5t114 77q48.5 48.5 77 114T840-480q0 75-28.5 140.5t-77 114q-48.5 48.5-114 77T480-120Zm112-192L440-464v-216h80v184l128 128-56 56Z"/>
+  </svg>
+)
+
+// Layers icon (Material Symbols Outlined - layers)
+const LayersIcon = () => (
+  <svg width="18" height="18" viewBox="0 -960 960 960" fill="currentColor">
+    <path d="M480-118 120-398l66-50 294 228 294-228 66 50-360 280Zm0-202L120-600l360-280 360 280-360 280Zm0-280Zm0 178 230-178-230-178-230 178 230 178Z"/>
+  </svg>
+)
+
 // Fit to screen icon (Material Symbols Outlined - fit_screen)
 const FitScreenIcon = () => (
   <svg width="18" height="18" viewBox="0 -960 960 960" fill="currentColor">
@@ -34,23 +65,49 @@ function GridControls({
   onColInputChange,
   onApplySize,
   onClearGrid,
-  onSaveGrid,
-  onLoadGrid,
+  onShowProjects,
+  projectName,
+  onShowSnapshots,
+  lastAutosave,
   onImportImage,
+  showTracing,
+  onToggleTracing,
+  onExtractPalette,
+  onExportInstructions,
+  onExportImage,
+  onExportPdf,
+  isSimulating,
+  onToggleSimulation,
   zoom,
   onZoomChange,
   mirrorMode,
   onMirrorModeChange,
+  symmetryAxis,
+  onSymmetryAxisChange,
+  isSquareGrid,
+  tool,
+  onToolChange,
+  fillOptions,
+  onFillOptionsChange,
+  shapeOptions,
+  onShapeOptionsChange,
+  isDrawingPolygon,
   canUndo,
   canRedo,
   onUndo,
   onRedo,
+  showHistory,
+  onToggleHistory,
+  showLayers,
+  onToggleLayers,
   selection,
   clipboard,
   onCopy,
   onPaste,
   onFillSelection,
+  onAddText,
   onClearSelection,
+  onInvertSelection,
   onFitScreen
 }) {
   const [pendingRows, setPendingRows] = useState(rowInput)
@@ -64,6 +121,19 @@ function GridControls({
     setPendingCols(colInput)
   }
 
+  const setFillOption = (key, value) => onFillOptionsChange({ ...fillOptions, [key]: value })
+  const setShapeOption = (key, value) => onShapeOptionsChange({ ...shapeOptions, [key]: value })
+
+  // Axis inputs are 1-based and may be half cells; empty means the middle of the grid
+  const axisInputValue = (value) => (value === null ? '' : value + 1)
+  const setAxis = (key, text) => {
+    const value = parseFloat(text)
+    onSymmetryAxisChange({ ...symmetryAxis, [key]: Number.isNaN(value) ? null : Math.round(value * 2) / 2 - 1 })
+  }
+  const usesRowAxis = mirrorMode !== 'none' && mirrorMode !== 'horizontal'
+  const usesColAxis = mirrorMode !== 'none' && mirrorMode !== 'vertical'
+  const isShapeTool = SHAPE_TOOLS.some(shape => shape.value === tool)
+
   const handleRowKeyDown = (e) => {
     if (e.key === 'Enter') {
       const value = Math.max(1, parseInt(pendingRows) || 1)
@@ -119,6 +189,20 @@ function GridControls({
           >
             <RedoIcon />
           </button>
+          <button
+            className={`icon-btn ${showHistory ? 'active' : ''}`}
+            onClick={onToggleHistory}
+            title="Show history"
+          >
+            <HistoryIcon />
+          </button>
+          <button
+            className={`icon-btn ${showLayers ? 'active' : ''}`}
+            onClick={onToggleLayers}
+            title="Show layers"
+          >
+            <LayersIcon />
+          </button>
         </div>
 
         {/* Grid Size */}
@@ -180,11 +264,128 @@ function GridControls({
             onChange={(e) => onMirrorModeChange(e.target.value)}
             className="mirror-select"
           >
-            <option value="none">None</option>
-            <option value="horizontal">Horizontal ↔</option>
-            <option value="vertical">Vertical ↕</option>
-            <option value="both">Both ✛</option>
+            {SYMMETRY_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
           </select>
+          {usesRowAxis && (
+            <div className="input-group">
+              <label htmlFor="axis-row">Row:</label>
+              <input
+                id="axis-row"
+                type="number"
+                step="0.5"
+                min="1"
+                placeholder="Mid"
+                value={axisInputValue(symmetryAxis.row)}
+                onChange={(e) => setAxis('row', e.target.value)}
+                title="Row the symmetry centres on - use .5 for the line between two rows, leave empty for the middle"
+              />
+            </div>
+          )}
+          {usesColAxis && (
+            <div className="input-group">
+              <label htmlFor="axis-col">Col:</label>
+              <input
+                id="axis-col"
+                type="number"
+                step="0.5"
+                min="1"
+                placeholder="Mid"
+                value={axisInputValue(symmetryAxis.col)}
+                onChange={(e) => setAxis('col', e.target.value)}
+                title="Column the symmetry centres on - use .5 for the line between two columns, leave empty for the middle"
+              />
+            </div>
+          )}
+          {needsSquareGrid(mirrorMode) && !isSquareGrid && (
+            <span className="symmetry-warning" title="Cells that would land outside the grid are skipped">
+              Works best on a square grid
+            </span>
+          )}
+        </div>
+
+        {/* Tool */}
+        <div className="control-group">
+          <label>Tool:</label>
+          <div className="picker-toggle">
+            {TOOLS.map(option => (
+              <button
+                key={option.value}
+                className={`toggle-btn ${tool === option.value ? 'active' : ''}`}
+                onClick={() => onToolChange(option.value)}
+                title={option.title}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          {(tool === 'fill' || tool === 'wand') && (
+            <>
+              <select
+                value={fillOptions.mode}
+                onChange={(e) => setFillOption('mode', e.target.value)}
+                className="mirror-select"
+                title="Fill the touching area, or every matching cell in the grid"
+              >
+                {FILL_MODES.map(mode => (
+                  <option key={mode.value} value={mode.value}>{mode.label}</option>
+                ))}
+              </select>
+              {fillOptions.mode === 'contiguous' && (
+                <select
+                  value={fillOptions.connectivity}
+                  onChange={(e) => setFillOption('connectivity', parseInt(e.target.value))}
+                  className="mirror-select"
+                  title="Whether the fill spreads through diagonal neighbours"
+                >
+                  <option value={4}>Edges (4)</option>
+                  <option value={8}>Edges + corners (8)</option>
+                </select>
+              )}
+              <label htmlFor="fill-tolerance">Tolerance:</label>
+              <input
+                id="fill-tolerance"
+                type="range"
+                min="0"
+                max="50"
+                value={fillOptions.tolerance}
+                onChange={(e) => setFillOption('tolerance', parseInt(e.target.value))}
+                className="zoom-slider"
+                title="Also fill similar colors, measured with the image import color matching"
+              />
+              <span className="zoom-value">{fillOptions.tolerance}%</span>
+            </>
+          )}
+          {isShapeTool && (
+            <>
+              {tool !== 'line' && (
+                <select
+                  value={shapeOptions.filled ? 'filled' : 'outline'}
+                  onChange={(e) => setShapeOption('filled', e.target.value === 'filled')}
+                  className="mirror-select"
+                >
+                  <option value="outline">Outline</option>
+                  <option value="filled">Filled</option>
+                </select>
+              )}
+              <div className="input-group">
+                <label htmlFor="stroke-width">Width:</label>
+                <input
+                  id="stroke-width"
+                  type="number"
+                  min="1"
+                  max={MAX_STROKE_WIDTH}
+                  value={shapeOptions.strokeWidth}
+                  onChange={(e) => setShapeOption('strokeWidth', Math.max(1, Math.min(MAX_STROKE_WIDTH, parseInt(e.target.value) || 1)))}
+                  title="Outline thickness in dominoes"
+                />
+              </div>
+              {isDrawingPolygon && (
+                <span className="selection-info">Click the first corner or press Enter to finish, Esc to cancel</span>
+              )}
+            </>
+          )}
         </div>
 
         {/* Action Buttons */}
@@ -192,12 +393,20 @@ function GridControls({
           <button className="grid-btn danger" onClick={onClearGrid}>
             Clear Grid
           </button>
-          <button className="grid-btn" onClick={onSaveGrid}>
-            Save Grid
+          <button className="grid-btn" onClick={onShowProjects} title="Open, save and manage layouts">
+            Projects
           </button>
-          <button className="grid-btn" onClick={onLoadGrid}>
-            Load Grid
+          <span className="project-current-name" title={projectName ? 'Changes save to this project automatically' : 'This layout is not in the project library'}>
+            {projectName || 'Not in library'}
+          </span>
+          <button className="grid-btn" onClick={onShowSnapshots} title="Browse and restore autosaved snapshots">
+            Snapshots
           </button>
+          {lastAutosave && (
+            <span className="autosave-status" title={new Date(lastAutosave).toLocaleString()}>
+              Autosaved {new Date(lastAutosave).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </span>
+          )}
           <div className="import-image-group">
             <button className="grid-btn" onClick={onImportImage}>
               Import Image
@@ -207,17 +416,45 @@ function GridControls({
                 <HelpIcon />
               </span>
               <span className="help-tooltip">
-                Converts any image into a domino layout. Each domino becomes a pixel—colors are automatically matched to your palette based on available quantities. The grid size is optimized to maximize resolution while staying within your color limits.
+                Converts any image into a domino layout—for the whole grid, the current selection, or as a stamp you place with the mouse. Each domino becomes a pixel. Crop, size and adjust the image, pick dithering and color matching, and preview the result before anything is written to the grid. No color is used beyond its available quantity.
               </span>
             </span>
           </div>
+          <button
+            className={`grid-btn${showTracing ? ' primary' : ''}`}
+            onClick={onToggleTracing}
+            title="Show a photo over or behind the grid to draw from"
+          >
+            Trace Image
+          </button>
+          <button className="grid-btn" onClick={onExtractPalette} title="Propose domino colors and quantities from a reference image">
+            Extract Palette
+          </button>
+          <button className="grid-btn" onClick={onExportInstructions} title="Row-by-row placement sheets for building on the floor">
+            Build Sheets
+          </button>
+          <button className="grid-btn" onClick={onExportImage} title="Save the full layout as a PNG or SVG picture">
+            Export Image
+          </button>
+          <button className="grid-btn" onClick={onExportPdf} title="Multi-page printable blueprint split into tiles">
+            Export PDF
+          </button>
+          <button
+            className={`grid-btn${isSimulating ? ' primary' : ''}`}
+            onClick={onToggleSimulation}
+            title="Pick a start domino and watch the chain fall"
+          >
+            {isSimulating ? 'Exit Simulation' : 'Simulate Fall'}
+          </button>
         </div>
 
         {/* Selection Tools (shown when selection exists) */}
         {selection && (
           <div className="control-group selection-tools">
             <span className="selection-info">
-              Selection: {selection.endRow - selection.startRow + 1}×{selection.endCol - selection.startCol + 1}
+              Selection: {isRectSelection(selection)
+                ? `${selection.endRow - selection.startRow + 1}×${selection.endCol - selection.startCol + 1}`
+                : `${getSelectedCells(selection).length} cells`}
             </span>
             <button className="grid-btn small" onClick={onCopy} title="Copy (Ctrl+C)">
               Copy
@@ -230,6 +467,12 @@ function GridControls({
             <button className="grid-btn small primary" onClick={onFillSelection}>
               Fill
             </button>
+            <button className="grid-btn small" onClick={onAddText} title="Write text into the selection">
+              Text
+            </button>
+            <button className="grid-btn small" onClick={onInvertSelection} title="Select everything else (Ctrl+I)">
+              Invert
+            </button>
             <button className="grid-btn small" onClick={onClearSelection}>
               Deselect
             </button>
@@ -0,0 +1,51 @@
+import { useEffect, useRef } from 'react'
+import { MAX_HISTORY } from '../utils/history'
+
+const formatClock = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+function HistoryPanel({ history, onJump, onClose }) {
+  const currentRef = useRef(null)
+
+  // Keep the current step in view as history grows
+  useEffect(() => {
+    currentRef.current?.scrollIntoView({ block: 'nearest' })
+  }, [history.index, history.entries.length])
+
+  const renderItem = (index, label, time) => {
+    const isCurrent = index === history.index
+    const isUndone = index > history.index
+    return (
+      <li key={index}>
+        <button
+          ref={isCurrent ? currentRef : null}
+          className={`history-item ${isCurrent ? 'current' : ''} ${isUndone ? 'undone' : ''}`}
+          onClick={() => onJump(index)}
+          title={isCurrent ? 'Current state' : 'Go back to the state after this step'}
+        >
+          <span className="history-label">{label}</span>
+          {time && <span className="history-time">{formatClock(time)}</span>}
+        </button>
+      </li>
+    )
+  }
+
+  return (
+    <aside className="history-panel">
+      <div className="history-header">
+        <span>History</span>
+        <button className="grid-btn small" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <ol className="history-list">
+        {renderItem(-1, 'Start', null)}
+        {history.entries.map((entry, i) => renderItem(i, entry.label, entry.time))}
+      </ol>
+      <div className="wizard-note history-footer">
+        Last {MAX_HISTORY} steps kept. Editing after going back drops the greyed-out steps.
+      </div>
+    </aside>
+  )
+}
+
+export default HistoryPanel
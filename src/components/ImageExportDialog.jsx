@@ -0,0 +1,172 @@
+import { useState, useEffect, useMemo } from 'react'
+import {
+  DEFAULT_RENDER_OPTIONS,
+  getPngSize,
+  renderGridSvg,
+  renderGridPng
+} from '../utils/renderExport'
+import { downloadBlob } from '../utils/download'
+
+const FORMATS = [
+  { value: 'png', label: 'PNG' },
+  { value: 'svg', label: 'SVG' }
+]
+
+const SCALES = [0.25, 0.5, 1, 2, 3, 4]
+
+function ImageExportDialog({ grid, palette, onClose }) {
+  const [format, setFormat] = useState('png')
+  const [scale, setScale] = useState(DEFAULT_RENDER_OPTIONS.scale)
+  const [showLabels, setShowLabels] = useState(DEFAULT_RENDER_OPTIONS.showLabels)
+  const [showLegend, setShowLegend] = useState(DEFAULT_RENDER_OPTIONS.showLegend)
+  const [showSpecialLetters, setShowSpecialLetters] = useState(DEFAULT_RENDER_OPTIONS.showSpecialLetters)
+  const [isExporting, setIsExporting] = useState(false)
+  const [previewUrl, setPreviewUrl] = useState(null)
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const options = useMemo(
+    () => ({ scale, showLabels, showLegend, showSpecialLetters }),
+    [scale, showLabels, showLegend, showSpecialLetters]
+  )
+  const svg = useMemo(() => renderGridSvg(grid, palette, options), [grid, palette, options])
+  const pngSize = useMemo(() => getPngSize(grid, palette, options), [grid, palette, options])
+
+  // The SVG doubles as the preview for both formats
+  useEffect(() => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }))
+    setPreviewUrl(url)
+    return () => URL.revokeObjectURL(url)
+  }, [svg])
+
+  const rows = grid.length
+  const cols = grid[0]?.length || 0
+  const baseName = `domino-layout-${rows}x${cols}`
+
+  const handleExport = () => {
+    if (format === 'svg') {
+      downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${baseName}.svg`)
+      return
+    }
+
+    setIsExporting(true)
+    renderGridPng(grid, palette, options)
+      .then(blob => downloadBlob(blob, `${baseName}.png`))
+      .catch(err => {
+        console.error('Failed to export PNG:', err)
+        alert(`Failed to export PNG: ${err.message}`)
+      })
+      .finally(() => setIsExporting(false))
+  }
+
+  return (
+    <div className="fill-popup-overlay">
+      <div className="import-wizard" onClick={(e) => e.stopPropagation()}>
+        <div className="import-wizard-header">
+          Export Image
+          <span className="import-wizard-subtitle">
+            {rows} × {cols} grid
+          </span>
+        </div>
+
+        <div className="import-wizard-body">
+          <div className="import-wizard-settings">
+            <div className="wizard-group">
+              <div className="wizard-group-title">Format</div>
+              <div className="wizard-button-row">
+                {FORMATS.map(f => (
+                  <button
+                    key={f.value}
+                    className={`toggle-btn ${format === f.value ? 'active' : ''}`}
+                    onClick={() => setFormat(f.value)}
+                  >
+                    {f.label}
+                  </button>
+                ))}
+              </div>
+              {format === 'png' ? (
+                <>
+                  <label className="wizard-select-row">
+                    <span>Scale</span>
+                    <select
+                      value={scale}
+                      onChange={(e) => setScale(parseFloat(e.target.value))}
+                      className="mirror-select"
+                    >
+                      {SCALES.map(s => (
+                        <option key={s} value={s}>{s}×</option>
+                      ))}
+                    </select>
+                  </label>
+                  <div className="wizard-note">
+                    {pngSize.width} × {pngSize.height} px
+                    {!pngSize.fits && ' — too large for the browser, pick a smaller scale'}
+                  </div>
+                </>
+              ) : (
+                <div className="wizard-note">Vector image, sharp at any size.</div>
+              )}
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Include</div>
+              <label className="wizard-checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={showLabels}
+                  onChange={(e) => setShowLabels(e.target.checked)}
+                />
+                Row and column numbers
+              </label>
+              <label className="wizard-checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={showLegend}
+                  onChange={(e) => setShowLegend(e.target.checked)}
+                />
+                Color legend with counts
+              </label>
+              <label className="wizard-checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={showSpecialLetters}
+                  onChange={(e) => setShowSpecialLetters(e.target.checked)}
+                />
+                Mark clear and Disney dominoes with C / D
+              </label>
+            </div>
+          </div>
+
+          <div className="import-wizard-preview">
+            <div className="wizard-group-title">Preview</div>
+            <div className="image-export-preview">
+              {previewUrl && <img src={previewUrl} alt="Layout preview" />}
+            </div>
+          </div>
+        </div>
+
+        <div className="import-wizard-footer">
+          <button className="grid-btn small" onClick={onClose}>
+            Close
+          </button>
+          <button
+            className="grid-btn small primary"
+            onClick={handleExport}
+            disabled={isExporting || (format === 'png' && !pngSize.fits)}
+          >
+            {isExporting ? 'Rendering…' : `Download ${format.toUpperCase()}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImageExportDialog
@@ -0,0 +1,478 @@
+import { useState, useEffect, useRef, useMemo } from 'react'
+import { DITHER_MODES } from '../utils/ditherUtils'
+import { COLOR_METRICS } from '../utils/colorUtils'
+import { mapImageToPalette } from '../utils/imageMapping'
+import { getRemainingPalette } from '../utils/gridStats'
+import {
+  DEFAULT_USAGE_PERCENT,
+  getOptimalGridForImage,
+  getTransformedSize,
+  renderTransformedImage,
+  adjustCanvas,
+  samplePixelColors
+} from '../utils/imageUtils'
+
+const CLEAR = 'clear'
+const DISNEY = 'disney'
+// Pixels the mapping skips, e.g. outside a lasso or wand selection
+const TRANSPARENT = 'transparent'
+
+// Preview canvas bounds (CSS pixels)
+const PREVIEW_WIDTH = 320
+const PREVIEW_HEIGHT = 240
+
+// Wait for sliders to settle before re-mapping the image
+const MAPPING_DEBOUNCE_MS = 250
+
+const MAX_GRID_SIZE = 200
+
+const clampSize = (value) => Math.max(1, Math.min(MAX_GRID_SIZE, parseInt(value) || 1))
+
+// Fit a width/height into the preview bounds, keeping aspect ratio
+const fitPreview = (width, height) => {
+  const scale = Math.min(PREVIEW_WIDTH / width, PREVIEW_HEIGHT / height)
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) }
+}
+
+// Where the imported image goes
+const TARGETS = [
+  { value: 'grid', label: 'Whole grid' },
+  { value: 'selection', label: 'Selection' },
+  { value: 'stamp', label: 'Stamp' }
+]
+
+const TARGET_HINTS = {
+  grid: 'Replaces the active layer and resizes the grid, using the stock left after the layers above it.',
+  selection: 'Fills the selected area using the stock left after the rest of the grid.',
+  stamp: 'Places a floating copy you can position with the mouse, using the stock left after the current grid.'
+}
+
+function ImageImportWizard({
+  image,
+  palette,
+  grid,
+  coveringGrid,
+  selection,
+  ditherMode: initialDitherMode,
+  colorMetric: initialColorMetric,
+  onConfirm,
+  onCancel
+}) {
+  // Import target: 'grid', 'selection' or 'stamp'
+  const [target, setTarget] = useState(selection ? 'selection' : 'grid')
+
+  // Source transform
+  const [rotation, setRotation] = useState(0)
+  const [crop, setCrop] = useState({ left: 0, top: 0, right: 0, bottom: 0 }) // Percent trimmed from each edge
+
+  // Grid size: 'usage' derives rows/cols from a share of available dominoes, 'custom' uses explicit values
+  const [sizeMode, setSizeMode] = useState('usage')
+  const [usagePercent, setUsagePercent] = useState(DEFAULT_USAGE_PERCENT)
+  const [customRows, setCustomRows] = useState(10)
+  const [customCols, setCustomCols] = useState(10)
+
+  // Color adjustments (-100..100)
+  const [adjustments, setAdjustments] = useState({ brightness: 0, contrast: 0, saturation: 0 })
+
+  // Matching
+  const [ditherMode, setDitherMode] = useState(initialDitherMode)
+  const [colorMetric, setColorMetric] = useState(initialColorMetric)
+
+  // Mapping result for the current settings
+  const [preview, setPreview] = useState(null)
+  const [isMapping, setIsMapping] = useState(false)
+  const latestRequest = useRef(0)
+
+  const beforeCanvasRef = useRef(null)
+  const afterCanvasRef = useRef(null)
+
+  const cropFractions = useMemo(() => ({
+    left: crop.left / 100,
+    top: crop.top / 100,
+    right: crop.right / 100,
+    bottom: crop.bottom / 100
+  }), [crop])
+
+  // Stock available to the import: cells already on the grid are spoken for,
+  // except the ones the import will overwrite. A whole-grid import replaces
+  // the active layer, so only what the layers above it show stays.
+  const stockPalette = useMemo(() => {
+    if (target === 'grid') return getRemainingPalette(palette, coveringGrid)
+    return getRemainingPalette(palette, grid, target === 'selection' ? selection : null)
+  }, [target, palette, grid, coveringGrid, selection])
+
+  const sourceSize = getTransformedSize(image, { rotation, crop: cropFractions })
+  const optimal = getOptimalGridForImage(sourceSize.width, sourceSize.height, stockPalette, usagePercent)
+
+  let rows = sizeMode === 'usage' ? optimal.rows : customRows
+  let cols = sizeMode === 'usage' ? optimal.cols : customCols
+  if (target === 'selection' && selection) {
+    // Selection size is fixed; the image is stretched to fit (crop to adjust)
+    rows = selection.endRow - selection.startRow + 1
+    cols = selection.endCol - selection.startCol + 1
+  }
+
+  // Only selected cells get written, so a lasso or wand selection maps and
+  // counts just the cells inside it, not its whole bounding box
+  const selectionMask = target === 'selection' && selection ? selection.mask : null
+  const cellCount = selectionMask
+    ? selectionMask.reduce((sum, row) => sum + row.filter(Boolean).length, 0)
+    : rows * cols
+
+  const paletteInfo = useMemo(() => {
+    const info = {}
+    stockPalette.forEach(p => { info[p.hex] = p })
+    return info
+  }, [stockPalette])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onCancel])
+
+  // Render the adjusted source image ("before")
+  useEffect(() => {
+    const canvas = beforeCanvasRef.current
+    if (!canvas) return
+    const { width, height } = fitPreview(sourceSize.width, sourceSize.height)
+    const rendered = renderTransformedImage(image, { rotation, crop: cropFractions }, width, height)
+    adjustCanvas(rendered, adjustments)
+    canvas.width = width
+    canvas.height = height
+    canvas.getContext('2d').drawImage(rendered, 0, 0)
+  }, [image, rotation, cropFractions, adjustments, sourceSize.width, sourceSize.height])
+
+  // Re-map the image whenever a setting changes
+  useEffect(() => {
+    const requestId = ++latestRequest.current
+    setIsMapping(true)
+    const timer = setTimeout(() => {
+      const sampled = samplePixelColors(image, { rows, cols, rotation, crop: cropFractions, ...adjustments })
+      const pixelColors = selectionMask
+        ? sampled.map((row, r) => row.map((hex, c) => (selectionMask[r]?.[c] ? hex : TRANSPARENT)))
+        : sampled
+      mapImageToPalette(pixelColors, stockPalette, { ditherMode, metric: colorMetric })
+        .then(({ cells, shortage }) => {
+          if (requestId !== latestRequest.current) return
+          setPreview({ cells, shortage, rows, cols, mask: selectionMask })
+          setIsMapping(false)
+        })
+        .catch(err => {
+          if (requestId !== latestRequest.current) return
+          console.error('Failed to map image:', err)
+          setPreview(null)
+          setIsMapping(false)
+        })
+    }, MAPPING_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [image, stockPalette, rows, cols, selectionMask, rotation, cropFractions, adjustments, ditherMode, colorMetric])
+
+  // Render the domino mapping ("after")
+  useEffect(() => {
+    const canvas = afterCanvasRef.current
+    if (!canvas || !preview) return
+    const { width, height } = fitPreview(preview.cols, preview.rows)
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+    const cellWidth = width / preview.cols
+    const cellHeight = height / preview.rows
+    ctx.clearRect(0, 0, width, height)
+    preview.cells.forEach((row, r) => {
+      row.forEach((cell, c) => {
+        if (preview.mask && !preview.mask[r]?.[c]) return
+        ctx.fillStyle = cell === CLEAR ? '#f0f0f0' : cell === DISNEY ? '#a78bfa' : cell
+        ctx.fillRect(
+          Math.floor(c * cellWidth),
+          Math.floor(r * cellHeight),
+          Math.ceil(cellWidth),
+          Math.ceil(cellHeight)
+        )
+      })
+    })
+  }, [preview])
+
+  // Per-color usage and shortage for the current preview
+  const colorTable = useMemo(() => {
+    if (!preview) return []
+    const used = {}
+    preview.cells.forEach(row => row.forEach(cell => {
+      if (cell !== CLEAR) used[cell] = (used[cell] || 0) + 1
+    }))
+    const hexes = new Set([...Object.keys(used), ...Object.keys(preview.shortage.byColor)])
+    return [...hexes]
+      .map(hex => ({
+        hex,
+        name: paletteInfo[hex]?.name || hex,
+        used: used[hex] || 0,
+        available: paletteInfo[hex]?.quantity ?? Infinity,
+        short: preview.shortage.byColor[hex] || 0
+      }))
+      .sort((a, b) => b.short - a.short || b.used - a.used)
+  }, [preview, paletteInfo])
+
+  const updateCrop = (edge, value) => {
+    // Keep at least 10% of the image on each axis
+    const opposite = { left: 'right', right: 'left', top: 'bottom', bottom: 'top' }[edge]
+    const limit = 90 - crop[opposite]
+    setCrop(prev => ({ ...prev, [edge]: Math.max(0, Math.min(limit, value)) }))
+  }
+
+  const switchToCustomSize = () => {
+    setCustomRows(optimal.rows)
+    setCustomCols(optimal.cols)
+    setSizeMode('custom')
+  }
+
+  // Keep the image aspect ratio when editing one dimension
+  const handleCustomRowsChange = (value) => {
+    const newRows = clampSize(value)
+    setCustomRows(newRows)
+    setCustomCols(clampSize(Math.round(newRows * sourceSize.width / sourceSize.height)))
+  }
+
+  const handleCustomColsChange = (value) => {
+    const newCols = clampSize(value)
+    setCustomCols(newCols)
+    setCustomRows(clampSize(Math.round(newCols * sourceSize.height / sourceSize.width)))
+  }
+
+  const handleConfirm = () => {
+    if (!preview || isMapping) return
+    onConfirm({
+      cells: preview.cells,
+      rows: preview.rows,
+      cols: preview.cols,
+      target,
+      ditherMode,
+      colorMetric
+    })
+  }
+
+  const renderSlider = (label, value, onChange, min = -100, max = 100) => (
+    <label className="wizard-slider">
+      <span className="wizard-slider-label">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        value={value}
+        onChange={(e) => onChange(parseInt(e.target.value))}
+      />
+      <span className="wizard-slider-value">{value}</span>
+    </label>
+  )
+
+  return (
+    <div className="fill-popup-overlay">
+      <div className="import-wizard" onClick={(e) => e.stopPropagation()}>
+        <div className="import-wizard-header">
+          Import Image
+          <span className="import-wizard-subtitle">
+            {image.naturalWidth} × {image.naturalHeight} px
+          </span>
+        </div>
+
+        <div className="import-wizard-body">
+          {/* Settings */}
+          <div className="import-wizard-settings">
+            <div className="wizard-group">
+              <div className="wizard-group-title">Place Into</div>
+              <div className="picker-toggle">
+                {TARGETS.map(option => (
+                  <button
+                    key={option.value}
+                    className={`toggle-btn ${target === option.value ? 'active' : ''}`}
+                    onClick={() => setTarget(option.value)}
+                    disabled={option.value === 'selection' && !selection}
+                    title={option.value === 'selection' && !selection ? 'Select an area on the grid first' : undefined}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <div className="wizard-note">{TARGET_HINTS[target]}</div>
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Crop & Rotate</div>
+              <div className="wizard-button-row">
+                <button className="grid-btn small" onClick={() => setRotation((rotation + 270) % 360)}>
+                  ⟲ Rotate left
+                </button>
+                <button className="grid-btn small" onClick={() => setRotation((rotation + 90) % 360)}>
+                  ⟳ Rotate right
+                </button>
+                <span className="wizard-note">{rotation}°</span>
+              </div>
+              {renderSlider('Left', crop.left, (v) => updateCrop('left', v), 0, 90)}
+              {renderSlider('Right', crop.right, (v) => updateCrop('right', v), 0, 90)}
+              {renderSlider('Top', crop.top, (v) => updateCrop('top', v), 0, 90)}
+              {renderSlider('Bottom', crop.bottom, (v) => updateCrop('bottom', v), 0, 90)}
+            </div>
+
+            {target === 'selection' ? (
+              <div className="wizard-group">
+                <div className="wizard-group-title">Size</div>
+                <div className="wizard-note">
+                  {selectionMask && cellCount !== rows * cols
+                    ? `${cellCount} selected cells in a ${rows} × ${cols} area`
+                    : `${rows} × ${cols} selection = ${cellCount} dominoes`} ({optimal.availableDominoes} available)
+                </div>
+              </div>
+            ) : (
+              <div className="wizard-group">
+                <div className="wizard-group-title">{target === 'stamp' ? 'Stamp Size' : 'Grid Size'}</div>
+                <div className="picker-toggle">
+                  <button
+                    className={`toggle-btn ${sizeMode === 'usage' ? 'active' : ''}`}
+                    onClick={() => setSizeMode('usage')}
+                  >
+                    By usage
+                  </button>
+                  <button
+                    className={`toggle-btn ${sizeMode === 'custom' ? 'active' : ''}`}
+                    onClick={switchToCustomSize}
+                  >
+                    Custom
+                  </button>
+                </div>
+                {sizeMode === 'usage' ? (
+                  renderSlider('Usage %', usagePercent, setUsagePercent, 10, 100)
+                ) : (
+                  <div className="wizard-button-row">
+                    <div className="input-group">
+                      <label htmlFor="wizard-rows">Rows:</label>
+                      <input
+                        id="wizard-rows"
+                        type="number"
+                        min="1"
+                        max={MAX_GRID_SIZE}
+                        value={customRows}
+                        onChange={(e) => handleCustomRowsChange(e.target.value)}
+                      />
+                    </div>
+                    <div className="input-group">
+                      <label htmlFor="wizard-cols">Columns:</label>
+                      <input
+                        id="wizard-cols"
+                        type="number"
+                        min="1"
+                        max={MAX_GRID_SIZE}
+                        value={customCols}
+                        onChange={(e) => handleCustomColsChange(e.target.value)}
+                      />
+                    </div>
+                  </div>
+                )}
+                <div className="wizard-note">
+                  {rows} × {cols} = {rows * cols} dominoes ({optimal.availableDominoes} available)
+                </div>
+              </div>
+            )}
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Adjust</div>
+              {renderSlider('Brightness', adjustments.brightness, (v) => setAdjustments(prev => ({ ...prev, brightness: v })))}
+              {renderSlider('Contrast', adjustments.contrast, (v) => setAdjustments(prev => ({ ...prev, contrast: v })))}
+              {renderSlider('Saturation', adjustments.saturation, (v) => setAdjustments(prev => ({ ...prev, saturation: v })))}
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Matching</div>
+              <label className="wizard-select-row">
+                <span>Dithering</span>
+                <select
+                  value={ditherMode}
+                  onChange={(e) => setDitherMode(e.target.value)}
+                  className="mirror-select"
+                >
+                  {DITHER_MODES.map(mode => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="wizard-select-row">
+                <span>Color metric</span>
+                <select
+                  value={colorMetric}
+                  onChange={(e) => setColorMetric(e.target.value)}
+                  className="mirror-select"
+                >
+                  {COLOR_METRICS.map(metric => (
+                    <option key={metric.value} value={metric.value}>{metric.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
+
+          {/* Preview */}
+          <div className="import-wizard-preview">
+            <div className="wizard-preview-pair">
+              <figure className="wizard-preview">
+                <canvas ref={beforeCanvasRef} />
+                <figcaption>Before</figcaption>
+              </figure>
+              <figure className={`wizard-preview ${isMapping ? 'is-mapping' : ''}`}>
+                <canvas ref={afterCanvasRef} />
+                <figcaption>{isMapping ? 'Mapping…' : 'Dominoes'}</figcaption>
+              </figure>
+            </div>
+
+            {preview && preview.shortage.total > 0 && (
+              <div className="stats-warning">
+                {preview.shortage.total} cell{preview.shortage.total === 1 ? '' : 's'} can't be covered by your stock and will be left clear.
+              </div>
+            )}
+
+            <div className="wizard-color-table-wrapper">
+              <table className="wizard-color-table">
+                <thead>
+                  <tr>
+                    <th>Color</th>
+                    <th>Used</th>
+                    <th>Available</th>
+                    <th>Short</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {colorTable.map(({ hex, name, used, available, short }) => (
+                    <tr key={hex} className={short > 0 ? 'over-limit' : ''}>
+                      <td>
+                        <span className="color-count-swatch" style={{ backgroundColor: hex }} />
+                        {name}
+                      </td>
+                      <td>{used}</td>
+                      <td>{available === Infinity ? '∞' : available}</td>
+                      <td>{short > 0 ? short : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+
+        <div className="import-wizard-footer">
+          <button className="grid-btn small" onClick={onCancel}>
+            Cancel
+          </button>
+          <button
+            className="grid-btn small primary"
+            onClick={handleConfirm}
+            disabled={!preview || isMapping}
+          >
+            Import {preview ? `${preview.rows} × ${preview.cols}` : ''}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImageImportWizard
@@ -0,0 +1,131 @@
+import { useState } from 'react'
+import { LAYER_OPACITIES } from '../utils/layers'
+
+function LayersPanel({ layers, activeLayerId, onSelect, onAdd, onDelete, onMove, onChange, onMergeDown, onFlatten, onClose }) {
+  // Layer being renamed and the name typed so far
+  const [renaming, setRenaming] = useState(null) // { id, name }
+
+  const activeIndex = layers.findIndex(layer => layer.id === activeLayerId)
+  const activeLayer = layers[activeIndex]
+
+  const finishRename = () => {
+    if (!renaming) return
+    const layer = layers.find(l => l.id === renaming.id)
+    const name = renaming.name.trim()
+    setRenaming(null)
+    if (layer && name && name !== layer.name) {
+      onChange(layer.id, { name }, `Rename layer "${layer.name}" to "${name}"`)
+    }
+  }
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') finishRename()
+    if (e.key === 'Escape') setRenaming(null)
+  }
+
+  // Top layer first, like the stack reads on screen
+  const renderLayer = (layer) => {
+    const isActive = layer.id === activeLayerId
+    return (
+      <li key={layer.id} className={`layer-item ${isActive ? 'active' : ''} ${layer.visible ? '' : 'hidden-layer'}`}>
+        <input
+          type="checkbox"
+          checked={layer.visible}
+          onChange={() => onChange(layer.id, { visible: !layer.visible }, `${layer.visible ? 'Hide' : 'Show'} layer "${layer.name}"`)}
+          title={layer.visible ? 'Hide layer' : 'Show layer'}
+        />
+        {renaming?.id === layer.id ? (
+          <input
+            type="text"
+            className="layer-name-input"
+            value={renaming.name}
+            onChange={(e) => setRenaming({ id: layer.id, name: e.target.value })}
+            onKeyDown={handleRenameKeyDown}
+            onBlur={finishRename}
+            autoFocus
+          />
+        ) : (
+          <button
+            className="layer-name"
+            onClick={() => onSelect(layer.id)}
+            onDoubleClick={() => setRenaming({ id: layer.id, name: layer.name })}
+            title={isActive ? 'Layer being edited - double-click to rename' : 'Edit this layer - double-click to rename'}
+          >
+            {layer.name}
+          </button>
+        )}
+        <select
+          className="layer-opacity"
+          value={layer.opacity}
+          onChange={(e) => onChange(layer.id, { opacity: Number(e.target.value) }, `Set "${layer.name}" opacity to ${Math.round(e.target.value * 100)}%`)}
+          title="Opacity on screen - doesn't change what gets built"
+        >
+          {LAYER_OPACITIES.map(opacity => (
+            <option key={opacity} value={opacity}>{Math.round(opacity * 100)}%</option>
+          ))}
+        </select>
+        <button
+          className={`toggle-btn layer-lock ${layer.locked ? 'active' : ''}`}
+          onClick={() => onChange(layer.id, { locked: !layer.locked }, `${layer.locked ? 'Unlock' : 'Lock'} layer "${layer.name}"`)}
+          title={layer.locked ? 'Unlock layer' : 'Lock layer against changes'}
+        >
+          {layer.locked ? 'Locked' : 'Lock'}
+        </button>
+      </li>
+    )
+  }
+
+  return (
+    <aside className="history-panel layers-panel">
+      <div className="history-header">
+        <span>Layers</span>
+        <button className="grid-btn small" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <ol className="layer-list">
+        {[...layers].reverse().map(renderLayer)}
+      </ol>
+      <div className="layer-actions">
+        <button className="grid-btn small" onClick={onAdd} title="Add an empty layer above this one">
+          Add
+        </button>
+        <button className="grid-btn small" onClick={() => onDelete(activeLayerId)} disabled={layers.length <= 1}>
+          Delete
+        </button>
+        <button
+          className="grid-btn small"
+          onClick={() => onMove(activeLayerId, 1)}
+          disabled={activeIndex >= layers.length - 1}
+          title="Move layer up"
+        >
+          Up
+        </button>
+        <button
+          className="grid-btn small"
+          onClick={() => onMove(activeLayerId, -1)}
+          disabled={activeIndex <= 0}
+          title="Move layer down"
+        >
+          Down
+        </button>
+        <button
+          className="grid-btn small"
+          onClick={() => onMergeDown(activeLayerId)}
+          disabled={activeIndex <= 0}
+          title={activeIndex > 0 ? `Merge "${activeLayer.name}" into "${layers[activeIndex - 1].name}"` : 'Nothing below to merge into'}
+        >
+          Merge Down
+        </button>
+        <button className="grid-btn small" onClick={onFlatten} disabled={layers.length <= 1}>
+          Flatten
+        </button>
+      </div>
+      <div className="wizard-note history-footer">
+        Stats, exports and saved files use the visible layers flattened. Transparent cells show the layers below.
+      </div>
+    </aside>
+  )
+}
+
+export default LayersPanel
@@ -0,0 +1,390 @@
+import { useState, useEffect } from 'react'
+import ColorWheel from './ColorWheel'
+import {
+  PALETTE_SORTS,
+  isSpecialColor,
+  parseHexInput,
+  countColorInLayers
+} from '../utils/paletteEditing'
+import { findClosestPaletteColor } from '../utils/colorUtils'
+
+const CLEAR = 'clear'
+const DISNEY = 'disney'
+
+// Quantity fields: blank or ∞ means no limit
+const formatQuantity = (quantity) => (quantity === Infinity ? '' : String(quantity))
+
+const parseQuantity = (input) => {
+  const text = input.trim()
+  if (text === '' || text === '∞') return Infinity
+  const quantity = Number(text)
+  return Number.isInteger(quantity) && quantity >= 0 ? quantity : null
+}
+
+function PaletteEditor({
+  palette,
+  layers,
+  colorCounts,
+  colorMetric,
+  onAdd,
+  onChange,
+  onDelete,
+  onMove,
+  onSort,
+  onImport,
+  onReset,
+  onClose
+}) {
+  // Color being added
+  const [newHex, setNewHex] = useState('#ff0000')
+  const [hexInput, setHexInput] = useState('#ff0000')
+  const [newName, setNewName] = useState('')
+  const [newQuantity, setNewQuantity] = useState('50')
+  const [sortKey, setSortKey] = useState('hue')
+  // Color waiting for a replacement before it's deleted
+  const [pendingDelete, setPendingDelete] = useState(null) // { hex, name, count, replacement }
+  // Row being dragged: grabbed by its handle, then dragged over other rows
+  const [grabbed, setGrabbed] = useState(null)
+  const [dragOver, setDragOver] = useState(null)
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  // A handle let go of without dragging
+  useEffect(() => {
+    if (grabbed === null) return
+    const handleMouseUp = () => setGrabbed(null)
+    window.addEventListener('mouseup', handleMouseUp)
+    return () => window.removeEventListener('mouseup', handleMouseUp)
+  }, [grabbed])
+
+  // Forget a pending delete once its color is gone (e.g. after an undo elsewhere)
+  useEffect(() => {
+    if (pendingDelete && !palette.some(p => p.hex === pendingDelete.hex)) setPendingDelete(null)
+  }, [palette, pendingDelete])
+
+  const displayName = (color) => color.name || color.hex
+
+  const handleWheelChange = (hex) => {
+    setNewHex(hex)
+    setHexInput(hex)
+  }
+
+  const handleHexInput = (value) => {
+    setHexInput(value)
+    const hex = parseHexInput(value)
+    if (hex) setNewHex(hex)
+  }
+
+  const handleAdd = () => {
+    const quantity = parseQuantity(newQuantity)
+    if (quantity === null) {
+      alert('Quantity must be a whole number, or blank for no limit.')
+      return
+    }
+    if (onAdd({ hex: newHex, quantity, name: newName.trim() || undefined })) {
+      setNewName('')
+    }
+  }
+
+  // Text fields commit when they lose focus, so each edit is one undo step
+  const commitName = (color, input) => {
+    const name = input.value.trim() || undefined
+    if (name !== color.name) {
+      onChange(color.hex, { name }, `Rename ${displayName(color)} to ${name || color.hex}`)
+    }
+  }
+
+  const commitHex = (color, input) => {
+    const hex = parseHexInput(input.value)
+    if (!hex) {
+      alert(`"${input.value}" isn't a hex color like #a6271c.`)
+      input.value = color.hex
+      return
+    }
+    if (hex !== color.hex && !onChange(color.hex, { hex }, `Change ${displayName(color)} to ${hex}`)) {
+      input.value = color.hex
+    }
+  }
+
+  const commitQuantity = (color, input) => {
+    const quantity = parseQuantity(input.value)
+    if (quantity === null) {
+      alert('Quantity must be a whole number, or blank for no limit.')
+      input.value = formatQuantity(color.quantity)
+      return
+    }
+    if (quantity !== color.quantity) {
+      onChange(color.hex, { quantity }, `Set ${displayName(color)} quantity to ${quantity === Infinity ? 'unlimited' : quantity}`)
+    }
+  }
+
+  const blurOnEnter = (e) => {
+    if (e.key === 'Enter') e.target.blur()
+  }
+
+  // Colors nobody uses go straight away; used ones ask what to paint their cells with
+  const requestDelete = (color) => {
+    const count = countColorInLayers(layers, color.hex)
+    if (count === 0) {
+      onDelete(color.hex, null)
+      return
+    }
+    const others = palette.filter(p => p.hex !== color.hex)
+    const replacement = isSpecialColor(color.hex) ? CLEAR : findClosestPaletteColor(color.hex, others, colorMetric)
+    setPendingDelete({ hex: color.hex, name: displayName(color), count, replacement })
+  }
+
+  const confirmDelete = () => {
+    onDelete(pendingDelete.hex, pendingDelete.replacement)
+    setPendingDelete(null)
+  }
+
+  const handleDrop = (index) => {
+    if (grabbed !== null && grabbed !== index) onMove(grabbed, index)
+    setGrabbed(null)
+    setDragOver(null)
+  }
+
+  const renderSwatch = (hex) => (
+    <span
+      className={`color-count-swatch ${hex === CLEAR ? 'clear-swatch' : ''} ${hex === DISNEY ? 'disney-swatch' : ''}`}
+      style={!isSpecialColor(hex) ? { backgroundColor: hex } : undefined}
+    >
+      {hex === CLEAR && 'C'}
+      {hex === DISNEY && 'D'}
+    </span>
+  )
+
+  const renderRow = (color, index) => {
+    const used = colorCounts[color.hex] || 0
+    const overLimit = color.quantity !== Infinity && used > color.quantity
+    return (
+      <tr
+        key={color.hex}
+        className={`${overLimit ? 'over-limit' : ''} ${grabbed === index ? 'dragging' : ''} ${dragOver === index && grabbed !== index ? 'drag-over' : ''}`}
+        draggable={grabbed === index}
+        onDragStart={(e) => e.dataTransfer.setData('text/plain', color.hex)}
+        onDragOver={(e) => {
+          if (grabbed === null) return
+          e.preventDefault()
+          setDragOver(index)
+        }}
+        onDrop={() => handleDrop(index)}
+        onDragEnd={() => {
+          setGrabbed(null)
+          setDragOver(null)
+        }}
+      >
+        <td>
+          <span
+            className="palette-drag-handle"
+            onMouseDown={() => setGrabbed(index)}
+            title="Drag to reorder"
+          >
+            ⠿
+          </span>
+          {renderSwatch(color.hex)}
+        </td>
+        <td>
+          <input
+            key={`name-${color.name}`}
+            type="text"
+            className="palette-edit-input"
+            defaultValue={color.name || ''}
+            placeholder={color.hex}
+            onBlur={(e) => commitName(color, e.target)}
+            onKeyDown={blurOnEnter}
+          />
+        </td>
+        <td>
+          {isSpecialColor(color.hex) ? (
+            <span className="wizard-note">—</span>
+          ) : (
+            <input
+              key={`hex-${color.hex}`}
+              type="text"
+              className="palette-edit-input palette-hex-input"
+              defaultValue={color.hex}
+              onBlur={(e) => commitHex(color, e.target)}
+              onKeyDown={blurOnEnter}
+            />
+          )}
+        </td>
+        <td>
+          <input
+            key={`quantity-${color.quantity}`}
+            type="text"
+            inputMode="numeric"
+            className="palette-edit-input palette-quantity-input"
+            defaultValue={formatQuantity(color.quantity)}
+            placeholder="∞"
+            onBlur={(e) => commitQuantity(color, e.target)}
+            onKeyDown={blurOnEnter}
+          />
+        </td>
+        <td>{used}</td>
+        <td>
+          <button
+            className="grid-btn small"
+            onClick={() => requestDelete(color)}
+            disabled={color.hex === CLEAR}
+            title={color.hex === CLEAR ? 'Clear is what erased cells hold' : `Remove ${displayName(color)} from the palette`}
+          >
+            Delete
+          </button>
+        </td>
+      </tr>
+    )
+  }
+
+  return (
+    <div className="fill-popup-overlay">
+      <div className="import-wizard palette-editor" onClick={(e) => e.stopPropagation()}>
+        <div className="import-wizard-header">
+          Edit Palette
+          <span className="import-wizard-subtitle">
+            {palette.length} colors
+          </span>
+        </div>
+
+        <div className="import-wizard-body">
+          <div className="import-wizard-settings">
+            <div className="wizard-group">
+              <div className="wizard-group-title">Add Color</div>
+              <ColorWheel value={newHex} onChange={handleWheelChange} />
+              <div className="input-group">
+                <label htmlFor="palette-new-hex">Hex:</label>
+                <input
+                  id="palette-new-hex"
+                  type="text"
+                  className="palette-edit-input palette-hex-input"
+                  value={hexInput}
+                  onChange={(e) => handleHexInput(e.target.value)}
+                  onBlur={() => setHexInput(newHex)}
+                />
+              </div>
+              <div className="input-group">
+                <label htmlFor="palette-new-name">Name:</label>
+                <input
+                  id="palette-new-name"
+                  type="text"
+                  className="palette-edit-input"
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+                  placeholder={newHex}
+                />
+              </div>
+              <div className="input-group">
+                <label htmlFor="palette-new-quantity">Quantity:</label>
+                <input
+                  id="palette-new-quantity"
+                  type="text"
+                  inputMode="numeric"
+                  className="palette-edit-input palette-quantity-input"
+                  value={newQuantity}
+                  onChange={(e) => setNewQuantity(e.target.value)}
+                  placeholder="∞"
+                />
+              </div>
+              <div className="wizard-button-row">
+                <button className="grid-btn small primary" onClick={handleAdd}>
+                  Add to Palette
+                </button>
+              </div>
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Order</div>
+              <label className="wizard-select-row">
+                <span>Sort by</span>
+                <select value={sortKey} onChange={(e) => setSortKey(e.target.value)} className="mirror-select">
+                  {PALETTE_SORTS.map(s => (
+                    <option key={s.value} value={s.value}>{s.label}</option>
+                  ))}
+                </select>
+              </label>
+              <div className="wizard-button-row">
+                <button className="grid-btn small" onClick={() => onSort(sortKey)}>
+                  Sort
+                </button>
+              </div>
+              <div className="wizard-note">Clear and Disney stay first. Drag rows by their handle to reorder by hand.</div>
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Whole Palette</div>
+              <div className="wizard-button-row">
+                <button className="grid-btn small" onClick={onImport} title="Load colors from a JSON or CSV file">
+                  Import…
+                </button>
+                <button className="grid-btn small" onClick={onReset} title="Go back to the default domino colors; cells in other colors get the closest default one">
+                  Reset to Default
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="import-wizard-preview">
+            {pendingDelete && (
+              <div className="palette-delete-prompt">
+                <span>
+                  {pendingDelete.count} {pendingDelete.count === 1 ? 'cell uses' : 'cells use'} <strong>{pendingDelete.name}</strong>. Replace with
+                </span>
+                <select
+                  value={pendingDelete.replacement}
+                  onChange={(e) => setPendingDelete({ ...pendingDelete, replacement: e.target.value })}
+                  className="mirror-select"
+                >
+                  {palette.filter(p => p.hex !== pendingDelete.hex).map(p => (
+                    <option key={p.hex} value={p.hex}>{displayName(p)}</option>
+                  ))}
+                </select>
+                <button className="grid-btn small primary" onClick={confirmDelete}>
+                  Delete
+                </button>
+                <button className="grid-btn small" onClick={() => setPendingDelete(null)}>
+                  Cancel
+                </button>
+              </div>
+            )}
+
+            <div className="wizard-color-table-wrapper">
+              <table className="wizard-color-table palette-edit-table">
+                <thead>
+                  <tr>
+                    <th>Color</th>
+                    <th>Name</th>
+                    <th>Hex</th>
+                    <th>Quantity</th>
+                    <th>Used</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {palette.map(renderRow)}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+
+        <div className="import-wizard-footer">
+          <span className="wizard-note">Every change can be undone with Cmd+Z</span>
+          <button className="grid-btn small primary" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PaletteEditor
@@ -0,0 +1,270 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { loadImageFile } from '../utils/imageUtils'
+import {
+  EXTRACTION_METHODS,
+  sampleImagePixels,
+  extractPalette,
+  recommendQuantities,
+  compareWithInventory
+} from '../utils/paletteExtraction'
+
+const CLEAR = 'clear'
+const DISNEY = 'disney'
+
+const MIN_COLORS = 2
+const MAX_COLORS = 32
+
+function PaletteExtractor({
+  palette,
+  inventory,
+  defaultRows,
+  defaultCols,
+  onApplyPalette,
+  onClose
+}) {
+  const fileInputRef = useRef(null)
+  const [image, setImage] = useState(null)
+  const [pixels, setPixels] = useState([])
+  const [colorCount, setColorCount] = useState(12)
+  const [method, setMethod] = useState('kmeans')
+  const [rows, setRows] = useState(defaultRows)
+  const [cols, setCols] = useState(defaultCols)
+  const [copied, setCopied] = useState(false)
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const proposal = useMemo(() => {
+    if (pixels.length === 0) return []
+    return recommendQuantities(extractPalette(pixels, colorCount, method), rows * cols)
+  }, [pixels, colorCount, method, rows, cols])
+
+  const comparison = useMemo(() => compareWithInventory(proposal, inventory), [proposal, inventory])
+  const purchases = comparison.purchases.filter(p => p.buy > 0)
+
+  const handleFileChange = (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    loadImageFile(file)
+      .then(img => {
+        setImage(img)
+        setPixels(sampleImagePixels(img))
+      })
+      .catch(err => {
+        console.error('Failed to load image:', err)
+        alert('Failed to load image. Please check the file format.')
+      })
+  }
+
+  const handleApply = () => {
+    // Keep the special clear/disney entries from the current palette
+    const specials = palette.filter(p => p.hex === CLEAR || p.hex === DISNEY)
+    const colors = comparison.matches.map((m, i) => ({
+      hex: m.hex,
+      quantity: m.quantity,
+      name: m.match?.name || `Color ${i + 1}`
+    }))
+    onApplyPalette([...specials, ...colors])
+  }
+
+  const handleCopyPurchases = () => {
+    const lines = purchases.map(p =>
+      `${p.name}${p.isNew ? '' : ` (${p.hex})`}: buy ${p.buy} (need ${p.need}, have ${p.have === Infinity ? '∞' : p.have})`
+    )
+    navigator.clipboard?.writeText(lines.join('\n')).then(() => {
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    })
+  }
+
+  return (
+    <div className="fill-popup-overlay">
+      <div className="import-wizard palette-extractor" onClick={(e) => e.stopPropagation()}>
+        <div className="import-wizard-header">
+          Extract Palette from Image
+          {image && (
+            <span className="import-wizard-subtitle">
+              {image.naturalWidth} × {image.naturalHeight} px
+            </span>
+          )}
+        </div>
+
+        <div className="import-wizard-body">
+          <div className="import-wizard-settings">
+            <div className="wizard-group">
+              <div className="wizard-group-title">Reference Image</div>
+              <div className="wizard-button-row">
+                <button className="grid-btn small" onClick={() => fileInputRef.current?.click()}>
+                  {image ? 'Choose another…' : 'Choose image…'}
+                </button>
+              </div>
+              {image && (
+                <img className="palette-extractor-thumb" src={image.src} alt="Reference" />
+              )}
+              <input
+                type="file"
+                ref={fileInputRef}
+                className="hidden-input"
+                accept="image/*"
+                onChange={handleFileChange}
+              />
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Proposal</div>
+              <label className="wizard-slider">
+                <span className="wizard-slider-label">Colors</span>
+                <input
+                  type="range"
+                  min={MIN_COLORS}
+                  max={MAX_COLORS}
+                  value={colorCount}
+                  onChange={(e) => setColorCount(parseInt(e.target.value))}
+                />
+                <span className="wizard-slider-value">{colorCount}</span>
+              </label>
+              <label className="wizard-select-row">
+                <span>Method</span>
+                <select value={method} onChange={(e) => setMethod(e.target.value)} className="mirror-select">
+                  {EXTRACTION_METHODS.map(m => (
+                    <option key={m.value} value={m.value}>{m.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Planned Grid</div>
+              <div className="wizard-button-row">
+                <div className="input-group">
+                  <label htmlFor="extract-rows">Rows:</label>
+                  <input
+                    id="extract-rows"
+                    type="number"
+                    min="1"
+                    value={rows}
+                    onChange={(e) => setRows(Math.max(1, parseInt(e.target.value) || 1))}
+                  />
+                </div>
+                <div className="input-group">
+                  <label htmlFor="extract-cols">Columns:</label>
+                  <input
+                    id="extract-cols"
+                    type="number"
+                    min="1"
+                    value={cols}
+                    onChange={(e) => setCols(Math.max(1, parseInt(e.target.value) || 1))}
+                  />
+                </div>
+              </div>
+              <div className="wizard-note">{rows * cols} dominoes</div>
+            </div>
+          </div>
+
+          <div className="import-wizard-preview">
+            {proposal.length === 0 ? (
+              <div className="wizard-note">Choose an image to propose domino colors.</div>
+            ) : (
+              <>
+                <div className="wizard-group-title">Proposed Colors</div>
+                <div className="wizard-color-table-wrapper">
+                  <table className="wizard-color-table">
+                    <thead>
+                      <tr>
+                        <th>Color</th>
+                        <th>Share</th>
+                        <th>Quantity</th>
+                        <th>In inventory</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.matches.map(m => (
+                        <tr key={m.hex}>
+                          <td>
+                            <span className="color-count-swatch" style={{ backgroundColor: m.hex }} />
+                            {m.hex}
+                          </td>
+                          <td>{Math.round(m.share * 100)}%</td>
+                          <td>{m.quantity}</td>
+                          <td>
+                            {m.match ? (
+                              <>
+                                <span className="color-count-swatch" style={{ backgroundColor: m.match.hex }} />
+                                {m.match.name || m.match.hex}
+                              </>
+                            ) : (
+                              <span className="wizard-note">No close match</span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="wizard-group-title">Shopping List</div>
+                {purchases.length === 0 ? (
+                  <div className="wizard-note">Your inventory already covers this proposal.</div>
+                ) : (
+                  <div className="wizard-color-table-wrapper">
+                    <table className="wizard-color-table">
+                      <thead>
+                        <tr>
+                          <th>Color</th>
+                          <th>Need</th>
+                          <th>Have</th>
+                          <th>Buy</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {purchases.map(p => (
+                          <tr key={p.hex} className={p.isNew ? 'approaching-limit' : ''}>
+                            <td>
+                              <span className="color-count-swatch" style={{ backgroundColor: p.hex }} />
+                              {p.name}
+                            </td>
+                            <td>{p.need}</td>
+                            <td>{p.have === Infinity ? '∞' : p.have}</td>
+                            <td>{p.buy}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        <div className="import-wizard-footer">
+          {purchases.length > 0 && (
+            <button className="grid-btn small" onClick={handleCopyPurchases}>
+              {copied ? 'Copied!' : 'Copy shopping list'}
+            </button>
+          )}
+          <button className="grid-btn small" onClick={onClose}>
+            Close
+          </button>
+          <button
+            className="grid-btn small primary"
+            onClick={handleApply}
+            disabled={proposal.length === 0}
+            title="Replace the palette with these colors and quantities"
+          >
+            Apply as palette
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PaletteExtractor
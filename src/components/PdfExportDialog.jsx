@@ -0,0 +1,185 @@
+import { useState, useEffect, useMemo } from 'react'
+import {
+  DEFAULT_BLUEPRINT_OPTIONS,
+  getSuggestedTileSize,
+  getTiles,
+  createBlueprintPdf
+} from '../utils/pdfBlueprint'
+import { PAPER_SIZES } from '../utils/pdfWriter'
+import { downloadBlob } from '../utils/download'
+
+const ORIENTATIONS = [
+  { value: 'landscape', label: 'Landscape' },
+  { value: 'portrait', label: 'Portrait' }
+]
+
+const MAX_OVERLAP = 5
+
+function PdfExportDialog({ grid, palette, onClose }) {
+  const [paper, setPaper] = useState(DEFAULT_BLUEPRINT_OPTIONS.paper)
+  const [orientation, setOrientation] = useState(DEFAULT_BLUEPRINT_OPTIONS.orientation)
+  const [tileSize, setTileSize] = useState(() =>
+    getSuggestedTileSize(DEFAULT_BLUEPRINT_OPTIONS.paper, DEFAULT_BLUEPRINT_OPTIONS.orientation)
+  )
+  const [overlap, setOverlap] = useState(DEFAULT_BLUEPRINT_OPTIONS.overlap)
+  const [showSpecialLetters, setShowSpecialLetters] = useState(DEFAULT_BLUEPRINT_OPTIONS.showSpecialLetters)
+  const [isExporting, setIsExporting] = useState(false)
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const rows = grid.length
+  const cols = grid[0]?.length || 0
+
+  const options = useMemo(
+    () => ({ paper, orientation, ...tileSize, overlap, showSpecialLetters }),
+    [paper, orientation, tileSize, overlap, showSpecialLetters]
+  )
+  const tiles = useMemo(() => getTiles(rows, cols, options), [rows, cols, options])
+  const tileRowCount = tiles.reduce((max, t) => Math.max(max, t.tileRow + 1), 0)
+  const tileColCount = tiles.reduce((max, t) => Math.max(max, t.tileCol + 1), 0)
+
+  // Re-suggest the tile size whenever the page changes
+  const changePage = (nextPaper, nextOrientation) => {
+    setPaper(nextPaper)
+    setOrientation(nextOrientation)
+    setTileSize(getSuggestedTileSize(nextPaper, nextOrientation))
+  }
+
+  const handleExport = () => {
+    setIsExporting(true)
+    // Let the button repaint before the (synchronous) PDF build
+    setTimeout(() => {
+      try {
+        const blob = createBlueprintPdf(grid, palette, options)
+        downloadBlob(blob, `domino-blueprint-${rows}x${cols}.pdf`)
+      } catch (err) {
+        console.error('Failed to export PDF:', err)
+        alert(`Failed to export PDF: ${err.message}`)
+      } finally {
+        setIsExporting(false)
+      }
+    }, 0)
+  }
+
+  return (
+    <div className="fill-popup-overlay">
+      <div className="import-wizard pdf-export" onClick={(e) => e.stopPropagation()}>
+        <div className="import-wizard-header">
+          PDF Blueprint
+          <span className="import-wizard-subtitle">
+            {rows} × {cols} grid
+          </span>
+        </div>
+
+        <div className="import-wizard-body">
+          <div className="import-wizard-settings">
+            <div className="wizard-group">
+              <div className="wizard-group-title">Page</div>
+              <label className="wizard-select-row">
+                <span>Paper</span>
+                <select
+                  value={paper}
+                  onChange={(e) => changePage(e.target.value, orientation)}
+                  className="mirror-select"
+                >
+                  {Object.entries(PAPER_SIZES).map(([key, size]) => (
+                    <option key={key} value={key}>{size.label}</option>
+                  ))}
+                </select>
+              </label>
+              <div className="wizard-button-row">
+                {ORIENTATIONS.map(o => (
+                  <button
+                    key={o.value}
+                    className={`toggle-btn ${orientation === o.value ? 'active' : ''}`}
+                    onClick={() => changePage(paper, o.value)}
+                  >
+                    {o.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Tiles</div>
+              <label className="wizard-select-row">
+                <span>Columns per page</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={tileSize.tileCols}
+                  onChange={(e) => setTileSize(prev => ({ ...prev, tileCols: Math.max(1, parseInt(e.target.value) || 1) }))}
+                />
+              </label>
+              <label className="wizard-select-row">
+                <span>Rows per page</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={tileSize.tileRows}
+                  onChange={(e) => setTileSize(prev => ({ ...prev, tileRows: Math.max(1, parseInt(e.target.value) || 1) }))}
+                />
+              </label>
+              <label className="wizard-select-row">
+                <span>Overlap (cells)</span>
+                <input
+                  type="number"
+                  min="0"
+                  max={MAX_OVERLAP}
+                  value={overlap}
+                  onChange={(e) => setOverlap(Math.min(MAX_OVERLAP, Math.max(0, parseInt(e.target.value) || 0)))}
+                />
+              </label>
+              <label className="wizard-checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={showSpecialLetters}
+                  onChange={(e) => setShowSpecialLetters(e.target.checked)}
+                />
+                Mark clear and Disney dominoes with C / D
+              </label>
+            </div>
+          </div>
+
+          <div className="import-wizard-preview">
+            <div className="wizard-group-title">Pages</div>
+            <div className="wizard-note">
+              1 index page + {tiles.length} tile {tiles.length === 1 ? 'page' : 'pages'} ({tileRowCount} down × {tileColCount} across)
+            </div>
+            <div
+              className="pdf-tile-map"
+              style={{ gridTemplateColumns: `repeat(${tileColCount}, 1fr)` }}
+            >
+              {tiles.map(tile => (
+                <div key={tile.page} className="pdf-tile-map-item" title={`Rows ${tile.startRow + 1}–${tile.endRow + 1}, columns ${tile.startCol + 1}–${tile.endCol + 1}`}>
+                  p. {tile.page}
+                </div>
+              ))}
+            </div>
+            <div className="wizard-note">
+              Each tile page shows grid coordinates, dashed overlap markers and a color count table.
+            </div>
+          </div>
+        </div>
+
+        <div className="import-wizard-footer">
+          <button className="grid-btn small" onClick={onClose}>
+            Close
+          </button>
+          <button className="grid-btn small primary" onClick={handleExport} disabled={isExporting || tiles.length === 0}>
+            {isExporting ? 'Generating…' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PdfExportDialog
@@ -0,0 +1,282 @@
+import { useState, useEffect, useCallback } from 'react'
+import { listProjects, createProject, updateProject, deleteProject } from '../utils/storage'
+import { formatRelativeTime } from '../utils/formatTime'
+
+const DEFAULT_NAME = 'Untitled layout'
+
+function ProjectLibrary({
+  currentProject,
+  onOpen,
+  onSaveAs,
+  onCreateBlank,
+  onRenamed,
+  onDeleted,
+  onExportFile,
+  onCreateShareLink,
+  onImportFile,
+  onClose
+}) {
+  const [projects, setProjects] = useState(null)
+  const [newName, setNewName] = useState('')
+  const [editingId, setEditingId] = useState(null)
+  const [editName, setEditName] = useState('')
+  const [details, setDetails] = useState(null) // { id, author, notes } while editing
+  const [linkCopied, setLinkCopied] = useState(false)
+
+  const refresh = useCallback(() => {
+    listProjects()
+      .then(setProjects)
+      .catch(err => {
+        console.error('Failed to list projects:', err)
+        setProjects([])
+      })
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const takeName = () => {
+    const name = newName.trim() || DEFAULT_NAME
+    setNewName('')
+    return name
+  }
+
+  const handleSaveAs = () => {
+    onSaveAs(takeName())
+      .then(refresh)
+      .catch(err => {
+        console.error('Failed to save project:', err)
+        alert('Could not save the layout to the library.')
+      })
+  }
+
+  const handleCreateBlank = () => {
+    onCreateBlank(takeName())
+      .then(refresh)
+      .catch(err => {
+        console.error('Failed to create project:', err)
+        alert('Could not create a new layout.')
+      })
+  }
+
+  const startRename = (project) => {
+    setEditingId(project.id)
+    setEditName(project.name)
+  }
+
+  const commitRename = () => {
+    const id = editingId
+    const name = editName.trim()
+    setEditingId(null)
+    if (!name) return
+    updateProject(id, { name })
+      .then(() => {
+        onRenamed(id, name)
+        refresh()
+      })
+      .catch(err => console.error('Failed to rename project:', err))
+  }
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') commitRename()
+    if (e.key === 'Escape') {
+      // Cancel the rename without closing the dialog
+      e.stopPropagation()
+      setEditingId(null)
+    }
+  }
+
+  const toggleDetails = (project) => {
+    setDetails(prev => (prev?.id === project.id
+      ? null
+      : { id: project.id, author: project.author || '', notes: project.notes || '' }))
+  }
+
+  const saveDetails = () => {
+    const { id, author, notes } = details
+    setDetails(null)
+    updateProject(id, { author: author.trim(), notes: notes.trim() })
+      .then(refresh)
+      .catch(err => console.error('Failed to save project details:', err))
+  }
+
+  const handleCopyShareLink = () => {
+    onCreateShareLink()
+      .then(url => {
+        if (!navigator.clipboard) {
+          window.prompt('Copy this link:', url)
+          return
+        }
+        return navigator.clipboard.writeText(url).then(() => {
+          setLinkCopied(true)
+          setTimeout(() => setLinkCopied(false), 1500)
+        })
+      })
+      .catch(err => {
+        console.error('Failed to create share link:', err)
+        alert('Could not create a share link.')
+      })
+  }
+
+  const handleDuplicate = (project) => {
+    const { id, createdAt, updatedAt, ...fields } = project
+    createProject({ ...fields, name: `${project.name} copy` })
+      .then(refresh)
+      .catch(err => console.error('Failed to duplicate project:', err))
+  }
+
+  const handleDelete = (project) => {
+    if (!window.confirm(`Delete "${project.name}"? This cannot be undone.`)) return
+    deleteProject(project.id)
+      .then(() => {
+        onDeleted(project.id)
+        refresh()
+      })
+      .catch(err => console.error('Failed to delete project:', err))
+  }
+
+  return (
+    <div className="fill-popup-overlay">
+      <div className="import-wizard project-library" onClick={(e) => e.stopPropagation()}>
+        <div className="import-wizard-header">
+          Projects
+          <span className="import-wizard-subtitle">
+            Saved in this browser · the open project saves automatically
+          </span>
+        </div>
+
+        <div className="project-new-row">
+          <input
+            type="text"
+            className="wizard-text-input"
+            placeholder={DEFAULT_NAME}
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') handleSaveAs() }}
+          />
+          <button className="grid-btn small primary" onClick={handleSaveAs} title="Add the layout you are editing to the library">
+            Save Current As New
+          </button>
+          <button className="grid-btn small" onClick={handleCreateBlank} title="Start an empty layout with the current size and palette">
+            New Blank
+          </button>
+        </div>
+
+        <div className="project-list">
+          {projects === null && <div className="wizard-note">Loading…</div>}
+          {projects?.length === 0 && (
+            <div className="wizard-note">No saved projects yet. Name the current layout above to add it.</div>
+          )}
+          {projects?.map(project => {
+            const isCurrent = project.id === currentProject?.id
+            return (
+              <div key={project.id} className={`project-card ${isCurrent ? 'current' : ''}`}>
+                <div className="project-thumbnail">
+                  {project.thumbnail && <img src={project.thumbnail} alt="" />}
+                </div>
+                <div className="project-info">
+                  {editingId === project.id ? (
+                    <input
+                      type="text"
+                      className="wizard-text-input"
+                      value={editName}
+                      onChange={(e) => setEditName(e.target.value)}
+                      onKeyDown={handleRenameKeyDown}
+                      onBlur={commitRename}
+                      autoFocus
+                    />
+                  ) : (
+                    <span className="project-name" title={project.name} onDoubleClick={() => startRename(project)}>
+                      {project.name}
+                    </span>
+                  )}
+                  <span className="wizard-note">
+                    {project.rows} × {project.cols} · {project.dominoCount.toLocaleString()} dominoes
+                  </span>
+                  <span className="wizard-note" title={new Date(project.updatedAt).toLocaleString()}>
+                    Modified {formatRelativeTime(project.updatedAt)}
+                    {project.author && ` · by ${project.author}`}
+                  </span>
+                  {details?.id === project.id && (
+                    <div className="project-details">
+                      <input
+                        type="text"
+                        className="wizard-text-input"
+                        placeholder="Author"
+                        value={details.author}
+                        onChange={(e) => setDetails(prev => ({ ...prev, author: e.target.value }))}
+                      />
+                      <textarea
+                        className="wizard-text-input"
+                        placeholder="Notes"
+                        rows={3}
+                        value={details.notes}
+                        onChange={(e) => setDetails(prev => ({ ...prev, notes: e.target.value }))}
+                      />
+                      <div className="wizard-button-row">
+                        <button className="grid-btn small primary" onClick={saveDetails}>
+                          Save Details
+                        </button>
+                        <button className="grid-btn small" onClick={() => setDetails(null)}>
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+                <div className="project-actions">
+                  <button
+                    className="grid-btn small primary"
+                    onClick={() => onOpen(project)}
+                    disabled={isCurrent}
+                  >
+                    {isCurrent ? 'Open now' : 'Open'}
+                  </button>
+                  <button className="grid-btn small" onClick={() => startRename(project)}>
+                    Rename
+                  </button>
+                  <button className="grid-btn small" onClick={() => toggleDetails(project)} title="Author and notes, saved into exported files">
+                    Details
+                  </button>
+                  <button className="grid-btn small" onClick={() => handleDuplicate(project)}>
+                    Duplicate
+                  </button>
+                  <button className="grid-btn small" onClick={() => handleDelete(project)}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+
+        <div className="import-wizard-footer">
+          <button className="grid-btn small" onClick={onImportFile} title="Add a layout from a .json file">
+            Import File…
+          </button>
+          <button className="grid-btn small" onClick={onExportFile} title="Download the current layout as a .json file">
+            Export File
+          </button>
+          <button className="grid-btn small" onClick={handleCopyShareLink} title="Copy a link that opens the current layout - nothing is uploaded">
+            {linkCopied ? 'Copied!' : 'Copy Share Link'}
+          </button>
+          <button className="grid-btn small" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ProjectLibrary
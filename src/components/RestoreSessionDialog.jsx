@@ -0,0 +1,40 @@
+import { formatRelativeTime } from '../utils/formatTime'
+
+function RestoreSessionDialog({ session, onRestore, onDiscard, onBrowseSnapshots }) {
+  const rows = session.grid.length
+  const cols = session.grid[0]?.length || 0
+
+  return (
+    <div className="fill-popup-overlay">
+      <div className="import-wizard session-restore" onClick={(e) => e.stopPropagation()}>
+        <div className="import-wizard-header">
+          Restore your last session?
+        </div>
+
+        <div className="session-restore-body">
+          <p>
+            A {rows} × {cols} layout was autosaved {formatRelativeTime(session.savedAt)}
+            {session.history?.length > 1 && `, with ${session.history.length - 1} undo steps`}.
+          </p>
+          <p className="wizard-note">
+            Starting fresh keeps it as a snapshot, so you can still get it back later.
+          </p>
+        </div>
+
+        <div className="import-wizard-footer">
+          <button className="grid-btn small" onClick={onBrowseSnapshots}>
+            Browse Snapshots
+          </button>
+          <button className="grid-btn small" onClick={onDiscard}>
+            Start Fresh
+          </button>
+          <button className="grid-btn small primary" onClick={onRestore}>
+            Restore
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RestoreSessionDialog
@@ -1,3 +1,5 @@
+import { useState } from 'react'
+
 function SelectionContextMenu({
   x,
   y,
@@ -5,10 +7,16 @@ function SelectionContextMenu({
   onDeleteRows,
   onDeleteColumns,
   onClearSection,
+  onFlip,
+  onRotate,
+  onScale,
   onClose,
   gridRows,
   gridCols
 }) {
+  const [showScaleInput, setShowScaleInput] = useState(false)
+  const [scaleFactor, setScaleFactor] = useState(1.5)
+
   if (!selection) return null
 
   const rowCount = selection.endRow - selection.startRow + 1
@@ -22,10 +30,21 @@ function SelectionContextMenu({
   const menuStyle = {
     position: 'fixed',
     left: Math.min(x, window.innerWidth - 240),
-    top: Math.min(y, window.innerHeight - 250),
+    top: Math.min(y, window.innerHeight - 480),
     zIndex: 1000
   }
 
+  // Run a menu action and close the menu
+  const act = (action) => () => {
+    action()
+    onClose()
+  }
+
+  const handleScaleKeyDown = (e) => {
+    if (e.key === 'Enter') act(() => onScale(scaleFactor))()
+    if (e.key === 'Escape') setShowScaleInput(false)
+  }
+
   return (
     <div
       className="context-menu selection-context-menu"
@@ -51,6 +70,61 @@ function SelectionContextMenu({
 
       <div className="context-menu-divider" />
 
+      {/* Transforms */}
+      <div className="context-menu-item-group">
+        <button className="context-menu-item" onClick={act(() => onFlip('horizontal'))}>
+          Flip horizontal
+          <span className="context-menu-shortcut">⇧H</span>
+        </button>
+        <button className="context-menu-item" onClick={act(() => onFlip('vertical'))}>
+          Flip vertical
+          <span className="context-menu-shortcut">⇧V</span>
+        </button>
+        <button className="context-menu-item" onClick={act(() => onRotate(1))}>
+          Rotate 90° clockwise
+          <span className="context-menu-shortcut">⇧R</span>
+        </button>
+        <button className="context-menu-item" onClick={act(() => onRotate(2))}>
+          Rotate 180°
+        </button>
+        <button className="context-menu-item" onClick={act(() => onRotate(3))}>
+          Rotate 270° clockwise
+          <span className="context-menu-shortcut">⇧L</span>
+        </button>
+        <button className="context-menu-item" onClick={act(() => onScale(2))}>
+          Scale ×2
+          <span className="context-menu-shortcut">+</span>
+        </button>
+        <button className="context-menu-item" onClick={act(() => onScale(0.5))}>
+          Scale ×½
+          <span className="context-menu-shortcut">−</span>
+        </button>
+        {showScaleInput ? (
+          <div className="context-menu-input-row">
+            <input
+              type="number"
+              min="0.1"
+              max="10"
+              step="0.25"
+              value={scaleFactor}
+              onChange={(e) => setScaleFactor(parseFloat(e.target.value) || 1)}
+              onKeyDown={handleScaleKeyDown}
+              autoFocus
+              className="context-menu-input"
+            />
+            <button className="context-menu-confirm" onClick={act(() => onScale(scaleFactor))}>
+              Scale
+            </button>
+          </div>
+        ) : (
+          <button className="context-menu-item" onClick={() => setShowScaleInput(true)}>
+            Scale by…
+          </button>
+        )}
+      </div>
+
+      <div className="context-menu-divider" />
+
       {/* Delete operations */}
       <div className="context-menu-item-group">
         <button
@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react'
+import { listSnapshots, deleteSnapshot, MAX_SNAPSHOTS } from '../utils/storage'
+import { formatRelativeTime } from '../utils/formatTime'
+
+function SnapshotBrowser({ onRestore, onTakeSnapshot, onClose }) {
+  const [snapshots, setSnapshots] = useState(null)
+
+  const refresh = useCallback(() => {
+    listSnapshots()
+      .then(setSnapshots)
+      .catch(err => {
+        console.error('Failed to list snapshots:', err)
+        setSnapshots([])
+      })
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const handleTakeSnapshot = () => {
+    onTakeSnapshot()
+      .then(refresh)
+      .catch(err => {
+        console.error('Snapshot failed:', err)
+        alert('Could not save a snapshot.')
+      })
+  }
+
+  const handleDelete = (snapshot) => {
+    if (!window.confirm(`Delete the snapshot from ${formatRelativeTime(snapshot.createdAt)}?`)) return
+    deleteSnapshot(snapshot.id)
+      .then(refresh)
+      .catch(err => console.error('Failed to delete snapshot:', err))
+  }
+
+  const handleRestore = (snapshot) => {
+    if (!window.confirm('Replace the current grid and palette with this snapshot? You can undo the grid change.')) return
+    onRestore(snapshot)
+  }
+
+  return (
+    <div className="fill-popup-overlay">
+      <div className="import-wizard snapshot-browser" onClick={(e) => e.stopPropagation()}>
+        <div className="import-wizard-header">
+          Snapshots
+          <span className="import-wizard-subtitle">
+            Taken every few minutes while you work · last {MAX_SNAPSHOTS} kept
+          </span>
+        </div>
+
+        <div className="snapshot-list">
+          {snapshots === null && <div className="wizard-note">Loading…</div>}
+          {snapshots?.length === 0 && <div className="wizard-note">No snapshots yet.</div>}
+          {snapshots?.map(snapshot => {
+            const rows = snapshot.grid.length
+            const cols = snapshot.grid[0]?.length || 0
+            return (
+              <div key={snapshot.id} className="snapshot-item">
+                <div className="snapshot-info">
+                  <span className="snapshot-time" title={new Date(snapshot.createdAt).toLocaleString()}>
+                    {formatRelativeTime(snapshot.createdAt)}
+                  </span>
+                  <span className="wizard-note">
+                    {snapshot.label} · {rows} × {cols}
+                  </span>
+                </div>
+                <button className="grid-btn small" onClick={() => handleDelete(snapshot)}>
+                  Delete
+                </button>
+                <button className="grid-btn small primary" onClick={() => handleRestore(snapshot)}>
+                  Restore
+                </button>
+              </div>
+            )
+          })}
+        </div>
+
+        <div className="import-wizard-footer">
+          <button className="grid-btn small" onClick={handleTakeSnapshot}>
+            Snapshot Now
+          </button>
+          <button className="grid-btn small" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SnapshotBrowser
@@ -0,0 +1,209 @@
+import { useState, useEffect, useRef, useMemo } from 'react'
+import { PIXEL_FONTS, TEXT_ALIGNMENTS, renderText, textToCells } from '../utils/pixelFonts'
+
+const CLEAR = 'clear'
+const DISNEY = 'disney'
+
+// Preview canvas bounds (CSS pixels)
+const PREVIEW_WIDTH = 360
+const PREVIEW_HEIGHT = 200
+
+// Background value that leaves the cells around the letters untouched
+const NO_BACKGROUND = 'none'
+
+const TARGET_HINTS = {
+  cell: 'Writes the text with its top-left corner on the cell you clicked.',
+  selection: 'Centers the text in the selected area, cropping anything that does not fit.',
+  stamp: 'Floats the text so you can place it with the mouse.'
+}
+
+function TextToolDialog({ palette, selection, anchor, initialColor, onConfirm, onCancel }) {
+  const [text, setText] = useState('')
+  const [font, setFont] = useState('5x7')
+  const [letterSpacing, setLetterSpacing] = useState(1)
+  const [align, setAlign] = useState('left')
+  const [foreground, setForeground] = useState(initialColor !== CLEAR ? initialColor : palette.find(p => p.hex !== CLEAR)?.hex || CLEAR)
+  const [background, setBackground] = useState(NO_BACKGROUND)
+  const [target, setTarget] = useState(anchor ? 'cell' : selection ? 'selection' : 'stamp')
+  const canvasRef = useRef(null)
+
+  const targets = [
+    anchor && { value: 'cell', label: `At ${anchor.row + 1}, ${anchor.col + 1}` },
+    selection && { value: 'selection', label: 'Selection' },
+    { value: 'stamp', label: 'Stamp' }
+  ].filter(Boolean)
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onCancel])
+
+  const changeFont = (value) => {
+    setFont(value)
+    setLetterSpacing(PIXEL_FONTS.find(f => f.value === value).letterSpacing)
+  }
+
+  const cells = useMemo(() => {
+    const mask = renderText(text, { font, letterSpacing, align })
+    if (mask.length === 0) return null
+    const area = target === 'selection' && selection
+      ? { rows: selection.endRow - selection.startRow + 1, cols: selection.endCol - selection.startCol + 1 }
+      : undefined
+    return textToCells(mask, {
+      foreground,
+      background: background === NO_BACKGROUND ? null : background,
+      area,
+      align
+    })
+  }, [text, font, letterSpacing, align, foreground, background, target, selection])
+
+  // Draw the preview; untouched cells are left transparent
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+    const rows = cells?.length || 1
+    const cols = cells?.[0]?.length || 1
+    const cellSize = Math.max(1, Math.min(12, Math.floor(Math.min(PREVIEW_WIDTH / cols, PREVIEW_HEIGHT / rows))))
+    canvas.width = cols * cellSize
+    canvas.height = rows * cellSize
+    const ctx = canvas.getContext('2d')
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    cells?.forEach((row, r) => {
+      row.forEach((cell, c) => {
+        if (cell === null) return
+        ctx.fillStyle = cell === CLEAR ? '#f0f0f0' : cell === DISNEY ? '#a78bfa' : cell
+        ctx.fillRect(c * cellSize, r * cellSize, cellSize, cellSize)
+      })
+    })
+  }, [cells])
+
+  const handleConfirm = () => {
+    if (!cells) return
+    onConfirm({ cells, target, text })
+  }
+
+  const renderColorSelect = (value, onChange, withNone) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="mirror-select">
+      {withNone && <option value={NO_BACKGROUND}>None (keep cells)</option>}
+      {palette.map(item => (
+        <option key={item.hex} value={item.hex}>
+          {item.hex === CLEAR ? 'Clear' : item.hex === DISNEY ? 'Disney' : item.name || item.hex}
+        </option>
+      ))}
+    </select>
+  )
+
+  return (
+    <div className="fill-popup-overlay">
+      <div className="import-wizard text-tool" onClick={(e) => e.stopPropagation()}>
+        <div className="import-wizard-header">
+          Add Text
+          <span className="import-wizard-subtitle">
+            Letters are drawn in capitals
+          </span>
+        </div>
+
+        <div className="import-wizard-body">
+          <div className="import-wizard-settings">
+            <div className="wizard-group">
+              <div className="wizard-group-title">Text</div>
+              <textarea
+                className="wizard-text-input"
+                rows={3}
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder="Type here - Enter starts a new line"
+                autoFocus
+              />
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Lettering</div>
+              <label className="wizard-select-row">
+                <span>Font</span>
+                <select value={font} onChange={(e) => changeFont(e.target.value)} className="mirror-select">
+                  {PIXEL_FONTS.map(f => (
+                    <option key={f.value} value={f.value}>{f.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="wizard-select-row">
+                <span>Letter spacing</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="5"
+                  value={letterSpacing}
+                  onChange={(e) => setLetterSpacing(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                />
+              </label>
+              <div className="picker-toggle">
+                {TEXT_ALIGNMENTS.map(option => (
+                  <button
+                    key={option.value}
+                    className={`toggle-btn ${align === option.value ? 'active' : ''}`}
+                    onClick={() => setAlign(option.value)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Colors</div>
+              <label className="wizard-select-row">
+                <span>Letters</span>
+                {renderColorSelect(foreground, setForeground, false)}
+              </label>
+              <label className="wizard-select-row">
+                <span>Background</span>
+                {renderColorSelect(background, setBackground, true)}
+              </label>
+            </div>
+
+            <div className="wizard-group">
+              <div className="wizard-group-title">Place Into</div>
+              <div className="picker-toggle">
+                {targets.map(option => (
+                  <button
+                    key={option.value}
+                    className={`toggle-btn ${target === option.value ? 'active' : ''}`}
+                    onClick={() => setTarget(option.value)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <div className="wizard-note">{TARGET_HINTS[target]}</div>
+            </div>
+          </div>
+
+          <div className="import-wizard-preview">
+            <figure className="wizard-preview">
+              <canvas ref={canvasRef} />
+              <figcaption>
+                {cells ? `${cells.length} × ${cells[0].length} dominoes` : 'Type some text to see it here'}
+              </figcaption>
+            </figure>
+          </div>
+        </div>
+
+        <div className="import-wizard-footer">
+          <button className="grid-btn small" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="grid-btn small primary" onClick={handleConfirm} disabled={!cells}>
+            {target === 'stamp' ? 'Place With Mouse' : 'Add Text'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TextToolDialog
@@ -0,0 +1,133 @@
+import { useState, useEffect, useRef } from 'react'
+import { TOPPLE_DIRECTIONS, TOPPLE_TRIGGERS, getMaxSkippedCells } from '../utils/toppleSimulation'
+
+const SPEEDS = [0.1, 0.25, 0.5, 1, 2]
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(2)} s`
+
+function TopplePanel({
+  start,
+  direction,
+  trigger,
+  speed,
+  result,
+  playback,
+  onDirectionChange,
+  onTriggerChange,
+  onSpeedChange,
+  onPlay,
+  onTogglePause,
+  onReset,
+  onClose
+}) {
+  const [elapsed, setElapsed] = useState(0)
+  const elapsedRef = useRef(0)
+  const duration = result?.duration || 0
+
+  // Start each run from zero
+  const runId = playback?.runId
+  const paused = playback?.paused
+  useEffect(() => {
+    elapsedRef.current = 0
+    setElapsed(0)
+  }, [runId])
+
+  // Track simulated time while the animation runs
+  useEffect(() => {
+    if (runId === undefined || paused) return
+
+    let frame
+    let last = performance.now()
+    const tick = (now) => {
+      elapsedRef.current = Math.min(duration, elapsedRef.current + (now - last) * speed)
+      last = now
+      setElapsed(elapsedRef.current)
+      if (elapsedRef.current < duration) frame = requestAnimationFrame(tick)
+    }
+    frame = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(frame)
+  }, [runId, paused, speed, duration])
+
+  const fallen = result?.order.length || 0
+  const unreachable = result?.unreachable.length || 0
+  const maxSkipped = getMaxSkippedCells(direction)
+
+  return (
+    <section className="section toolbar-section topple-panel">
+      <h2 className="section-title">Topple Simulation</h2>
+
+      <div className="toolbar-row">
+        <div className="control-group">
+          <span className="selection-info">
+            {start ? `Start: row ${start.row + 1}, col ${start.col + 1}` : 'Click a domino to start from'}
+          </span>
+        </div>
+
+        <div className="control-group">
+          <label>Direction:</label>
+          <select
+            value={direction}
+            onChange={(e) => onDirectionChange(e.target.value)}
+            className="mirror-select"
+          >
+            {TOPPLE_DIRECTIONS.map(d => (
+              <option key={d.value} value={d.value}>{d.label}</option>
+            ))}
+          </select>
+          <select
+            value={trigger}
+            onChange={(e) => onTriggerChange(e.target.value)}
+            className="mirror-select"
+          >
+            {TOPPLE_TRIGGERS.map(t => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="control-group">
+          <button className="grid-btn small primary" onClick={onPlay} disabled={fallen === 0}>
+            {playback ? 'Replay' : 'Play'}
+          </button>
+          <button className="grid-btn small" onClick={onTogglePause} disabled={!playback || elapsed >= duration}>
+            {paused ? 'Resume' : 'Pause'}
+          </button>
+          <button className="grid-btn small" onClick={onReset} disabled={!playback}>
+            Reset
+          </button>
+          <label>Speed:</label>
+          <select
+            value={speed}
+            onChange={(e) => onSpeedChange(parseFloat(e.target.value))}
+            className="mirror-select"
+          >
+            {SPEEDS.map(s => (
+              <option key={s} value={s}>{s}×</option>
+            ))}
+          </select>
+        </div>
+
+        {result && (
+          <div className="control-group topple-stats">
+            <span>{fallen} of {result.total} fall</span>
+            <span className={unreachable > 0 ? 'topple-stats-warning' : ''}>
+              {unreachable} never reached
+            </span>
+            <span>{formatSeconds(playback ? elapsed : 0)} / {formatSeconds(duration)}</span>
+          </div>
+        )}
+
+        <div className="control-group">
+          <span className="hint-text">
+            A falling domino bridges up to {maxSkipped} empty {maxSkipped === 1 ? 'spot' : 'spots'} in this direction
+          </span>
+          <button className="grid-btn small" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default TopplePanel
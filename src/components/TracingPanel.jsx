@@ -0,0 +1,145 @@
+import { REFERENCE_PLACEMENTS } from '../utils/referenceImage'
+
+// Whole and half cells, so the image can be lined up with cell edges or centres
+const OFFSET_STEP = 0.5
+
+function TracingPanel({
+  reference,
+  isSampling,
+  onLoadImage,
+  onRemoveImage,
+  onChange,
+  onToggleSampling,
+  onClose
+}) {
+  const update = (changes) => onChange({ ...reference, ...changes })
+
+  const handleOffsetChange = (key, value) => {
+    const offset = parseFloat(value)
+    if (!Number.isNaN(offset)) update({ [key]: offset })
+  }
+
+  return (
+    <section className="section toolbar-section tracing-panel">
+      <h2 className="section-title">Tracing</h2>
+
+      <div className="toolbar-row">
+        <div className="control-group">
+          <button className="grid-btn small" onClick={onLoadImage}>
+            {reference ? 'Replace Image' : 'Load Image'}
+          </button>
+          {reference && (
+            <button className="grid-btn small" onClick={onRemoveImage}>
+              Remove
+            </button>
+          )}
+        </div>
+
+        {reference && (
+          <>
+            <div className="control-group">
+              <label className="wizard-checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={reference.visible}
+                  onChange={(e) => update({ visible: e.target.checked })}
+                />
+                Show
+              </label>
+              <select
+                value={reference.placement}
+                onChange={(e) => update({ placement: e.target.value })}
+                className="mirror-select"
+              >
+                {REFERENCE_PLACEMENTS.map(p => (
+                  <option key={p.value} value={p.value}>{p.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="control-group">
+              <label htmlFor="reference-opacity">Opacity:</label>
+              <input
+                id="reference-opacity"
+                type="range"
+                min="0.1"
+                max="1"
+                step="0.05"
+                value={reference.opacity}
+                onChange={(e) => update({ opacity: parseFloat(e.target.value) })}
+                className="zoom-slider"
+              />
+              <span className="zoom-value">{Math.round(reference.opacity * 100)}%</span>
+            </div>
+
+            <div className="control-group">
+              <label htmlFor="reference-scale">Scale:</label>
+              <input
+                id="reference-scale"
+                type="range"
+                min="0.25"
+                max="4"
+                step="0.05"
+                value={reference.scale}
+                onChange={(e) => update({ scale: parseFloat(e.target.value) })}
+                className="zoom-slider"
+              />
+              <span className="zoom-value">{reference.scale.toFixed(2)}×</span>
+            </div>
+
+            <div className="control-group">
+              <div className="input-group">
+                <label htmlFor="reference-offset-row">Offset rows:</label>
+                <input
+                  id="reference-offset-row"
+                  type="number"
+                  step={OFFSET_STEP}
+                  value={reference.offsetRow}
+                  onChange={(e) => handleOffsetChange('offsetRow', e.target.value)}
+                />
+              </div>
+              <div className="input-group">
+                <label htmlFor="reference-offset-col">Cols:</label>
+                <input
+                  id="reference-offset-col"
+                  type="number"
+                  step={OFFSET_STEP}
+                  value={reference.offsetCol}
+                  onChange={(e) => handleOffsetChange('offsetCol', e.target.value)}
+                />
+              </div>
+              <button
+                className="grid-btn small"
+                onClick={() => update({ scale: 1, offsetRow: 0, offsetCol: 0 })}
+                title="Fit the image inside the grid again"
+              >
+                Reset
+              </button>
+            </div>
+
+            <div className="control-group">
+              <button
+                className={`grid-btn small${isSampling ? ' primary' : ''}`}
+                onClick={onToggleSampling}
+                title="Click a cell to pick the palette color closest to the image under it"
+              >
+                {isSampling ? 'Sampling…' : 'Sample Color'}
+              </button>
+            </div>
+          </>
+        )}
+
+        <div className="control-group">
+          <span className="hint-text">
+            {reference ? 'Saved with the project' : 'Show a photo over or behind the grid to draw from'}
+          </span>
+          <button className="grid-btn small" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default TracingPanel
@@ -0,0 +1,55 @@
+/**
+ * Flip, rotate and scale rectangular blocks of cells
+ *
+ * A block is a 2D array of cell values, e.g. the contents of the selection.
+ * Every function returns a new block and leaves its input alone.
+ */
+
+/**
+ * Mirror a block
+ * @param {Array<Array<string>>} block
+ * @param {'horizontal' | 'vertical'} direction - horizontal swaps left and right
+ * @returns {Array<Array<string>>}
+ */
+export function flipBlock(block, direction) {
+  return direction === 'horizontal'
+    ? block.map(row => [...row].reverse())
+    : [...block].reverse().map(row => [...row])
+}
+
+/**
+ * Rotate a block clockwise
+ * @param {Array<Array<string>>} block
+ * @param {number} quarterTurns - 1 = 90°, 2 = 180°, 3 = 270° (negative turns go anticlockwise)
+ * @returns {Array<Array<string>>}
+ */
+export function rotateBlock(block, quarterTurns) {
+  const turns = ((quarterTurns % 4) + 4) % 4
+  const rows = block.length
+  const cols = block[0]?.length || 0
+  if (turns === 0) return block.map(row => [...row])
+  if (turns === 2) return flipBlock(flipBlock(block, 'horizontal'), 'vertical')
+  return Array.from({ length: cols }, (_, r) => (
+    Array.from({ length: rows }, (_, c) => (
+      turns === 1 ? block[rows - 1 - c][r] : block[c][cols - 1 - r]
+    ))
+  ))
+}
+
+/**
+ * Resize a block by nearest-neighbour sampling
+ * @param {Array<Array<string>>} block
+ * @param {number} factor - e.g. 2, 0.5 or 1.5
+ * @returns {Array<Array<string>>} - At least 1 × 1
+ */
+export function scaleBlock(block, factor) {
+  const rows = block.length
+  const cols = block[0]?.length || 0
+  const newRows = Math.max(1, Math.round(rows * factor))
+  const newCols = Math.max(1, Math.round(cols * factor))
+  // Sample the source cell under the centre of each new cell
+  return Array.from({ length: newRows }, (_, r) => {
+    const sourceRow = block[Math.min(rows - 1, Math.floor(((r + 0.5) * rows) / newRows))]
+    return Array.from({ length: newCols }, (_, c) => sourceRow[Math.min(cols - 1, Math.floor(((c + 0.5) * cols) / newCols))])
+  })
+}
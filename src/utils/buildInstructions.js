@@ -0,0 +1,244 @@
+/**
+ * Printable build instructions
+ *
+ * Turns the grid into row-by-row placement sheets: run-length sequences
+ * with color names, per-row and per-section counts, and safety-gap
+ * reminders. Rendered as plain text or a print-friendly HTML page.
+ */
+
+/**
+ * Default export options
+ */
+export const DEFAULT_INSTRUCTION_OPTIONS = {
+  title: 'Domino Build Instructions',
+  sectionSize: 10, // Rows per section
+  safetyGapEvery: 0, // Leave a safety gap every N dominoes in a row (0 = off)
+  checklist: false
+}
+
+/**
+ * Display name for a cell value
+ * @param {string} value - Cell value
+ * @param {Object<string, string>} names - Palette names by hex
+ * @returns {string}
+ */
+function getColorName(value, names) {
+  if (names[value]) return names[value]
+  if (value === 'clear') return 'Clear'
+  if (value === 'disney') return 'Disney'
+  return value
+}
+
+/**
+ * Split a row into runs of the same color, breaking at safety gaps
+ * @param {Array<string>} row - Cell values
+ * @param {number} safetyGapEvery - Gap interval in dominoes (0 = no gaps)
+ * @returns {Array<Array<{ value: string, count: number }>>} - Segments between safety gaps, each a list of runs
+ */
+export function getRowRuns(row, safetyGapEvery = 0) {
+  const segments = [[]]
+  row.forEach((value, col) => {
+    if (safetyGapEvery > 0 && col > 0 && col % safetyGapEvery === 0) {
+      segments.push([])
+    }
+    const runs = segments[segments.length - 1]
+    const last = runs[runs.length - 1]
+    if (last && last.value === value) {
+      last.count++
+    } else {
+      runs.push({ value, count: 1 })
+    }
+  })
+  return segments
+}
+
+// Count cells per value, sorted by count (highest first)
+const countValues = (cells) => {
+  const counts = new Map()
+  cells.forEach(value => counts.set(value, (counts.get(value) || 0) + 1))
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count)
+}
+
+/**
+ * Build the instruction data for a grid
+ * @param {Array<Array<string>>} grid - 2D array of cell values
+ * @param {Array<{ hex: string, name?: string }>} palette
+ * @param {Object} [options] - See DEFAULT_INSTRUCTION_OPTIONS
+ * @returns {{
+ *   title: string, rows: number, cols: number, total: number,
+ *   totals: Array<{ value: string, name: string, count: number }>,
+ *   sections: Array<{
+ *     startRow: number, endRow: number,
+ *     counts: Array<{ value: string, name: string, count: number }>,
+ *     rows: Array<{ row: number, segments: Array<Array<{ value: string, name: string, count: number }>>, counts: Array<{ value: string, name: string, count: number }> }>
+ *   }>
+ * }} - Row numbers are 0-based
+ */
+export function buildInstructions(grid, palette, options = {}) {
+  const { title, sectionSize, safetyGapEvery } = { ...DEFAULT_INSTRUCTION_OPTIONS, ...options }
+  const names = {}
+  palette.forEach(p => {
+    if (p.name) names[p.hex] = p.name
+  })
+  const named = (entry) => ({ ...entry, name: getColorName(entry.value, names) })
+
+  const rows = grid.length
+  const cols = grid[0]?.length || 0
+  const size = Math.max(1, sectionSize || rows)
+
+  const sections = []
+  for (let start = 0; start < rows; start += size) {
+    const end = Math.min(rows, start + size) - 1
+    const sectionRows = []
+    for (let r = start; r <= end; r++) {
+      sectionRows.push({
+        row: r,
+        segments: getRowRuns(grid[r], safetyGapEvery).map(runs => runs.map(named)),
+        counts: countValues(grid[r]).map(named)
+      })
+    }
+    sections.push({
+      startRow: start,
+      endRow: end,
+      counts: countValues(grid.slice(start, end + 1).flat()).map(named),
+      rows: sectionRows
+    })
+  }
+
+  return {
+    title,
+    rows,
+    cols,
+    total: rows * cols,
+    totals: countValues(grid.flat()).map(named),
+    sections
+  }
+}
+
+const sectionLabel = (section) => section.startRow === section.endRow
+  ? `Row ${section.startRow + 1}`
+  : `Rows ${section.startRow + 1}–${section.endRow + 1}`
+
+const formatCounts = (counts) => counts.map(c => `${c.count} ${c.name}`).join(', ')
+const formatRuns = (runs) => runs.map(run => `${run.count}× ${run.name}`).join(', ')
+
+/**
+ * Render instructions as plain text
+ * @param {ReturnType<typeof buildInstructions>} instructions
+ * @param {{ checklist?: boolean, safetyGapEvery?: number }} [options]
+ * @returns {string}
+ */
+export function formatInstructionsText(instructions, { checklist = false, safetyGapEvery = 0 } = {}) {
+  const box = checklist ? '[ ] ' : ''
+  const lines = [
+    instructions.title,
+    '='.repeat(instructions.title.length),
+    `Grid: ${instructions.rows} rows × ${instructions.cols} columns (${instructions.total} dominoes)`,
+    'Rows read left to right.',
+    ''
+  ]
+  if (safetyGapEvery > 0) {
+    lines.push(`Safety gaps: leave a gap after every ${safetyGapEvery} dominoes (marked ‖ gap ‖). Close them last, from the far end back toward the start.`, '')
+  }
+  lines.push('Totals:', `  ${formatCounts(instructions.totals)}`, '')
+
+  instructions.sections.forEach(section => {
+    const heading = `Section: ${sectionLabel(section)}`
+    lines.push(heading, '-'.repeat(heading.length), `Pieces: ${formatCounts(section.counts)}`, '')
+    section.rows.forEach(row => {
+      lines.push(`${box}Row ${row.row + 1}: ${row.segments.map(formatRuns).join(' ‖ gap ‖ ')}`)
+      lines.push(`${' '.repeat(box.length)}  (${formatCounts(row.counts)})`)
+    })
+    lines.push('')
+  })
+
+  return lines.join('\n')
+}
+
+// Escape text for HTML output
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Small color chip for a cell value
+const swatchHtml = (value) => {
+  if (value === 'clear') return '<span class="chip chip-clear">C</span>'
+  if (value === 'disney') return '<span class="chip chip-disney">D</span>'
+  return `<span class="chip" style="background:${escapeHtml(value)}"></span>`
+}
+
+const countsHtml = (counts) => counts
+  .map(c => `<span class="count">${swatchHtml(c.value)}${c.count} ${escapeHtml(c.name)}</span>`)
+  .join(' ')
+
+const PRINT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #1a1a1a; margin: 24px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 24px 0 6px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+  .meta, .note { color: #555; margin: 2px 0; }
+  .totals, .section-counts { margin: 6px 0 10px; line-height: 1.9; }
+  .count { display: inline-flex; align-items: center; gap: 4px; margin-right: 10px; white-space: nowrap; }
+  .chip { display: inline-flex; align-items: center; justify-content: center; width: 12px; height: 12px; border: 1px solid #999; border-radius: 2px; font-size: 9px; font-weight: 600; }
+  .chip-clear { background: #fff; }
+  .chip-disney { background: linear-gradient(135deg, #f9a8d4, #a5b4fc, #99f6e4); }
+  table { border-collapse: collapse; width: 100%; }
+  td { border-top: 1px solid #e5e5e5; padding: 5px 6px; vertical-align: top; }
+  td.row-label { font-weight: 600; white-space: nowrap; width: 1%; }
+  td.check { width: 1%; }
+  .box { display: inline-block; width: 12px; height: 12px; border: 1.5px solid #333; border-radius: 2px; }
+  .run { display: inline-flex; align-items: center; gap: 3px; margin-right: 8px; white-space: nowrap; }
+  .gap { display: inline-block; margin: 0 8px 0 0; padding: 0 6px; border: 1px dashed #c00; color: #c00; border-radius: 3px; font-size: 11px; }
+  .row-counts { color: #666; font-size: 11px; margin-top: 2px; }
+  section { break-inside: avoid-page; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } }
+`
+
+/**
+ * Render instructions as a standalone print-friendly HTML page
+ * @param {ReturnType<typeof buildInstructions>} instructions
+ * @param {{ checklist?: boolean, safetyGapEvery?: number }} [options]
+ * @returns {string}
+ */
+export function formatInstructionsHtml(instructions, { checklist = false, safetyGapEvery = 0 } = {}) {
+  const sectionsHtml = instructions.sections.map(section => {
+    const rowsHtml = section.rows.map(row => {
+      const runsHtml = row.segments
+        .map(runs => runs
+          .map(run => `<span class="run">${checklist ? '<span class="box"></span>' : ''}${swatchHtml(run.value)}${run.count}× ${escapeHtml(run.name)}</span>`)
+          .join(''))
+        .join('<span class="gap">safety gap</span>')
+      return `<tr>${checklist ? '<td class="check"><span class="box"></span></td>' : ''}` +
+        `<td class="row-label">Row ${row.row + 1}</td>` +
+        `<td>${runsHtml}<div class="row-counts">${escapeHtml(formatCounts(row.counts))}</div></td></tr>`
+    }).join('\n')
+
+    return `<section>
+<h2>${sectionLabel(section)}</h2>
+<div class="section-counts">${countsHtml(section.counts)}</div>
+<table>
+${rowsHtml}
+</table>
+</section>`
+  }).join('\n')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(instructions.title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(instructions.title)}</h1>
+<p class="meta">Grid: ${instructions.rows} rows × ${instructions.cols} columns (${instructions.total} dominoes). Rows read left to right.</p>
+${safetyGapEvery > 0 ? `<p class="note">Leave a safety gap after every ${safetyGapEvery} dominoes. Close the gaps last, from the far end back toward the start.</p>` : ''}
+<div class="totals">${countsHtml(instructions.totals)}</div>
+${sectionsHtml}
+</body>
+</html>
+`
+}
@@ -0,0 +1,232 @@
+/**
+ * Globally optimal color assignment under inventory limits
+ *
+ * Assigning pixels to palette colors with limited stock is a transportation
+ * problem: every pixel must go to exactly one color, no color may be used
+ * more than its quantity, and the total color error should be as small as
+ * possible. It is solved with successive shortest augmenting paths over the
+ * (small) graph of palette colors, so it stays fast for grids with thousands
+ * of cells.
+ */
+
+import { colorDistance } from './colorUtils'
+
+// Cost of leaving a pixel unassigned. Larger than any real color distance, so
+// the solver only uses it once real stock is exhausted.
+const SHORTAGE_COST = 1e6
+
+// Tolerance for floating point comparisons in path relaxation
+const EPSILON = 1e-9
+
+/**
+ * Minimal binary min-heap keyed by number
+ */
+class MinHeap {
+  constructor() {
+    this.keys = []
+    this.values = []
+  }
+
+  get size() {
+    return this.keys.length
+  }
+
+  peekKey() {
+    return this.keys[0]
+  }
+
+  peekValue() {
+    return this.values[0]
+  }
+
+  push(key, value) {
+    const { keys, values } = this
+    let i = keys.length
+    keys.push(key)
+    values.push(value)
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (keys[parent] <= key) break
+      keys[i] = keys[parent]
+      values[i] = values[parent]
+      i = parent
+    }
+    keys[i] = key
+    values[i] = value
+  }
+
+  pop() {
+    const { keys, values } = this
+    const lastKey = keys.pop()
+    const lastValue = values.pop()
+    if (keys.length === 0) return
+    let i = 0
+    const length = keys.length
+    while (true) {
+      let child = 2 * i + 1
+      if (child >= length) break
+      if (child + 1 < length && keys[child + 1] < keys[child]) child++
+      if (keys[child] >= lastKey) break
+      keys[i] = keys[child]
+      values[i] = values[child]
+      i = child
+    }
+    keys[i] = lastKey
+    values[i] = lastValue
+  }
+}
+
+/**
+ * Assign every pixel to a palette color so that total color error is minimal
+ * and no color's quantity is exceeded. Pixels that cannot be covered by the
+ * available stock are left 'clear' and reported as a shortage.
+ *
+ * @param {Array<Array<string>>} pixelColors - 2D array of pixel hex colors ('clear'/'transparent' stay clear)
+ * @param {Array<{ hex: string, quantity: number }>} palette - Palette with quantities
+ * @param {string} [metric] - Color distance metric (see COLOR_METRICS)
+ * @returns {{
+ *   cells: Array<Array<string>>,
+ *   shortage: { total: number, byColor: Object<string, number> },
+ *   totalError: number
+ * }} - Assigned colors, unmet demand by preferred color, and summed color distance
+ */
+export function solveColorAssignment(pixelColors, palette, metric) {
+  const cells = pixelColors.map(row => row.map(() => 'clear'))
+  const shortage = { total: 0, byColor: {} }
+
+  const bins = palette
+    .filter(p => p.hex !== 'clear' && p.hex !== 'disney')
+    .map(p => ({
+      hex: p.hex,
+      capacity: p.quantity === Infinity ? Infinity : Math.max(0, Math.floor(p.quantity) || 0)
+    }))
+
+  // Collect the pixels that need a domino, sharing cost rows between identical colors
+  const pixelRows = []
+  const pixelCols = []
+  const pixelCosts = []
+  const costCache = new Map()
+  const binCount = bins.length + 1 // Last bin collects unassignable pixels
+  const shortageBin = bins.length
+
+  pixelColors.forEach((row, r) => {
+    row.forEach((hex, c) => {
+      if (hex === 'clear' || hex === 'transparent') return
+      let costs = costCache.get(hex)
+      if (!costs) {
+        costs = new Float64Array(binCount)
+        bins.forEach((bin, k) => { costs[k] = colorDistance(hex, bin.hex, metric) })
+        costs[shortageBin] = SHORTAGE_COST
+        costCache.set(hex, costs)
+      }
+      pixelRows.push(r)
+      pixelCols.push(c)
+      pixelCosts.push(costs)
+    })
+  })
+
+  const pixelCount = pixelCosts.length
+  const capacity = [...bins.map(b => b.capacity), Infinity]
+  const load = new Array(binCount).fill(0)
+  const assignment = new Int32Array(pixelCount).fill(-1)
+
+  // heaps[a][b] holds pixels currently in bin a, keyed by the extra cost of moving them to bin b.
+  // Entries go stale when a pixel moves; they are discarded lazily when peeked.
+  const heaps = Array.from({ length: binCount }, () =>
+    Array.from({ length: binCount }, () => new MinHeap())
+  )
+
+  const addToBin = (pixel, bin) => {
+    assignment[pixel] = bin
+    load[bin]++
+    const costs = pixelCosts[pixel]
+    for (let other = 0; other < binCount; other++) {
+      if (other !== bin) heaps[bin][other].push(costs[other] - costs[bin], pixel)
+    }
+  }
+
+  const edgeWeight = new Float64Array(binCount * binCount)
+  const edgePixel = new Int32Array(binCount * binCount)
+  const dist = new Float64Array(binCount)
+  const prevBin = new Int32Array(binCount)
+
+  for (let pixel = 0; pixel < pixelCount; pixel++) {
+    const costs = pixelCosts[pixel]
+
+    // Cheapest way to push one pixel out of bin a into bin b
+    for (let a = 0; a < binCount; a++) {
+      for (let b = 0; b < binCount; b++) {
+        const index = a * binCount + b
+        edgeWeight[index] = Infinity
+        if (a === b || load[a] === 0) continue
+        const heap = heaps[a][b]
+        while (heap.size > 0 && assignment[heap.peekValue()] !== a) heap.pop()
+        if (heap.size > 0) {
+          edgeWeight[index] = heap.peekKey()
+          edgePixel[index] = heap.peekValue()
+        }
+      }
+    }
+
+    // Bellman-Ford over bins: dist[k] = cheapest cost of making room for this pixel via bin k
+    for (let k = 0; k < binCount; k++) {
+      dist[k] = costs[k]
+      prevBin[k] = -1
+    }
+    for (let iteration = 0; iteration < binCount; iteration++) {
+      let changed = false
+      for (let a = 0; a < binCount; a++) {
+        if (dist[a] === Infinity) continue
+        for (let b = 0; b < binCount; b++) {
+          const weight = edgeWeight[a * binCount + b]
+          if (weight === Infinity) continue
+          const candidate = dist[a] + weight
+          if (candidate < dist[b] - EPSILON) {
+            dist[b] = candidate
+            prevBin[b] = a
+            changed = true
+          }
+        }
+      }
+      if (!changed) break
+    }
+
+    // Cheapest bin that still has room ends the augmenting path
+    let target = shortageBin
+    for (let k = 0; k < binCount; k++) {
+      if (load[k] < capacity[k] && dist[k] < dist[target] - EPSILON) target = k
+    }
+
+    // Walk the path backwards, shifting one pixel along each edge
+    let bin = target
+    for (let steps = 0; prevBin[bin] !== -1 && steps < binCount; steps++) {
+      const from = prevBin[bin]
+      const moved = edgePixel[from * binCount + bin]
+      load[from]--
+      addToBin(moved, bin)
+      bin = from
+    }
+    addToBin(pixel, bin)
+  }
+
+  let totalError = 0
+  for (let pixel = 0; pixel < pixelCount; pixel++) {
+    const bin = assignment[pixel]
+    const costs = pixelCosts[pixel]
+    if (bin === shortageBin) {
+      // Report the color this pixel would have liked
+      let preferred = -1
+      for (let k = 0; k < bins.length; k++) {
+        if (preferred === -1 || costs[k] < costs[preferred]) preferred = k
+      }
+      const preferredHex = preferred === -1 ? 'clear' : bins[preferred].hex
+      shortage.byColor[preferredHex] = (shortage.byColor[preferredHex] || 0) + 1
+      shortage.total++
+    } else {
+      cells[pixelRows[pixel]][pixelCols[pixel]] = bins[bin].hex
+      totalError += costs[bin]
+    }
+  }
+
+  return { cells, shortage, totalError }
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import { solveColorAssignment } from './colorAssignment'
+import { colorDistance } from './colorUtils'
+
+const RED = '#ff0000'
+const DARK_RED = '#aa0000'
+const BLUE = '#0000ff'
+
+const countCells = (cells) => {
+  const counts = {}
+  cells.forEach(row => row.forEach(cell => { counts[cell] = (counts[cell] || 0) + 1 }))
+  return counts
+}
+
+// Smallest total distance over every way of giving each pixel a color within stock
+function bruteForceError(pixels, palette, metric) {
+  let best = Infinity
+  const used = palette.map(() => 0)
+  const visit = (i, error) => {
+    if (error >= best) return
+    if (i === pixels.length) {
+      best = error
+      return
+    }
+    palette.forEach((p, j) => {
+      if (used[j] >= p.quantity) return
+      used[j]++
+      visit(i + 1, error + colorDistance(pixels[i], p.hex, metric))
+      used[j]--
+    })
+  }
+  visit(0, 0)
+  return best
+}
+
+describe('solveColorAssignment', () => {
+  it('gives every pixel its closest color when stock allows', () => {
+    const { cells, shortage } = solveColorAssignment(
+      [[RED, BLUE], ['#ee1111', '#1111ee']],
+      [{ hex: RED, quantity: Infinity }, { hex: BLUE, quantity: Infinity }]
+    )
+    expect(cells).toEqual([[RED, BLUE], [RED, BLUE]])
+    expect(shortage.total).toBe(0)
+  })
+
+  it('never uses more of a color than its quantity', () => {
+    const { cells } = solveColorAssignment(
+      [[RED, RED, RED, RED]],
+      [{ hex: RED, quantity: 1 }, { hex: DARK_RED, quantity: 2 }, { hex: BLUE, quantity: 5 }]
+    )
+    const counts = countCells(cells)
+    expect(counts[RED]).toBe(1)
+    expect(counts[DARK_RED]).toBe(2)
+    expect(counts[BLUE]).toBe(1)
+  })
+
+  it('leaves uncovered pixels clear and reports them by preferred color', () => {
+    const { cells, shortage } = solveColorAssignment(
+      [[RED, RED, BLUE]],
+      [{ hex: RED, quantity: 1 }, { hex: BLUE, quantity: 0 }]
+    )
+    expect(countCells(cells)).toEqual({ [RED]: 1, clear: 2 })
+    expect(shortage.total).toBe(2)
+    expect(shortage.byColor[RED] + shortage.byColor[BLUE]).toBe(2)
+  })
+
+  it('keeps clear and transparent pixels clear without using stock', () => {
+    const { cells, shortage } = solveColorAssignment(
+      [['clear', 'transparent', RED]],
+      [{ hex: 'clear', quantity: 0 }, { hex: RED, quantity: 1 }]
+    )
+    expect(cells).toEqual([['clear', 'clear', RED]])
+    expect(shortage.total).toBe(0)
+  })
+
+  it('returns all clear for an empty palette', () => {
+    const { cells, shortage } = solveColorAssignment([[RED, BLUE]], [])
+    expect(cells).toEqual([['clear', 'clear']])
+    expect(shortage.total).toBe(2)
+  })
+
+  it('matches the best possible total error on small inputs', () => {
+    // Fixed pseudo-random colors so the test is repeatable
+    let seed = 7
+    const random = () => {
+      seed = (seed * 16807) % 2147483647
+      return seed / 2147483647
+    }
+    const randomHex = () => `#${Math.floor(random() * 0xffffff).toString(16).padStart(6, '0')}`
+
+    for (let round = 0; round < 20; round++) {
+      const pixels = Array.from({ length: 6 }, randomHex)
+      const palette = Array.from({ length: 3 }, () => ({ hex: randomHex(), quantity: 1 + Math.floor(random() * 3) }))
+      // Enough stock for every pixel, so the optimum is a real assignment
+      palette[0].quantity = 6
+      const { totalError, shortage } = solveColorAssignment([pixels], palette, 'cie76')
+      expect(shortage.total).toBe(0)
+      expect(totalError).toBeCloseTo(bruteForceError(pixels, palette, 'cie76'), 6)
+    }
+  })
+})
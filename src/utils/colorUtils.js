@@ -57,21 +57,212 @@ export function rgbToHex(r, g, b) {
   return `#${[r, g, b].map(x => x.toString(16).padStart(2, '0')).join('')}`
 }
 
+/**
+ * Available color distance metrics
+ * - redmean: weighted RGB approximation (fast, legacy default)
+ * - cie76: Euclidean distance in CIELAB
+ * - cie94: CIE94 graphic-arts weighting
+ * - ciede2000: CIEDE2000, best match for human perception (recommended)
+ */
+export const COLOR_METRICS = [
+  { value: 'redmean', label: 'RGB (redmean)' },
+  { value: 'cie76', label: 'CIE76 (Lab)' },
+  { value: 'cie94', label: 'CIE94' },
+  { value: 'ciede2000', label: 'CIEDE2000' }
+]
+
+/**
+ * Metric used for image import and palette matching unless the user picks another
+ */
+export const DEFAULT_COLOR_METRIC = 'ciede2000'
+
+// sRGB channel (0-255) to linear light (0-1)
+function srgbToLinear(channel) {
+  const c = channel / 255
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+}
+
+// CIELAB companding function
+function labF(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116
+}
+
+/**
+ * Convert RGB values to CIELAB (D65 reference white)
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{ L: number, a: number, b: number }}
+ */
+export function rgbToLab(r, g, b) {
+  const lr = srgbToLinear(r)
+  const lg = srgbToLinear(g)
+  const lb = srgbToLinear(b)
+
+  // Linear sRGB to XYZ, normalized by the D65 white point
+  const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047
+  const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) / 1.00000
+  const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883
+
+  const fx = labF(x)
+  const fy = labF(y)
+  const fz = labF(z)
+
+  return {
+    L: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  }
+}
+
+// Lab conversions are repeated for every pixel/palette pair, so cache them.
+// Dithering makes a new color for nearly every pixel, so the cache keeps only
+// the most recently used ones; palette colors are looked up constantly and stay.
+const LAB_CACHE_SIZE = 4096
+const labCache = new Map()
+
+/**
+ * Convert hex color to CIELAB (cached)
+ * @param {string} hex - Hex color string
+ * @returns {{ L: number, a: number, b: number } | null}
+ */
+export function hexToLab(hex) {
+  const key = hex.toLowerCase()
+  if (labCache.has(key)) {
+    // Move to the back of the Map's insertion order, which is its use order
+    const cached = labCache.get(key)
+    labCache.delete(key)
+    labCache.set(key, cached)
+    return cached
+  }
+  const rgb = hexToRgb(hex)
+  const lab = rgb ? rgbToLab(rgb.r, rgb.g, rgb.b) : null
+  if (labCache.size >= LAB_CACHE_SIZE) labCache.delete(labCache.keys().next().value)
+  labCache.set(key, lab)
+  return lab
+}
+
+/**
+ * CIE76 color difference (Euclidean distance in Lab)
+ * @param {{ L: number, a: number, b: number }} lab1
+ * @param {{ L: number, a: number, b: number }} lab2
+ * @returns {number}
+ */
+export function deltaE76(lab1, lab2) {
+  const dL = lab1.L - lab2.L
+  const da = lab1.a - lab2.a
+  const db = lab1.b - lab2.b
+  return Math.sqrt(dL * dL + da * da + db * db)
+}
+
+/**
+ * CIE94 color difference (graphic arts constants)
+ * @param {{ L: number, a: number, b: number }} lab1 - Reference color
+ * @param {{ L: number, a: number, b: number }} lab2 - Sample color
+ * @returns {number}
+ */
+export function deltaE94(lab1, lab2) {
+  const dL = lab1.L - lab2.L
+  const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b)
+  const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b)
+  const dC = c1 - c2
+  const da = lab1.a - lab2.a
+  const db = lab1.b - lab2.b
+  // dH² can go slightly negative from rounding
+  const dH2 = Math.max(0, da * da + db * db - dC * dC)
+
+  const sC = 1 + 0.045 * c1
+  const sH = 1 + 0.015 * c1
+
+  return Math.sqrt(
+    dL * dL +
+    (dC / sC) * (dC / sC) +
+    dH2 / (sH * sH)
+  )
+}
+
+/**
+ * CIEDE2000 color difference
+ * @param {{ L: number, a: number, b: number }} lab1
+ * @param {{ L: number, a: number, b: number }} lab2
+ * @returns {number}
+ */
+export function deltaE2000(lab1, lab2) {
+  const toRad = Math.PI / 180
+  const toDeg = 180 / Math.PI
+
+  const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b)
+  const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b)
+  const cBar = (c1 + c2) / 2
+  const cBar7 = Math.pow(cBar, 7)
+  const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + Math.pow(25, 7))))
+
+  const a1p = lab1.a * (1 + g)
+  const a2p = lab2.a * (1 + g)
+  const c1p = Math.sqrt(a1p * a1p + lab1.b * lab1.b)
+  const c2p = Math.sqrt(a2p * a2p + lab2.b * lab2.b)
+
+  const hueAngle = (b, ap) => {
+    if (b === 0 && ap === 0) return 0
+    const h = Math.atan2(b, ap) * toDeg
+    return h >= 0 ? h : h + 360
+  }
+  const h1p = hueAngle(lab1.b, a1p)
+  const h2p = hueAngle(lab2.b, a2p)
+
+  const dLp = lab2.L - lab1.L
+  const dCp = c2p - c1p
+
+  let dhp = 0
+  if (c1p * c2p !== 0) {
+    dhp = h2p - h1p
+    if (dhp > 180) dhp -= 360
+    else if (dhp < -180) dhp += 360
+  }
+  const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((dhp / 2) * toRad)
+
+  const lBarP = (lab1.L + lab2.L) / 2
+  const cBarP = (c1p + c2p) / 2
+
+  let hBarP = h1p + h2p
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hBarP = (h1p + h2p) / 2
+    else if (h1p + h2p < 360) hBarP = (h1p + h2p + 360) / 2
+    else hBarP = (h1p + h2p - 360) / 2
+  }
+
+  const t = 1 -
+    0.17 * Math.cos((hBarP - 30) * toRad) +
+    0.24 * Math.cos((2 * hBarP) * toRad) +
+    0.32 * Math.cos((3 * hBarP + 6) * toRad) -
+    0.20 * Math.cos((4 * hBarP - 63) * toRad)
+
+  const dTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2))
+  const cBarP7 = Math.pow(cBarP, 7)
+  const rC = 2 * Math.sqrt(cBarP7 / (cBarP7 + Math.pow(25, 7)))
+  const lBarP50 = (lBarP - 50) * (lBarP - 50)
+  const sL = 1 + (0.015 * lBarP50) / Math.sqrt(20 + lBarP50)
+  const sC = 1 + 0.045 * cBarP
+  const sH = 1 + 0.015 * cBarP * t
+  const rT = -Math.sin((2 * dTheta) * toRad) * rC
+
+  const termL = dLp / sL
+  const termC = dCp / sC
+  const termH = dHp / sH
+
+  return Math.sqrt(termL * termL + termC * termC + termH * termH + rT * termC * termH)
+}
+
 /**
  * Calculate weighted Euclidean color distance (better perceptual accuracy)
  * Based on the "redmean" approximation which weights RGB differences
  * according to human color perception.
  *
- * @param {string} hex1 - First hex color
- * @param {string} hex2 - Second hex color
- * @returns {number} - Distance value (lower = more similar)
+ * @param {{ r: number, g: number, b: number }} rgb1
+ * @param {{ r: number, g: number, b: number }} rgb2
+ * @returns {number}
  */
-export function colorDistance(hex1, hex2) {
-  const rgb1 = hexToRgb(hex1)
-  const rgb2 = hexToRgb(hex2)
-
-  if (!rgb1 || !rgb2) return Infinity
-
+function redmeanDistance(rgb1, rgb2) {
   const rmean = (rgb1.r + rgb2.r) / 2
   const dr = rgb1.r - rgb2.r
   const dg = rgb1.g - rgb2.g
@@ -85,13 +276,43 @@ export function colorDistance(hex1, hex2) {
   )
 }
 
+/**
+ * Calculate the distance between two colors using the given metric.
+ * Values are only comparable within the same metric.
+ *
+ * @param {string} hex1 - First hex color
+ * @param {string} hex2 - Second hex color
+ * @param {string} [metric] - One of COLOR_METRICS values (defaults to DEFAULT_COLOR_METRIC)
+ * @returns {number} - Distance value (lower = more similar)
+ */
+export function colorDistance(hex1, hex2, metric = DEFAULT_COLOR_METRIC) {
+  if (metric === 'redmean') {
+    const rgb1 = hexToRgb(hex1)
+    const rgb2 = hexToRgb(hex2)
+    if (!rgb1 || !rgb2) return Infinity
+    return redmeanDistance(rgb1, rgb2)
+  }
+
+  const lab1 = hexToLab(hex1)
+  const lab2 = hexToLab(hex2)
+  if (!lab1 || !lab2) return Infinity
+
+  switch (metric) {
+    case 'cie76': return deltaE76(lab1, lab2)
+    case 'cie94': return deltaE94(lab1, lab2)
+    case 'ciede2000': return deltaE2000(lab1, lab2)
+    default: return redmeanDistance(hexToRgb(hex1), hexToRgb(hex2))
+  }
+}
+
 /**
  * Find the closest color in the palette to a given pixel color
  * @param {string} pixelHex - The hex color to match
  * @param {Array<{ hex: string, quantity: number, name?: string }>} palette - Palette with quantities
+ * @param {string} [metric] - Color distance metric (see COLOR_METRICS)
  * @returns {string} - The closest palette color hex, or 'clear' if no match
  */
-export function findClosestPaletteColor(pixelHex, palette) {
+export function findClosestPaletteColor(pixelHex, palette, metric) {
   let closestColor = null
   let minDistance = Infinity
 
@@ -99,7 +320,7 @@ export function findClosestPaletteColor(pixelHex, palette) {
     // Skip clear and disney colors for matching
     if (paletteColor.hex === 'clear' || paletteColor.hex === 'disney') continue
 
-    const distance = colorDistance(pixelHex, paletteColor.hex)
+    const distance = colorDistance(pixelHex, paletteColor.hex, metric)
     if (distance < minDistance) {
       minDistance = distance
       closestColor = paletteColor.hex
@@ -114,9 +335,10 @@ export function findClosestPaletteColor(pixelHex, palette) {
  * @param {string} pixelHex - The hex color to match
  * @param {Array<{ hex: string, quantity: number, name?: string }>} palette - Palette with quantities
  * @param {Object} usageCounts - Current usage counts by hex color
+ * @param {string} [metric] - Color distance metric (see COLOR_METRICS)
  * @returns {string} - The closest available palette color hex, or 'clear' if none available
  */
-export function findClosestAvailableColor(pixelHex, palette, usageCounts) {
+export function findClosestAvailableColor(pixelHex, palette, usageCounts, metric) {
   // Build list of colors sorted by distance
   const colorDistances = []
 
@@ -124,7 +346,7 @@ export function findClosestAvailableColor(pixelHex, palette, usageCounts) {
     // Skip clear and disney colors for matching
     if (paletteColor.hex === 'clear' || paletteColor.hex === 'disney') continue
 
-    const distance = colorDistance(pixelHex, paletteColor.hex)
+    const distance = colorDistance(pixelHex, paletteColor.hex, metric)
     const used = usageCounts[paletteColor.hex] || 0
     const available = paletteColor.quantity === Infinity ? Infinity : paletteColor.quantity - used
 
@@ -149,155 +371,6 @@ export function findClosestAvailableColor(pixelHex, palette, usageCounts) {
   return colorDistances[0]?.hex || 'clear'
 }
 
-/**
- * Get sorted color preferences for a pixel (all colors ranked by distance)
- * @param {string} pixelHex - The hex color to match
- * @param {Array<{ hex: string, quantity: number, name?: string }>} palette - Palette with quantities
- * @returns {Array<{hex: string, distance: number}>} - Colors sorted by distance (best match first)
- */
-export function getColorPreferences(pixelHex, palette) {
-  const preferences = []
-
-  for (const paletteColor of palette) {
-    if (paletteColor.hex === 'clear' || paletteColor.hex === 'disney') continue
-    const distance = colorDistance(pixelHex, paletteColor.hex)
-    preferences.push({ hex: paletteColor.hex, distance })
-  }
-
-  preferences.sort((a, b) => a.distance - b.distance)
-  return preferences
-}
-
-/**
- * Two-pass color distribution algorithm for better image import
- * Instead of greedily assigning colors top-to-bottom, this:
- * 1. First pass: Determine what color each pixel "wants" (best match)
- * 2. Second pass: Distribute oversubscribed colors evenly across the image
- *
- * @param {Array<Array<string>>} pixelColors - 2D array of pixel hex colors
- * @param {Array<{ hex: string, quantity: number }>} palette - Palette with quantities
- * @returns {Array<Array<string>>} - 2D array of assigned palette colors
- */
-export function distributeColorsEvenly(pixelColors, palette) {
-  const rows = pixelColors.length
-  const cols = pixelColors[0]?.length || 0
-
-  // Build availability map
-  const availability = {}
-  for (const p of palette) {
-    if (p.hex !== 'clear' && p.hex !== 'disney') {
-      availability[p.hex] = p.quantity === Infinity ? Infinity : p.quantity
-    }
-  }
-
-  // First pass: Calculate preferences for each pixel
-  // Store as { row, col, preferences: [{hex, distance}, ...] }
-  const pixelPrefs = []
-
-  for (let r = 0; r < rows; r++) {
-    for (let c = 0; c < cols; c++) {
-      const pixelHex = pixelColors[r][c]
-      if (pixelHex === 'clear' || pixelHex === 'transparent') {
-        pixelPrefs.push({ row: r, col: c, preferences: [{ hex: 'clear', distance: 0 }], assigned: 'clear' })
-      } else {
-        const prefs = getColorPreferences(pixelHex, palette)
-        pixelPrefs.push({ row: r, col: c, preferences: prefs, assigned: null })
-      }
-    }
-  }
-
-  // Count demand for each color (first choice)
-  const demand = {}
-  for (const pixel of pixelPrefs) {
-    if (pixel.assigned === 'clear') continue
-    const firstChoice = pixel.preferences[0]?.hex
-    if (firstChoice) {
-      demand[firstChoice] = (demand[firstChoice] || 0) + 1
-    }
-  }
-
-  // For each color, determine the "acceptance threshold"
-  // If demand > availability, we need to select which pixels get this color
-  // We'll use distance as priority - pixels with smaller distance get priority
-
-  const remainingAvailability = { ...availability }
-
-  // Sort all unassigned pixels by their first-choice distance (best matches first)
-  const unassigned = pixelPrefs.filter(p => p.assigned === null)
-
-  // Process in rounds - each round tries to assign colors based on best available match
-  let maxRounds = 10 // Safety limit
-  let round = 0
-
-  while (unassigned.some(p => p.assigned === null) && round < maxRounds) {
-    round++
-
-    // Group pixels by their current best available choice
-    const groups = {}
-
-    for (const pixel of unassigned) {
-      if (pixel.assigned !== null) continue
-
-      // Find best available color for this pixel
-      let bestAvailable = null
-      for (const pref of pixel.preferences) {
-        if (remainingAvailability[pref.hex] > 0) {
-          bestAvailable = pref
-          break
-        }
-      }
-
-      if (!bestAvailable) {
-        // No colors available - assign first preference anyway (will show warning)
-        pixel.assigned = pixel.preferences[0]?.hex || 'clear'
-        continue
-      }
-
-      if (!groups[bestAvailable.hex]) {
-        groups[bestAvailable.hex] = []
-      }
-      groups[bestAvailable.hex].push({ pixel, distance: bestAvailable.distance })
-    }
-
-    // For each color group, assign based on who needs it most (smallest distance)
-    for (const [colorHex, pixels] of Object.entries(groups)) {
-      const available = remainingAvailability[colorHex]
-
-      if (pixels.length <= available) {
-        // Everyone gets their color
-        for (const { pixel } of pixels) {
-          pixel.assigned = colorHex
-          remainingAvailability[colorHex]--
-        }
-      } else {
-        // Need to ration - sort by distance and give to the best matches
-        pixels.sort((a, b) => a.distance - b.distance)
-
-        for (let i = 0; i < pixels.length; i++) {
-          if (i < available) {
-            pixels[i].pixel.assigned = colorHex
-            remainingAvailability[colorHex]--
-          }
-          // Others will try again in next round with their second choice
-        }
-      }
-    }
-  }
-
-  // Build output grid
-  const result = []
-  for (let r = 0; r < rows; r++) {
-    const row = []
-    for (let c = 0; c < cols; c++) {
-      const pixel = pixelPrefs[r * cols + c]
-      row.push(pixel.assigned || pixel.preferences[0]?.hex || 'clear')
-    }
-    result.push(row)
-  }
-
-  return result
-}
-
 /**
  * Normalize a palette from old format (array of strings) to new format (array of objects)
  * @param {Array<string | { hex: string, quantity: number }>} palette - Mixed format palette
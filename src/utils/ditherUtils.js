@@ -0,0 +1,190 @@
+/**
+ * Dithering for image import
+ *
+ * Spreads quantization error across neighboring cells so gradients (skies,
+ * shadows) become a mix of domino colors instead of hard bands.
+ */
+
+import { hexToRgb, rgbToHex, colorDistance } from './colorUtils'
+import { solveColorAssignment } from './colorAssignment'
+
+/**
+ * Available dither modes, in the order they are offered in the UI
+ */
+export const DITHER_MODES = [
+  { value: 'none', label: 'None' },
+  { value: 'floyd-steinberg', label: 'Floyd–Steinberg' },
+  { value: 'atkinson', label: 'Atkinson' },
+  { value: 'bayer4', label: 'Bayer 4×4' }
+]
+
+// Error diffusion kernels: [rowOffset, colOffset, weight] relative to the current pixel
+const ERROR_DIFFUSION_KERNELS = {
+  'floyd-steinberg': {
+    divisor: 16,
+    offsets: [[0, 1, 7], [1, -1, 3], [1, 0, 5], [1, 1, 1]]
+  },
+  // Atkinson only diffuses 6/8 of the error, which keeps contrast higher
+  atkinson: {
+    divisor: 8,
+    offsets: [[0, 1, 1], [0, 2, 1], [1, -1, 1], [1, 0, 1], [1, 1, 1], [2, 0, 1]]
+  }
+}
+
+// Classic 4x4 Bayer threshold matrix (values 0-15)
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+]
+
+// How far (in RGB units) the Bayer threshold can push a pixel either way
+const BAYER_STRENGTH = 48
+
+const clampChannel = (value) => Math.max(0, Math.min(255, Math.round(value)))
+
+const isTransparentPixel = (hex) => hex === 'clear' || hex === 'transparent'
+
+/**
+ * Pick a palette color for a dithered pixel while respecting quantity limits.
+ * Each color may only use its share of stock for the rows processed so far,
+ * so scarce colors are spread down the image instead of running out at the top.
+ *
+ * @param {string} pixelHex - Error-adjusted pixel color
+ * @param {Array<{ hex: string, rgb: Object, quantity: number }>} candidates - Matchable palette colors
+ * @param {Object} usageCounts - Current usage counts by hex color
+ * @param {number} progress - Fraction of the image processed (0-1]
+ * @param {string} [metric] - Color distance metric
+ * @returns {{ hex: string, rgb: Object, outOfStock: boolean }}
+ */
+function pickDitheredColor(pixelHex, candidates, usageCounts, progress, metric) {
+  const ranked = candidates
+    .map(candidate => ({ candidate, distance: colorDistance(pixelHex, candidate.hex, metric) }))
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ candidate }) => candidate)
+
+  const withinQuota = ranked.find(({ hex, quantity }) =>
+    quantity === Infinity || (usageCounts[hex] || 0) < Math.ceil(quantity * progress)
+  )
+  if (withinQuota) return { ...withinQuota, outOfStock: false }
+
+  const withinStock = ranked.find(({ hex, quantity }) =>
+    quantity === Infinity || (usageCounts[hex] || 0) < quantity
+  )
+  if (withinStock) return { ...withinStock, outOfStock: false }
+
+  // Every color is exhausted - report the closest one as short
+  return { ...ranked[0], outOfStock: true }
+}
+
+/**
+ * Error diffusion dithering (Floyd–Steinberg, Atkinson) with serpentine scanning
+ * @param {Array<Array<string>>} pixelColors - 2D array of pixel hex colors
+ * @param {Array<{ hex: string, quantity: number }>} palette - Palette with quantities
+ * @param {{ divisor: number, offsets: Array<Array<number>> }} kernel - Diffusion kernel
+ * @param {string} [metric] - Color distance metric
+ * @returns {{ cells: Array<Array<string>>, shortage: { total: number, byColor: Object<string, number> } }}
+ */
+function diffuseError(pixelColors, palette, kernel, metric) {
+  const rows = pixelColors.length
+  const cols = pixelColors[0]?.length || 0
+
+  const candidates = palette
+    .filter(p => p.hex !== 'clear' && p.hex !== 'disney')
+    .map(p => ({ hex: p.hex, rgb: hexToRgb(p.hex), quantity: p.quantity }))
+
+  const result = pixelColors.map(row => row.map(() => 'clear'))
+  const shortage = { total: 0, byColor: {} }
+
+  if (candidates.length === 0) {
+    return { cells: result, shortage }
+  }
+
+  // Working buffer of floating point RGB values that accumulates diffused error
+  const buffer = pixelColors.map(row => row.map(hex => {
+    if (isTransparentPixel(hex)) return null
+    const rgb = hexToRgb(hex)
+    return rgb ? [rgb.r, rgb.g, rgb.b] : null
+  }))
+
+  const usageCounts = {}
+
+  for (let r = 0; r < rows; r++) {
+    // Alternate scan direction each row to avoid directional streaks
+    const reverse = r % 2 === 1
+    const progress = (r + 1) / rows
+
+    for (let i = 0; i < cols; i++) {
+      const c = reverse ? cols - 1 - i : i
+      const pixel = buffer[r][c]
+      if (!pixel) continue
+
+      const adjustedHex = rgbToHex(clampChannel(pixel[0]), clampChannel(pixel[1]), clampChannel(pixel[2]))
+      const chosen = pickDitheredColor(adjustedHex, candidates, usageCounts, progress, metric)
+      if (chosen.outOfStock) {
+        // Leave the cell clear, but still diffuse the error so neighbors compensate
+        shortage.byColor[chosen.hex] = (shortage.byColor[chosen.hex] || 0) + 1
+        shortage.total++
+      } else {
+        usageCounts[chosen.hex] = (usageCounts[chosen.hex] || 0) + 1
+        result[r][c] = chosen.hex
+      }
+
+      const errR = pixel[0] - chosen.rgb.r
+      const errG = pixel[1] - chosen.rgb.g
+      const errB = pixel[2] - chosen.rgb.b
+
+      for (const [dr, dc, weight] of kernel.offsets) {
+        const targetR = r + dr
+        const targetC = reverse ? c - dc : c + dc
+        if (targetR >= rows || targetC < 0 || targetC >= cols) continue
+        const target = buffer[targetR][targetC]
+        if (!target) continue
+        const factor = weight / kernel.divisor
+        target[0] += errR * factor
+        target[1] += errG * factor
+        target[2] += errB * factor
+      }
+    }
+  }
+
+  return { cells: result, shortage }
+}
+
+/**
+ * Ordered (Bayer 4x4) dithering. Pixels are nudged by the threshold matrix
+ * and then matched with the optimal assignment solver.
+ * @param {Array<Array<string>>} pixelColors - 2D array of pixel hex colors
+ * @returns {Array<Array<string>>} - 2D array of perturbed pixel hex colors
+ */
+function applyBayerThreshold(pixelColors) {
+  return pixelColors.map((row, r) => row.map((hex, c) => {
+    if (isTransparentPixel(hex)) return hex
+    const rgb = hexToRgb(hex)
+    if (!rgb) return hex
+    const offset = ((BAYER_4X4[r % 4][c % 4] + 0.5) / 16 - 0.5) * BAYER_STRENGTH
+    return rgbToHex(clampChannel(rgb.r + offset), clampChannel(rgb.g + offset), clampChannel(rgb.b + offset))
+  }))
+}
+
+/**
+ * Map pixel colors to palette colors using the chosen dither mode.
+ * No mode ever uses more of a color than its quantity; pixels that can't be
+ * covered are left clear and counted in the shortage report.
+ *
+ * @param {Array<Array<string>>} pixelColors - 2D array of pixel hex colors
+ * @param {Array<{ hex: string, quantity: number }>} palette - Palette with quantities
+ * @param {string} [mode] - One of DITHER_MODES values
+ * @param {string} [metric] - Color distance metric (see COLOR_METRICS)
+ * @returns {{ cells: Array<Array<string>>, shortage: { total: number, byColor: Object<string, number> } }}
+ */
+export function ditherImage(pixelColors, palette, mode = 'none', metric) {
+  const kernel = ERROR_DIFFUSION_KERNELS[mode]
+  if (kernel) {
+    return diffuseError(pixelColors, palette, kernel, metric)
+  }
+  const source = mode === 'bayer4' ? applyBayerThreshold(pixelColors) : pixelColors
+  const { cells, shortage } = solveColorAssignment(source, palette, metric)
+  return { cells, shortage }
+}
@@ -0,0 +1,89 @@
+/**
+ * Bucket fill regions
+ *
+ * A region is every cell that matches the clicked cell: its contiguous
+ * neighbours (4- or 8-connected) or, in global mode, every matching cell in
+ * the grid. Tolerance lets hex colors close to the clicked one match too;
+ * 'clear' and 'disney' only ever match themselves.
+ */
+
+import { colorDistance } from './colorUtils'
+
+/**
+ * Fill modes
+ */
+export const FILL_MODES = [
+  { value: 'contiguous', label: 'Contiguous' },
+  { value: 'global', label: 'All matching' }
+]
+
+// Largest distance each metric reports between two colors, so tolerance can
+// be given as a percentage whichever metric is in use
+const METRIC_RANGE = {
+  redmean: 765,
+  cie76: 100,
+  cie94: 100,
+  ciede2000: 100
+}
+
+const NEIGHBOURS_4 = [[-1, 0], [1, 0], [0, -1], [0, 1]]
+const NEIGHBOURS_8 = [...NEIGHBOURS_4, [-1, -1], [-1, 1], [1, -1], [1, 1]]
+
+/**
+ * Cells the bucket fills from one starting cell
+ * @param {Array<Array<string>>} grid
+ * @param {number} row
+ * @param {number} col
+ * @param {Object} [options]
+ * @param {'contiguous' | 'global'} [options.mode='contiguous']
+ * @param {4 | 8} [options.connectivity=4] - Whether diagonal neighbours count
+ * @param {number} [options.tolerance=0] - 0-100, percent of the metric's range
+ * @param {string} [options.metric='ciede2000'] - See COLOR_METRICS
+ * @returns {Array<[number, number]>} - [row, col] of each cell, including the start
+ */
+export function getFillRegion(grid, row, col, { mode = 'contiguous', connectivity = 4, tolerance = 0, metric = 'ciede2000' } = {}) {
+  const rows = grid.length
+  const cols = grid[0]?.length || 0
+  if (row < 0 || row >= rows || col < 0 || col >= cols) return []
+
+  const target = grid[row][col]
+  const isHex = target.startsWith('#')
+  const maxDistance = (tolerance / 100) * (METRIC_RANGE[metric] ?? 100)
+  // Distances are cached per color since a region is usually a few colors
+  const distances = new Map()
+  const matches = (value) => {
+    if (value === target) return true
+    if (!isHex || tolerance <= 0 || !value.startsWith('#')) return false
+    if (!distances.has(value)) distances.set(value, colorDistance(target, value, metric))
+    return distances.get(value) <= maxDistance
+  }
+
+  const region = []
+  if (mode === 'global') {
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        if (matches(grid[r][c])) region.push([r, c])
+      }
+    }
+    return region
+  }
+
+  const neighbours = connectivity === 8 ? NEIGHBOURS_8 : NEIGHBOURS_4
+  const visited = new Uint8Array(rows * cols)
+  const stack = [[row, col]]
+  visited[row * cols + col] = 1
+  while (stack.length > 0) {
+    const [r, c] = stack.pop()
+    region.push([r, c])
+    neighbours.forEach(([dr, dc]) => {
+      const nr = r + dr
+      const nc = c + dc
+      if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) return
+      const index = nr * cols + nc
+      if (visited[index]) return
+      visited[index] = 1
+      if (matches(grid[nr][nc])) stack.push([nr, nc])
+    })
+  }
+  return region
+}
@@ -0,0 +1,15 @@
+/**
+ * Describe when something happened, e.g. "3 min ago" or a date for older times
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @param {number} [now] - Reference time
+ * @returns {string}
+ */
+export function formatRelativeTime(timestamp, now = Date.now()) {
+  const seconds = Math.round((now - timestamp) / 1000)
+  if (seconds < 45) return 'just now'
+  const minutes = Math.round(seconds / 60)
+  if (minutes < 60) return `${minutes} min ago`
+  const hours = Math.round(minutes / 60)
+  if (hours < 24) return `${hours} h ago`
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
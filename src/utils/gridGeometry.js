@@ -0,0 +1,22 @@
+/**
+ * Physical layout of the planner grid
+ *
+ * Cells are a top view of standing dominoes: width is the face width, height
+ * is the thickness. Shared by the grid renderer, zoom fitting and the topple
+ * simulation so they never drift apart.
+ */
+
+// Base domino dimensions (at 100% zoom)
+export const BASE_DOMINO_WIDTH = 90
+export const BASE_DOMINO_HEIGHT = 30
+export const BASE_H_GAP = 15
+export const BASE_V_GAP = 30
+
+// Height of a standing domino in the same units (a real domino is about twice as tall as it is wide)
+export const DOMINO_STANDING_HEIGHT = 180
+
+// Base fill button size
+export const BASE_FILL_BTN_SIZE = 24
+
+// Base label column width
+export const BASE_LABEL_WIDTH = 30
@@ -0,0 +1,110 @@
+/**
+ * Counting helpers for domino usage on the grid
+ */
+
+const CLEAR = 'clear'
+const DISNEY = 'disney'
+
+/**
+ * Check if a cell is inside a rectangular region (and its mask, for selections)
+ * @param {number} row
+ * @param {number} col
+ * @param {{ startRow: number, startCol: number, endRow: number, endCol: number, mask?: Array<Array<boolean>> } | null} bounds
+ * @returns {boolean}
+ */
+function isInBounds(row, col, bounds) {
+  return !!bounds &&
+    row >= bounds.startRow && row <= bounds.endRow &&
+    col >= bounds.startCol && col <= bounds.endCol &&
+    (!bounds.mask || bounds.mask[row - bounds.startRow][col - bounds.startCol])
+}
+
+/**
+ * Count dominoes per color
+ * @param {Array<Array<string>>} grid - 2D array of cell values
+ * @param {{ startRow: number, startCol: number, endRow: number, endCol: number } | null} [excludeBounds] - Region to leave out of the count
+ * @returns {Object<string, number>} - Counts by cell value
+ */
+export function countCellColors(grid, excludeBounds = null) {
+  const counts = {}
+  grid.forEach((row, r) => {
+    row.forEach((cell, c) => {
+      if (isInBounds(r, c, excludeBounds)) return
+      counts[cell] = (counts[cell] || 0) + 1
+    })
+  })
+  return counts
+}
+
+/**
+ * Count dominoes per color inside a rectangular region
+ * @param {Array<Array<string>>} grid - 2D array of cell values
+ * @param {{ startRow: number, startCol: number, endRow: number, endCol: number }} bounds - Inclusive region (clipped to the grid)
+ * @returns {Object<string, number>} - Counts by cell value
+ */
+export function countRegionColors(grid, bounds) {
+  const counts = {}
+  const endRow = Math.min(bounds.endRow, grid.length - 1)
+  for (let r = Math.max(0, bounds.startRow); r <= endRow; r++) {
+    const row = grid[r]
+    const endCol = Math.min(bounds.endCol, row.length - 1)
+    for (let c = Math.max(0, bounds.startCol); c <= endCol; c++) {
+      counts[row[c]] = (counts[row[c]] || 0) + 1
+    }
+  }
+  return counts
+}
+
+/**
+ * Per-color usage against palette quantities, in display order
+ * (Clear first, Disney second, then by usage)
+ * @param {Object<string, number>} colorCounts - Counts by cell value
+ * @param {Array<{ hex: string, quantity: number, name?: string }>} palette
+ * @returns {Array<{ color: string, used: number, available: number, name?: string, overLimit: boolean, approachingLimit: boolean }>}
+ */
+export function getColorStats(colorCounts, palette) {
+  // Create a map of palette colors with their quantities
+  const paletteMap = {}
+  palette.forEach(p => {
+    paletteMap[p.hex] = { quantity: p.quantity, name: p.name }
+  })
+
+  return Object.entries(colorCounts)
+    .map(([color, used]) => {
+      const paletteInfo = paletteMap[color] || { quantity: Infinity }
+      const available = paletteInfo.quantity
+      const overLimit = available !== Infinity && used > available
+      const approachingLimit = available !== Infinity && !overLimit && (available - used) <= 10
+      return {
+        color,
+        used,
+        available,
+        name: paletteInfo.name,
+        overLimit,
+        approachingLimit
+      }
+    })
+    .sort((a, b) => {
+      // Sort: Clear first, Disney second, then by usage count
+      if (a.color === CLEAR) return -1
+      if (b.color === CLEAR) return 1
+      if (a.color === DISNEY) return -1
+      if (b.color === DISNEY) return 1
+      return b.used - a.used
+    })
+}
+
+/**
+ * Palette with quantities reduced by the dominoes already placed on the grid
+ * @param {Array<{ hex: string, quantity: number, name?: string }>} palette
+ * @param {Array<Array<string>>} grid - 2D array of cell values
+ * @param {{ startRow: number, startCol: number, endRow: number, endCol: number } | null} [excludeBounds] - Region that will be overwritten, so its cells don't count as used
+ * @returns {Array<{ hex: string, quantity: number, name?: string }>}
+ */
+export function getRemainingPalette(palette, grid, excludeBounds = null) {
+  const counts = countCellColors(grid, excludeBounds)
+  return palette.map(p => ({
+    ...p,
+    quantity: p.quantity === Infinity ? Infinity : Math.max(0, p.quantity - (counts[p.hex] || 0))
+  }))
+}
@@ -0,0 +1,218 @@
+/**
+ * Undo history built from labeled diffs
+ *
+ * Each entry records only what one action changed: the cells of one layer
+ * that changed (when the grid kept its size), both grids (when it was
+ * resized), a layer stack diff (when layers were added, removed, reordered,
+ * changed together or had their settings changed), and/or both palettes.
+ * The editor's current layers and palette are the only full copies, so undo
+ * and redo walk entries backwards or forwards from them.
+ *
+ * A layer stack diff holds, each only when needed:
+ *   order    - layer ids bottom first, before and after
+ *   added    - whole layers that only exist after
+ *   removed  - whole layers that only exist before
+ *   settings - [{ id, before, after }] with just the changed settings
+ *   cells    - [{ id, cells | resize }] like a one-layer grid diff
+ *
+ * History is a plain object, { entries, index }, where index is the last
+ * applied entry (-1 = nothing applied), so it can be stored with the session.
+ */
+
+/**
+ * Entries kept before the oldest are dropped
+ */
+export const MAX_HISTORY = 200
+
+/**
+ * @returns {{ entries: Array<Object>, index: number }}
+ */
+export function createHistory() {
+  return { entries: [], index: -1 }
+}
+
+/**
+ * Describe how one grid became another
+ * @param {Array<Array<string>>} before
+ * @param {Array<Array<string>>} after
+ * @returns {Object | null} - null if nothing changed
+ */
+export function diffGrids(before, after) {
+  if (before === after) return null
+  const rows = before.length
+  const cols = before[0]?.length || 0
+  if (after.length !== rows || (after[0]?.length || 0) !== cols) {
+    return { resize: { before, after } }
+  }
+
+  // Changed cells as flat positions (row * cols + col) with old and new values
+  const positions = []
+  const oldValues = []
+  const newValues = []
+  for (let r = 0; r < rows; r++) {
+    const beforeRow = before[r]
+    const afterRow = after[r]
+    if (beforeRow === afterRow) continue
+    for (let c = 0; c < cols; c++) {
+      if (beforeRow[c] !== afterRow[c]) {
+        positions.push(r * cols + c)
+        oldValues.push(beforeRow[c])
+        newValues.push(afterRow[c])
+      }
+    }
+  }
+  return positions.length > 0 ? { cells: { cols, positions, oldValues, newValues } } : null
+}
+
+// Layer fields other than its id and cells: name, visible, locked, opacity
+const settingKeys = (layer) => Object.keys(layer).filter(key => key !== 'id' && key !== 'cells')
+
+/**
+ * Describe how one layer stack became another
+ * @param {Array<Object>} before
+ * @param {Array<Object>} after
+ * @returns {Object | null} - null if nothing changed
+ */
+export function diffLayers(before, after) {
+  if (before === after) return null
+  const beforeById = new Map(before.map(layer => [layer.id, layer]))
+  const afterById = new Map(after.map(layer => [layer.id, layer]))
+  const added = after.filter(layer => !beforeById.has(layer.id))
+  const removed = before.filter(layer => !afterById.has(layer.id))
+  const settings = []
+  const cells = []
+  after.forEach(layer => {
+    const old = beforeById.get(layer.id)
+    if (!old || old === layer) return
+    const changedKeys = [...new Set([...settingKeys(old), ...settingKeys(layer)])].filter(key => old[key] !== layer[key])
+    if (changedKeys.length > 0) {
+      settings.push({
+        id: layer.id,
+        before: Object.fromEntries(changedKeys.map(key => [key, old[key]])),
+        after: Object.fromEntries(changedKeys.map(key => [key, layer[key]]))
+      })
+    }
+    const gridDiff = diffGrids(old.cells, layer.cells)
+    if (gridDiff) cells.push({ id: layer.id, ...gridDiff })
+  })
+  const orderBefore = before.map(layer => layer.id)
+  const orderAfter = after.map(layer => layer.id)
+  const reordered = orderBefore.length !== orderAfter.length || orderBefore.some((id, i) => id !== orderAfter[i])
+  if (!reordered && settings.length === 0 && cells.length === 0) return null
+  return {
+    ...(reordered && { order: { before: orderBefore, after: orderAfter } }),
+    ...(added.length > 0 && { added }),
+    ...(removed.length > 0 && { removed }),
+    ...(settings.length > 0 && { settings }),
+    ...(cells.length > 0 && { cells })
+  }
+}
+
+/**
+ * Build a history entry
+ * @param {string} label - e.g. "Fill row 4"
+ * @param {Object} changes
+ * @param {[Array<Array<string>>, Array<Array<string>>]} [changes.grid] - Cells of one layer before and after
+ * @param {string} [changes.layer] - Id of the layer changes.grid belongs to (required with changes.grid)
+ * @param {[Array<Object>, Array<Object>]} [changes.layers] - Layer stack before and after
+ * @param {[Array<Object>, Array<Object>]} [changes.palette] - Palette before and after
+ * @returns {Object | null} - null if nothing changed
+ */
+export function createHistoryEntry(label, { grid, layer, layers, palette }) {
+  const gridDiff = grid ? diffGrids(grid[0], grid[1]) : null
+  const layersDiff = layers ? diffLayers(layers[0], layers[1]) : null
+  const paletteChanged = palette && palette[0] !== palette[1]
+  if (!gridDiff && !layersDiff && !paletteChanged) return null
+  return {
+    label,
+    time: Date.now(),
+    ...(gridDiff && { ...gridDiff, layer }),
+    ...(layersDiff && { layers: layersDiff }),
+    ...(paletteChanged && { palette: { before: palette[0], after: palette[1] } })
+  }
+}
+
+/**
+ * Add an entry after the current one, dropping any redo entries
+ * @param {{ entries: Array<Object>, index: number }} history
+ * @param {Object} entry
+ * @returns {{ entries: Array<Object>, index: number }}
+ */
+export function pushHistory(history, entry) {
+  const entries = [...history.entries.slice(0, history.index + 1), entry]
+  if (entries.length > MAX_HISTORY) entries.splice(0, entries.length - MAX_HISTORY)
+  return { entries, index: entries.length - 1 }
+}
+
+// Apply a grid entry's cells or resize to one layer's cells
+function applyGridEntry(grid, entry, forwards) {
+  if (entry.resize) return forwards ? entry.resize.after : entry.resize.before
+  const { cols, positions, oldValues, newValues } = entry.cells
+  const values = forwards ? newValues : oldValues
+  const nextGrid = grid.map(row => row)
+  positions.forEach((position, i) => {
+    const r = Math.floor(position / cols)
+    const c = position % cols
+    if (nextGrid[r] === grid[r]) nextGrid[r] = [...grid[r]]
+    nextGrid[r][c] = values[i]
+  })
+  return nextGrid
+}
+
+// Apply a layer stack diff forwards or backwards
+function applyLayersDiff(layers, diff, forwards) {
+  const side = forwards ? 'after' : 'before'
+  const leaving = new Set((forwards ? diff.removed : diff.added)?.map(layer => layer.id))
+  const settings = new Map(diff.settings?.map(change => [change.id, change[side]]))
+  const cells = new Map(diff.cells?.map(change => [change.id, change]))
+  const next = layers
+    .filter(layer => !leaving.has(layer.id))
+    .map(layer => {
+      if (!settings.has(layer.id) && !cells.has(layer.id)) return layer
+      return {
+        ...layer,
+        ...settings.get(layer.id),
+        ...(cells.has(layer.id) && { cells: applyGridEntry(layer.cells, cells.get(layer.id), forwards) })
+      }
+    })
+  next.push(...((forwards ? diff.added : diff.removed) || []))
+  if (!diff.order) return next
+  const byId = new Map(next.map(layer => [layer.id, layer]))
+  return diff.order[side].map(id => byId.get(id)).filter(Boolean)
+}
+
+// Apply one entry forwards (redo) or backwards (undo)
+function applyEntry({ layers, palette }, entry, forwards) {
+  let nextLayers = layers
+  if (entry.layers) {
+    nextLayers = applyLayersDiff(layers, entry.layers, forwards)
+  } else if (entry.resize || entry.cells) {
+    const index = layers.findIndex(layer => layer.id === entry.layer)
+    if (index >= 0) {
+      nextLayers = layers.map((layer, i) => (
+        i === index ? { ...layer, cells: applyGridEntry(layer.cells, entry, forwards) } : layer
+      ))
+    }
+  }
+  const nextPalette = entry.palette ? (forwards ? entry.palette.after : entry.palette.before) : palette
+  return { layers: nextLayers, palette: nextPalette }
+}
+
+/**
+ * Move through history to another entry
+ * @param {{ entries: Array<Object>, index: number }} history
+ * @param {{ layers: Array<Object>, palette: Array<Object> }} state - Current editor state (at history.index)
+ * @param {number} targetIndex - Entry to end up at (-1 = before the first entry)
+ * @returns {{ history: Object, layers: Array<Object>, palette: Array<Object> }}
+ */
+export function travelHistory(history, state, targetIndex) {
+  const target = Math.max(-1, Math.min(history.entries.length - 1, targetIndex))
+  let current = state
+  for (let i = history.index; i > target; i--) {
+    current = applyEntry(current, history.entries[i], false)
+  }
+  for (let i = history.index + 1; i <= target; i++) {
+    current = applyEntry(current, history.entries[i], true)
+  }
+  return { history: { ...history, index: target }, ...current }
+}
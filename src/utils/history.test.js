@@ -0,0 +1,203 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MAX_HISTORY,
+  createHistory,
+  diffGrids,
+  diffLayers,
+  createHistoryEntry,
+  pushHistory,
+  travelHistory
+} from './history'
+
+const RED = '#a6271c'
+const BLUE = '#1d55b1'
+
+const blankGrid = (rows, cols) => Array.from({ length: rows }, () => Array(cols).fill('clear'))
+
+const paint = (grid, r, c, value) => grid.map((row, i) => (i === r ? row.map((v, j) => (j === c ? value : v)) : row))
+
+const layerWith = (cells) => ({ id: 'base', name: 'Background', cells, visible: true, locked: false, opacity: 1 })
+
+describe('diffGrids', () => {
+  it('returns null when nothing changed', () => {
+    const grid = blankGrid(2, 3)
+    expect(diffGrids(grid, grid)).toBeNull()
+    expect(diffGrids(grid, blankGrid(2, 3))).toBeNull()
+  })
+
+  it('records only the changed cells', () => {
+    const before = blankGrid(3, 4)
+    const after = paint(paint(before, 1, 2, RED), 2, 0, BLUE)
+    expect(diffGrids(before, after)).toEqual({
+      cells: { cols: 4, positions: [6, 8], oldValues: ['clear', 'clear'], newValues: [RED, BLUE] }
+    })
+  })
+
+  it('keeps both grids when the size changed', () => {
+    const before = blankGrid(2, 2)
+    const after = blankGrid(2, 3)
+    expect(diffGrids(before, after)).toEqual({ resize: { before, after } })
+  })
+})
+
+describe('createHistoryEntry', () => {
+  it('returns null when nothing changed', () => {
+    const grid = blankGrid(1, 1)
+    const palette = [{ hex: 'clear', quantity: Infinity }]
+    expect(createHistoryEntry('Nothing', { grid: [grid, grid], palette: [palette, palette] })).toBeNull()
+  })
+
+  it('labels cell and palette changes together', () => {
+    const before = blankGrid(1, 2)
+    const paletteBefore = [{ hex: 'clear', quantity: Infinity }]
+    const paletteAfter = [...paletteBefore, { hex: RED, quantity: 5 }]
+    const entry = createHistoryEntry('Add red', {
+      grid: [before, paint(before, 0, 1, RED)],
+      layer: 'base',
+      palette: [paletteBefore, paletteAfter]
+    })
+    expect(entry.label).toBe('Add red')
+    expect(entry.layer).toBe('base')
+    expect(entry.cells.positions).toEqual([1])
+    expect(entry.palette).toEqual({ before: paletteBefore, after: paletteAfter })
+    expect(typeof entry.time).toBe('number')
+  })
+})
+
+describe('pushHistory', () => {
+  it('drops redo entries past the current one', () => {
+    let history = createHistory()
+    history = pushHistory(history, { label: 'a' })
+    history = pushHistory(history, { label: 'b' })
+    history = pushHistory({ ...history, index: 0 }, { label: 'c' })
+    expect(history.entries.map(e => e.label)).toEqual(['a', 'c'])
+    expect(history.index).toBe(1)
+  })
+
+  it(`keeps at most ${MAX_HISTORY} entries`, () => {
+    let history = createHistory()
+    for (let i = 0; i < MAX_HISTORY + 5; i++) history = pushHistory(history, { label: String(i) })
+    expect(history.entries).toHaveLength(MAX_HISTORY)
+    expect(history.entries[0].label).toBe('5')
+    expect(history.index).toBe(MAX_HISTORY - 1)
+  })
+})
+
+describe('travelHistory', () => {
+  // Paint, resize and change the palette, keeping every state along the way
+  const buildSession = () => {
+    const palettes = [[{ hex: 'clear', quantity: Infinity }]]
+    palettes.push([...palettes[0], { hex: RED, quantity: 5 }])
+    const grids = [blankGrid(2, 2)]
+    grids.push(paint(grids[0], 0, 0, RED))
+    grids.push(paint(grids[1], 1, 1, RED))
+    grids.push([...grids[2], ['clear', 'clear']])
+
+    const states = [{ grid: grids[0], palette: palettes[0] }]
+    let history = createHistory()
+    const record = (label, grid, palette) => {
+      const previous = states[states.length - 1]
+      history = pushHistory(history, createHistoryEntry(label, {
+        grid: [previous.grid, grid],
+        layer: 'base',
+        palette: [previous.palette, palette]
+      }))
+      states.push({ grid, palette })
+    }
+    record('Add red', grids[0], palettes[1])
+    record('Paint', grids[1], palettes[1])
+    record('Paint', grids[2], palettes[1])
+    record('Add row', grids[3], palettes[1])
+    return { history, states }
+  }
+
+  it('undoes and redoes to every entry', () => {
+    const { history, states } = buildSession()
+    const last = states[states.length - 1]
+    const start = { layers: [layerWith(last.grid)], palette: last.palette }
+    for (let target = -1; target < history.entries.length; target++) {
+      const back = travelHistory(history, start, target)
+      expect(back.history.index).toBe(target)
+      expect(back.layers[0].cells).toEqual(states[target + 1].grid)
+      expect(back.palette).toEqual(states[target + 1].palette)
+
+      const forward = travelHistory(back.history, back, history.entries.length - 1)
+      expect(forward.layers[0].cells).toEqual(last.grid)
+      expect(forward.palette).toBe(last.palette)
+    }
+  })
+
+  it('does not touch rows an entry did not change', () => {
+    const { history, states } = buildSession()
+    const last = states[states.length - 1]
+    const { layers } = travelHistory(history, { layers: [layerWith(last.grid)], palette: last.palette }, 1)
+    // Undoing the second paint only copies row 2
+    expect(layers[0].cells[0]).toBe(states[2].grid[0])
+  })
+
+  it('clamps targets past either end', () => {
+    const { history, states } = buildSession()
+    const last = states[states.length - 1]
+    const state = { layers: [layerWith(last.grid)], palette: last.palette }
+    expect(travelHistory(history, state, -10).history.index).toBe(-1)
+    expect(travelHistory(history, state, 99).history.index).toBe(history.entries.length - 1)
+  })
+})
+
+describe('layer stack diffs', () => {
+  const makeLayer = (id, cells, settings = {}) => ({ id, name: id, cells, visible: true, locked: false, opacity: 1, ...settings })
+
+  // Run each change through commitChange-style entries, keeping every stack
+  const buildSession = (changes) => {
+    const stacks = [[makeLayer('base', blankGrid(2, 3))]]
+    let history = createHistory()
+    changes.forEach(change => {
+      const before = stacks[stacks.length - 1]
+      const after = change(before)
+      history = pushHistory(history, createHistoryEntry('Change', { layers: [before, after] }))
+      stacks.push(after)
+    })
+    return { history, stacks }
+  }
+
+  it('stores only the settings that changed', () => {
+    const before = [makeLayer('base', blankGrid(2, 3))]
+    const after = [{ ...before[0], visible: false, opacity: 0.5 }]
+    expect(createHistoryEntry('Hide', { layers: [before, after] }).layers).toEqual({
+      settings: [{ id: 'base', before: { visible: true, opacity: 1 }, after: { visible: false, opacity: 0.5 } }]
+    })
+  })
+
+  it('stores changed cells of a layer instead of the whole stack', () => {
+    const before = [makeLayer('base', blankGrid(2, 3)), makeLayer('top', blankGrid(2, 3))]
+    const after = [before[0], { ...before[1], cells: paint(before[1].cells, 1, 2, RED) }]
+    expect(diffLayers(before, after)).toEqual({
+      cells: [{ id: 'top', cells: { cols: 3, positions: [5], oldValues: ['clear'], newValues: [RED] } }]
+    })
+  })
+
+  it('returns null for an unchanged stack', () => {
+    const stack = [makeLayer('base', blankGrid(1, 1))]
+    expect(diffLayers(stack, [...stack])).toBeNull()
+  })
+
+  it('undoes and redoes adding, reordering, hiding and merging layers', () => {
+    const { history, stacks } = buildSession([
+      (layers) => [...layers, makeLayer('top', blankGrid(2, 3).map(row => row.fill('transparent')))],
+      (layers) => [layers[0], { ...layers[1], cells: paint(layers[1].cells, 0, 1, BLUE) }],
+      (layers) => [layers[1], layers[0]],
+      (layers) => [{ ...layers[0], visible: false }, layers[1]],
+      (layers) => [{ ...layers[0], visible: true }, { ...layers[1], name: 'Renamed' }],
+      (layers) => [layers[1], layers[0]],
+      (layers) => [{ ...layers[0], cells: paint(layers[0].cells, 1, 0, RED) }],
+      (layers) => [{ ...layers[0], cells: [...layers[0].cells, ['clear', 'clear', 'clear']] }]
+    ])
+    const last = stacks[stacks.length - 1]
+    for (let target = -1; target < history.entries.length; target++) {
+      const back = travelHistory(history, { layers: last, palette: [] }, target)
+      expect(back.layers).toEqual(stacks[target + 1])
+      const forward = travelHistory(back.history, back, history.entries.length - 1)
+      expect(forward.layers).toEqual(last)
+    }
+  })
+})
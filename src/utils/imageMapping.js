@@ -0,0 +1,54 @@
+/**
+ * Main-thread entry point for mapping image pixels to palette colors.
+ * The work runs in a web worker so large grids don't freeze the UI.
+ */
+
+import ImageMappingWorker from '../workers/imageMappingWorker.js?worker&inline'
+import { ditherImage } from './ditherUtils'
+
+let worker = null
+let nextRequestId = 0
+const pendingRequests = new Map()
+
+function getWorker() {
+  if (worker) return worker
+  worker = new ImageMappingWorker()
+  worker.onmessage = (event) => {
+    const { id, result, error } = event.data
+    const pending = pendingRequests.get(id)
+    if (!pending) return
+    pendingRequests.delete(id)
+    if (error) {
+      pending.reject(new Error(error))
+    } else {
+      pending.resolve(result)
+    }
+  }
+  worker.onerror = (event) => {
+    // Fail everything in flight and start a fresh worker next time
+    const error = new Error(event.message || 'Image mapping worker failed')
+    pendingRequests.forEach(pending => pending.reject(error))
+    pendingRequests.clear()
+    worker.terminate()
+    worker = null
+  }
+  return worker
+}
+
+/**
+ * Map pixel colors to palette colors without blocking the main thread
+ * @param {Array<Array<string>>} pixelColors - 2D array of pixel hex colors
+ * @param {Array<{ hex: string, quantity: number }>} palette - Palette with quantities
+ * @param {{ ditherMode?: string, metric?: string }} [options]
+ * @returns {Promise<{ cells: Array<Array<string>>, shortage: { total: number, byColor: Object<string, number> } }>}
+ */
+export function mapImageToPalette(pixelColors, palette, { ditherMode = 'none', metric } = {}) {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve(ditherImage(pixelColors, palette, ditherMode, metric))
+  }
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++
+    pendingRequests.set(id, { resolve, reject })
+    getWorker().postMessage({ id, pixelColors, palette, ditherMode, metric })
+  })
+}
@@ -0,0 +1,205 @@
+/**
+ * Image helpers for importing pictures into the grid
+ */
+
+import { rgbToHex } from './colorUtils'
+
+/**
+ * Default share of available dominoes an imported image should use
+ */
+export const DEFAULT_USAGE_PERCENT = 85
+
+/**
+ * Calculate total available dominoes (excluding clear, disney and unlimited colors)
+ * @param {Array<{ hex: string, quantity: number }>} palette
+ * @returns {number}
+ */
+export function getTotalAvailableDominoes(palette) {
+  return palette.reduce((sum, color) => {
+    if (color.hex === 'clear' || color.hex === 'disney') return sum
+    return sum + (color.quantity === Infinity ? 0 : color.quantity)
+  }, 0)
+}
+
+/**
+ * Get optimal grid size for an image while preserving aspect ratio
+ * @param {number} imageWidth - Image width in pixels
+ * @param {number} imageHeight - Image height in pixels
+ * @param {Array<{ hex: string, quantity: number }>} palette
+ * @param {number} [usagePercent] - Share of available dominoes to use (0-100)
+ * @returns {{ rows: number, cols: number, totalCells: number, availableDominoes: number, aspectRatio: number, isPortrait: boolean }}
+ */
+export function getOptimalGridForImage(imageWidth, imageHeight, palette, usagePercent = DEFAULT_USAGE_PERCENT) {
+  const total = getTotalAvailableDominoes(palette)
+  const imageAspectRatio = imageWidth / imageHeight // width/height
+
+  // Calculate dimensions that preserve aspect ratio and use the requested share of dominoes
+  const targetCells = Math.floor(total * usagePercent / 100)
+
+  // rows * cols = targetCells
+  // cols = rows * aspectRatio
+  // rows * rows * aspectRatio = targetCells
+  // rows = sqrt(targetCells / aspectRatio)
+  let rows = Math.floor(Math.sqrt(targetCells / imageAspectRatio))
+  let cols = Math.floor(rows * imageAspectRatio)
+
+  // Ensure minimum dimensions
+  rows = Math.max(rows, 10)
+  cols = Math.max(cols, 10)
+
+  return {
+    rows,
+    cols,
+    totalCells: rows * cols,
+    availableDominoes: total,
+    aspectRatio: imageAspectRatio,
+    isPortrait: imageHeight > imageWidth
+  }
+}
+
+/**
+ * Load an image file into an HTMLImageElement
+ * @param {File} file - Image file from an <input type="file">
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = (e) => {
+      const img = new Image()
+      img.onload = () => resolve(img)
+      img.onerror = () => reject(new Error('Could not decode image'))
+      img.src = e.target.result
+    }
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(file)
+  })
+}
+
+/**
+ * Size of the image region left after rotating and cropping
+ * @param {HTMLImageElement} img
+ * @param {{ rotation?: number, crop?: { left: number, top: number, right: number, bottom: number } }} transform
+ *   rotation in degrees (multiple of 90), crop as fractions (0-1) trimmed from each edge
+ * @returns {{ width: number, height: number }}
+ */
+export function getTransformedSize(img, { rotation = 0, crop } = {}) {
+  const sideways = rotation % 180 !== 0
+  const width = sideways ? img.naturalHeight : img.naturalWidth
+  const height = sideways ? img.naturalWidth : img.naturalHeight
+  const { left = 0, top = 0, right = 0, bottom = 0 } = crop || {}
+  return {
+    width: Math.max(1, width * (1 - left - right)),
+    height: Math.max(1, height * (1 - top - bottom))
+  }
+}
+
+/**
+ * Draw a rotated and cropped image onto a new canvas of the given size
+ * @param {HTMLImageElement} img
+ * @param {{ rotation?: number, crop?: Object }} transform - See getTransformedSize
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {HTMLCanvasElement}
+ */
+export function renderTransformedImage(img, { rotation = 0, crop } = {}, width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width))
+  canvas.height = Math.max(1, Math.round(height))
+  const ctx = canvas.getContext('2d')
+  ctx.imageSmoothingEnabled = true
+  ctx.imageSmoothingQuality = 'high'
+
+  const sideways = rotation % 180 !== 0
+  const rotatedWidth = sideways ? img.naturalHeight : img.naturalWidth
+  const rotatedHeight = sideways ? img.naturalWidth : img.naturalHeight
+  const { left = 0, top = 0 } = crop || {}
+  const cropped = getTransformedSize(img, { rotation, crop })
+
+  // Map the crop window onto the canvas, then draw the image rotated about its center
+  ctx.scale(canvas.width / cropped.width, canvas.height / cropped.height)
+  ctx.translate(-left * rotatedWidth, -top * rotatedHeight)
+  ctx.translate(rotatedWidth / 2, rotatedHeight / 2)
+  ctx.rotate((rotation * Math.PI) / 180)
+  ctx.drawImage(img, -img.naturalWidth / 2, -img.naturalHeight / 2)
+
+  return canvas
+}
+
+const clampChannel = (value) => Math.max(0, Math.min(255, Math.round(value)))
+
+/**
+ * Apply brightness/contrast/saturation adjustments to RGBA pixel data in place
+ * @param {Uint8ClampedArray} data - ImageData.data
+ * @param {{ brightness?: number, contrast?: number, saturation?: number }} adjustments - Each -100..100, 0 = unchanged
+ */
+export function adjustPixelData(data, { brightness = 0, contrast = 0, saturation = 0 } = {}) {
+  if (!brightness && !contrast && !saturation) return
+
+  const brightnessOffset = brightness * 2.55
+  const c = contrast * 2.55
+  const contrastFactor = (259 * (c + 255)) / (255 * (259 - c))
+  const saturationFactor = 1 + saturation / 100
+
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i] + brightnessOffset
+    let g = data[i + 1] + brightnessOffset
+    let b = data[i + 2] + brightnessOffset
+
+    r = contrastFactor * (r - 128) + 128
+    g = contrastFactor * (g - 128) + 128
+    b = contrastFactor * (b - 128) + 128
+
+    // Scale distance from perceived luminance
+    const luma = 0.299 * r + 0.587 * g + 0.114 * b
+    r = luma + (r - luma) * saturationFactor
+    g = luma + (g - luma) * saturationFactor
+    b = luma + (b - luma) * saturationFactor
+
+    data[i] = clampChannel(r)
+    data[i + 1] = clampChannel(g)
+    data[i + 2] = clampChannel(b)
+  }
+}
+
+/**
+ * Apply adjustments to a canvas in place
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ brightness?: number, contrast?: number, saturation?: number }} adjustments
+ */
+export function adjustCanvas(canvas, adjustments) {
+  const ctx = canvas.getContext('2d')
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height)
+  adjustPixelData(imageData.data, adjustments)
+  ctx.putImageData(imageData, 0, 0)
+}
+
+/**
+ * Sample an image down to one color per grid cell
+ * @param {HTMLImageElement} img
+ * @param {{ rows: number, cols: number, rotation?: number, crop?: Object, brightness?: number, contrast?: number, saturation?: number }} options
+ * @returns {Array<Array<string>>} - 2D array of hex colors ('clear' for transparent pixels)
+ */
+export function samplePixelColors(img, { rows, cols, rotation = 0, crop, brightness = 0, contrast = 0, saturation = 0 }) {
+  const canvas = renderTransformedImage(img, { rotation, crop }, cols, rows)
+  const ctx = canvas.getContext('2d')
+  const imageData = ctx.getImageData(0, 0, cols, rows)
+  const pixels = imageData.data
+  adjustPixelData(pixels, { brightness, contrast, saturation })
+
+  // Extract pixel colors as hex values
+  const pixelColors = []
+  for (let r = 0; r < rows; r++) {
+    const row = []
+    for (let c = 0; c < cols; c++) {
+      const idx = (r * cols + c) * 4
+      if (pixels[idx + 3] < 128) {
+        row.push('clear')
+      } else {
+        row.push(rgbToHex(pixels[idx], pixels[idx + 1], pixels[idx + 2]))
+      }
+    }
+    pixelColors.push(row)
+  }
+  return pixelColors
+}
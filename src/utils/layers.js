@@ -0,0 +1,182 @@
+/**
+ * Layer stack
+ *
+ * A layout is a stack of layers, bottom first. Each layer is
+ *   { id, name, cells, visible, locked, opacity }
+ * where cells is a grid like the editor's, plus TRANSPARENT for cells the
+ * layer leaves to the layers below. Every layer has the same size.
+ *
+ * What gets built is the flattened stack: the top visible value in each
+ * cell, with Clear where no visible layer has one. Opacity only changes how
+ * a layer looks on screen.
+ */
+
+const CLEAR = 'clear'
+
+/**
+ * Cell value a layer leaves to the layers below
+ */
+export const TRANSPARENT = 'transparent'
+
+/**
+ * Opacity choices for the on-screen preview
+ */
+export const LAYER_OPACITIES = [1, 0.75, 0.5, 0.25]
+
+let lastId = 0
+
+// Ids only need to be unique within a layout, but layouts are saved and reloaded
+function createLayerId() {
+  lastId += 1
+  return `layer-${Date.now().toString(36)}-${lastId}`
+}
+
+/**
+ * @param {string} name
+ * @param {Array<Array<string>>} cells
+ * @returns {Object}
+ */
+export function createLayer(name, cells) {
+  return { id: createLayerId(), name, cells, visible: true, locked: false, opacity: 1 }
+}
+
+/**
+ * Layer with every cell transparent
+ * @param {string} name
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {Object}
+ */
+export function createEmptyLayer(name, rows, cols) {
+  return createLayer(name, Array.from({ length: rows }, () => Array(cols).fill(TRANSPARENT)))
+}
+
+/**
+ * What an erased or newly added cell holds on a layer: Clear on the bottom
+ * layer, transparent on the ones above it
+ * @param {number} index - Position in the stack, 0 = bottom
+ * @returns {string}
+ */
+export function getBlankCell(index) {
+  return index === 0 ? CLEAR : TRANSPARENT
+}
+
+/**
+ * Name for a new layer that doesn't repeat an existing one
+ * @param {Array<Object>} layers
+ * @returns {string}
+ */
+export function getNextLayerName(layers) {
+  const names = new Set(layers.map(layer => layer.name))
+  let n = layers.length
+  while (names.has(`Layer ${n}`)) n++
+  return `Layer ${n}`
+}
+
+/**
+ * The layout that gets built: the top visible value in each cell
+ * @param {Array<Object>} layers
+ * @returns {Array<Array<string>>}
+ */
+export function flattenLayers(layers) {
+  const rows = layers[0]?.cells.length || 0
+  const cols = layers[0]?.cells[0]?.length || 0
+  const visible = layers.filter(layer => layer.visible)
+  return Array.from({ length: rows }, (_, r) => Array.from({ length: cols }, (_, c) => {
+    for (let i = visible.length - 1; i >= 0; i--) {
+      const value = visible[i].cells[r][c]
+      if (value !== TRANSPARENT) return value
+    }
+    return CLEAR
+  }))
+}
+
+/**
+ * What the visible layers above a layer show over it: the top value in each
+ * cell, or TRANSPARENT where the layer itself shows through
+ * @param {Array<Object>} layers
+ * @param {number} index - Layer being covered
+ * @returns {Array<Array<string>>}
+ */
+export function getCoveringCells(layers, index) {
+  const above = layers.slice(index + 1).filter(layer => layer.visible)
+  return layers[index].cells.map((row, r) => row.map((_, c) => {
+    for (let i = above.length - 1; i >= 0; i--) {
+      const value = above[i].cells[r][c]
+      if (value !== TRANSPARENT) return value
+    }
+    return TRANSPARENT
+  }))
+}
+
+/**
+ * How each cell looks on screen: the top fully opaque value, and any
+ * see-through values stacked on it
+ * @param {Array<Object>} layers
+ * @returns {{ grid: Array<Array<string>>, overlays: Array<Array<Array<{ value: string, opacity: number }> | null>> | null }}
+ *   overlays is null when no layer is see-through; each cell's overlays are bottom first
+ */
+export function compositeLayers(layers) {
+  const visible = layers.filter(layer => layer.visible)
+  if (visible.every(layer => layer.opacity >= 1)) {
+    return { grid: flattenLayers(layers), overlays: null }
+  }
+  const rows = layers[0]?.cells.length || 0
+  const cols = layers[0]?.cells[0]?.length || 0
+  const grid = []
+  const overlays = []
+  for (let r = 0; r < rows; r++) {
+    const gridRow = []
+    const overlayRow = []
+    for (let c = 0; c < cols; c++) {
+      let base = CLEAR
+      let stack = []
+      visible.forEach(layer => {
+        const value = layer.cells[r][c]
+        if (value === TRANSPARENT) return
+        if (layer.opacity >= 1) {
+          base = value
+          stack = []
+        } else {
+          stack.push({ value, opacity: layer.opacity })
+        }
+      })
+      gridRow.push(base)
+      overlayRow.push(stack.length > 0 ? stack : null)
+    }
+    grid.push(gridRow)
+    overlays.push(overlayRow)
+  }
+  return { grid, overlays }
+}
+
+/**
+ * Paint a layer onto the one below it, which keeps its name and settings
+ * @param {Array<Object>} layers
+ * @param {number} index - Layer to merge down (at least 1)
+ * @returns {Array<Object>}
+ */
+export function mergeLayerDown(layers, index) {
+  const upper = layers[index]
+  const lower = layers[index - 1]
+  const cells = lower.cells.map((row, r) => row.map((value, c) => (
+    upper.cells[r][c] === TRANSPARENT ? value : upper.cells[r][c]
+  )))
+  return [...layers.slice(0, index - 1), { ...lower, cells }, ...layers.slice(index + 1)]
+}
+
+/**
+ * Swap a layer with its neighbour
+ * @param {Array<Object>} layers
+ * @param {number} index
+ * @param {number} step - 1 = up, -1 = down
+ * @returns {Array<Object>}
+ */
+export function moveLayer(layers, index, step) {
+  const target = index + step
+  if (target < 0 || target >= layers.length) return layers
+  const next = [...layers]
+  next[index] = layers[target]
+  next[target] = layers[index]
+  return next
+}
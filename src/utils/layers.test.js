@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest'
+import {
+  TRANSPARENT,
+  createLayer,
+  createEmptyLayer,
+  getBlankCell,
+  getNextLayerName,
+  flattenLayers,
+  compositeLayers,
+  getCoveringCells,
+  mergeLayerDown,
+  moveLayer
+} from './layers'
+
+const RED = '#a6271c'
+const BLUE = '#1d55b1'
+const T = TRANSPARENT
+
+const layer = (name, cells, settings = {}) => ({ ...createLayer(name, cells), ...settings })
+
+describe('creating layers', () => {
+  it('gives every layer its own id and default settings', () => {
+    const a = createLayer('A', [[RED]])
+    const b = createLayer('B', [[RED]])
+    expect(a.id).not.toBe(b.id)
+    expect(a).toMatchObject({ name: 'A', cells: [[RED]], visible: true, locked: false, opacity: 1 })
+  })
+
+  it('fills empty layers with transparent cells', () => {
+    expect(createEmptyLayer('Top', 2, 3).cells).toEqual([[T, T, T], [T, T, T]])
+  })
+
+  it('blanks the bottom layer with clear and the rest with transparent', () => {
+    expect(getBlankCell(0)).toBe('clear')
+    expect(getBlankCell(2)).toBe(T)
+  })
+
+  it('names new layers after the stack size without repeating', () => {
+    expect(getNextLayerName([{ name: 'Background' }])).toBe('Layer 1')
+    expect(getNextLayerName([{ name: 'Background' }, { name: 'Layer 2' }])).toBe('Layer 3')
+  })
+})
+
+describe('flattenLayers', () => {
+  it('takes the top visible value in each cell', () => {
+    const layers = [
+      layer('Background', [[RED, RED, 'clear']]),
+      layer('Middle', [[BLUE, T, T]]),
+      layer('Top', [[T, 'disney', T]])
+    ]
+    expect(flattenLayers(layers)).toEqual([[BLUE, 'disney', 'clear']])
+  })
+
+  it('skips hidden layers and shows clear where nothing is left', () => {
+    const layers = [
+      layer('Background', [[RED, RED]], { visible: false }),
+      layer('Top', [[BLUE, T]])
+    ]
+    expect(flattenLayers(layers)).toEqual([[BLUE, 'clear']])
+  })
+
+  it('ignores opacity', () => {
+    const layers = [layer('Background', [[RED]]), layer('Top', [[BLUE]], { opacity: 0.25 })]
+    expect(flattenLayers(layers)).toEqual([[BLUE]])
+  })
+
+  it('returns an empty grid for an empty stack', () => {
+    expect(flattenLayers([])).toEqual([])
+  })
+})
+
+describe('compositeLayers', () => {
+  it('has no overlays when every visible layer is opaque', () => {
+    const layers = [layer('Background', [[RED]]), layer('Ghost', [[BLUE]], { visible: false, opacity: 0.5 })]
+    expect(compositeLayers(layers)).toEqual({ grid: [[RED]], overlays: null })
+  })
+
+  it('stacks see-through values on the top opaque one', () => {
+    const layers = [
+      layer('Background', [[RED, RED, RED]]),
+      layer('Half', [[BLUE, T, BLUE]], { opacity: 0.5 }),
+      layer('Cover', [[T, T, 'disney']])
+    ]
+    expect(compositeLayers(layers)).toEqual({
+      grid: [[RED, RED, 'disney']],
+      overlays: [[[{ value: BLUE, opacity: 0.5 }], null, null]]
+    })
+  })
+})
+
+describe('mergeLayerDown', () => {
+  it('paints the upper layer onto the lower one, which keeps its settings', () => {
+    const lower = layer('Lower', [[RED, RED]], { locked: true })
+    const upper = layer('Upper', [[T, BLUE]])
+    const top = layer('Top', [[T, T]])
+    const merged = mergeLayerDown([lower, upper, top], 1)
+    expect(merged).toHaveLength(2)
+    expect(merged[0]).toEqual({ ...lower, cells: [[RED, BLUE]] })
+    expect(merged[1]).toBe(top)
+  })
+})
+
+describe('moveLayer', () => {
+  const layers = [layer('A', [[RED]]), layer('B', [[RED]]), layer('C', [[RED]])]
+
+  it('swaps a layer with its neighbour', () => {
+    expect(moveLayer(layers, 0, 1).map(l => l.name)).toEqual(['B', 'A', 'C'])
+    expect(moveLayer(layers, 2, -1).map(l => l.name)).toEqual(['A', 'C', 'B'])
+  })
+
+  it('leaves the stack alone at either end', () => {
+    expect(moveLayer(layers, 0, -1)).toBe(layers)
+    expect(moveLayer(layers, 2, 1)).toBe(layers)
+  })
+})
+
+describe('getCoveringCells', () => {
+  it('shows the top visible value above a layer, transparent where it shows through', () => {
+    const layers = [
+      layer('Background', [[RED, RED, RED]]),
+      layer('Active', [[T, T, T]]),
+      layer('Hidden', [[BLUE, BLUE, BLUE]], { visible: false }),
+      layer('Middle', [['disney', T, T]]),
+      layer('Top', [[BLUE, T, 'clear']])
+    ]
+    expect(getCoveringCells(layers, 1)).toEqual([[BLUE, T, 'clear']])
+    expect(getCoveringCells(layers, 4)).toEqual([[T, T, T]])
+  })
+})
@@ -0,0 +1,193 @@
+/**
+ * Compact cell encoding and share links
+ *
+ * Cells are stored as indices into the palette, read row by row and
+ * run-length encoded as (run length, palette index) pairs. Each number is a
+ * little-endian base-128 varint, and the bytes are base64 encoded.
+ *
+ * Share links carry a whole layout file in the URL fragment (never sent to a
+ * server), deflated when the browser supports CompressionStream.
+ */
+
+const SHARE_PREFIX = '#layout='
+// First character of the share payload says how the rest is packed
+const SHARE_DEFLATE = 'z'
+const SHARE_PLAIN = 'p'
+
+/**
+ * Base64 (standard alphabet) of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  let binary = ''
+  const CHUNK = 0x8000 // Keep String.fromCharCode's argument list small
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK))
+  }
+  return btoa(binary)
+}
+
+/**
+ * Bytes from base64 (standard or URL-safe alphabet, padding optional)
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} If the text isn't base64
+ */
+export function base64ToBytes(text) {
+  const normalized = text.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(normalized + '='.repeat((4 - (normalized.length % 4)) % 4))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+const toBase64Url = (bytes) => bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+/**
+ * Run-length encode a grid as palette indices
+ * @param {Array<Array<string>>} grid
+ * @param {Array<{ hex: string }>} palette - Must contain every cell value (in any letter case)
+ * @returns {string} - Base64 varint (run, index) pairs
+ */
+export function encodeCells(grid, palette) {
+  // Hex case varies between hand-written files, importers and the editor
+  const indexOf = new Map()
+  palette.forEach((item, i) => {
+    const key = item.hex.toLowerCase()
+    if (!indexOf.has(key)) indexOf.set(key, i)
+  })
+  const bytes = []
+  const pushVarint = (n) => {
+    while (n >= 0x80) {
+      bytes.push((n & 0x7f) | 0x80)
+      n = Math.floor(n / 0x80)
+    }
+    bytes.push(n)
+  }
+
+  let runIndex = -1
+  let runLength = 0
+  grid.forEach(row => {
+    row.forEach(value => {
+      const index = indexOf.get(typeof value === 'string' ? value.toLowerCase() : value)
+      if (index === undefined) throw new Error(`${value} is not in the palette`)
+      if (index === runIndex) {
+        runLength++
+        return
+      }
+      if (runLength > 0) {
+        pushVarint(runLength)
+        pushVarint(runIndex)
+      }
+      runIndex = index
+      runLength = 1
+    })
+  })
+  if (runLength > 0) {
+    pushVarint(runLength)
+    pushVarint(runIndex)
+  }
+  return bytesToBase64(Uint8Array.from(bytes))
+}
+
+/**
+ * Expand cells written by encodeCells
+ * @param {string} data
+ * @param {number} rows
+ * @param {number} columns
+ * @param {Array<{ hex: string }>} palette
+ * @returns {Array<Array<string>>}
+ * @throws {Error} Describing what is wrong with the data
+ */
+export function decodeCells(data, rows, columns, palette) {
+  let bytes
+  try {
+    bytes = base64ToBytes(data)
+  } catch {
+    throw new Error('the cell data is not valid base64')
+  }
+
+  let pos = 0
+  const readVarint = () => {
+    let value = 0
+    let factor = 1
+    while (pos < bytes.length) {
+      const byte = bytes[pos++]
+      value += (byte & 0x7f) * factor
+      if (byte < 0x80) return value
+      factor *= 0x80
+    }
+    throw new Error('the cell data ends in the middle of a number')
+  }
+
+  const total = rows * columns
+  const flat = []
+  while (pos < bytes.length) {
+    const runLength = readVarint()
+    const index = readVarint()
+    if (index >= palette.length) {
+      throw new Error(`cell ${flat.length + 1} uses palette entry ${index + 1}, but the palette has ${palette.length}`)
+    }
+    if (flat.length + runLength > total) {
+      throw new Error(`the cell data has more than the ${total} cells of a ${rows} × ${columns} grid`)
+    }
+    for (let i = 0; i < runLength; i++) flat.push(palette[index].hex)
+  }
+  if (flat.length !== total) {
+    throw new Error(`the cell data has ${flat.length} cells, but a ${rows} × ${columns} grid needs ${total}`)
+  }
+
+  return Array.from({ length: rows }, (_, r) => flat.slice(r * columns, (r + 1) * columns))
+}
+
+// Run bytes through a CompressionStream/DecompressionStream
+function transformBytes(bytes, stream) {
+  return new Response(new Blob([bytes]).stream().pipeThrough(stream))
+    .arrayBuffer()
+    .then(buffer => new Uint8Array(buffer))
+}
+
+/**
+ * Build a share link for a layout file
+ * @param {string} json - Layout file text (see projectFormat)
+ * @returns {Promise<string>} - Current page URL with the layout in its fragment
+ */
+export function createShareUrl(json) {
+  const bytes = new TextEncoder().encode(json)
+  const packed = typeof CompressionStream === 'undefined'
+    ? Promise.resolve(SHARE_PLAIN + toBase64Url(bytes))
+    : transformBytes(bytes, new CompressionStream('deflate-raw')).then(deflated => SHARE_DEFLATE + toBase64Url(deflated))
+  return packed.then(payload => {
+    const base = window.location.href.split('#')[0]
+    return `${base}${SHARE_PREFIX}${payload}`
+  })
+}
+
+/**
+ * Whether a URL fragment holds a shared layout
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {boolean}
+ */
+export function isShareHash(hash) {
+  return hash.startsWith(SHARE_PREFIX)
+}
+
+/**
+ * Unpack the layout file text from a share link fragment
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {Promise<string>} - Layout file text
+ */
+export function readShareHash(hash) {
+  return Promise.resolve().then(() => {
+    const payload = hash.slice(SHARE_PREFIX.length)
+    const bytes = base64ToBytes(payload.slice(1))
+    const mode = payload[0]
+    if (mode === SHARE_PLAIN) return bytes
+    if (mode !== SHARE_DEFLATE) throw new Error('The link is not a layout link.')
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot unpack compressed layout links.')
+    }
+    return transformBytes(bytes, new DecompressionStream('deflate-raw'))
+  }).then(bytes => new TextDecoder().decode(bytes))
+}
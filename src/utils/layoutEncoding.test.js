@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  bytesToBase64,
+  base64ToBytes,
+  encodeCells,
+  decodeCells,
+  createShareUrl,
+  isShareHash,
+  readShareHash
+} from './layoutEncoding'
+
+const PALETTE = [
+  { hex: 'clear' },
+  { hex: 'disney' },
+  { hex: '#a6271c' },
+  { hex: '#1d55b1' }
+]
+
+const roundTrip = (grid, palette = PALETTE) => (
+  decodeCells(encodeCells(grid, palette), grid.length, grid[0].length, palette)
+)
+
+describe('base64', () => {
+  it('round-trips every byte value', () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, i) => i)
+    expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes)
+  })
+
+  it('reads the URL-safe alphabet without padding', () => {
+    const bytes = Uint8Array.from([251, 255, 191, 0])
+    const urlSafe = bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+    expect(base64ToBytes(urlSafe)).toEqual(bytes)
+  })
+})
+
+describe('encodeCells / decodeCells', () => {
+  it('round-trips a mixed grid', () => {
+    const grid = [
+      ['clear', '#a6271c', '#a6271c', 'disney'],
+      ['#1d55b1', '#1d55b1', 'clear', 'clear']
+    ]
+    expect(roundTrip(grid)).toEqual(grid)
+  })
+
+  it('runs continue across row ends', () => {
+    const grid = Array.from({ length: 3 }, () => Array(4).fill('#a6271c'))
+    // One run of 12 cells of palette entry 2
+    expect(encodeCells(grid, PALETTE)).toBe(bytesToBase64(Uint8Array.from([12, 2])))
+    expect(roundTrip(grid)).toEqual(grid)
+  })
+
+  it('uses multi-byte varints for long runs and large palettes', () => {
+    const palette = Array.from({ length: 300 }, (_, i) => ({ hex: `#${i.toString(16).padStart(6, '0')}` }))
+    const grid = Array.from({ length: 200 }, (_, r) => Array.from({ length: 200 }, () => palette[r < 100 ? 0 : 299].hex))
+    expect(roundTrip(grid, palette)).toEqual(grid)
+  })
+
+  it('matches palette hexes in any letter case', () => {
+    const palette = [{ hex: 'clear' }, { hex: '#A6271C' }]
+    const grid = [['#a6271c', '#A6271C', 'clear']]
+    expect(roundTrip(grid, palette)).toEqual([['#A6271C', '#A6271C', 'clear']])
+  })
+
+  it('refuses cells missing from the palette', () => {
+    expect(() => encodeCells([['#123456']], PALETTE)).toThrow('#123456 is not in the palette')
+  })
+
+  it('reports data that does not fit the grid', () => {
+    const data = encodeCells([['clear', 'clear', 'clear']], PALETTE)
+    expect(() => decodeCells(data, 1, 2, PALETTE)).toThrow('more than the 2 cells')
+    expect(() => decodeCells(data, 2, 2, PALETTE)).toThrow('has 3 cells, but a 2 × 2 grid needs 4')
+  })
+
+  it('reports palette indices past the end of the palette', () => {
+    const data = bytesToBase64(Uint8Array.from([1, 9]))
+    expect(() => decodeCells(data, 1, 1, PALETTE)).toThrow('palette entry 10, but the palette has 4')
+  })
+
+  it('reports truncated and invalid data', () => {
+    expect(() => decodeCells(bytesToBase64(Uint8Array.from([1, 0x80])), 1, 1, PALETTE)).toThrow('ends in the middle of a number')
+    expect(() => decodeCells('not base64!', 1, 1, PALETTE)).toThrow('not valid base64')
+  })
+})
+
+describe('share links', () => {
+  beforeEach(() => {
+    vi.stubGlobal('window', { location: { href: 'https://example.com/planner/#old' } })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('round-trips layout text through the URL fragment', async () => {
+    const json = JSON.stringify({ format: 'domino-layout', note: 'ünïcødé ✓', cells: 'x'.repeat(500) })
+    const url = await createShareUrl(json)
+    expect(url.startsWith('https://example.com/planner/#layout=')).toBe(true)
+    const hash = url.slice(url.indexOf('#'))
+    expect(isShareHash(hash)).toBe(true)
+    expect(await readShareHash(hash)).toBe(json)
+  })
+
+  it('reads uncompressed links', async () => {
+    vi.stubGlobal('CompressionStream', undefined)
+    const url = await createShareUrl('{"a":1}')
+    expect(await readShareHash(url.slice(url.indexOf('#')))).toBe('{"a":1}')
+  })
+
+  it('rejects fragments that are not layout links', async () => {
+    expect(isShareHash('#section')).toBe(false)
+    await expect(readShareHash('#layout=qAAAA')).rejects.toThrow('not a layout link')
+  })
+})
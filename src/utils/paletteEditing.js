@@ -0,0 +1,153 @@
+/**
+ * Palette editing
+ *
+ * Pure helpers behind the palette editor: sorting and reordering colors,
+ * checking typed hex values, and moving cells from one color to another on
+ * every layer when a color changes or is deleted. Clear and Disney are
+ * special colors that always sort to the front.
+ */
+
+import { getHue, hexToLab, findClosestPaletteColor } from './colorUtils'
+
+const CLEAR = 'clear'
+const DISNEY = 'disney'
+// Layer cells that show the layers below (see layers.js)
+const TRANSPARENT = 'transparent'
+
+// Colors with less chroma than this (CIELAB) count as neutrals when sorting by hue
+const NEUTRAL_CHROMA = 8
+
+/**
+ * Ways the palette can be sorted
+ */
+export const PALETTE_SORTS = [
+  { value: 'hue', label: 'Hue' },
+  { value: 'lightness', label: 'Lightness' },
+  { value: 'name', label: 'Name' },
+  { value: 'quantity', label: 'Quantity' }
+]
+
+/**
+ * @param {string} hex
+ * @returns {boolean}
+ */
+export function isSpecialColor(hex) {
+  return hex === CLEAR || hex === DISNEY
+}
+
+/**
+ * Tidy a typed hex color
+ * @param {string} input - e.g. "#A6271C", "a6271c" or "f80"
+ * @returns {string | null} - Lowercase #rrggbb, or null if it isn't a color
+ */
+export function parseHexInput(input) {
+  let hex = input.trim().toLowerCase().replace(/^#/, '')
+  if (/^[0-9a-f]{3}$/.test(hex)) hex = hex.split('').map(d => d + d).join('')
+  return /^[0-9a-f]{6}$/.test(hex) ? `#${hex}` : null
+}
+
+/**
+ * Lightness and chroma (CIELAB) and hue (the same one palette imports sort by)
+ * @param {string} hex
+ * @returns {{ L: number, chroma: number, hue: number }}
+ */
+function getSortValues(hex) {
+  const { L, a, b } = hexToLab(hex) || { L: 0, a: 0, b: 0 }
+  return { L, chroma: Math.hypot(a, b), hue: getHue(hex) }
+}
+
+const SORT_COMPARERS = {
+  // Rainbow order, then neutrals from light to dark like the default palette
+  hue: (a, b) => {
+    const va = getSortValues(a.hex)
+    const vb = getSortValues(b.hex)
+    const neutralA = va.chroma < NEUTRAL_CHROMA
+    const neutralB = vb.chroma < NEUTRAL_CHROMA
+    if (neutralA !== neutralB) return neutralA ? 1 : -1
+    if (neutralA) return vb.L - va.L
+    return va.hue - vb.hue
+  },
+  lightness: (a, b) => getSortValues(b.hex).L - getSortValues(a.hex).L,
+  name: (a, b) => (a.name || a.hex).localeCompare(b.name || b.hex, undefined, { sensitivity: 'base', numeric: true }),
+  // Most first; unlimited colors count as the most
+  quantity: (a, b) => (b.quantity === a.quantity ? 0 : b.quantity > a.quantity ? 1 : -1)
+}
+
+/**
+ * Sorted copy of a palette, with Clear and Disney kept at the front
+ * @param {Array<{ hex: string, quantity: number, name?: string }>} palette
+ * @param {string} key - One of PALETTE_SORTS
+ * @returns {Array<{ hex: string, quantity: number, name?: string }>}
+ */
+export function sortPalette(palette, key) {
+  const special = palette.filter(p => isSpecialColor(p.hex))
+  const colors = palette.filter(p => !isSpecialColor(p.hex))
+  return [...special, ...colors.sort(SORT_COMPARERS[key])]
+}
+
+/**
+ * Move one color to another position
+ * @param {Array<Object>} palette
+ * @param {number} from
+ * @param {number} to - Position the color ends up at
+ * @returns {Array<Object>}
+ */
+export function movePaletteColor(palette, from, to) {
+  if (from === to) return palette
+  const next = [...palette]
+  const [color] = next.splice(from, 1)
+  next.splice(to, 0, color)
+  return next
+}
+
+/**
+ * How many cells hold a color, on every layer whether shown or not
+ * @param {Array<Object>} layers
+ * @param {string} hex
+ * @returns {number}
+ */
+export function countColorInLayers(layers, hex) {
+  let count = 0
+  layers.forEach(layer => layer.cells.forEach(row => row.forEach(value => {
+    if (value === hex) count++
+  })))
+  return count
+}
+
+/**
+ * Repaint every cell of one color with another, on every layer (locked and
+ * hidden ones too, so no cell is left with a color the palette lost)
+ * @param {Array<Object>} layers
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array<Object>} - The same array when no cell holds the color
+ */
+export function replaceColorInLayers(layers, from, to) {
+  if (!layers.some(layer => layer.cells.some(row => row.includes(from)))) return layers
+  return layers.map(layer => {
+    if (!layer.cells.some(row => row.includes(from))) return layer
+    return { ...layer, cells: layer.cells.map(row => row.map(value => (value === from ? to : value))) }
+  })
+}
+
+/**
+ * Repaint cells whose colors aren't in a palette with its closest color
+ * @param {Array<Object>} layers
+ * @param {Array<{ hex: string }>} palette
+ * @param {string} [metric] - Color distance metric (see COLOR_METRICS)
+ * @returns {{ layers: Array<Object>, remapped: Array<string> }} - remapped lists the colors that were replaced
+ */
+export function remapToPalette(layers, palette, metric) {
+  const known = new Set(palette.map(p => p.hex))
+  const remapped = []
+  layers.forEach(layer => layer.cells.forEach(row => row.forEach(value => {
+    if (value !== TRANSPARENT && !known.has(value)) {
+      known.add(value)
+      remapped.push(value)
+    }
+  })))
+  const nextLayers = remapped.reduce((current, hex) => (
+    replaceColorInLayers(current, hex, isSpecialColor(hex) ? CLEAR : findClosestPaletteColor(hex, palette, metric))
+  ), layers)
+  return { layers: nextLayers, remapped }
+}
@@ -0,0 +1,307 @@
+/**
+ * Automatic palette extraction from a reference image
+ *
+ * Proposes N domino colors for an artwork (k-means in CIELAB or median cut
+ * in RGB), recommends how many of each to use for a grid size, and compares
+ * the proposal against an existing inventory to build a shopping list.
+ */
+
+import { rgbToHex, rgbToLab, colorDistance, DEFAULT_COLOR_METRIC } from './colorUtils'
+
+/**
+ * Available extraction methods
+ */
+export const EXTRACTION_METHODS = [
+  { value: 'kmeans', label: 'K-means (Lab)' },
+  { value: 'median-cut', label: 'Median cut' }
+]
+
+/**
+ * Colors closer than this (CIEDE2000) to an inventory color count as that color
+ */
+export const INVENTORY_MATCH_THRESHOLD = 10
+
+// Longest side of the image sample used for extraction
+const SAMPLE_SIZE = 128
+
+const KMEANS_MAX_ITERATIONS = 20
+
+/**
+ * Sample opaque pixels from an image
+ * @param {HTMLImageElement} img
+ * @returns {Array<{ r: number, g: number, b: number }>}
+ */
+export function sampleImagePixels(img) {
+  const scale = Math.min(1, SAMPLE_SIZE / Math.max(img.naturalWidth, img.naturalHeight))
+  const width = Math.max(1, Math.round(img.naturalWidth * scale))
+  const height = Math.max(1, Math.round(img.naturalHeight * scale))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  ctx.drawImage(img, 0, 0, width, height)
+  const data = ctx.getImageData(0, 0, width, height).data
+
+  const pixels = []
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue
+    pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2] })
+  }
+  return pixels
+}
+
+// Small deterministic PRNG so the same image always gives the same proposal
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0
+    return state / 4294967296
+  }
+}
+
+const labDistanceSquared = (a, b) => {
+  const dL = a.L - b.L
+  const da = a.a - b.a
+  const db = a.b - b.b
+  return dL * dL + da * da + db * db
+}
+
+/**
+ * K-means clustering in CIELAB with k-means++ seeding
+ * @param {Array<{ r: number, g: number, b: number }>} pixels
+ * @param {number} k - Number of colors
+ * @returns {Array<{ hex: string, count: number }>}
+ */
+function kMeans(pixels, k) {
+  const random = createRandom(pixels.length * 31 + k)
+  const labs = pixels.map(p => rgbToLab(p.r, p.g, p.b))
+
+  // k-means++: spread the initial centers out
+  const centers = [{ ...labs[Math.floor(random() * labs.length)] }]
+  const nearest = labs.map(lab => labDistanceSquared(lab, centers[0]))
+  while (centers.length < k) {
+    const total = nearest.reduce((sum, d) => sum + d, 0)
+    if (total === 0) break // Fewer distinct colors than k
+    let target = random() * total
+    let index = 0
+    while (index < nearest.length - 1 && target >= nearest[index]) {
+      target -= nearest[index]
+      index++
+    }
+    centers.push({ ...labs[index] })
+    labs.forEach((lab, i) => {
+      nearest[i] = Math.min(nearest[i], labDistanceSquared(lab, centers[centers.length - 1]))
+    })
+  }
+
+  const assignment = new Int32Array(labs.length)
+  for (let iteration = 0; iteration < KMEANS_MAX_ITERATIONS; iteration++) {
+    let changed = false
+    labs.forEach((lab, i) => {
+      let best = 0
+      let bestDistance = Infinity
+      centers.forEach((center, c) => {
+        const d = labDistanceSquared(lab, center)
+        if (d < bestDistance) {
+          bestDistance = d
+          best = c
+        }
+      })
+      if (assignment[i] !== best) {
+        assignment[i] = best
+        changed = true
+      }
+    })
+
+    // Move each center to the mean of its members
+    centers.forEach((center, c) => {
+      let count = 0
+      let L = 0
+      let a = 0
+      let b = 0
+      labs.forEach((lab, i) => {
+        if (assignment[i] !== c) return
+        count++
+        L += lab.L
+        a += lab.a
+        b += lab.b
+      })
+      if (count > 0) {
+        center.L = L / count
+        center.a = a / count
+        center.b = b / count
+      }
+    })
+
+    if (!changed && iteration > 0) break
+  }
+
+  // Report each cluster as the average RGB of its members
+  const sums = centers.map(() => ({ r: 0, g: 0, b: 0, count: 0 }))
+  pixels.forEach((p, i) => {
+    const sum = sums[assignment[i]]
+    sum.r += p.r
+    sum.g += p.g
+    sum.b += p.b
+    sum.count++
+  })
+  return sums
+    .filter(sum => sum.count > 0)
+    .map(sum => ({
+      hex: rgbToHex(Math.round(sum.r / sum.count), Math.round(sum.g / sum.count), Math.round(sum.b / sum.count)),
+      count: sum.count
+    }))
+}
+
+/**
+ * Median cut: repeatedly split the box with the widest channel range
+ * @param {Array<{ r: number, g: number, b: number }>} pixels
+ * @param {number} k - Number of colors
+ * @returns {Array<{ hex: string, count: number }>}
+ */
+function medianCut(pixels, k) {
+  const channelRange = (box, channel) => {
+    let min = 255
+    let max = 0
+    box.forEach(p => {
+      if (p[channel] < min) min = p[channel]
+      if (p[channel] > max) max = p[channel]
+    })
+    return max - min
+  }
+
+  const widestChannel = (box) => ['r', 'g', 'b']
+    .map(channel => ({ channel, range: channelRange(box, channel) }))
+    .sort((a, b) => b.range - a.range)[0]
+
+  const boxes = [pixels]
+  while (boxes.length < k) {
+    // Split the box with the largest spread (weighted by size)
+    let target = -1
+    let targetScore = 0
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return
+      const score = widestChannel(box).range * box.length
+      if (score > targetScore) {
+        targetScore = score
+        target = i
+      }
+    })
+    if (target === -1) break
+
+    const box = boxes[target]
+    const { channel } = widestChannel(box)
+    const sorted = [...box].sort((a, b) => a[channel] - b[channel])
+    const middle = Math.floor(sorted.length / 2)
+    boxes.splice(target, 1, sorted.slice(0, middle), sorted.slice(middle))
+  }
+
+  return boxes.map(box => {
+    const sum = box.reduce((acc, p) => ({ r: acc.r + p.r, g: acc.g + p.g, b: acc.b + p.b }), { r: 0, g: 0, b: 0 })
+    return {
+      hex: rgbToHex(Math.round(sum.r / box.length), Math.round(sum.g / box.length), Math.round(sum.b / box.length)),
+      count: box.length
+    }
+  })
+}
+
+/**
+ * Propose a palette of N colors for the given pixels
+ * @param {Array<{ r: number, g: number, b: number }>} pixels
+ * @param {number} colorCount - Number of colors to propose
+ * @param {string} [method] - One of EXTRACTION_METHODS values
+ * @returns {Array<{ hex: string, share: number }>} - Colors sorted by share of the image (0-1)
+ */
+export function extractPalette(pixels, colorCount, method = 'kmeans') {
+  if (pixels.length === 0 || colorCount < 1) return []
+  const k = Math.min(colorCount, pixels.length)
+  const clusters = method === 'median-cut' ? medianCut(pixels, k) : kMeans(pixels, k)
+
+  // Merge clusters that landed on the same color
+  const merged = new Map()
+  clusters.forEach(({ hex, count }) => merged.set(hex, (merged.get(hex) || 0) + count))
+
+  return [...merged.entries()]
+    .map(([hex, count]) => ({ hex, share: count / pixels.length }))
+    .sort((a, b) => b.share - a.share)
+}
+
+/**
+ * Recommend quantities for each proposed color so they add up to the grid size
+ * (largest remainder rounding)
+ * @param {Array<{ hex: string, share: number }>} proposal
+ * @param {number} totalCells - rows × columns of the planned grid
+ * @returns {Array<{ hex: string, share: number, quantity: number }>}
+ */
+export function recommendQuantities(proposal, totalCells) {
+  const exact = proposal.map(p => p.share * totalCells)
+  const quantities = exact.map(Math.floor)
+  let remaining = totalCells - quantities.reduce((sum, q) => sum + q, 0)
+
+  exact
+    .map((value, i) => ({ i, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ i }) => {
+      if (remaining <= 0) return
+      quantities[i]++
+      remaining--
+    })
+
+  return proposal.map((p, i) => ({ ...p, quantity: quantities[i] }))
+}
+
+/**
+ * Compare a proposal against an inventory palette and list what to buy
+ * @param {Array<{ hex: string, quantity: number }>} proposal - Proposed colors with recommended quantities
+ * @param {Array<{ hex: string, quantity: number, name?: string }>} inventory - Dominoes on hand
+ * @param {string} [metric] - Color distance metric used for matching
+ * @returns {{
+ *   matches: Array<{ hex: string, quantity: number, match: Object | null, nearest: Object | null, distance: number }>,
+ *   purchases: Array<{ hex: string, name: string, need: number, have: number, buy: number, isNew: boolean }>
+ * }}
+ */
+export function compareWithInventory(proposal, inventory, metric = DEFAULT_COLOR_METRIC) {
+  const candidates = inventory.filter(p => p.hex !== 'clear' && p.hex !== 'disney')
+
+  const matches = proposal.map(p => {
+    let match = null
+    let distance = Infinity
+    candidates.forEach(item => {
+      const d = colorDistance(p.hex, item.hex, metric)
+      if (d < distance) {
+        distance = d
+        match = item
+      }
+    })
+    const isMatch = match && colorDistance(p.hex, match.hex, 'ciede2000') <= INVENTORY_MATCH_THRESHOLD
+    return { ...p, match: isMatch ? match : null, nearest: match, distance }
+  })
+
+  // Several proposed colors may map to the same inventory color - add their needs up
+  const byInventoryColor = new Map()
+  const purchases = []
+  matches.forEach(m => {
+    if (m.match) {
+      const entry = byInventoryColor.get(m.match.hex) || {
+        hex: m.match.hex,
+        name: m.match.name || m.match.hex,
+        need: 0,
+        have: m.match.quantity,
+        isNew: false
+      }
+      entry.need += m.quantity
+      byInventoryColor.set(m.match.hex, entry)
+    } else {
+      purchases.push({ hex: m.hex, name: `New color ${m.hex}`, need: m.quantity, have: 0, isNew: true })
+    }
+  })
+  byInventoryColor.forEach(entry => purchases.push(entry))
+
+  return {
+    matches,
+    purchases: purchases
+      .map(p => ({ ...p, buy: p.have === Infinity ? 0 : Math.max(0, p.need - p.have) }))
+      .sort((a, b) => b.buy - a.buy)
+  }
+}
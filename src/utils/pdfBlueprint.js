@@ -0,0 +1,322 @@
+/**
+ * Multi-page PDF blueprint
+ *
+ * Splits the grid into printable tiles that overlap by a few cells, and
+ * writes one page per tile with grid coordinates, overlap markers and a
+ * color count table, after an index page that maps tiles to page numbers.
+ */
+
+import {
+  BASE_DOMINO_WIDTH,
+  BASE_DOMINO_HEIGHT,
+  BASE_H_GAP,
+  BASE_V_GAP,
+  BASE_LABEL_WIDTH
+} from './gridGeometry'
+import { countCellColors, countRegionColors, getColorStats } from './gridStats'
+import { createPdf, PAPER_SIZES } from './pdfWriter'
+
+/**
+ * Default blueprint options
+ */
+export const DEFAULT_BLUEPRINT_OPTIONS = {
+  paper: 'a4',
+  orientation: 'landscape',
+  tileRows: 20,
+  tileCols: 20,
+  overlap: 1, // Cells repeated on both neighbouring tiles
+  showSpecialLetters: true
+}
+
+const MARGIN = 28
+const HEADER_HEIGHT = 34
+const TABLE_ENTRY_WIDTH = 140
+const TABLE_LINE_HEIGHT = 13
+const TABLE_TITLE_HEIGHT = 16
+
+// Target printed domino width (about 1 cm) when suggesting a tile size
+const TARGET_DOMINO_WIDTH = 28
+
+const BORDER_COLOR = '#cccccc'
+const LABEL_COLOR = '#888888'
+const TEXT_COLOR = '#1a1a1a'
+const OVERLAP_COLOR = '#dc3545'
+const TILE_OUTLINE_COLOR = '#3d5a80'
+const CLEAR_FILL = '#ffffff'
+const DISNEY_BANDS = ['#f8b4d9', '#a78bfa', '#60a5fa', '#34d399', '#fbbf24']
+
+/**
+ * Page size in points for a paper/orientation
+ * @param {string} paper - Key of PAPER_SIZES
+ * @param {string} orientation - 'portrait' or 'landscape'
+ * @returns {{ width: number, height: number }}
+ */
+export function getPageSize(paper, orientation) {
+  const { width, height } = PAPER_SIZES[paper] || PAPER_SIZES.a4
+  return orientation === 'landscape' ? { width: height, height: width } : { width, height }
+}
+
+/**
+ * Suggest how many rows/columns fit on one page at a readable size
+ * @param {string} paper
+ * @param {string} orientation
+ * @returns {{ tileRows: number, tileCols: number }}
+ */
+export function getSuggestedTileSize(paper, orientation) {
+  const { width, height } = getPageSize(paper, orientation)
+  const scale = TARGET_DOMINO_WIDTH / BASE_DOMINO_WIDTH
+  // Leave room for the header and a few lines of the count table
+  const areaWidth = width - MARGIN * 2 - BASE_LABEL_WIDTH * scale
+  const areaHeight = height - MARGIN * 2 - HEADER_HEIGHT - TABLE_TITLE_HEIGHT - TABLE_LINE_HEIGHT * 4 - BASE_LABEL_WIDTH * scale
+  return {
+    tileCols: Math.max(1, Math.floor((areaWidth + BASE_H_GAP * scale) / ((BASE_DOMINO_WIDTH + BASE_H_GAP) * scale))),
+    tileRows: Math.max(1, Math.floor((areaHeight + BASE_V_GAP * scale) / ((BASE_DOMINO_HEIGHT + BASE_V_GAP) * scale)))
+  }
+}
+
+// Tile start positions along one axis
+const getTileStarts = (total, size, overlap) => {
+  const step = Math.max(1, size - overlap)
+  const starts = []
+  for (let start = 0; ; start += step) {
+    starts.push(start)
+    if (start + size >= total) break
+  }
+  return starts
+}
+
+/**
+ * Split the grid into overlapping tiles
+ * @param {number} rows - Grid rows
+ * @param {number} cols - Grid columns
+ * @param {{ tileRows: number, tileCols: number, overlap: number }} options
+ * @returns {Array<{
+ *   page: number, tileRow: number, tileCol: number,
+ *   startRow: number, endRow: number, startCol: number, endCol: number,
+ *   ownStartRow: number, ownStartCol: number
+ * }>} - Row-major tiles; cells before ownStartRow/ownStartCol are shared with the previous tile
+ */
+export function getTiles(rows, cols, { tileRows, tileCols, overlap }) {
+  const size = { rows: Math.max(1, tileRows), cols: Math.max(1, tileCols) }
+  const rowOverlap = Math.min(overlap, size.rows - 1)
+  const colOverlap = Math.min(overlap, size.cols - 1)
+  const rowStarts = getTileStarts(rows, size.rows, rowOverlap)
+  const colStarts = getTileStarts(cols, size.cols, colOverlap)
+
+  const tiles = []
+  rowStarts.forEach((startRow, tileRow) => {
+    colStarts.forEach((startCol, tileCol) => {
+      tiles.push({
+        page: tiles.length + 2, // Page 1 is the index
+        tileRow,
+        tileCol,
+        startRow,
+        endRow: Math.min(rows, startRow + size.rows) - 1,
+        startCol,
+        endCol: Math.min(cols, startCol + size.cols) - 1,
+        ownStartRow: tileRow > 0 ? startRow + rowOverlap : startRow,
+        ownStartCol: tileCol > 0 ? startCol + colOverlap : startCol
+      })
+    })
+  })
+  return tiles
+}
+
+// Draw one domino at any size
+function drawCell(page, x, y, w, h, value, { detailed, showSpecialLetters }) {
+  if (value === 'clear') {
+    page.rect(x, y, w, h, { fill: CLEAR_FILL, stroke: BORDER_COLOR })
+    if (detailed && showSpecialLetters) {
+      page.text('C', x + w / 2, y + h * 0.72, { size: h * 0.6, bold: true, color: LABEL_COLOR, align: 'center' })
+    }
+  } else if (value === 'disney') {
+    const band = w / DISNEY_BANDS.length
+    DISNEY_BANDS.forEach((color, i) => page.rect(x + i * band, y, band, h, { fill: color }))
+    if (detailed && showSpecialLetters) {
+      page.text('D', x + w / 2, y + h * 0.72, { size: h * 0.6, bold: true, color: '#ffffff', align: 'center' })
+    }
+  } else {
+    page.rect(x, y, w, h, detailed ? { fill: value, stroke: BORDER_COLOR } : { fill: value })
+  }
+}
+
+// Color count table; returns its height
+function drawCountTable(page, title, stats, x, y, width, showAvailable) {
+  page.text(title, x, y + 10, { size: 9, bold: true, color: TEXT_COLOR })
+  const perRow = Math.max(1, Math.floor(width / TABLE_ENTRY_WIDTH))
+  stats.forEach(({ color, used, available, name }, i) => {
+    const ex = x + (i % perRow) * TABLE_ENTRY_WIDTH
+    const ey = y + TABLE_TITLE_HEIGHT + Math.floor(i / perRow) * TABLE_LINE_HEIGHT
+    drawCell(page, ex, ey + 2, 9, 9, color, { detailed: false })
+    page.rect(ex, ey + 2, 9, 9, { stroke: BORDER_COLOR })
+    const label = name || (color === 'clear' ? 'Clear' : color === 'disney' ? 'Disney' : color)
+    const count = showAvailable && available !== Infinity ? `${used} / ${available}` : String(used)
+    page.text(label, ex + 13, ey + 10, { size: 8, color: TEXT_COLOR })
+    page.text(count, ex + TABLE_ENTRY_WIDTH - 10, ey + 10, { size: 8, bold: true, color: TEXT_COLOR, align: 'right' })
+  })
+  return TABLE_TITLE_HEIGHT + Math.ceil(stats.length / perRow) * TABLE_LINE_HEIGHT
+}
+
+const tableHeight = (count, width) =>
+  TABLE_TITLE_HEIGHT + Math.ceil(count / Math.max(1, Math.floor(width / TABLE_ENTRY_WIDTH))) * TABLE_LINE_HEIGHT
+
+// Index page: whole grid in miniature with the tile outlines and page numbers
+function drawIndexPage(page, grid, palette, tiles, options) {
+  const rows = grid.length
+  const cols = grid[0]?.length || 0
+  const contentWidth = page.width - MARGIN * 2
+
+  page.text('Domino Blueprint', MARGIN, MARGIN + 14, { size: 16, bold: true, color: TEXT_COLOR })
+  page.text(
+    `${rows} rows × ${cols} columns · ${rows * cols} dominoes · ${tiles.length} tile ${tiles.length === 1 ? 'page' : 'pages'} · overlap ${options.overlap}`,
+    MARGIN, MARGIN + 28, { size: 9, color: LABEL_COLOR }
+  )
+
+  const stats = getColorStats(countCellColors(grid), palette)
+  const statsHeight = tableHeight(stats.length, contentWidth)
+  const top = MARGIN + HEADER_HEIGHT + 6
+  const areaHeight = page.height - MARGIN - statsHeight - 12 - top
+
+  // Fit the grid in proportion
+  const gridWidth = cols * BASE_DOMINO_WIDTH + (cols - 1) * BASE_H_GAP
+  const gridHeight = rows * BASE_DOMINO_HEIGHT + (rows - 1) * BASE_V_GAP
+  const scale = Math.min(contentWidth / gridWidth, areaHeight / gridHeight)
+  const left = MARGIN + (contentWidth - gridWidth * scale) / 2
+  const cellX = (c) => left + c * (BASE_DOMINO_WIDTH + BASE_H_GAP) * scale
+  const cellY = (r) => top + r * (BASE_DOMINO_HEIGHT + BASE_V_GAP) * scale
+
+  grid.forEach((row, r) => {
+    row.forEach((value, c) => {
+      drawCell(page, cellX(c), cellY(r), BASE_DOMINO_WIDTH * scale, BASE_DOMINO_HEIGHT * scale, value, { detailed: false })
+    })
+  })
+
+  // Outline each tile's own region so the outlines don't overlap
+  page.setLineWidth(1.2)
+  tiles.forEach(tile => {
+    const x1 = cellX(tile.ownStartCol) - (tile.tileCol > 0 ? BASE_H_GAP * scale / 2 : 0)
+    const y1 = cellY(tile.ownStartRow) - (tile.tileRow > 0 ? BASE_V_GAP * scale / 2 : 0)
+    const x2 = cellX(tile.endCol) + BASE_DOMINO_WIDTH * scale
+    const y2 = cellY(tile.endRow) + BASE_DOMINO_HEIGHT * scale
+    page.rect(x1, y1, x2 - x1, y2 - y1, { stroke: TILE_OUTLINE_COLOR })
+
+    const label = `p. ${tile.page}`
+    const size = Math.max(7, Math.min(16, (x2 - x1) / 5))
+    const labelWidth = label.length * size * 0.55 + 6
+    const cx = (x1 + x2) / 2
+    const cy = (y1 + y2) / 2
+    page.rect(cx - labelWidth / 2, cy - size * 0.75, labelWidth, size * 1.3, { fill: '#ffffff', stroke: TILE_OUTLINE_COLOR })
+    page.text(label, cx, cy + size * 0.35, { size, bold: true, color: TILE_OUTLINE_COLOR, align: 'center' })
+  })
+  page.setLineWidth(1)
+
+  drawCountTable(page, 'Whole layout (used / available)', stats, MARGIN, page.height - MARGIN - statsHeight, contentWidth, true)
+}
+
+// One tile page
+function drawTilePage(page, grid, palette, tile, tiles, pageCount, options) {
+  const contentWidth = page.width - MARGIN * 2
+  const tileRowCount = tile.endRow - tile.startRow + 1
+  const tileColCount = tile.endCol - tile.startCol + 1
+
+  // Header: position in the grid and neighbouring pages
+  page.text(
+    `Rows ${tile.startRow + 1}–${tile.endRow + 1} · Columns ${tile.startCol + 1}–${tile.endCol + 1}`,
+    MARGIN, MARGIN + 12, { size: 13, bold: true, color: TEXT_COLOR }
+  )
+  page.text(`Page ${tile.page} of ${pageCount}`, page.width - MARGIN, MARGIN + 12, { size: 10, color: LABEL_COLOR, align: 'right' })
+
+  const neighbour = (dr, dc) => tiles.find(t => t.tileRow === tile.tileRow + dr && t.tileCol === tile.tileCol + dc)
+  const neighbours = [
+    ['Above', neighbour(-1, 0)],
+    ['Left', neighbour(0, -1)],
+    ['Right', neighbour(0, 1)],
+    ['Below', neighbour(1, 0)]
+  ].filter(([, t]) => t).map(([label, t]) => `${label}: p. ${t.page}`)
+  const note = options.overlap > 0 && neighbours.length > 0
+    ? `${neighbours.join(' · ')} · Red dashed lines mark cells shared with the neighbouring page`
+    : neighbours.join(' · ')
+  page.text(note, MARGIN, MARGIN + 26, { size: 8, color: LABEL_COLOR })
+
+  // Count only the cells this page owns, so page totals add up to the whole layout
+  const ownBounds = { startRow: tile.ownStartRow, startCol: tile.ownStartCol, endRow: tile.endRow, endCol: tile.endCol }
+  const stats = getColorStats(countRegionColors(grid, ownBounds), palette)
+  const statsHeight = tableHeight(stats.length, contentWidth)
+
+  // Fit the tile (with its coordinate labels) in proportion
+  const top = MARGIN + HEADER_HEIGHT
+  const areaHeight = page.height - MARGIN - statsHeight - 12 - top
+  const gridWidth = BASE_LABEL_WIDTH + tileColCount * BASE_DOMINO_WIDTH + (tileColCount - 1) * BASE_H_GAP
+  const gridHeight = BASE_LABEL_WIDTH + tileRowCount * BASE_DOMINO_HEIGHT + (tileRowCount - 1) * BASE_V_GAP
+  const scale = Math.min(contentWidth / gridWidth, areaHeight / gridHeight)
+  const left = MARGIN + BASE_LABEL_WIDTH * scale
+  const gridTop = top + BASE_LABEL_WIDTH * scale
+  const cellX = (c) => left + (c - tile.startCol) * (BASE_DOMINO_WIDTH + BASE_H_GAP) * scale
+  const cellY = (r) => gridTop + (r - tile.startRow) * (BASE_DOMINO_HEIGHT + BASE_V_GAP) * scale
+  const cellW = BASE_DOMINO_WIDTH * scale
+  const cellH = BASE_DOMINO_HEIGHT * scale
+  const labelSize = Math.max(5, Math.min(9, cellH * 0.8))
+
+  // Row/column coordinates of the full grid
+  for (let c = tile.startCol; c <= tile.endCol; c++) {
+    page.text(String(c + 1), cellX(c) + cellW / 2, gridTop - BASE_LABEL_WIDTH * scale / 2 + labelSize * 0.35, { size: labelSize, color: LABEL_COLOR, align: 'center' })
+  }
+  for (let r = tile.startRow; r <= tile.endRow; r++) {
+    page.text(String(r + 1), left - BASE_LABEL_WIDTH * scale / 2, cellY(r) + cellH / 2 + labelSize * 0.35, { size: labelSize, color: LABEL_COLOR, align: 'center' })
+  }
+
+  page.setLineWidth(0.5)
+  for (let r = tile.startRow; r <= tile.endRow; r++) {
+    for (let c = tile.startCol; c <= tile.endCol; c++) {
+      drawCell(page, cellX(c), cellY(r), cellW, cellH, grid[r][c], { detailed: true, showSpecialLetters: options.showSpecialLetters })
+    }
+  }
+
+  // Overlap markers: dashed lines between shared and unshared cells
+  const right = cellX(tile.endCol) + cellW
+  const bottom = cellY(tile.endRow) + cellH
+  const colLine = (c) => {
+    const x = cellX(c) - BASE_H_GAP * scale / 2
+    page.line(x, gridTop - BASE_LABEL_WIDTH * scale, x, bottom, OVERLAP_COLOR)
+  }
+  const rowLine = (r) => {
+    const y = cellY(r) - BASE_V_GAP * scale / 2
+    page.line(left - BASE_LABEL_WIDTH * scale, y, right, y, OVERLAP_COLOR)
+  }
+  page.setLineWidth(1)
+  page.setDash([4, 3])
+  if (tile.ownStartCol > tile.startCol) colLine(tile.ownStartCol)
+  if (tile.ownStartRow > tile.startRow) rowLine(tile.ownStartRow)
+  const next = { right: neighbour(0, 1), below: neighbour(1, 0) }
+  if (next.right && next.right.startCol <= tile.endCol) colLine(next.right.startCol)
+  if (next.below && next.below.startRow <= tile.endRow) rowLine(next.below.startRow)
+  page.setDash([])
+
+  drawCountTable(
+    page,
+    options.overlap > 0 ? 'Dominoes on this page (shared cells are counted on the earlier page)' : 'Dominoes on this page',
+    stats, MARGIN, page.height - MARGIN - statsHeight, contentWidth, false
+  )
+}
+
+/**
+ * Build the blueprint PDF
+ * @param {Array<Array<string>>} grid - 2D array of cell values
+ * @param {Array<{ hex: string, quantity: number, name?: string }>} palette
+ * @param {Object} [options] - See DEFAULT_BLUEPRINT_OPTIONS
+ * @returns {Blob}
+ */
+export function createBlueprintPdf(grid, palette, options = {}) {
+  const settings = { ...DEFAULT_BLUEPRINT_OPTIONS, ...options }
+  const rows = grid.length
+  const cols = grid[0]?.length || 0
+  const tiles = getTiles(rows, cols, settings)
+  const pdf = createPdf(getPageSize(settings.paper, settings.orientation))
+
+  drawIndexPage(pdf.addPage(), grid, palette, tiles, settings)
+  tiles.forEach(tile => {
+    drawTilePage(pdf.addPage(), grid, palette, tile, tiles, tiles.length + 1, settings)
+  })
+
+  return pdf.toBlob()
+}
@@ -0,0 +1,214 @@
+/**
+ * Minimal PDF writer
+ *
+ * Just enough of PDF 1.4 to draw filled/stroked rectangles, lines and
+ * Helvetica text on any number of pages. Runs entirely in the browser with
+ * no dependencies, so it works in the single-file build.
+ *
+ * Coordinates are in points (1/72 in) with the origin at the top-left of the
+ * page, like canvas; they are flipped to PDF's bottom-left origin on output.
+ */
+
+import { hexToRgb } from './colorUtils'
+
+/**
+ * Paper sizes in points (portrait)
+ */
+export const PAPER_SIZES = {
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  letter: { label: 'Letter', width: 612, height: 792 },
+  a3: { label: 'A3', width: 841.89, height: 1190.55 },
+  tabloid: { label: 'Tabloid', width: 792, height: 1224 }
+}
+
+// Helvetica advance widths (1/1000 em) for printable ASCII, from the standard AFM metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+]
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+]
+
+// Characters outside Latin-1 that WinAnsiEncoding still has a slot for
+const WIN_ANSI_EXTRAS = {
+  '–': 0x96,
+  '—': 0x97,
+  '•': 0x95,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94
+}
+
+// Encode text as a PDF literal string body in WinAnsiEncoding
+function encodeText(text) {
+  let out = ''
+  for (const ch of String(text)) {
+    let code = WIN_ANSI_EXTRAS[ch] ?? ch.charCodeAt(0)
+    if (code > 255) code = 0x3f // '?'
+    const c = String.fromCharCode(code)
+    out += c === '(' || c === ')' || c === '\\' ? `\\${c}` : c
+  }
+  return out
+}
+
+const num = (n) => (Math.round(n * 100) / 100).toString()
+
+// "r g b" in 0-1 for a hex color
+const colorOperands = (hex) => {
+  const { r, g, b } = hexToRgb(hex)
+  return `${num(r / 255)} ${num(g / 255)} ${num(b / 255)}`
+}
+
+/**
+ * Width of a string in Helvetica
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold]
+ * @returns {number} - Width in points
+ */
+export function measureText(text, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS
+  let total = 0
+  for (const ch of String(text)) {
+    const code = ch.charCodeAt(0)
+    total += widths[code - 32] ?? 556
+  }
+  return (total * size) / 1000
+}
+
+/**
+ * Create a PDF document
+ * @param {{ width: number, height: number }} pageSize - Page size in points
+ * @returns {{ addPage: Function, toBlob: Function }}
+ */
+export function createPdf({ width, height }) {
+  const pages = []
+
+  /**
+   * Start a new page
+   * @returns {{
+   *   width: number, height: number,
+   *   rect: Function, line: Function, text: Function,
+   *   setLineWidth: Function, setDash: Function
+   * }}
+   */
+  const addPage = () => {
+    const ops = []
+    pages.push(ops)
+    const flipY = (y) => height - y
+
+    return {
+      width,
+      height,
+
+      /**
+       * Rectangle, filled and/or stroked
+       * @param {number} x
+       * @param {number} y
+       * @param {number} w
+       * @param {number} h
+       * @param {{ fill?: string, stroke?: string }} paint - Hex colors
+       */
+      rect(x, y, w, h, { fill, stroke } = {}) {
+        if (!fill && !stroke) return
+        if (fill) ops.push(`${colorOperands(fill)} rg`)
+        if (stroke) ops.push(`${colorOperands(stroke)} RG`)
+        ops.push(`${num(x)} ${num(flipY(y + h))} ${num(w)} ${num(h)} re ${fill && stroke ? 'B' : fill ? 'f' : 'S'}`)
+      },
+
+      /**
+       * Straight line
+       * @param {number} x1
+       * @param {number} y1
+       * @param {number} x2
+       * @param {number} y2
+       * @param {string} color - Hex color
+       */
+      line(x1, y1, x2, y2, color) {
+        ops.push(`${colorOperands(color)} RG`)
+        ops.push(`${num(x1)} ${num(flipY(y1))} m ${num(x2)} ${num(flipY(y2))} l S`)
+      },
+
+      /**
+       * Single line of text, positioned by its baseline
+       * @param {string} text
+       * @param {number} x
+       * @param {number} y - Baseline
+       * @param {{ size?: number, bold?: boolean, color?: string, align?: 'left' | 'center' | 'right' }} [style]
+       */
+      text(text, x, y, { size = 10, bold = false, color = '#000000', align = 'left' } = {}) {
+        const w = measureText(text, size, bold)
+        const left = align === 'center' ? x - w / 2 : align === 'right' ? x - w : x
+        ops.push(`BT ${colorOperands(color)} rg /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(left)} ${num(flipY(y))} Td (${encodeText(text)}) Tj ET`)
+      },
+
+      /**
+       * @param {number} lineWidth - In points
+       */
+      setLineWidth(lineWidth) {
+        ops.push(`${num(lineWidth)} w`)
+      },
+
+      /**
+       * @param {Array<number>} pattern - Dash and gap lengths in points ([] = solid)
+       */
+      setDash(pattern) {
+        ops.push(`[${pattern.map(num).join(' ')}] 0 d`)
+      }
+    }
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Blob}
+   */
+  const toBlob = () => {
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page + content stream per page
+    const objects = []
+    const pageIds = pages.map((_, i) => 5 + i * 2)
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>'
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    pages.forEach((ops, i) => {
+      const pageId = pageIds[i]
+      const content = ops.join('\n')
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+      objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    })
+
+    // Every character is a single byte (WinAnsi), so string length == byte offset
+    let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'
+    const offsets = []
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = out.length
+      out += `${id} 0 obj\n${objects[id]}\nendobj\n`
+    }
+    const xrefOffset = out.length
+    out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`
+    for (let id = 1; id < objects.length; id++) {
+      out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`
+    }
+    out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+    const bytes = new Uint8Array(out.length)
+    for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i) & 0xff
+    return new Blob([bytes], { type: 'application/pdf' })
+  }
+
+  return { addPage, toBlob }
+}
@@ -0,0 +1,212 @@
+/**
+ * Bitmap fonts for writing text into the grid
+ *
+ * Glyphs are rows of '#' (ink) and '.' (blank). Letters are upper case only;
+ * lower case text is drawn in capitals, and characters a font doesn't have
+ * are drawn as '?'. The 8×8 bold font is the 5×7 font with every stroke
+ * doubled, sitting in an 8×8 cell that already includes its spacing.
+ */
+
+const FONT_3X5 = {
+  A: ['.#.', '#.#', '###', '#.#', '#.#'],
+  B: ['##.', '#.#', '##.', '#.#', '##.'],
+  C: ['.##', '#..', '#..', '#..', '.##'],
+  D: ['##.', '#.#', '#.#', '#.#', '##.'],
+  E: ['###', '#..', '##.', '#..', '###'],
+  F: ['###', '#..', '##.', '#..', '#..'],
+  G: ['.##', '#..', '#.#', '#.#', '.##'],
+  H: ['#.#', '#.#', '###', '#.#', '#.#'],
+  I: ['###', '.#.', '.#.', '.#.', '###'],
+  J: ['..#', '..#', '..#', '#.#', '.#.'],
+  K: ['#.#', '#.#', '##.', '#.#', '#.#'],
+  L: ['#..', '#..', '#..', '#..', '###'],
+  M: ['#.#', '###', '###', '#.#', '#.#'],
+  N: ['##.', '#.#', '#.#', '#.#', '#.#'],
+  O: ['.#.', '#.#', '#.#', '#.#', '.#.'],
+  P: ['##.', '#.#', '##.', '#..', '#..'],
+  Q: ['.#.', '#.#', '#.#', '##.', '.##'],
+  R: ['##.', '#.#', '##.', '#.#', '#.#'],
+  S: ['.##', '#..', '.#.', '..#', '##.'],
+  T: ['###', '.#.', '.#.', '.#.', '.#.'],
+  U: ['#.#', '#.#', '#.#', '#.#', '###'],
+  V: ['#.#', '#.#', '#.#', '#.#', '.#.'],
+  W: ['#.#', '#.#', '###', '###', '#.#'],
+  X: ['#.#', '#.#', '.#.', '#.#', '#.#'],
+  Y: ['#.#', '#.#', '.#.', '.#.', '.#.'],
+  Z: ['###', '..#', '.#.', '#..', '###'],
+  0: ['###', '#.#', '#.#', '#.#', '###'],
+  1: ['.#.', '##.', '.#.', '.#.', '###'],
+  2: ['##.', '..#', '.#.', '#..', '###'],
+  3: ['##.', '..#', '.#.', '..#', '##.'],
+  4: ['#.#', '#.#', '###', '..#', '..#'],
+  5: ['###', '#..', '##.', '..#', '##.'],
+  6: ['.##', '#..', '###', '#.#', '###'],
+  7: ['###', '..#', '.#.', '.#.', '.#.'],
+  8: ['###', '#.#', '###', '#.#', '###'],
+  9: ['###', '#.#', '###', '..#', '##.'],
+  ' ': ['...', '...', '...', '...', '...'],
+  '.': ['...', '...', '...', '...', '.#.'],
+  ',': ['...', '...', '...', '.#.', '#..'],
+  '!': ['.#.', '.#.', '.#.', '...', '.#.'],
+  '?': ['##.', '..#', '.#.', '...', '.#.'],
+  '-': ['...', '...', '###', '...', '...'],
+  '+': ['...', '.#.', '###', '.#.', '...'],
+  ':': ['...', '.#.', '...', '.#.', '...'],
+  '\'': ['.#.', '.#.', '...', '...', '...'],
+  '/': ['..#', '..#', '.#.', '#..', '#..'],
+  '(': ['..#', '.#.', '.#.', '.#.', '..#'],
+  ')': ['#..', '.#.', '.#.', '.#.', '#..'],
+  '&': ['.#.', '#.#', '.#.', '#.#', '.##'],
+  '#': ['#.#', '###', '#.#', '###', '#.#'],
+  '=': ['...', '###', '...', '###', '...'],
+  '*': ['#.#', '.#.', '#.#', '...', '...'],
+  '♥': ['#.#', '###', '###', '.#.', '...']
+}
+
+const FONT_5X7 = {
+  A: ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  B: ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+  C: ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+  D: ['####.', '#...#', '#...#', '#...#', '#...#', '#...#', '####.'],
+  E: ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+  F: ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+  G: ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+  H: ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  I: ['.###.', '..#..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  J: ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+  K: ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+  L: ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+  M: ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+  N: ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+  O: ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  P: ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+  Q: ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+  R: ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+  S: ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+  T: ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+  U: ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  V: ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+  W: ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+  X: ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+  Y: ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+  Z: ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+  0: ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+  1: ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  2: ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+  3: ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+  4: ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+  5: ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+  6: ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+  7: ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+  8: ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+  9: ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+  ' ': ['.....', '.....', '.....', '.....', '.....', '.....', '.....'],
+  '.': ['.....', '.....', '.....', '.....', '.....', '.##..', '.##..'],
+  ',': ['.....', '.....', '.....', '.....', '.##..', '..#..', '.#...'],
+  '!': ['..#..', '..#..', '..#..', '..#..', '..#..', '.....', '..#..'],
+  '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..'],
+  '-': ['.....', '.....', '.....', '#####', '.....', '.....', '.....'],
+  '+': ['.....', '..#..', '..#..', '#####', '..#..', '..#..', '.....'],
+  ':': ['.....', '.##..', '.##..', '.....', '.##..', '.##..', '.....'],
+  '\'': ['.##..', '..#..', '.#...', '.....', '.....', '.....', '.....'],
+  '/': ['.....', '....#', '...#.', '..#..', '.#...', '#....', '.....'],
+  '(': ['...#.', '..#..', '.#...', '.#...', '.#...', '..#..', '...#.'],
+  ')': ['.#...', '..#..', '...#.', '...#.', '...#.', '..#..', '.#...'],
+  '&': ['.##..', '#..#.', '#.#..', '.#...', '#.#.#', '#..#.', '.##.#'],
+  '#': ['.#.#.', '.#.#.', '#####', '.#.#.', '#####', '.#.#.', '.#.#.'],
+  '=': ['.....', '.....', '#####', '.....', '#####', '.....', '.....'],
+  '*': ['.....', '..#..', '#.#.#', '.###.', '#.#.#', '..#..', '.....'],
+  '♥': ['.....', '.#.#.', '#####', '#####', '.###.', '..#..', '.....']
+}
+
+// Double every stroke rightwards and downwards, then pad to an 8×8 cell
+function embolden(glyphs) {
+  const bold = {}
+  Object.entries(glyphs).forEach(([char, rows]) => {
+    const ink = (r, c) => rows[r]?.[c] === '#'
+    bold[char] = Array.from({ length: 8 }, (_, r) => (
+      Array.from({ length: 8 }, (_, c) => (
+        ink(r, c) || ink(r, c - 1) || ink(r - 1, c) || ink(r - 1, c - 1) ? '#' : '.'
+      )).join('')
+    ))
+  })
+  return bold
+}
+
+/**
+ * Bundled fonts, with the letter and line spacing that suits each
+ */
+export const PIXEL_FONTS = [
+  { value: '3x5', label: '3×5', width: 3, height: 5, letterSpacing: 1, lineSpacing: 1, glyphs: FONT_3X5 },
+  { value: '5x7', label: '5×7', width: 5, height: 7, letterSpacing: 1, lineSpacing: 1, glyphs: FONT_5X7 },
+  { value: '8x8-bold', label: '8×8 bold', width: 8, height: 8, letterSpacing: 0, lineSpacing: 1, glyphs: embolden(FONT_5X7) }
+]
+
+export const TEXT_ALIGNMENTS = [
+  { value: 'left', label: 'Left' },
+  { value: 'center', label: 'Center' },
+  { value: 'right', label: 'Right' }
+]
+
+/**
+ * Lay text out as ink/blank cells
+ * @param {string} text - Lines separated by '\n'
+ * @param {Object} [options]
+ * @param {string} [options.font='5x7'] - See PIXEL_FONTS
+ * @param {number} [options.letterSpacing] - Blank columns between letters (defaults to the font's)
+ * @param {number} [options.lineSpacing] - Blank rows between lines (defaults to the font's)
+ * @param {'left' | 'center' | 'right'} [options.align='left'] - How shorter lines sit under longer ones
+ * @returns {Array<Array<boolean>>} - true where there is ink; empty for empty text
+ */
+export function renderText(text, { font = '5x7', letterSpacing, lineSpacing, align = 'left' } = {}) {
+  const fontInfo = PIXEL_FONTS.find(f => f.value === font) || PIXEL_FONTS[1]
+  const { width, height, glyphs } = fontInfo
+  const letterGap = letterSpacing ?? fontInfo.letterSpacing
+  const lineGap = lineSpacing ?? fontInfo.lineSpacing
+
+  const lines = text.toUpperCase().split('\n').map(line => [...line])
+  const lineWidth = (chars) => (chars.length > 0 ? chars.length * (width + letterGap) - letterGap : 0)
+  const cols = Math.max(0, ...lines.map(lineWidth))
+  if (cols === 0) return []
+  const rows = lines.length * (height + lineGap) - lineGap
+
+  const mask = Array.from({ length: rows }, () => Array(cols).fill(false))
+  lines.forEach((chars, lineIndex) => {
+    const slack = cols - lineWidth(chars)
+    const left = align === 'right' ? slack : align === 'center' ? Math.floor(slack / 2) : 0
+    const top = lineIndex * (height + lineGap)
+    chars.forEach((char, i) => {
+      const glyph = glyphs[char] || glyphs['?']
+      glyph.forEach((glyphRow, r) => {
+        for (let c = 0; c < width; c++) {
+          if (glyphRow[c] === '#') mask[top + r][left + i * (width + letterGap) + c] = true
+        }
+      })
+    })
+  })
+  return mask
+}
+
+/**
+ * Turn rendered text into grid cells, optionally fitted into a fixed-size area
+ * @param {Array<Array<boolean>>} mask - From renderText
+ * @param {Object} options
+ * @param {string} options.foreground - Cell value for ink
+ * @param {string | null} options.background - Cell value around the letters; null leaves cells as they are
+ * @param {{ rows: number, cols: number }} [options.area] - Centre vertically and align horizontally in this area, cropping what doesn't fit
+ * @param {'left' | 'center' | 'right'} [options.align='left']
+ * @returns {Array<Array<string | null>>}
+ */
+export function textToCells(mask, { foreground, background, area, align = 'left' }) {
+  const textRows = mask.length
+  const textCols = mask[0]?.length || 0
+  const rows = area ? area.rows : textRows
+  const cols = area ? area.cols : textCols
+  const slack = cols - textCols
+  const left = align === 'right' ? slack : align === 'center' ? Math.floor(slack / 2) : 0
+  const top = Math.floor((rows - textRows) / 2)
+
+  return Array.from({ length: rows }, (_, r) => (
+    Array.from({ length: cols }, (_, c) => (mask[r - (area ? top : 0)]?.[c - (area ? left : 0)] ? foreground : background))
+  ))
+}
@@ -0,0 +1,335 @@
+/**
+ * Layout file format
+ *
+ * Layouts are saved as JSON in this shape (version 2):
+ *
+ *   {
+ *     "format": "domino-layout",
+ *     "version": 2,
+ *     "metadata": {
+ *       "title": "Rainbow wall",           // optional strings
+ *       "author": "Sam",
+ *       "notes": "Build left to right",
+ *       "created": "2024-05-01T12:00:00.000Z",  // optional ISO 8601 dates
+ *       "modified": "2024-05-02T09:30:00.000Z"
+ *     },
+ *     "rows": 5,
+ *     "columns": 8,
+ *     "palette": [
+ *       { "hex": "clear", "quantity": 102, "name": "Clear" },
+ *       { "hex": "#a6271c", "quantity": null, "name": "Red" }  // null quantity = unlimited
+ *     ],
+ *     "cells": { "encoding": "rle", "data": "CAEDAA..." }
+ *   }
+ *
+ * "cells" is either the compact encoding (see layoutEncoding.encodeCells:
+ * run-length palette indices, base64) or a plain rows × columns array of
+ * palette values such as [["clear", "#a6271c", ...], ...].
+ *
+ * Files are migrated up to the current version before they are validated.
+ * Files written before the format was versioned (bare { rows, columns,
+ * cells, palette? }) count as version 0; version 1 only allowed plain cells.
+ */
+
+import { normalizePalette } from './colorUtils'
+import { encodeCells, decodeCells } from './layoutEncoding'
+
+export const PROJECT_FORMAT = 'domino-layout'
+export const PROJECT_FORMAT_VERSION = 2
+export const CELL_ENCODING = 'rle'
+
+const CLEAR = 'clear'
+const DISNEY = 'disney'
+const HEX_PATTERN = /^#[0-9a-f]{6}$/i
+const METADATA_TEXT_FIELDS = ['title', 'author', 'notes']
+const METADATA_DATE_FIELDS = ['created', 'modified']
+
+// Stop listing problems past this many - one bad row usually means many bad cells
+const MAX_REPORTED_ERRORS = 20
+
+/**
+ * A file that can't be read, with one readable message per problem
+ */
+export class ProjectFormatError extends Error {
+  constructor(errors) {
+    super(errors.join('\n'))
+    this.name = 'ProjectFormatError'
+    this.errors = errors
+  }
+}
+
+const isSpecial = (value) => value === CLEAR || value === DISNEY
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value) ?? String(value))
+
+/**
+ * Make sure the palette has a clear entry and an entry for every color the
+ * cells use (added with quantity 0, so they show up as shortages)
+ * @param {Array<Array<string>>} cells
+ * @param {Array<{ hex: string, quantity: number, name?: string }>} palette
+ * @returns {{ palette: Array<Object>, added: Array<string> }}
+ */
+export function completePalette(cells, palette) {
+  const known = new Set(palette.map(p => p.hex.toLowerCase()))
+  const added = []
+  const result = [...palette]
+  if (!known.has(CLEAR)) {
+    result.unshift({ hex: CLEAR, quantity: Infinity, name: 'Clear' })
+    known.add(CLEAR)
+  }
+  cells.forEach(row => {
+    row.forEach(value => {
+      if (typeof value !== 'string') return
+      const hex = value.toLowerCase()
+      if (known.has(hex) || !(isSpecial(hex) || HEX_PATTERN.test(hex))) return
+      known.add(hex)
+      added.push(hex)
+      result.push(hex === DISNEY ? { hex, quantity: 0, name: 'Disney' } : { hex, quantity: 0 })
+    })
+  })
+  return { palette: result, added }
+}
+
+// Each entry upgrades a file from its key version to the next one. Migrations
+// may push notes about anything they had to fill in or repair.
+const MIGRATIONS = {
+  0: (data, notes, { defaultPalette }) => {
+    let palette = Array.isArray(data.palette)
+      // Older saves kept bare hex strings, and unlimited quantities became null
+      ? normalizePalette(data.palette).map(item =>
+        item && typeof item === 'object' ? { ...item, quantity: item.quantity ?? Infinity } : item
+      )
+      : defaultPalette
+    if (!Array.isArray(data.palette)) {
+      notes.push('The file has no palette, so the current palette was used.')
+    }
+    if (Array.isArray(data.cells) && Array.isArray(palette) && palette.every(item => typeof item?.hex === 'string')) {
+      const completed = completePalette(data.cells.filter(Array.isArray), palette)
+      palette = completed.palette
+      if (completed.added.length > 0) {
+        notes.push(`Added ${completed.added.length} ${completed.added.length === 1 ? 'color' : 'colors'} used by the layout but missing from its palette: ${completed.added.join(', ')}.`)
+      }
+    }
+    return {
+      format: PROJECT_FORMAT,
+      version: 1,
+      metadata: {},
+      rows: data.rows,
+      columns: data.columns,
+      palette,
+      cells: data.cells
+    }
+  },
+  // Version 2 added the compact cell encoding; plain cells stay valid
+  1: (data) => ({ ...data, version: 2 })
+}
+
+// Check a current-version file, collecting every problem found. Also returns
+// the cells as rows of values (decoded if needed) when they could be read.
+function validateProject(data) {
+  const errors = []
+  const report = (message) => {
+    errors.push(message)
+    return errors.length < MAX_REPORTED_ERRORS
+  }
+
+  if (data.format !== PROJECT_FORMAT) {
+    report(`"format" should be "${PROJECT_FORMAT}", found ${describe(data.format)}.`)
+  }
+
+  // Metadata
+  if (data.metadata !== undefined && (typeof data.metadata !== 'object' || data.metadata === null || Array.isArray(data.metadata))) {
+    report('"metadata" should be an object.')
+  } else if (data.metadata) {
+    METADATA_TEXT_FIELDS.forEach(field => {
+      const value = data.metadata[field]
+      if (value !== undefined && typeof value !== 'string') report(`metadata.${field} should be text.`)
+    })
+    METADATA_DATE_FIELDS.forEach(field => {
+      const value = data.metadata[field]
+      if (value !== undefined && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+        report(`metadata.${field} should be an ISO date, found ${describe(value)}.`)
+      }
+    })
+  }
+
+  // Dimensions
+  const { rows, columns } = data
+  if (!Number.isInteger(rows) || rows < 1) report(`"rows" should be a whole number of at least 1, found ${describe(rows)}.`)
+  if (!Number.isInteger(columns) || columns < 1) report(`"columns" should be a whole number of at least 1, found ${describe(columns)}.`)
+
+  // Palette
+  const paletteHexes = new Set()
+  let paletteReadable = Array.isArray(data.palette)
+  if (!Array.isArray(data.palette)) {
+    report('"palette" should be a list of colors.')
+  } else {
+    data.palette.forEach((item, i) => {
+      const label = `Palette entry ${i + 1}`
+      if (!item || typeof item !== 'object') {
+        report(`${label} should be an object with "hex" and "quantity".`)
+        paletteReadable = false
+        return
+      }
+      const hex = typeof item.hex === 'string' ? item.hex.toLowerCase() : item.hex
+      if (typeof hex !== 'string' || !(isSpecial(hex) || HEX_PATTERN.test(hex))) {
+        report(`${label}: ${describe(item.hex)} is not a color (expected "#rrggbb", "clear" or "disney").`)
+        paletteReadable = false
+      } else if (paletteHexes.has(hex)) {
+        report(`${label}: ${hex} is listed more than once.`)
+      } else {
+        paletteHexes.add(hex)
+      }
+      if (item.quantity !== null && !(typeof item.quantity === 'number' && item.quantity >= 0)) {
+        report(`${label}: quantity should be a number of at least 0 (or null for unlimited), found ${describe(item.quantity)}.`)
+      }
+      if (item.name !== undefined && typeof item.name !== 'string') {
+        report(`${label}: name should be text.`)
+      }
+    })
+    if (!paletteHexes.has(CLEAR)) report('The palette has no "clear" entry.')
+  }
+
+  // Cells
+  let cells = data.cells
+  const isEncoded = cells !== null && typeof cells === 'object' && !Array.isArray(cells)
+  if (isEncoded) {
+    cells = null
+    if (data.cells.encoding !== CELL_ENCODING || typeof data.cells.data !== 'string') {
+      report(`Encoded "cells" should look like { "encoding": "${CELL_ENCODING}", "data": "…" }.`)
+    } else if (Number.isInteger(rows) && rows >= 1 && Number.isInteger(columns) && columns >= 1 && paletteReadable) {
+      try {
+        cells = decodeCells(data.cells.data, rows, columns, data.palette)
+      } catch (err) {
+        report(`The cell data could not be read: ${err.message}.`)
+      }
+    }
+  } else if (!Array.isArray(cells)) {
+    report('"cells" should be a list of rows.')
+  }
+  if (Array.isArray(cells)) {
+    if (Number.isInteger(rows) && cells.length !== rows) {
+      report(`"cells" has ${cells.length} rows, but "rows" says ${rows}.`)
+    }
+    outer: for (let r = 0; r < cells.length; r++) {
+      const row = cells[r]
+      if (!Array.isArray(row)) {
+        if (!report(`Row ${r + 1} should be a list of cells.`)) break
+        continue
+      }
+      if (Number.isInteger(columns) && row.length !== columns) {
+        if (!report(`Row ${r + 1} has ${row.length} ${row.length === 1 ? 'cell' : 'cells'}, expected ${columns}.`)) break
+      }
+      for (let c = 0; c < row.length; c++) {
+        const value = typeof row[c] === 'string' ? row[c].toLowerCase() : row[c]
+        let problem = null
+        if (typeof value !== 'string' || !(isSpecial(value) || HEX_PATTERN.test(value))) {
+          problem = `${describe(row[c])} is not a color`
+        } else if (Array.isArray(data.palette) && !paletteHexes.has(value)) {
+          problem = `${value} is not in the palette`
+        }
+        if (problem && !report(`Row ${r + 1}, column ${c + 1}: ${problem}.`)) break outer
+      }
+    }
+  }
+
+  if (errors.length >= MAX_REPORTED_ERRORS) {
+    errors.push('…and possibly more problems after these.')
+  }
+  return { errors, cells }
+}
+
+/**
+ * Read a layout file of any known version
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.defaultPalette] - Palette for old files saved without one
+ * @returns {{
+ *   grid: Array<Array<string>>,
+ *   palette: Array<{ hex: string, quantity: number, name?: string }>,
+ *   metadata: { title?: string, author?: string, notes?: string, created?: string, modified?: string },
+ *   version: number,
+ *   notes: Array<string>
+ * }} - version is the file's original version; notes describe anything migration filled in
+ * @throws {ProjectFormatError}
+ */
+export function parseProject(text, { defaultPalette = [] } = {}) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (err) {
+    throw new ProjectFormatError([`The file is not valid JSON (${err.message}).`])
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ProjectFormatError(['The file does not contain a layout object.'])
+  }
+
+  const version = data.version ?? 0
+  if (!Number.isInteger(version) || version < 0) {
+    throw new ProjectFormatError([`"version" should be a whole number, found ${describe(data.version)}.`])
+  }
+  if (version > PROJECT_FORMAT_VERSION) {
+    throw new ProjectFormatError([
+      `The file uses format version ${version}, but this app only reads up to version ${PROJECT_FORMAT_VERSION}. Update the app to open it.`
+    ])
+  }
+
+  const notes = []
+  let migrated = data
+  for (let v = version; v < PROJECT_FORMAT_VERSION; v++) {
+    migrated = MIGRATIONS[v](migrated, notes, { defaultPalette })
+  }
+
+  const { errors, cells } = validateProject(migrated)
+  if (errors.length > 0) throw new ProjectFormatError(errors)
+
+  const lower = (value) => value.toLowerCase()
+  return {
+    grid: cells.map(row => row.map(lower)),
+    palette: migrated.palette.map(({ hex, quantity, name }) => ({
+      hex: lower(hex),
+      quantity: quantity ?? Infinity,
+      ...(name !== undefined && { name })
+    })),
+    metadata: { ...migrated.metadata },
+    version,
+    notes
+  }
+}
+
+/**
+ * Build a current-version layout file
+ * @param {Object} project
+ * @param {Array<Array<string>>} project.grid
+ * @param {Array<{ hex: string, quantity: number, name?: string }>} project.palette
+ * @param {Object} [project.metadata] - title, author, notes, created, modified
+ * @param {Object} [options]
+ * @param {boolean} [options.compact] - Encode the cells and skip pretty-printing
+ * @returns {string} - JSON text
+ */
+export function stringifyProject({ grid, palette, metadata = {} }, { compact = true } = {}) {
+  const metadataOut = {}
+  METADATA_TEXT_FIELDS.forEach(field => {
+    if (metadata[field]) metadataOut[field] = metadata[field]
+  })
+  METADATA_DATE_FIELDS.forEach(field => {
+    if (metadata[field]) metadataOut[field] = metadata[field]
+  })
+
+  // Palette imports can leave painted colors out of the palette - list them so the file validates
+  const fullPalette = completePalette(grid, palette).palette
+
+  const data = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_FORMAT_VERSION,
+    metadata: metadataOut,
+    rows: grid.length,
+    columns: grid[0]?.length || 0,
+    palette: fullPalette.map(({ hex, quantity, name }) => ({
+      hex,
+      quantity: Number.isFinite(quantity) ? quantity : null,
+      ...(name !== undefined && { name })
+    })),
+    cells: compact ? { encoding: CELL_ENCODING, data: encodeCells(grid, fullPalette) } : grid
+  }
+  return compact ? JSON.stringify(data) : JSON.stringify(data, null, 2)
+}
@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PROJECT_FORMAT,
+  PROJECT_FORMAT_VERSION,
+  ProjectFormatError,
+  completePalette,
+  parseProject,
+  stringifyProject
+} from './projectFormat'
+
+const PALETTE = [
+  { hex: 'clear', quantity: Infinity, name: 'Clear' },
+  { hex: 'disney', quantity: 4, name: 'Disney' },
+  { hex: '#a6271c', quantity: 10, name: 'Red' },
+  { hex: '#1d55b1', quantity: Infinity }
+]
+
+const GRID = [
+  ['clear', '#a6271c', '#a6271c'],
+  ['disney', '#1d55b1', 'clear']
+]
+
+const METADATA = {
+  title: 'Rainbow wall',
+  author: 'Sam',
+  notes: 'Build left to right',
+  created: '2024-05-01T12:00:00.000Z',
+  modified: '2024-05-02T09:30:00.000Z'
+}
+
+// Catch the error so its list of problems can be checked
+const parseErrors = (text, options) => {
+  try {
+    parseProject(text, options)
+  } catch (err) {
+    expect(err).toBeInstanceOf(ProjectFormatError)
+    return err.errors
+  }
+  throw new Error('parseProject did not throw')
+}
+
+describe('stringifyProject / parseProject', () => {
+  it.each([true, false])('round-trips a layout (compact: %s)', (compact) => {
+    const text = stringifyProject({ grid: GRID, palette: PALETTE, metadata: METADATA }, { compact })
+    const project = parseProject(text)
+    expect(project.grid).toEqual(GRID)
+    expect(project.palette).toEqual(PALETTE)
+    expect(project.metadata).toEqual(METADATA)
+    expect(project.version).toBe(PROJECT_FORMAT_VERSION)
+    expect(project.notes).toEqual([])
+  })
+
+  it('saves unlimited quantities as null', () => {
+    const data = JSON.parse(stringifyProject({ grid: GRID, palette: PALETTE }))
+    expect(data.format).toBe(PROJECT_FORMAT)
+    expect(data.palette[0].quantity).toBeNull()
+    expect(data.palette[2].quantity).toBe(10)
+  })
+
+  it('reads palettes and cells in any hex case as lowercase', () => {
+    const palette = [{ hex: 'clear', quantity: Infinity }, { hex: '#A6271C', quantity: 5 }]
+    const grid = [['#a6271c', '#A6271C', 'clear']]
+    const project = parseProject(stringifyProject({ grid, palette }))
+    expect(project.grid).toEqual([['#a6271c', '#a6271c', 'clear']])
+    expect(project.palette[1]).toEqual({ hex: '#a6271c', quantity: 5 })
+  })
+
+  it('adds painted colors missing from the palette when saving', () => {
+    const project = parseProject(stringifyProject({ grid: [['#123456']], palette: [] }))
+    expect(project.palette.map(p => p.hex)).toEqual(['clear', '#123456'])
+    expect(project.palette[1].quantity).toBe(0)
+  })
+})
+
+describe('older files', () => {
+  const bare = { rows: 1, columns: 2, cells: [['clear', '#a6271c']] }
+
+  it('reads unversioned files with a palette of hex strings', () => {
+    const project = parseProject(JSON.stringify({ ...bare, palette: ['clear', '#a6271c'] }))
+    expect(project.version).toBe(0)
+    expect(project.grid).toEqual(bare.cells)
+    expect(project.palette).toEqual([
+      { hex: 'clear', quantity: Infinity, name: 'Clear' },
+      { hex: '#a6271c', quantity: Infinity }
+    ])
+    expect(project.notes).toEqual([])
+  })
+
+  it('uses the default palette for files saved without one', () => {
+    const project = parseProject(JSON.stringify(bare), { defaultPalette: PALETTE })
+    expect(project.palette).toEqual(PALETTE)
+    expect(project.notes).toEqual(['The file has no palette, so the current palette was used.'])
+  })
+
+  it('adds colors the cells use but the palette lacks', () => {
+    const project = parseProject(JSON.stringify({ ...bare, palette: [{ hex: 'clear', quantity: null }] }))
+    expect(project.palette[1]).toEqual({ hex: '#a6271c', quantity: 0 })
+    expect(project.notes[0]).toContain('#a6271c')
+  })
+
+  it('reads version 1 files with plain cells', () => {
+    const data = JSON.parse(stringifyProject({ grid: GRID, palette: PALETTE }, { compact: false }))
+    const project = parseProject(JSON.stringify({ ...data, version: 1 }))
+    expect(project.version).toBe(1)
+    expect(project.grid).toEqual(GRID)
+  })
+})
+
+describe('completePalette', () => {
+  it('adds clear at the front and missing colors at the end', () => {
+    const { palette, added } = completePalette([['#A6271C', 'disney', 'transparent']], [{ hex: '#1d55b1', quantity: 3 }])
+    expect(palette.map(p => p.hex)).toEqual(['clear', '#1d55b1', '#a6271c', 'disney'])
+    expect(added).toEqual(['#a6271c', 'disney'])
+  })
+
+  it('leaves a complete palette alone', () => {
+    const { palette, added } = completePalette(GRID, PALETTE)
+    expect(palette).toEqual(PALETTE)
+    expect(added).toEqual([])
+  })
+})
+
+describe('invalid files', () => {
+  const valid = () => JSON.parse(stringifyProject({ grid: GRID, palette: PALETTE }, { compact: false }))
+
+  it('rejects text that is not JSON or not a layout', () => {
+    expect(parseErrors('{ nope')[0]).toMatch(/^The file is not valid JSON/)
+    expect(parseErrors('[]')).toEqual(['The file does not contain a layout object.'])
+  })
+
+  it('rejects newer versions', () => {
+    const errors = parseErrors(JSON.stringify({ ...valid(), version: PROJECT_FORMAT_VERSION + 1 }))
+    expect(errors[0]).toContain(`only reads up to version ${PROJECT_FORMAT_VERSION}`)
+  })
+
+  it('lists every problem it finds', () => {
+    const data = valid()
+    data.rows = 3
+    data.palette.push({ hex: 'red', quantity: -1 })
+    data.cells[1][1] = '#123456'
+    data.metadata = { created: 'yesterday' }
+    expect(parseErrors(JSON.stringify(data))).toEqual([
+      'metadata.created should be an ISO date, found "yesterday".',
+      'Palette entry 5: "red" is not a color (expected "#rrggbb", "clear" or "disney").',
+      'Palette entry 5: quantity should be a number of at least 0 (or null for unlimited), found -1.',
+      '"cells" has 2 rows, but "rows" says 3.',
+      'Row 2, column 2: #123456 is not in the palette.'
+    ])
+  })
+
+  it('reports encoded cells that do not match the grid', () => {
+    const data = JSON.parse(stringifyProject({ grid: GRID, palette: PALETTE }))
+    data.columns = 2
+    expect(parseErrors(JSON.stringify(data))[0]).toMatch(/^The cell data could not be read: /)
+  })
+
+  it('stops listing problems after twenty', () => {
+    const data = valid()
+    data.rows = 30
+    data.cells = Array.from({ length: 30 }, () => ['nope', 'nope', 'nope'])
+    const errors = parseErrors(JSON.stringify(data))
+    expect(errors).toHaveLength(21)
+    expect(errors[20]).toBe('…and possibly more problems after these.')
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * Reference image for tracing
+ *
+ * The image is shown over or behind the grid, measured in cells so it stays
+ * lined up with the dominoes at any zoom. At scale 1 it fits inside the grid
+ * with its top-left corner on the first cell; offsets move it by whole or
+ * part cells. The settings are saved with the layout:
+ *   { src, width, height, visible, placement, opacity, scale, offsetRow, offsetCol }
+ */
+
+import { rgbToHex } from './colorUtils'
+
+/**
+ * Largest side the stored copy of an image is shrunk to, to keep saves small
+ */
+export const REFERENCE_MAX_SIZE = 1024
+
+export const REFERENCE_PLACEMENTS = [
+  { value: 'over', label: 'Over the grid' },
+  { value: 'behind', label: 'Behind the grid' }
+]
+
+export const DEFAULT_REFERENCE_SETTINGS = {
+  visible: true,
+  placement: 'over',
+  opacity: 0.5,
+  scale: 1,
+  offsetRow: 0,
+  offsetCol: 0
+}
+
+/**
+ * Reference settings for a newly loaded image, shrunk to REFERENCE_MAX_SIZE
+ * @param {HTMLImageElement} img
+ * @param {Object} [previous] - Settings of the image being replaced; its look is kept
+ * @returns {Object}
+ */
+export function createReference(img, previous) {
+  const shrink = Math.min(1, REFERENCE_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(img.naturalWidth * shrink))
+  canvas.height = Math.max(1, Math.round(img.naturalHeight * shrink))
+  const ctx = canvas.getContext('2d')
+  ctx.imageSmoothingQuality = 'high'
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+  return {
+    ...DEFAULT_REFERENCE_SETTINGS,
+    ...(previous && { placement: previous.placement, opacity: previous.opacity }),
+    // Browsers without WebP encoding fall back to PNG
+    src: canvas.toDataURL('image/webp', 0.85),
+    width: canvas.width,
+    height: canvas.height
+  }
+}
+
+/**
+ * Where the image sits, in cells
+ * @param {Object} reference
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {{ top: number, left: number, width: number, height: number }}
+ */
+export function getReferenceRect(reference, rows, cols) {
+  const cellsPerPixel = Math.min(cols / reference.width, rows / reference.height) * reference.scale
+  return {
+    top: reference.offsetRow,
+    left: reference.offsetCol,
+    width: reference.width * cellsPerPixel,
+    height: reference.height * cellsPerPixel
+  }
+}
+
+/**
+ * Average color of the part of the image under one cell
+ * @param {HTMLImageElement} img - The loaded reference.src
+ * @param {Object} reference
+ * @param {number} rows
+ * @param {number} cols
+ * @param {number} row
+ * @param {number} col
+ * @returns {string | null} - Hex color, or null off the image or on transparent pixels
+ */
+export function sampleReferenceCell(img, reference, rows, cols, row, col) {
+  const rect = getReferenceRect(reference, rows, cols)
+  const toX = (c) => Math.max(0, Math.min(img.naturalWidth, ((c - rect.left) / rect.width) * img.naturalWidth))
+  const toY = (r) => Math.max(0, Math.min(img.naturalHeight, ((r - rect.top) / rect.height) * img.naturalHeight))
+  const x0 = toX(col)
+  const x1 = toX(col + 1)
+  const y0 = toY(row)
+  const y1 = toY(row + 1)
+  if (x1 - x0 <= 0 || y1 - y0 <= 0) return null
+
+  // Let the browser average the area down to one pixel
+  const canvas = document.createElement('canvas')
+  canvas.width = 1
+  canvas.height = 1
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.imageSmoothingQuality = 'high'
+  ctx.drawImage(img, x0, y0, x1 - x0, y1 - y0, 0, 0, 1, 1)
+  const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data
+  return a < 128 ? null : rgbToHex(r, g, b)
+}
@@ -0,0 +1,371 @@
+/**
+ * PNG and SVG rendering of the full layout
+ *
+ * Lays the grid out once with the same proportions as DominoGrid, optionally
+ * with row/column labels and a color legend, then draws that layout either
+ * as an SVG document or onto a canvas for PNG export.
+ */
+
+import {
+  BASE_DOMINO_WIDTH,
+  BASE_DOMINO_HEIGHT,
+  BASE_H_GAP,
+  BASE_V_GAP,
+  BASE_LABEL_WIDTH
+} from './gridGeometry'
+import { countCellColors } from './gridStats'
+
+/**
+ * Default export options
+ */
+export const DEFAULT_RENDER_OPTIONS = {
+  scale: 1, // Pixels per base unit (PNG only - SVG is resolution independent)
+  showLabels: true,
+  showLegend: true,
+  showSpecialLetters: true, // Draw "C"/"D" on clear and disney cells
+  background: '#ffffff'
+}
+
+// Browsers refuse to allocate canvases past these limits
+export const MAX_CANVAS_SIDE = 16384
+export const MAX_CANVAS_AREA = 268435456
+
+const PADDING = 24
+const CELL_RADIUS = 3
+const BORDER_COLOR = '#e5e5e5'
+const LABEL_COLOR = '#b3b3b3'
+const TEXT_COLOR = '#1a1a1a'
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Helvetica Neue", Arial, sans-serif'
+
+// Legend layout (base units)
+const LEGEND_TITLE_HEIGHT = 36
+const LEGEND_ITEM_WIDTH = 220
+const LEGEND_ITEM_HEIGHT = 32
+const LEGEND_SWATCH_SIZE = 22
+
+// Special cell looks (match the .domino-cell.clear / .disney styles)
+const CLEAR_STRIPES = ['#fafafa', '#ffffff']
+const CLEAR_STRIPE_WIDTH = 4
+const CLEAR_LETTER_COLOR = '#b3b3b3'
+const DISNEY_STOPS = [
+  [0, '#f8b4d9'],
+  [0.25, '#a78bfa'],
+  [0.5, '#60a5fa'],
+  [0.75, '#34d399'],
+  [1, '#fbbf24']
+]
+
+/**
+ * Lay out the grid, labels and legend in base units
+ * @param {Array<Array<string>>} grid - 2D array of cell values
+ * @param {Array<{ hex: string, name?: string }>} palette
+ * @param {Object} [options] - See DEFAULT_RENDER_OPTIONS
+ * @returns {{
+ *   width: number, height: number,
+ *   cells: Array<{ x: number, y: number, w: number, h: number, value: string }>,
+ *   texts: Array<{ x: number, y: number, text: string, size: number, weight?: number, color?: string, anchor?: string }>,
+ *   swatches: Array<{ x: number, y: number, w: number, h: number, value: string }>
+ * }}
+ */
+export function getExportScene(grid, palette, options = {}) {
+  const { showLabels, showLegend } = { ...DEFAULT_RENDER_OPTIONS, ...options }
+  const rows = grid.length
+  const cols = grid[0]?.length || 0
+
+  const offsetX = PADDING + (showLabels ? BASE_LABEL_WIDTH : 0)
+  const offsetY = PADDING + (showLabels ? BASE_LABEL_WIDTH : 0)
+  const gridWidth = cols * BASE_DOMINO_WIDTH + Math.max(0, cols - 1) * BASE_H_GAP
+  const gridHeight = rows * BASE_DOMINO_HEIGHT + Math.max(0, rows - 1) * BASE_V_GAP
+  const cellX = (c) => offsetX + c * (BASE_DOMINO_WIDTH + BASE_H_GAP)
+  const cellY = (r) => offsetY + r * (BASE_DOMINO_HEIGHT + BASE_V_GAP)
+
+  const cells = []
+  const texts = []
+  const swatches = []
+
+  grid.forEach((row, r) => {
+    row.forEach((value, c) => {
+      cells.push({ x: cellX(c), y: cellY(r), w: BASE_DOMINO_WIDTH, h: BASE_DOMINO_HEIGHT, value })
+    })
+  })
+
+  if (showLabels) {
+    for (let c = 0; c < cols; c++) {
+      texts.push({ x: cellX(c) + BASE_DOMINO_WIDTH / 2, y: offsetY - BASE_LABEL_WIDTH / 2, text: String(c + 1), size: 11, color: LABEL_COLOR, anchor: 'middle' })
+    }
+    for (let r = 0; r < rows; r++) {
+      texts.push({ x: offsetX - BASE_LABEL_WIDTH / 2, y: cellY(r) + BASE_DOMINO_HEIGHT / 2, text: String(r + 1), size: 11, color: LABEL_COLOR, anchor: 'middle' })
+    }
+  }
+
+  let width = offsetX + gridWidth + PADDING
+  let height = offsetY + gridHeight + PADDING
+
+  if (showLegend) {
+    // Colors in palette order, then anything on the grid the palette doesn't know about
+    const counts = countCellColors(grid)
+    const names = {}
+    palette.forEach(p => {
+      names[p.hex] = p.name
+    })
+    const used = [
+      ...palette.map(p => p.hex).filter(hex => counts[hex]),
+      ...Object.keys(counts).filter(hex => !palette.some(p => p.hex === hex))
+    ]
+
+    const perRow = Math.max(1, Math.floor((width - PADDING * 2) / LEGEND_ITEM_WIDTH))
+    const legendWidth = Math.min(used.length, perRow) * LEGEND_ITEM_WIDTH
+    width = Math.max(width, PADDING * 2 + legendWidth)
+
+    const top = height
+    texts.push({ x: PADDING, y: top + LEGEND_TITLE_HEIGHT / 2, text: 'Legend', size: 14, weight: 600, color: TEXT_COLOR })
+    used.forEach((hex, i) => {
+      const x = PADDING + (i % perRow) * LEGEND_ITEM_WIDTH
+      const y = top + LEGEND_TITLE_HEIGHT + Math.floor(i / perRow) * LEGEND_ITEM_HEIGHT
+      const name = names[hex] || (hex === 'clear' ? 'Clear' : hex === 'disney' ? 'Disney' : hex)
+      swatches.push({ x, y: y + (LEGEND_ITEM_HEIGHT - LEGEND_SWATCH_SIZE) / 2, w: LEGEND_SWATCH_SIZE, h: LEGEND_SWATCH_SIZE, value: hex })
+      texts.push({ x: x + LEGEND_SWATCH_SIZE + 8, y: y + LEGEND_ITEM_HEIGHT / 2, text: `${name} × ${counts[hex]}`, size: 12, color: TEXT_COLOR })
+    })
+    height = top + LEGEND_TITLE_HEIGHT + Math.ceil(used.length / perRow) * LEGEND_ITEM_HEIGHT + PADDING
+  }
+
+  return { width, height, cells, texts, swatches }
+}
+
+/**
+ * Pixel size of a PNG export
+ * @param {Array<Array<string>>} grid
+ * @param {Array<Object>} palette
+ * @param {Object} [options] - See DEFAULT_RENDER_OPTIONS
+ * @returns {{ width: number, height: number, fits: boolean }} - fits is false when the browser can't allocate the canvas
+ */
+export function getPngSize(grid, palette, options = {}) {
+  const { scale } = { ...DEFAULT_RENDER_OPTIONS, ...options }
+  const scene = getExportScene(grid, palette, options)
+  const width = Math.ceil(scene.width * scale)
+  const height = Math.ceil(scene.height * scale)
+  return {
+    width,
+    height,
+    fits: width <= MAX_CANVAS_SIDE && height <= MAX_CANVAS_SIDE && width * height <= MAX_CANVAS_AREA
+  }
+}
+
+// Escape text for SVG/XML output
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const round = (n) => Math.round(n * 100) / 100
+
+/**
+ * Render the layout as an SVG document
+ * @param {Array<Array<string>>} grid
+ * @param {Array<{ hex: string, name?: string }>} palette
+ * @param {Object} [options] - See DEFAULT_RENDER_OPTIONS
+ * @returns {string}
+ */
+export function renderGridSvg(grid, palette, options = {}) {
+  const { showSpecialLetters, background } = { ...DEFAULT_RENDER_OPTIONS, ...options }
+  const scene = getExportScene(grid, palette, options)
+
+  const rect = ({ x, y, w, h, value }) => {
+    const attrs = `x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" rx="${CELL_RADIUS}"`
+    if (value === 'clear') {
+      const letter = showSpecialLetters
+        ? `<text x="${round(x + w / 2)}" y="${round(y + h / 2)}" font-size="${round(h * 0.45)}" font-weight="600" fill="${CLEAR_LETTER_COLOR}" text-anchor="middle" dominant-baseline="central">C</text>`
+        : ''
+      return `<rect ${attrs} fill="url(#clear-stripes)" stroke="${BORDER_COLOR}"/>${letter}`
+    }
+    if (value === 'disney') {
+      const letter = showSpecialLetters
+        ? `<text x="${round(x + w / 2)}" y="${round(y + h / 2)}" font-size="${round(h * 0.45)}" font-weight="600" fill="#ffffff" text-anchor="middle" dominant-baseline="central">D</text>`
+        : ''
+      return `<rect ${attrs} fill="url(#disney-gradient)"/>${letter}`
+    }
+    return `<rect ${attrs} fill="${escapeXml(value)}" stroke="${BORDER_COLOR}"/>`
+  }
+
+  const text = ({ x, y, text: content, size, weight = 500, color = TEXT_COLOR, anchor = 'start' }) =>
+    `<text x="${round(x)}" y="${round(y)}" font-size="${size}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}" dominant-baseline="central">${escapeXml(content)}</text>`
+
+  const stripe = CLEAR_STRIPE_WIDTH * 2
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${round(scene.width)}" height="${round(scene.height)}" viewBox="0 0 ${round(scene.width)} ${round(scene.height)}" font-family='${FONT_FAMILY}'>
+<defs>
+<pattern id="clear-stripes" width="${stripe}" height="${stripe}" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+<rect width="${stripe}" height="${stripe}" fill="${CLEAR_STRIPES[1]}"/>
+<rect width="${CLEAR_STRIPE_WIDTH}" height="${stripe}" fill="${CLEAR_STRIPES[0]}"/>
+</pattern>
+<linearGradient id="disney-gradient" x1="0" y1="0" x2="1" y2="1">
+${DISNEY_STOPS.map(([offset, color]) => `<stop offset="${offset}" stop-color="${color}"/>`).join('\n')}
+</linearGradient>
+</defs>
+<rect width="100%" height="100%" fill="${escapeXml(background)}"/>
+${scene.cells.map(rect).join('\n')}
+${scene.swatches.map(rect).join('\n')}
+${scene.texts.map(text).join('\n')}
+</svg>
+`
+}
+
+// Rounded rectangle path (ctx.roundRect isn't available everywhere)
+function roundRectPath(ctx, x, y, w, h, r) {
+  ctx.beginPath()
+  ctx.moveTo(x + r, y)
+  ctx.arcTo(x + w, y, x + w, y + h, r)
+  ctx.arcTo(x + w, y + h, x, y + h, r)
+  ctx.arcTo(x, y + h, x, y, r)
+  ctx.arcTo(x, y, x + w, y, r)
+  ctx.closePath()
+}
+
+/**
+ * Draw the layout onto a new canvas
+ * @param {Array<Array<string>>} grid
+ * @param {Array<{ hex: string, name?: string }>} palette
+ * @param {Object} [options] - See DEFAULT_RENDER_OPTIONS
+ * @returns {HTMLCanvasElement}
+ */
+export function renderGridCanvas(grid, palette, options = {}) {
+  const { scale, showSpecialLetters, background } = { ...DEFAULT_RENDER_OPTIONS, ...options }
+  const { width, height, fits } = getPngSize(grid, palette, options)
+  if (!fits) {
+    throw new Error(`Image would be ${width} × ${height} px, which is larger than the browser can draw`)
+  }
+  const scene = getExportScene(grid, palette, options)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  ctx.scale(scale, scale)
+  ctx.fillStyle = background
+  ctx.fillRect(0, 0, scene.width, scene.height)
+
+  // Diagonal stripes for clear cells, in base units so they scale with the image
+  // A tile with one 45° stripe repeats every stripe period × √2 along each axis
+  const stripeTile = document.createElement('canvas')
+  const stripe = Math.round(CLEAR_STRIPE_WIDTH * 2 * Math.SQRT2)
+  stripeTile.width = stripe
+  stripeTile.height = stripe
+  const tileCtx = stripeTile.getContext('2d')
+  tileCtx.fillStyle = CLEAR_STRIPES[1]
+  tileCtx.fillRect(0, 0, stripe, stripe)
+  tileCtx.strokeStyle = CLEAR_STRIPES[0]
+  tileCtx.lineWidth = stripe / (2 * Math.SQRT2)
+  tileCtx.beginPath()
+  tileCtx.moveTo(-stripe / 2, stripe / 2)
+  tileCtx.lineTo(stripe / 2, -stripe / 2)
+  tileCtx.moveTo(0, stripe)
+  tileCtx.lineTo(stripe, 0)
+  tileCtx.moveTo(stripe / 2, stripe * 1.5)
+  tileCtx.lineTo(stripe * 1.5, stripe / 2)
+  tileCtx.stroke()
+  const clearPattern = ctx.createPattern(stripeTile, 'repeat')
+
+  const drawLetter = (letter, color, { x, y, w, h }) => {
+    ctx.fillStyle = color
+    ctx.font = `600 ${h * 0.45}px ${FONT_FAMILY}`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillText(letter, x + w / 2, y + h / 2)
+  }
+
+  const drawCell = (cell) => {
+    const { x, y, w, h, value } = cell
+    roundRectPath(ctx, x, y, w, h, CELL_RADIUS)
+    if (value === 'clear') {
+      ctx.fillStyle = clearPattern
+      ctx.fill()
+      ctx.strokeStyle = BORDER_COLOR
+      ctx.lineWidth = 1
+      ctx.stroke()
+      if (showSpecialLetters) drawLetter('C', CLEAR_LETTER_COLOR, cell)
+    } else if (value === 'disney') {
+      const gradient = ctx.createLinearGradient(x, y, x + w, y + h)
+      DISNEY_STOPS.forEach(([offset, color]) => gradient.addColorStop(offset, color))
+      ctx.fillStyle = gradient
+      ctx.fill()
+      if (showSpecialLetters) drawLetter('D', '#ffffff', cell)
+    } else {
+      ctx.fillStyle = value
+      ctx.fill()
+      ctx.strokeStyle = BORDER_COLOR
+      ctx.lineWidth = 1
+      ctx.stroke()
+    }
+  }
+
+  scene.cells.forEach(drawCell)
+  scene.swatches.forEach(drawCell)
+
+  ctx.textBaseline = 'middle'
+  scene.texts.forEach(({ x, y, text, size, weight = 500, color = TEXT_COLOR, anchor = 'start' }) => {
+    ctx.fillStyle = color
+    ctx.font = `${weight} ${size}px ${FONT_FAMILY}`
+    ctx.textAlign = anchor === 'middle' ? 'center' : 'left'
+    ctx.fillText(text, x, y)
+  })
+
+  return canvas
+}
+
+/**
+ * Render the layout as a PNG
+ * @param {Array<Array<string>>} grid
+ * @param {Array<{ hex: string, name?: string }>} palette
+ * @param {Object} [options] - See DEFAULT_RENDER_OPTIONS
+ * @returns {Promise<Blob>}
+ */
+export function renderGridPng(grid, palette, options = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      renderGridCanvas(grid, palette, options).toBlob(blob => {
+        if (blob) resolve(blob)
+        else reject(new Error('Could not encode PNG'))
+      }, 'image/png')
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * Small flat preview of the layout (no labels, legend or rounded corners)
+ * @param {Array<Array<string>>} grid
+ * @param {number} [maxWidth] - Largest width in pixels
+ * @param {number} [maxHeight] - Largest height in pixels
+ * @returns {string} - PNG data URL
+ */
+export function renderGridThumbnail(grid, maxWidth = 240, maxHeight = 150) {
+  const rows = grid.length
+  const cols = grid[0]?.length || 0
+  const fullWidth = cols * BASE_DOMINO_WIDTH + Math.max(0, cols - 1) * BASE_H_GAP
+  const fullHeight = rows * BASE_DOMINO_HEIGHT + Math.max(0, rows - 1) * BASE_V_GAP
+  const scale = Math.min(maxWidth / fullWidth, maxHeight / fullHeight) || 1
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(fullWidth * scale))
+  canvas.height = Math.max(1, Math.round(fullHeight * scale))
+  const ctx = canvas.getContext('2d')
+
+  // Keep every domino at least a pixel wide so dense grids don't vanish
+  const w = Math.max(1, BASE_DOMINO_WIDTH * scale)
+  const h = Math.max(1, BASE_DOMINO_HEIGHT * scale)
+  grid.forEach((row, r) => {
+    row.forEach((value, c) => {
+      ctx.fillStyle = value === 'clear' ? BORDER_COLOR : value === 'disney' ? DISNEY_STOPS[1][1] : value
+      ctx.fillRect(
+        c * (BASE_DOMINO_WIDTH + BASE_H_GAP) * scale,
+        r * (BASE_DOMINO_HEIGHT + BASE_V_GAP) * scale,
+        w,
+        h
+      )
+    })
+  })
+
+  return canvas.toDataURL('image/png')
+}
@@ -0,0 +1,200 @@
+/**
+ * Selections as cell masks
+ *
+ * A selection is its bounding rectangle plus a mask over that rectangle:
+ *   { startRow, startCol, endRow, endCol, mask }
+ * where mask[r][c] says whether cell (startRow + r, startCol + c) is
+ * selected. Code that only needs the rectangle (sizes, row/column deletes)
+ * can keep reading the bounds; anything that reads or writes cells should
+ * ask isCellSelected.
+ */
+
+import { getShapeCells } from './shapes'
+import { getFillRegion } from './floodFill'
+
+/**
+ * Rectangular selection between two corners
+ * @param {number} row0
+ * @param {number} col0
+ * @param {number} row1
+ * @param {number} col1
+ * @returns {Object}
+ */
+export function createRectSelection(row0, col0, row1, col1) {
+  const startRow = Math.min(row0, row1)
+  const startCol = Math.min(col0, col1)
+  const endRow = Math.max(row0, row1)
+  const endCol = Math.max(col0, col1)
+  return {
+    startRow,
+    startCol,
+    endRow,
+    endCol,
+    mask: Array.from({ length: endRow - startRow + 1 }, () => Array(endCol - startCol + 1).fill(true))
+  }
+}
+
+/**
+ * Selection covering a list of cells
+ * @param {Array<[number, number]>} cells - [row, col] pairs
+ * @returns {Object | null} - null when there are no cells
+ */
+export function createCellSelection(cells) {
+  if (cells.length === 0) return null
+  let startRow = Infinity
+  let startCol = Infinity
+  let endRow = -Infinity
+  let endCol = -Infinity
+  cells.forEach(([r, c]) => {
+    startRow = Math.min(startRow, r)
+    startCol = Math.min(startCol, c)
+    endRow = Math.max(endRow, r)
+    endCol = Math.max(endCol, c)
+  })
+  const mask = Array.from({ length: endRow - startRow + 1 }, () => Array(endCol - startCol + 1).fill(false))
+  cells.forEach(([r, c]) => {
+    mask[r - startRow][c - startCol] = true
+  })
+  return { startRow, startCol, endRow, endCol, mask }
+}
+
+/**
+ * Selection from a block whose null cells are not selected (see getSelectionBlock)
+ * @param {Array<Array<string | null>>} block
+ * @param {number} top - Grid row of the block's first row
+ * @param {number} left - Grid column of the block's first column
+ * @returns {Object | null}
+ */
+export function createBlockSelection(block, top, left) {
+  const cells = []
+  block.forEach((row, r) => row.forEach((value, c) => {
+    if (value !== null) cells.push([top + r, left + c])
+  }))
+  return createCellSelection(cells)
+}
+
+/**
+ * @param {Object | null} selection
+ * @param {number} row
+ * @param {number} col
+ * @returns {boolean}
+ */
+export function isCellSelected(selection, row, col) {
+  if (!selection) return false
+  return !!selection.mask[row - selection.startRow]?.[col - selection.startCol]
+}
+
+/**
+ * Every selected cell
+ * @param {Object | null} selection
+ * @returns {Array<[number, number]>} - [row, col] pairs in reading order
+ */
+export function getSelectedCells(selection) {
+  const cells = []
+  selection?.mask.forEach((row, r) => row.forEach((selected, c) => {
+    if (selected) cells.push([selection.startRow + r, selection.startCol + c])
+  }))
+  return cells
+}
+
+/**
+ * Whether the selection is a plain rectangle
+ * @param {Object} selection
+ * @returns {boolean}
+ */
+export function isRectSelection(selection) {
+  return selection.mask.every(row => row.every(Boolean))
+}
+
+/**
+ * The selection's bounding rectangle of cells, with unselected cells as null
+ * @param {Array<Array<string>>} grid
+ * @param {Object} selection
+ * @returns {Array<Array<string | null>>}
+ */
+export function getSelectionBlock(grid, selection) {
+  return selection.mask.map((row, r) => row.map((selected, c) => (
+    selected ? grid[selection.startRow + r]?.[selection.startCol + c] ?? null : null
+  )))
+}
+
+/**
+ * Move a selection without changing its shape
+ * @param {Object} selection
+ * @param {number} top - New start row
+ * @param {number} left - New start column
+ * @returns {Object}
+ */
+export function moveSelection(selection, top, left) {
+  return {
+    startRow: top,
+    startCol: left,
+    endRow: top + selection.endRow - selection.startRow,
+    endCol: left + selection.endCol - selection.startCol,
+    mask: selection.mask
+  }
+}
+
+/**
+ * Drop the parts of a selection outside the grid
+ * @param {Object | null} selection
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {Object | null}
+ */
+export function clipSelection(selection, rows, cols) {
+  if (!selection) return null
+  return createCellSelection(getSelectedCells(selection).filter(([r, c]) => r >= 0 && r < rows && c >= 0 && c < cols))
+}
+
+/**
+ * Combine a new selection with the current one
+ * @param {Object | null} current
+ * @param {Object | null} next
+ * @param {'replace' | 'add' | 'subtract'} mode
+ * @returns {Object | null}
+ */
+export function combineSelections(current, next, mode) {
+  if (mode === 'replace' || !current) return mode === 'subtract' ? null : next
+  if (!next) return current
+  if (mode === 'add') return createCellSelection([...getSelectedCells(current), ...getSelectedCells(next)])
+  return createCellSelection(getSelectedCells(current).filter(([r, c]) => !isCellSelected(next, r, c)))
+}
+
+/**
+ * Select every cell that isn't selected (everything when nothing is)
+ * @param {Object | null} selection
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {Object | null}
+ */
+export function invertSelection(selection, rows, cols) {
+  const cells = []
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (!isCellSelected(selection, r, c)) cells.push([r, c])
+    }
+  }
+  return createCellSelection(cells)
+}
+
+/**
+ * Selection inside a freehand loop
+ * @param {Array<[number, number]>} points - Cells the mouse passed through, in order
+ * @returns {Object | null}
+ */
+export function createLassoSelection(points) {
+  return createCellSelection(getShapeCells('polygon', points, { filled: true }))
+}
+
+/**
+ * Magic wand: cells matching the clicked one (see getFillRegion for options)
+ * @param {Array<Array<string>>} grid
+ * @param {number} row
+ * @param {number} col
+ * @param {Object} options - mode, connectivity, tolerance and metric
+ * @returns {Object | null}
+ */
+export function createWandSelection(grid, row, col, options) {
+  return createCellSelection(getFillRegion(grid, row, col, options))
+}
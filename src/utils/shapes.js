@@ -0,0 +1,233 @@
+/**
+ * Cells covered by drawn shapes
+ *
+ * Shapes are given as grid points ([row, col]): two corners for lines,
+ * rectangles and ellipses, and the vertices for polygons. Outlines are traced
+ * one cell wide (Bresenham lines, midpoint ellipses) and then thickened by
+ * stamping a square brush of the stroke width on every outline cell.
+ */
+
+/**
+ * Shape tools, in toolbar order
+ */
+export const SHAPE_TOOLS = [
+  { value: 'line', label: 'Line' },
+  { value: 'rectangle', label: 'Rectangle' },
+  { value: 'ellipse', label: 'Ellipse' },
+  { value: 'polygon', label: 'Polygon' }
+]
+
+export const MAX_STROKE_WIDTH = 5
+
+/**
+ * Cells on a straight line between two cells (Bresenham)
+ * @param {[number, number]} from - [row, col]
+ * @param {[number, number]} to - [row, col]
+ * @returns {Array<[number, number]>}
+ */
+export function lineCells([r0, c0], [r1, c1]) {
+  const cells = []
+  const dr = -Math.abs(r1 - r0)
+  const dc = Math.abs(c1 - c0)
+  const stepR = r0 < r1 ? 1 : -1
+  const stepC = c0 < c1 ? 1 : -1
+  let error = dc + dr
+  let r = r0
+  let c = c0
+  for (;;) {
+    cells.push([r, c])
+    if (r === r1 && c === c1) break
+    const doubled = 2 * error
+    if (doubled >= dr) {
+      error += dr
+      c += stepC
+    }
+    if (doubled <= dc) {
+      error += dc
+      r += stepR
+    }
+  }
+  return cells
+}
+
+// Rows and columns spanned by two corners
+function bounds([r0, c0], [r1, c1]) {
+  return {
+    top: Math.min(r0, r1),
+    bottom: Math.max(r0, r1),
+    left: Math.min(c0, c1),
+    right: Math.max(c0, c1)
+  }
+}
+
+function rectangleOutline(from, to) {
+  const { top, bottom, left, right } = bounds(from, to)
+  return [
+    ...lineCells([top, left], [top, right]),
+    ...lineCells([bottom, left], [bottom, right]),
+    ...lineCells([top, left], [bottom, left]),
+    ...lineCells([top, right], [bottom, right])
+  ]
+}
+
+// Midpoint ellipse inscribed in the box between two corners. Boxes with an
+// even width or height get a two-cell-wide centre, so the ellipse touches
+// all four sides of the box.
+function ellipseOutline(from, to) {
+  const { top, bottom, left, right } = bounds(from, to)
+  const a = Math.floor((right - left) / 2)
+  const b = Math.floor((bottom - top) / 2)
+  if (a === 0 || b === 0) return rectangleOutline(from, to)
+
+  const centreLeft = left + a
+  const centreRight = right - a
+  const centreTop = top + b
+  const centreBottom = bottom - b
+  const cells = []
+  const plot = (x, y) => {
+    cells.push(
+      [centreTop - y, centreLeft - x],
+      [centreTop - y, centreRight + x],
+      [centreBottom + y, centreLeft - x],
+      [centreBottom + y, centreRight + x]
+    )
+  }
+
+  const a2 = a * a
+  const b2 = b * b
+  let x = 0
+  let y = b
+  let dx = 0
+  let dy = 2 * a2 * y
+  // Region 1: slope shallower than -1, step along x
+  let d = b2 - a2 * b + a2 / 4
+  while (dx < dy) {
+    plot(x, y)
+    x++
+    dx += 2 * b2
+    if (d < 0) {
+      d += dx + b2
+    } else {
+      y--
+      dy -= 2 * a2
+      d += dx - dy + b2
+    }
+  }
+  // Region 2: steeper, step along y
+  d = b2 * (x + 0.5) * (x + 0.5) + a2 * (y - 1) * (y - 1) - a2 * b2
+  while (y >= 0) {
+    plot(x, y)
+    y--
+    dy -= 2 * a2
+    if (d > 0) {
+      d += a2 - dy
+    } else {
+      x++
+      dx += 2 * b2
+      d += dx - dy + a2
+    }
+  }
+  return cells
+}
+
+function polygonOutline(points, closed) {
+  const cells = []
+  for (let i = 0; i < points.length - 1; i++) {
+    cells.push(...lineCells(points[i], points[i + 1]))
+  }
+  if (closed && points.length > 2) cells.push(...lineCells(points[points.length - 1], points[0]))
+  if (points.length === 1) cells.push(points[0])
+  return cells
+}
+
+// Cells whose centres are inside the polygon (even-odd rule)
+function polygonInterior(points) {
+  const cells = []
+  const rows = points.map(([r]) => r)
+  const top = Math.min(...rows)
+  const bottom = Math.max(...rows)
+  for (let row = top; row <= bottom; row++) {
+    const crossings = []
+    points.forEach(([r0, c0], i) => {
+      const [r1, c1] = points[(i + 1) % points.length]
+      if (r0 === r1) return
+      // Half-open so a vertex shared by two edges is only counted once
+      if (row < Math.min(r0, r1) || row >= Math.max(r0, r1)) return
+      crossings.push(c0 + ((row - r0) * (c1 - c0)) / (r1 - r0))
+    })
+    crossings.sort((x0, x1) => x0 - x1)
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      for (let col = Math.ceil(crossings[i]); col <= Math.floor(crossings[i + 1]); col++) {
+        cells.push([row, col])
+      }
+    }
+  }
+  return cells
+}
+
+// Fill each row between the leftmost and rightmost outline cell (for convex shapes)
+function fillSpans(outline) {
+  const spans = new Map()
+  outline.forEach(([r, c]) => {
+    const span = spans.get(r)
+    if (!span) spans.set(r, [c, c])
+    else spans.set(r, [Math.min(span[0], c), Math.max(span[1], c)])
+  })
+  const cells = []
+  spans.forEach(([from, to], r) => {
+    for (let c = from; c <= to; c++) cells.push([r, c])
+  })
+  return cells
+}
+
+/**
+ * Cells a shape covers
+ * @param {'line' | 'rectangle' | 'ellipse' | 'polygon'} shape
+ * @param {Array<[number, number]>} points - [row, col] corners or vertices
+ * @param {Object} [options]
+ * @param {boolean} [options.filled=false] - Fill the inside (ignored for lines)
+ * @param {number} [options.strokeWidth=1] - Outline thickness in cells
+ * @param {boolean} [options.closed=true] - Join a polygon's last vertex to its first
+ * @returns {Array<[number, number]>} - Each cell once; may fall outside the grid
+ */
+export function getShapeCells(shape, points, { filled = false, strokeWidth = 1, closed = true } = {}) {
+  if (points.length === 0) return []
+  const [from, to = from] = points
+
+  let outline
+  if (shape === 'line') outline = lineCells(from, to)
+  else if (shape === 'rectangle') outline = rectangleOutline(from, to)
+  else if (shape === 'ellipse') outline = ellipseOutline(from, to)
+  else outline = polygonOutline(points, closed)
+
+  let cells = outline
+  if (filled && shape !== 'line') {
+    if (shape === 'polygon') {
+      cells = closed && points.length > 2 ? [...outline, ...polygonInterior(points)] : outline
+    } else {
+      cells = fillSpans(outline)
+    }
+  }
+
+  // Thicken the outline with a square brush, centred on each cell
+  if (strokeWidth > 1) {
+    const offset = Math.floor((strokeWidth - 1) / 2)
+    const thick = [...cells]
+    outline.forEach(([r, c]) => {
+      for (let dr = 0; dr < strokeWidth; dr++) {
+        for (let dc = 0; dc < strokeWidth; dc++) {
+          thick.push([r + dr - offset, c + dc - offset])
+        }
+      }
+    })
+    cells = thick
+  }
+
+  const seen = new Set()
+  return cells.filter(([r, c]) => {
+    const key = `${r},${c}`
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
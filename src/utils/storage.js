@@ -0,0 +1,187 @@
+/**
+ * IndexedDB persistence for autosave, snapshots and the project library
+ *
+ * Keeps the current session (grid, palette, history and view settings) in a
+ * single record that is overwritten on every autosave, a rolling set of
+ * timestamped snapshots that can be browsed and restored, and named projects.
+ */
+
+const DB_NAME = 'domino-planner'
+const DB_VERSION = 2
+const SESSION_STORE = 'session'
+const SNAPSHOT_STORE = 'snapshots'
+const PROJECT_STORE = 'projects'
+const SESSION_KEY = 'current'
+
+/**
+ * Number of snapshots kept before the oldest are dropped
+ */
+export const MAX_SNAPSHOTS = 20
+
+let dbPromise = null
+
+/**
+ * Whether IndexedDB can be used in this browser/context
+ * @returns {boolean}
+ */
+export function isStorageAvailable() {
+  return typeof indexedDB !== 'undefined'
+}
+
+// Open (and create/upgrade) the database once
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          db.createObjectStore(SESSION_STORE)
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          const snapshots = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true })
+          snapshots.createIndex('createdAt', 'createdAt')
+        }
+        if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+          const projects = db.createObjectStore(PROJECT_STORE, { keyPath: 'id', autoIncrement: true })
+          projects.createIndex('updatedAt', 'updatedAt')
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(err => {
+      // Allow a retry on the next call
+      dbPromise = null
+      throw err
+    })
+  }
+  return dbPromise
+}
+
+// Run a callback inside a transaction and resolve with its request's result once committed
+function withStore(storeName, mode, callback) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = callback(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  }))
+}
+
+/**
+ * Overwrite the autosaved session
+ * @param {Object} state - Serializable app state
+ * @returns {Promise<void>}
+ */
+export function saveSession(state) {
+  return withStore(SESSION_STORE, 'readwrite', store =>
+    store.put({ ...state, savedAt: Date.now() }, SESSION_KEY)
+  )
+}
+
+/**
+ * Load the autosaved session
+ * @returns {Promise<Object | undefined>} - State with savedAt timestamp, or undefined if none
+ */
+export function loadSession() {
+  return withStore(SESSION_STORE, 'readonly', store => store.get(SESSION_KEY))
+}
+
+/**
+ * Add a timestamped snapshot, dropping the oldest beyond MAX_SNAPSHOTS
+ * @param {Object} state - Serializable app state
+ * @param {string} [label] - Why the snapshot was taken
+ * @returns {Promise<void>}
+ */
+export function addSnapshot(state, label = 'Autosave') {
+  return withStore(SNAPSHOT_STORE, 'readwrite', store => {
+    store.add({ ...state, label, createdAt: Date.now() })
+
+    // Walk from newest to oldest and delete everything past the limit
+    let kept = 0
+    const cursorRequest = store.index('createdAt').openCursor(null, 'prev')
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result
+      if (!cursor) return
+      kept++
+      if (kept > MAX_SNAPSHOTS) cursor.delete()
+      cursor.continue()
+    }
+    return null
+  })
+}
+
+/**
+ * List snapshots, newest first
+ * @returns {Promise<Array<Object>>} - Full snapshot records ({ id, createdAt, label, ...state })
+ */
+export function listSnapshots() {
+  return withStore(SNAPSHOT_STORE, 'readonly', store => store.getAll())
+    .then(snapshots => snapshots.sort((a, b) => b.createdAt - a.createdAt))
+}
+
+/**
+ * Delete a snapshot
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteSnapshot(id) {
+  return withStore(SNAPSHOT_STORE, 'readwrite', store => store.delete(id))
+}
+
+/**
+ * List library projects, most recently modified first
+ * @returns {Promise<Array<Object>>} - Project records ({ id, name, grid, palette, thumbnail, createdAt, updatedAt, ... })
+ */
+export function listProjects() {
+  return withStore(PROJECT_STORE, 'readonly', store => store.getAll())
+    .then(projects => projects.sort((a, b) => b.updatedAt - a.updatedAt))
+}
+
+/**
+ * Load one project
+ * @param {number} id
+ * @returns {Promise<Object | undefined>}
+ */
+export function getProject(id) {
+  return withStore(PROJECT_STORE, 'readonly', store => store.get(id))
+}
+
+/**
+ * Add a project to the library
+ * @param {Object} project - Project fields without an id (createdAt defaults to now)
+ * @returns {Promise<number>} - The new project's id
+ */
+export function createProject(project) {
+  const now = Date.now()
+  return withStore(PROJECT_STORE, 'readwrite', store =>
+    store.add({ createdAt: now, ...project, updatedAt: now })
+  )
+}
+
+/**
+ * Merge changes into an existing project and bump its modified time
+ * (does nothing if the project has been deleted)
+ * @param {number} id
+ * @param {Object} changes
+ * @returns {Promise<void>}
+ */
+export function updateProject(id, changes) {
+  return withStore(PROJECT_STORE, 'readwrite', store => {
+    const request = store.get(id)
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, ...changes, updatedAt: Date.now() })
+    }
+    return null
+  })
+}
+
+/**
+ * Delete a project
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteProject(id) {
+  return withStore(PROJECT_STORE, 'readwrite', store => store.delete(id))
+}
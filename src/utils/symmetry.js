@@ -0,0 +1,108 @@
+/**
+ * Symmetric drawing
+ *
+ * Every symmetry mode maps one painted cell to the set of cells that should
+ * change with it. Mirrors and rotations are taken about a centre point, which
+ * defaults to the middle of the grid but can sit on any row and column.
+ * Centre coordinates are zero-based and may be half cells (e.g. 4.5 is the
+ * line between rows 5 and 6).
+ */
+
+/**
+ * Symmetry modes, in menu order
+ */
+export const SYMMETRY_MODES = [
+  { value: 'none', label: 'None' },
+  { value: 'horizontal', label: 'Horizontal ↔' },
+  { value: 'vertical', label: 'Vertical ↕' },
+  { value: 'both', label: 'Both ✛' },
+  { value: 'diagonal', label: 'Diagonal ⟍' },
+  { value: 'anti-diagonal', label: 'Diagonal ⟋' },
+  { value: 'both-diagonals', label: 'Both diagonals ✕' },
+  { value: 'rotate-2', label: 'Rotate 2-fold' },
+  { value: 'rotate-4', label: 'Rotate 4-fold' }
+]
+
+// Modes that turn rows into columns, so they need a square area around the centre
+const SQUARE_MODES = new Set(['diagonal', 'anti-diagonal', 'both-diagonals', 'rotate-4'])
+
+/**
+ * Whether a mode swaps rows and columns (diagonals and quarter turns)
+ * @param {string} mode
+ * @returns {boolean}
+ */
+export function needsSquareGrid(mode) {
+  return SQUARE_MODES.has(mode)
+}
+
+/**
+ * Symmetry centre, falling back to the middle of the grid
+ * @param {number} rows
+ * @param {number} cols
+ * @param {{ row: number | null, col: number | null }} [axis]
+ * @returns {{ row: number, col: number }}
+ */
+export function getSymmetryCenter(rows, cols, axis) {
+  return {
+    row: axis?.row ?? (rows - 1) / 2,
+    col: axis?.col ?? (cols - 1) / 2
+  }
+}
+
+/**
+ * Cells that change together with one cell
+ * @param {number} row
+ * @param {number} col
+ * @param {Object} options
+ * @param {string} options.mode - See SYMMETRY_MODES
+ * @param {number} options.rows
+ * @param {number} options.cols
+ * @param {{ row: number | null, col: number | null }} [options.axis] - Centre; null parts use the middle of the grid
+ * @returns {Array<[number, number]>} - [row, col] pairs inside the grid, starting with the cell itself
+ */
+export function getSymmetricPositions(row, col, { mode, rows, cols, axis }) {
+  const center = getSymmetryCenter(rows, cols, axis)
+  // Offsets from the centre, so every mode is a sign flip and/or swap
+  const dr = row - center.row
+  const dc = col - center.col
+  const at = (rowOffset, colOffset) => [Math.round(center.row + rowOffset), Math.round(center.col + colOffset)]
+
+  const positions = [[row, col]]
+  switch (mode) {
+    case 'horizontal':
+      positions.push(at(dr, -dc))
+      break
+    case 'vertical':
+      positions.push(at(-dr, dc))
+      break
+    case 'both':
+      positions.push(at(dr, -dc), at(-dr, dc), at(-dr, -dc))
+      break
+    case 'diagonal':
+      positions.push(at(dc, dr))
+      break
+    case 'anti-diagonal':
+      positions.push(at(-dc, -dr))
+      break
+    case 'both-diagonals':
+      positions.push(at(dc, dr), at(-dc, -dr), at(-dr, -dc))
+      break
+    case 'rotate-2':
+      positions.push(at(-dr, -dc))
+      break
+    case 'rotate-4':
+      positions.push(at(dc, -dr), at(-dr, -dc), at(-dc, dr))
+      break
+    default:
+      break
+  }
+
+  const seen = new Set()
+  return positions.filter(([r, c]) => {
+    if (r < 0 || r >= rows || c < 0 || c >= cols) return false
+    const key = r * cols + c
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
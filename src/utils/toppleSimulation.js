@@ -0,0 +1,171 @@
+/**
+ * Domino toppling chain simulation
+ *
+ * Works out which dominoes fall, and when, after pushing one domino (or a
+ * whole starting line) in a direction. A falling domino sweeps forward by its
+ * standing height and knocks over the first domino it reaches. Clear cells
+ * are empty spots, so a chain dies when the next domino is out of reach.
+ */
+
+import {
+  BASE_DOMINO_WIDTH,
+  BASE_DOMINO_HEIGHT,
+  BASE_H_GAP,
+  BASE_V_GAP,
+  DOMINO_STANDING_HEIGHT
+} from './gridGeometry'
+
+/**
+ * Directions a chain can run in
+ */
+export const TOPPLE_DIRECTIONS = [
+  { value: 'down', label: 'Down ↓' },
+  { value: 'up', label: 'Up ↑' },
+  { value: 'right', label: 'Right →' },
+  { value: 'left', label: 'Left ←' }
+]
+
+/**
+ * What gets pushed at the start
+ */
+export const TOPPLE_TRIGGERS = [
+  { value: 'single', label: 'Start domino' },
+  { value: 'line', label: 'Whole starting line' }
+]
+
+// Time for a falling domino to start moving, plus the time for a full quarter turn
+const TOPPLE_BASE_MS = 40
+const TOPPLE_SWING_MS = 160
+
+/**
+ * Time a single domino takes from first push until it lies flat
+ */
+export const FALL_DURATION_MS = TOPPLE_BASE_MS + TOPPLE_SWING_MS
+
+const STEPS = {
+  down: { dr: 1, dc: 0 },
+  up: { dr: -1, dc: 0 },
+  right: { dr: 0, dc: 1 },
+  left: { dr: 0, dc: -1 }
+}
+
+/**
+ * Spacing between dominoes along the direction of travel
+ * @param {string} direction
+ * @returns {{ gap: number, pitch: number }} - Free space to the next domino, and distance between neighbouring positions
+ */
+function getSpacing(direction) {
+  // Falling up/down crosses rows (domino thickness), left/right crosses columns (domino width)
+  return direction === 'up' || direction === 'down'
+    ? { gap: BASE_V_GAP, pitch: BASE_DOMINO_HEIGHT + BASE_V_GAP }
+    : { gap: BASE_H_GAP, pitch: BASE_DOMINO_WIDTH + BASE_H_GAP }
+}
+
+/**
+ * Number of empty (clear) positions a falling domino can bridge in a direction
+ * @param {string} direction
+ * @returns {number}
+ */
+export function getMaxSkippedCells(direction) {
+  const { gap, pitch } = getSpacing(direction)
+  return Math.max(0, Math.ceil((DOMINO_STANDING_HEIGHT - gap) / pitch) - 1)
+}
+
+// Delay between a domino starting to fall and hitting one `distance` away
+const getHitDelay = (distance) => {
+  const angle = Math.asin(Math.min(1, distance / DOMINO_STANDING_HEIGHT))
+  return TOPPLE_BASE_MS + TOPPLE_SWING_MS * (angle / (Math.PI / 2))
+}
+
+/**
+ * Simulate a toppling chain
+ * @param {Array<Array<string>>} grid - 2D array of cell values ('clear' = no domino)
+ * @param {{ row: number, col: number }} start - Cell that gets pushed
+ * @param {string} direction - One of TOPPLE_DIRECTIONS values
+ * @param {{ trigger?: string }} [options] - trigger: one of TOPPLE_TRIGGERS values
+ * @returns {{
+ *   times: Array<Array<number | null>>,
+ *   order: Array<{ row: number, col: number, time: number }>,
+ *   unreachable: Array<{ row: number, col: number }>,
+ *   total: number,
+ *   duration: number
+ * }} - times: ms at which each domino starts to fall (null if it never does),
+ *   order: fallen dominoes by time, total: dominoes on the grid, duration: ms until the last one lies flat
+ */
+export function simulateTopple(grid, start, direction, { trigger = 'single' } = {}) {
+  const rows = grid.length
+  const cols = grid[0]?.length || 0
+  const { dr, dc } = STEPS[direction] || STEPS.down
+  const { gap, pitch } = getSpacing(direction)
+  const hasDomino = (r, c) => r >= 0 && r < rows && c >= 0 && c < cols && grid[r][c] !== 'clear'
+
+  const times = grid.map(row => row.map(() => null))
+
+  // Starting dominoes: the pushed one, or every domino on its line across the direction of travel
+  const starts = []
+  if (trigger === 'line') {
+    if (dr !== 0) {
+      for (let c = 0; c < cols; c++) starts.push({ row: start.row, col: c })
+    } else {
+      for (let r = 0; r < rows; r++) starts.push({ row: r, col: start.col })
+    }
+  } else {
+    starts.push({ row: start.row, col: start.col })
+  }
+
+  // Each start runs its own straight chain, so walk them one by one
+  starts.forEach(({ row, col }) => {
+    if (!hasDomino(row, col)) return
+    let r = row
+    let c = col
+    let time = 0
+    times[r][c] = 0
+
+    for (;;) {
+      // Find the first domino within reach, bridging clear cells
+      let next = null
+      for (let k = 1; ; k++) {
+        const distance = gap + (k - 1) * pitch
+        const nr = r + dr * k
+        const nc = c + dc * k
+        if (distance >= DOMINO_STANDING_HEIGHT || nr < 0 || nr >= rows || nc < 0 || nc >= cols) break
+        if (hasDomino(nr, nc)) {
+          next = { row: nr, col: nc, distance }
+          break
+        }
+      }
+      if (!next) break
+
+      time += getHitDelay(next.distance)
+      // Already knocked over (sooner) by another chain
+      if (times[next.row][next.col] !== null && times[next.row][next.col] <= time) break
+      times[next.row][next.col] = time
+      r = next.row
+      c = next.col
+    }
+  })
+
+  const order = []
+  const unreachable = []
+  let total = 0
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (!hasDomino(r, c)) continue
+      total++
+      if (times[r][c] === null) {
+        unreachable.push({ row: r, col: c })
+      } else {
+        order.push({ row: r, col: c, time: times[r][c] })
+      }
+    }
+  }
+  order.sort((a, b) => a.time - b.time)
+
+  return {
+    times,
+    order,
+    unreachable,
+    total,
+    duration: order.length > 0 ? order[order.length - 1].time + FALL_DURATION_MS : 0
+  }
+}
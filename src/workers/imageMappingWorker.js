@@ -0,0 +1,15 @@
+/**
+ * Web worker that maps image pixels to palette colors off the main thread
+ */
+
+import { ditherImage } from '../utils/ditherUtils'
+
+self.onmessage = (event) => {
+  const { id, pixelColors, palette, ditherMode, metric } = event.data
+  try {
+    const result = ditherImage(pixelColors, palette, ditherMode, metric)
+    self.postMessage({ id, result })
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) })
+  }
+}